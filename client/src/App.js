@@ -1,5 +1,5 @@
 import React from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from './contexts/AuthContext';
 import Login from './pages/Login';
 import AdminDashboard from './pages/admin/Dashboard';
@@ -8,12 +8,34 @@ import AdminEnforcers from './pages/admin/Enforcers';
 import AdminReports from './pages/admin/Reports';
 import AdminSettings from './pages/admin/Settings';
 import RepeatOffenders from './pages/admin/RepeatOffenders';
+import ViolationTypes from './pages/admin/ViolationTypes';
+import Disputes from './pages/admin/Disputes';
+import ViolationMap from './pages/admin/ViolationMap';
+import Violators from './pages/admin/Violators';
+import ViolatorProfile from './pages/admin/ViolatorProfile';
+import DuplicateViolators from './pages/admin/DuplicateViolators';
+import Vehicles from './pages/admin/Vehicles';
+import VehicleProfile from './pages/admin/VehicleProfile';
+import ViolationImports from './pages/admin/ViolationImports';
+import ViolationLookup from './pages/public/ViolationLookup';
+import CitationVerification from './pages/public/CitationVerification';
 import Layout from './components/Layout';
 import LoadingSpinner from './components/LoadingSpinner';
 import PageTransition from './components/PageTransition';
 
 function App() {
   const { user, loading } = useAuth();
+  const location = useLocation();
+
+  // Motorist portal: public, no login and no admin layout
+  if (location.pathname === '/pay') {
+    return <ViolationLookup />;
+  }
+
+  // QR codes on printed citations open here
+  if (location.pathname.startsWith('/verify/')) {
+    return <CitationVerification />;
+  }
 
   if (loading) {
     return <LoadingSpinner />;
@@ -32,9 +54,18 @@ function App() {
               <Route path="/" element={<Navigate to="/dashboard" replace />} />
               <Route path="/dashboard" element={<AdminDashboard />} />
               <Route path="/violations" element={<AdminViolations />} />
+              <Route path="/violations/import" element={<ViolationImports />} />
+              <Route path="/disputes" element={<Disputes />} />
+              <Route path="/map" element={<ViolationMap />} />
+              <Route path="/violators" element={<Violators />} />
+              <Route path="/violators/duplicates" element={<DuplicateViolators />} />
+              <Route path="/violators/:id" element={<ViolatorProfile />} />
+              <Route path="/vehicles" element={<Vehicles />} />
+              <Route path="/vehicles/:id" element={<VehicleProfile />} />
               <Route path="/enforcers" element={<AdminEnforcers />} />
               <Route path="/reports" element={<AdminReports />} />
               <Route path="/repeat-offenders" element={<RepeatOffenders />} />
+              <Route path="/violation-types" element={<ViolationTypes />} />
               <Route path="/settings" element={<AdminSettings />} />
             </>
           ) : (
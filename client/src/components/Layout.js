@@ -13,6 +13,11 @@ import {
   User,
   LogOut,
   AlertTriangle,
+  BookOpen,
+  Scale,
+  MapPin,
+  Contact,
+  Car,
 } from 'lucide-react';
 
 const Layout = ({ children }) => {
@@ -25,9 +30,14 @@ const Layout = ({ children }) => {
   const adminNavItems = [
     { name: 'Dashboard', href: '/dashboard', icon: Home },
     { name: 'Violations', href: '/violations', icon: FileText },
+    { name: 'Disputes', href: '/disputes', icon: Scale },
+    { name: 'Map', href: '/map', icon: MapPin },
+    { name: 'Violators', href: '/violators', icon: Contact },
+    { name: 'Vehicles', href: '/vehicles', icon: Car },
     { name: 'Enforcers', href: '/enforcers', icon: Users },
     { name: 'Reports', href: '/reports', icon: BarChart3 },
     { name: 'Repeat Offenders', href: '/repeat-offenders', icon: AlertTriangle },
+    { name: 'Violation Types', href: '/violation-types', icon: BookOpen },
     { name: 'Settings', href: '/settings', icon: Settings },
   ];
 
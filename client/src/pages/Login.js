@@ -155,6 +155,13 @@ const Login = () => {
 
             
           </form>
+
+          <p className="text-center text-sm text-gray-600">
+            Got a violation SMS?{' '}
+            <a href="/pay" className="font-medium text-primary-600 hover:text-primary-700">
+              Check or pay your violation
+            </a>
+          </p>
         </div>
       </div>
     </div>
@@ -219,6 +219,13 @@ const AdminDashboard = () => {
         </div>
       </div>
 
+      {data?.statsStatus?.stale && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm text-amber-800 flex items-center gap-2">
+          <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+          Statistics missed {data.statsStatus.failed_writes === 1 ? '1 update' : `${data.statsStatus.failed_writes} updates`} and may be out of date. Run <code className="font-mono">npm run rebuild-stats</code> on the server to resync them.
+        </div>
+      )}
+
       {/* Stats cards */}
       <div className="mobile-stats-grid">
         <StatCard
@@ -0,0 +1,488 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { disputesAPI } from '../../services/api';
+import { Scale, Plus, Gavel, FileText, Phone, Clock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/LoadingSpinner';
+
+/**
+ * Parse various date formats for display, including Firebase Timestamp
+ * @param {any} dateValue - The date value from the database
+ * @returns {string} - Formatted date and time or '-'
+ */
+const formatDisplayDate = (dateValue) => {
+  if (!dateValue) return '-';
+
+  let date;
+  if (dateValue?.seconds || dateValue?._seconds) {
+    date = new Date((dateValue.seconds || dateValue._seconds) * 1000);
+  } else {
+    date = new Date(dateValue);
+  }
+
+  return isNaN(date.getTime()) ? '-' : date.toLocaleString();
+};
+
+const formatAmount = (amount) => `₱${(Number(amount) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const OUTCOME_OPTIONS = [
+  { value: 'upheld', label: 'Uphold', description: 'The fine stands and the violation is issued again' },
+  { value: 'reduced', label: 'Reduce fine', description: 'Lower the fine; the motorist pays the new amount' },
+  { value: 'dismissed', label: 'Dismiss', description: 'Cancel the violation; nothing is owed' },
+];
+
+const OUTCOME_BADGES = {
+  upheld: { label: 'Upheld', className: 'badge-danger' },
+  reduced: { label: 'Fine Reduced', className: 'badge-warning' },
+  dismissed: { label: 'Dismissed', className: 'badge-success' },
+};
+
+const MAX_EVIDENCE_ITEMS = 5;
+
+// Adjudication queue: oldest open disputes first, decided ones newest first
+const Disputes = () => {
+  const [status, setStatus] = useState('open');
+  const [cursor, setCursor] = useState('');
+  const [cursorHistory, setCursorHistory] = useState([]);
+  const [decidingDispute, setDecidingDispute] = useState(null);
+  const [showFileModal, setShowFileModal] = useState(false);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['disputes', status, cursor],
+    queryFn: () => disputesAPI.getDisputes({ status, limit: 20, ...(cursor && { cursor }) }),
+  });
+
+  const disputes = data?.data?.data?.disputes || [];
+  const pagination = data?.data?.data?.pagination;
+
+  const handleStatusChange = (nextStatus) => {
+    setStatus(nextStatus);
+    setCursor('');
+    setCursorHistory([]);
+  };
+
+  const handleNextPage = () => {
+    if (!pagination?.nextCursor) return;
+    setCursorHistory(prev => [...prev, cursor]);
+    setCursor(pagination.nextCursor);
+  };
+
+  const handlePreviousPage = () => {
+    if (cursorHistory.length === 0) return;
+    setCursor(cursorHistory[cursorHistory.length - 1]);
+    setCursorHistory(prev => prev.slice(0, -1));
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border border-gray-200 rounded-lg p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <div className="p-2 bg-primary-100 rounded-lg">
+            <Scale className="h-6 w-6 text-primary-600" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Disputes</h1>
+            <p className="text-sm text-gray-600 mt-1">Review contested violations and record a decision</p>
+          </div>
+        </div>
+        <button
+          onClick={() => setShowFileModal(true)}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+        >
+          <Plus className="h-4 w-4" />
+          <span>File Dispute</span>
+        </button>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex gap-2">
+        {[{ value: 'open', label: 'Open' }, { value: 'decided', label: 'Decided' }].map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => handleStatusChange(tab.value)}
+            className={`px-4 py-2 text-sm font-medium rounded-lg border transition-colors ${status === tab.value
+              ? 'bg-primary-600 text-white border-primary-600'
+              : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+              }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : error ? (
+        <div className="text-center py-12">
+          <p className="text-red-600">Failed to load disputes</p>
+        </div>
+      ) : disputes.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg border border-gray-200">
+          <Scale className="h-10 w-10 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">{status === 'open' ? 'No disputes waiting for a decision' : 'No decided disputes yet'}</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {disputes.map(dispute => (
+            <DisputeCard
+              key={dispute.id}
+              dispute={dispute}
+              onDecide={() => setDecidingDispute(dispute)}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {pagination && (pagination.hasMore || cursorHistory.length > 0) && (
+        <div className="flex items-center justify-end space-x-2">
+          <button
+            onClick={handlePreviousPage}
+            disabled={cursorHistory.length === 0}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            Previous
+          </button>
+          <div className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-lg">
+            Page {cursorHistory.length + 1}
+          </div>
+          <button
+            onClick={handleNextPage}
+            disabled={!pagination.hasMore}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {decidingDispute && (
+        <DecisionModal dispute={decidingDispute} onClose={() => setDecidingDispute(null)} />
+      )}
+      {showFileModal && (
+        <FileDisputeModal onClose={() => setShowFileModal(false)} />
+      )}
+    </div>
+  );
+};
+
+const DisputeCard = ({ dispute, onDecide }) => {
+  const { violation } = dispute;
+  const outcomeBadge = OUTCOME_BADGES[dispute.outcome];
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-5 space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+        <div>
+          <p className="font-mono font-semibold text-gray-900">{dispute.violation_number}</p>
+          {violation && (
+            <p className="text-sm text-gray-600">
+              {violation.violation_type}
+              {violation.offense_tier_label && ` (${violation.offense_tier_label})`}
+              {' · '}{violation.vehicle_plate || 'No plate'}
+              {' · '}{violation.violator_name}
+            </p>
+          )}
+          <p className="text-xs text-gray-500 mt-1 flex items-center gap-1">
+            <Clock className="h-3 w-3" />
+            Filed {formatDisplayDate(dispute.created_at)} by {dispute.submitted_by_name}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {outcomeBadge && <span className={outcomeBadge.className}>{outcomeBadge.label}</span>}
+          {dispute.status === 'open' && (
+            <button
+              onClick={onDecide}
+              className="flex items-center gap-2 px-3 py-2 text-sm font-medium bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+            >
+              <Gavel className="h-4 w-4" />
+              Decide
+            </button>
+          )}
+        </div>
+      </div>
+
+      {violation && (
+        <dl className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+          <div>
+            <dt className="text-gray-500">Fine</dt>
+            <dd className="font-medium text-gray-900">{formatAmount(violation.fine_amount)}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Amount Due</dt>
+            <dd className="font-medium text-gray-900">{formatAmount(violation.amount_due)}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Paid</dt>
+            <dd className="font-medium text-gray-900">{formatAmount(violation.amount_paid)}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">Location</dt>
+            <dd className="font-medium text-gray-900">{violation.location}</dd>
+          </div>
+        </dl>
+      )}
+
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-1">Reason</h3>
+        <p className="text-sm text-gray-800 whitespace-pre-line">{dispute.reason}</p>
+      </div>
+
+      {dispute.evidence?.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-1">Evidence</h3>
+          <ul className="space-y-1">
+            {dispute.evidence.map((item, index) => (
+              <li key={index} className="text-sm text-gray-800 flex items-start gap-2">
+                <FileText className="h-4 w-4 text-gray-400 flex-shrink-0 mt-0.5" />
+                {/^https?:\/\//i.test(item)
+                  ? <a href={item} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:underline break-all">{item}</a>
+                  : <span className="break-words">{item}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {dispute.contact_phone && (
+        <p className="text-sm text-gray-600 flex items-center gap-2">
+          <Phone className="h-4 w-4 text-gray-400" />
+          {dispute.contact_phone}
+        </p>
+      )}
+
+      {dispute.status === 'decided' && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-sm text-gray-700">
+          <p>
+            Decided {formatDisplayDate(dispute.decided_at)} by {dispute.decided_by_name}
+            {dispute.outcome === 'reduced' && ` · Fine reduced from ${formatAmount(dispute.original_fine)} to ${formatAmount(dispute.reduced_fine)}`}
+          </p>
+          {dispute.decision_notes && <p className="mt-1 whitespace-pre-line">{dispute.decision_notes}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DecisionModal = ({ dispute, onClose }) => {
+  const queryClient = useQueryClient();
+  const [outcome, setOutcome] = useState('upheld');
+  const [reducedFine, setReducedFine] = useState('');
+  const [decisionNotes, setDecisionNotes] = useState('');
+
+  const decideMutation = useMutation({
+    mutationFn: (data) => disputesAPI.decideDispute(dispute.id, data),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['disputes']);
+      queryClient.invalidateQueries(['violations']);
+      queryClient.invalidateQueries(['adminDashboard']);
+      toast.success(response.data.message || 'Dispute decided');
+      onClose();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to decide dispute');
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    decideMutation.mutate({
+      outcome,
+      decision_notes: decisionNotes,
+      ...(outcome === 'reduced' && { reduced_fine: parseFloat(reducedFine) })
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl border border-gray-100 shadow-2xl mobile-modal overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100 bg-gradient-to-r from-primary-50 to-blue-50">
+          <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+            <Gavel className="h-5 w-5 text-primary-600" />
+            Decide Dispute
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {dispute.violation_number} · current fine {formatAmount(dispute.violation?.fine_amount)}
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="mobile-card space-y-5">
+          <div className="space-y-2">
+            {OUTCOME_OPTIONS.map(option => (
+              <label
+                key={option.value}
+                className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer ${outcome === option.value ? 'border-primary-500 bg-primary-50' : 'border-gray-200'}`}
+              >
+                <input
+                  type="radio"
+                  name="outcome"
+                  value={option.value}
+                  checked={outcome === option.value}
+                  onChange={() => setOutcome(option.value)}
+                  className="mt-1 h-4 w-4 text-primary-600 focus:ring-primary-500"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-900">{option.label}</span>
+                  <span className="block text-xs text-gray-600">{option.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          {outcome === 'reduced' && (
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">New Fine (₱) *</label>
+              <input
+                type="number"
+                required
+                min="0.01"
+                step="0.01"
+                max={dispute.violation ? dispute.violation.fine_amount - 0.01 : undefined}
+                value={reducedFine}
+                onChange={(e) => setReducedFine(e.target.value)}
+                className="mobile-input w-full"
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Decision Notes *</label>
+            <textarea
+              required
+              rows={4}
+              maxLength={2000}
+              value={decisionNotes}
+              onChange={(e) => setDecisionNotes(e.target.value)}
+              placeholder="Grounds for the decision; kept in the violation's history"
+              className="mobile-input w-full"
+            />
+          </div>
+
+          <p className="text-xs text-gray-500">The motorist is notified of the decision by SMS.</p>
+
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="mobile-btn-secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={decideMutation.isPending}
+              className="mobile-btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {decideMutation.isPending ? <LoadingSpinner size="sm" /> : 'Record Decision'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const FileDisputeModal = ({ onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({ violation_number: '', reason: '', evidence: '', contact_phone: '' });
+
+  const fileMutation = useMutation({
+    mutationFn: (data) => disputesAPI.fileDispute(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['disputes']);
+      queryClient.invalidateQueries(['violations']);
+      toast.success('Dispute filed');
+      onClose();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to file dispute');
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const evidence = form.evidence.split('\n').map(line => line.trim()).filter(Boolean);
+    if (evidence.length > MAX_EVIDENCE_ITEMS) {
+      toast.error(`At most ${MAX_EVIDENCE_ITEMS} evidence items`);
+      return;
+    }
+    fileMutation.mutate({
+      violation_number: form.violation_number,
+      reason: form.reason,
+      evidence,
+      ...(form.contact_phone && { contact_phone: form.contact_phone })
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl border border-gray-100 shadow-2xl mobile-modal overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100 bg-gradient-to-r from-primary-50 to-blue-50">
+          <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+            <Scale className="h-5 w-5 text-primary-600" />
+            File Dispute
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">Record a dispute received in person or by letter</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="mobile-card space-y-5">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Violation Number *</label>
+            <input
+              type="text"
+              required
+              value={form.violation_number}
+              onChange={(e) => setForm(prev => ({ ...prev, violation_number: e.target.value }))}
+              placeholder="VIO-YYYYMMDD-NNNN"
+              className="mobile-input w-full uppercase"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Reason *</label>
+            <textarea
+              required
+              rows={4}
+              maxLength={2000}
+              value={form.reason}
+              onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+              className="mobile-input w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Evidence (one per line)</label>
+            <textarea
+              rows={3}
+              value={form.evidence}
+              onChange={(e) => setForm(prev => ({ ...prev, evidence: e.target.value }))}
+              className="mobile-input w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Contact Number</label>
+            <input
+              type="tel"
+              maxLength={20}
+              value={form.contact_phone}
+              onChange={(e) => setForm(prev => ({ ...prev, contact_phone: e.target.value }))}
+              className="mobile-input w-full"
+            />
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="mobile-btn-secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={fileMutation.isPending}
+              className="mobile-btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {fileMutation.isPending ? <LoadingSpinner size="sm" /> : 'File Dispute'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Disputes;
@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { violatorsAPI } from '../../services/api';
+import { ArrowLeft, Users, GitMerge, RefreshCw, Phone, Car } from 'lucide-react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/LoadingSpinner';
+
+const REASON_LABELS = {
+  similar_name: 'Similar name',
+  same_phone: 'Same phone',
+  same_plate: 'Same plate',
+  similar_license: 'License differs by one character',
+};
+
+const STATUS_TABS = [
+  { value: 'open', label: 'To Review' },
+  { value: 'merged', label: 'Merged' },
+  { value: 'dismissed', label: 'Dismissed' },
+];
+
+// Likely duplicate violator identities from the nightly scan, for an admin to merge or dismiss
+const DuplicateViolators = () => {
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('open');
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['violator-duplicates', status],
+    queryFn: () => violatorsAPI.getDuplicates({ status }),
+  });
+
+  const candidates = data?.data?.data || [];
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.response?.data?.error || fallback);
+  };
+
+  const scanMutation = useMutation({
+    mutationFn: () => violatorsAPI.scanDuplicates(),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['violator-duplicates']);
+      toast.success(response.data.message || 'Scan complete');
+    },
+    onError: onError('Failed to scan for duplicates'),
+  });
+
+  const mergeMutation = useMutation({
+    mutationFn: ({ id, targetId }) => violatorsAPI.mergeDuplicate(id, targetId),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['violator-duplicates']);
+      queryClient.invalidateQueries(['violators']);
+      queryClient.invalidateQueries(['violations']);
+      queryClient.invalidateQueries(['repeatOffenders']);
+      toast.success(response.data.message || 'Violators merged');
+    },
+    onError: onError('Failed to merge violators'),
+  });
+
+  const dismissMutation = useMutation({
+    mutationFn: (id) => violatorsAPI.dismissDuplicate(id),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['violator-duplicates']);
+      toast.success(response.data.message || 'Dismissed');
+    },
+    onError: onError('Failed to dismiss duplicate'),
+  });
+
+  const handleMerge = (candidate, target) => {
+    const source = candidate.identities.find(identity => identity.key !== target.key);
+    if (window.confirm(`Merge "${source.name}" into ${target.name} (${target.license_number})? Their violations will be moved to this profile.`)) {
+      mergeMutation.mutate({ id: candidate.id, targetId: target.violator_id });
+    }
+  };
+
+  const isBusy = mergeMutation.isPending || dismissMutation.isPending;
+
+  return (
+    <div className="space-y-6">
+      <Link to="/violators" className="inline-flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900">
+        <ArrowLeft className="h-4 w-4" />
+        Violators
+      </Link>
+
+      {/* Header */}
+      <div className="border border-gray-200 rounded-lg p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <div className="p-2 bg-primary-100 rounded-lg">
+            <Users className="h-6 w-6 text-primary-600" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Duplicate Violators</h1>
+            <p className="text-sm text-gray-600 mt-1">People who may have been recorded more than once, found by name, phone, license and plate</p>
+          </div>
+        </div>
+        <button
+          onClick={() => scanMutation.mutate()}
+          disabled={scanMutation.isPending}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${scanMutation.isPending ? 'animate-spin' : ''}`} />
+          <span>Scan Now</span>
+        </button>
+      </div>
+
+      {/* Status Tabs */}
+      <div className="flex gap-2">
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => setStatus(tab.value)}
+            className={`px-4 py-2 text-sm font-medium rounded-lg border transition-colors ${status === tab.value
+              ? 'bg-primary-600 text-white border-primary-600'
+              : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+              }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : error ? (
+        <div className="text-center py-12">
+          <p className="text-red-600">Failed to load duplicate violators</p>
+        </div>
+      ) : candidates.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg border border-gray-200">
+          <Users className="h-10 w-10 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">{status === 'open' ? 'No likely duplicates to review' : `No ${status} duplicates`}</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {candidates.map(candidate => {
+            const canMerge = candidate.identities.some(identity => identity.kind === 'violator');
+            return (
+              <div key={candidate.id} className="bg-white rounded-lg border border-gray-200">
+                <div className="px-6 py-3 border-b border-gray-200 flex flex-wrap items-center gap-2">
+                  <span className="text-sm font-semibold text-gray-900">{Math.round(candidate.confidence * 100)}% match</span>
+                  {candidate.reasons.map(reason => (
+                    <span key={reason} className="badge-info">{REASON_LABELS[reason] || reason}</span>
+                  ))}
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 divide-y md:divide-y-0 md:divide-x divide-gray-200">
+                  {candidate.identities.map(identity => (
+                    <div key={identity.key} className="px-6 py-4 space-y-2">
+                      <div className="flex items-start justify-between gap-2">
+                        <div>
+                          {identity.kind === 'violator' ? (
+                            <Link to={`/violators/${encodeURIComponent(identity.violator_id)}`} className="text-sm font-medium text-primary-600 hover:text-primary-800">
+                              {identity.name || 'Unnamed'}
+                            </Link>
+                          ) : (
+                            <span className="text-sm font-medium text-gray-900">{identity.name}</span>
+                          )}
+                          <p className="text-xs font-mono text-gray-600">
+                            {identity.license_number ? `License ${identity.license_number}` : 'No license recorded'}
+                          </p>
+                        </div>
+                        <span className="text-xs text-gray-500 whitespace-nowrap">{identity.violation_count} violation(s)</span>
+                      </div>
+                      {identity.phones.length > 0 && (
+                        <p className="text-xs text-gray-600 flex items-center gap-1"><Phone className="h-3 w-3" />{identity.phones.join(', ')}</p>
+                      )}
+                      {identity.plates.length > 0 && (
+                        <p className="text-xs text-gray-600 flex items-center gap-1"><Car className="h-3 w-3" />{identity.plates.join(', ')}</p>
+                      )}
+                      {status === 'open' && identity.kind === 'violator' && (
+                        <button
+                          onClick={() => handleMerge(candidate, identity)}
+                          disabled={isBusy}
+                          className="flex items-center gap-1 text-sm font-medium text-primary-600 hover:text-primary-800 disabled:opacity-50"
+                        >
+                          <GitMerge className="h-4 w-4" />
+                          Keep this profile
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+
+                {status === 'open' && (
+                  <div className="px-6 py-3 border-t border-gray-200 flex flex-wrap items-center justify-between gap-2">
+                    <p className="text-xs text-gray-500">
+                      {canMerge
+                        ? 'Choose the profile to keep; the other record\'s violations move to it.'
+                        : 'Neither record has a license. Add the license to one of the violations to merge them.'}
+                    </p>
+                    <button
+                      onClick={() => dismissMutation.mutate(candidate.id)}
+                      disabled={isBusy}
+                      className="mobile-btn-secondary"
+                    >
+                      Different People
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateViolators;
@@ -1,10 +1,18 @@
 import React, { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
 import { adminAPI } from '../../services/api';
 import { AlertTriangle, Users, TrendingUp, DollarSign, Shield, Clock, Download } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../../components/LoadingSpinner';
 
+// Demerit flags from the server, lowest to highest
+const DEMERIT_BADGES = {
+  warning: { label: 'Warning', className: 'bg-yellow-100 text-yellow-800' },
+  suspension: { label: 'For Suspension', className: 'bg-red-100 text-red-800' },
+  revocation: { label: 'For Revocation', className: 'bg-red-600 text-white' },
+};
+
 /**
  * Parse various date formats for display, including Firebase Timestamp
  * @param {any} dateValue - The date value from the database
@@ -91,10 +99,13 @@ const RepeatOffenders = () => {
       // Detailed Table
       doc.autoTable({
         startY: doc.lastAutoTable.finalY + 10,
-        head: [['Violator', 'Violations', 'Total Fines', 'Paid', 'Status', 'First Violation', 'Last Violation']],
+        head: [['Violator', 'Violations', 'Demerit Points', 'Total Fines', 'Paid', 'Status', 'First Violation', 'Last Violation']],
         body: repeatOffenders.map(offender => [
           offender.violator_name,
           offender.total_violations,
+          offender.demerits
+            ? `${offender.demerits.points}${offender.demerits.flag ? ` (${DEMERIT_BADGES[offender.demerits.flag].label})` : ''}`
+            : '-',
           `P${parseFloat(offender.total_fines || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           `P${parseFloat(offender.paid_fines || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
           parseFloat(offender.paid_fines || 0) === parseFloat(offender.total_fines || 0) ? 'Fully Paid' : 'Outstanding',
@@ -313,6 +324,9 @@ const RepeatOffenders = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Total Violations
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Demerit Points
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Financial Overview
                   </th>
@@ -332,7 +346,13 @@ const RepeatOffenders = () => {
                   <tr key={index} className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div>
-                        <div className="text-sm font-medium text-gray-900">{offender.violator_name}</div>
+                        {offender.violator_id ? (
+                          <Link to={`/violators/${encodeURIComponent(offender.violator_id)}`} className="text-sm font-medium text-primary-600 hover:text-primary-800">
+                            {offender.violator_name}
+                          </Link>
+                        ) : (
+                          <div className="text-sm font-medium text-gray-900">{offender.violator_name}</div>
+                        )}
                         {offender.violator_license && (
                           <div className="text-xs text-blue-600 font-mono mt-1">
                             License: {offender.violator_license}
@@ -350,6 +370,20 @@ const RepeatOffenders = () => {
                         {offender.total_violations} violations
                       </div>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {offender.demerits ? (
+                        <div className="space-y-1">
+                          <div className="text-sm font-medium text-gray-900">{offender.demerits.points} points</div>
+                          {offender.demerits.flag && (
+                            <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${DEMERIT_BADGES[offender.demerits.flag].className}`}>
+                              {DEMERIT_BADGES[offender.demerits.flag].label}
+                            </span>
+                          )}
+                        </div>
+                      ) : (
+                        <span className="text-xs text-gray-400">No license</span>
+                      )}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="space-y-1">
                         <div className="text-base font-bold text-gray-900">
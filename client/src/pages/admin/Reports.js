@@ -1,4 +1,5 @@
 import React, { useState, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { reportsAPI } from '../../services/api';
 import toast, { Toaster } from 'react-hot-toast';
 import {
@@ -13,7 +14,9 @@ import {
   ArrowLeft,
   AlertCircle,
   Award,
-  BarChart as BarChartIcon
+  BarChart as BarChartIcon,
+  MapPin,
+  ShieldAlert
 } from 'lucide-react';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import {
@@ -41,14 +44,16 @@ const ReportCard = ({ title, description, icon: Icon, onClick, color = 'primary'
     primary: 'linear-gradient(135deg, #BFECFF 0%, #E6F7FF 100%)', // Light blue
     success: 'linear-gradient(135deg, #CDC1FF 0%, #E8DFFF 100%)', // Light purple
     warning: 'linear-gradient(135deg, #FFE4B5 0%, #FFF2D6 100%)', // Light peach
-    info: 'linear-gradient(135deg, #D4EDDA 0%, #E9F7EF 100%)'      // Light green
+    info: 'linear-gradient(135deg, #D4EDDA 0%, #E9F7EF 100%)',     // Light green
+    danger: 'linear-gradient(135deg, #FFD6D6 0%, #FFECEC 100%)'    // Light red
   };
 
   const iconColors = {
     primary: '#3B82F6',   // Blue
     success: '#8B5CF6',  // Purple
     warning: '#F59E0B',  // Orange
-    info: '#10B981'      // Green
+    info: '#10B981',     // Green
+    danger: '#EF4444'    // Red
   };
 
   return (
@@ -206,15 +211,16 @@ const ViolationsReport = ({ filters, setFilters }) => {
       doc.text(escapePdfText(`Total Fines: P${parseFloat(summary.total_fines).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`), 14, 65);
       doc.text(escapePdfText(`Pending Fines: P${parseFloat(summary.pending_fines).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`), 14, 75);
       doc.text(escapePdfText(`Collection Rate: ${summary.collection_rate}%`), 14, 85);
+      doc.text(escapePdfText(`Amount Due (incl. surcharges): P${parseFloat(summary.amount_due || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`), 14, 95);
 
       // Add violations table
       doc.autoTable({
-        startY: 95,
+        startY: 105,
         head: [[escapePdfText('Violation #'), escapePdfText('Type'), escapePdfText('Fine'), escapePdfText('Status'), escapePdfText('Enforcer'), escapePdfText('Location'), escapePdfText('Date')]],
         body: reportData.violations.map(violation => [
           escapePdfText(violation.violation_number),
           escapePdfText(violation.violation_type),
-          escapePdfText(`P${parseFloat(violation.fine_amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`),
+          escapePdfText(`P${parseFloat(violation.fine_amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}${violation.offense_tier_label ? `\n${violation.offense_tier_label}` : ''}${violation.surcharge_total > 0 ? `\nDue P${parseFloat(violation.amount_due).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : ''}`),
           escapePdfText(violation.status),
           escapePdfText(`${violation.enforcer_name}\n${violation.enforcer_badge || ''}`),
           escapePdfText(violation.location),
@@ -332,7 +338,11 @@ const ViolationsReport = ({ filters, setFilters }) => {
                     <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
                     </svg>
-                    <span>Awaiting payment</span>
+                    <span>
+                      {reportData.summary?.total_surcharges > 0
+                        ? `₱${(reportData.summary.amount_due || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} due incl. late surcharges`
+                        : 'Awaiting payment'}
+                    </span>
                   </div>
                 </div>
 
@@ -395,7 +405,15 @@ const ViolationsReport = ({ filters, setFilters }) => {
                                 {violation.violation_type}
                               </span>
                             </td>
-                            <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-xs sm:text-sm text-gray-900 font-medium">₱{parseFloat(violation.fine_amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                            <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-xs sm:text-sm text-gray-900 font-medium">
+                              ₱{parseFloat(violation.fine_amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                              {violation.offense_tier_label && (
+                                <div className="text-xs font-normal text-gray-500">{violation.offense_tier_label}</div>
+                              )}
+                              {violation.surcharge_total > 0 && (
+                                <div className="text-xs font-normal text-red-600">Due ₱{violation.amount_due.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>
+                              )}
+                            </td>
                             <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-xs sm:text-sm text-gray-900">
                               <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${violation.status === 'paid' ? 'bg-green-100 text-green-800' :
                                 violation.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
@@ -928,7 +946,7 @@ const DailySummaryReport = ({ filters, setFilters }) => {
             escapePdfText(violation.violator_name),
             escapePdfText(violation.violator_license || '-'),
             escapePdfText(violation.violation_type),
-            escapePdfText(`P${parseFloat(violation.fine_amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`),
+            escapePdfText(`P${parseFloat(violation.fine_amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}${violation.offense_tier_label ? `\n${violation.offense_tier_label}` : ''}${violation.surcharge_total > 0 ? `\nDue P${parseFloat(violation.amount_due).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : ''}`),
             escapePdfText(`${violation.enforcer_name}\n${violation.enforcer_badge || ''}`),
             escapePdfText(violation.location)
           ]),
@@ -1318,7 +1336,15 @@ const DailySummaryReport = ({ filters, setFilters }) => {
                                   {violation.violation_type}
                                 </span>
                               </td>
-                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-xs sm:text-sm text-gray-900 font-medium">₱{parseFloat(violation.fine_amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-xs sm:text-sm text-gray-900 font-medium">
+                                ₱{parseFloat(violation.fine_amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                                {violation.offense_tier_label && (
+                                  <div className="text-xs font-normal text-gray-500">{violation.offense_tier_label}</div>
+                                )}
+                                {violation.surcharge_total > 0 && (
+                                  <div className="text-xs font-normal text-red-600">Due ₱{violation.amount_due.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>
+                                )}
+                              </td>
                               <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-xs sm:text-sm text-gray-900">
                                 <div>
                                   <div className="font-medium text-gray-900">{violation.enforcer_name}</div>
@@ -1745,6 +1771,524 @@ const MonthlyReport = ({ filters, setFilters }) => {
   );
 };
 
+const TREND_STYLES = {
+  rising: 'bg-red-100 text-red-800',
+  falling: 'bg-green-100 text-green-800',
+  steady: 'bg-gray-100 text-gray-800',
+  new: 'bg-blue-100 text-blue-800'
+};
+
+const formatHourRange = (hour) => `${String(hour).padStart(2, '0')}:00-${String((hour + 1) % 24).padStart(2, '0')}:00`;
+
+const formatTrend = (hotspot) => {
+  if (hotspot.trend === 'new') return 'New';
+  const sign = hotspot.change_percent > 0 ? '+' : '';
+  return `${sign}${hotspot.change_percent}% (${hotspot.previous_count} before)`;
+};
+
+const HotspotsReport = ({ filters, setFilters }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [reportData, setReportData] = useState(null);
+  const [error, setError] = useState(null);
+  const [lastRefresh, setLastRefresh] = useState(new Date());
+
+  const generateReport = async () => {
+    if (!filters.startDate || !filters.endDate) {
+      setError('Please select both start and end dates');
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await reportsAPI.getHotspotsReport({
+        start_date: filters.startDate,
+        end_date: filters.endDate
+      });
+
+      if (response.data.success) {
+        setReportData(response.data.data);
+        setLastRefresh(new Date());
+      } else {
+        setError('Failed to generate report');
+      }
+    } catch (error) {
+      console.error('Failed to generate report:', error);
+      setError(error.response?.data?.error || 'Failed to generate report');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Violations per hour of the day across the listed hotspots
+  const hourlyTotals = reportData
+    ? Array.from({ length: 24 }, (_, hour) => ({
+      hour: `${String(hour).padStart(2, '0')}:00`,
+      violations_count: reportData.hotspots.reduce((sum, hotspot) => sum + hotspot.by_hour[hour], 0)
+    }))
+    : [];
+
+  const exportReport = (format) => {
+    if (!reportData) return;
+
+    if (format === 'pdf') {
+      // Generate PDF using jsPDF
+      const { jsPDF } = window.jspdf || require('jspdf');
+      window.jspdfAutoTable || require('jspdf-autotable');
+
+      const doc = new jsPDF();
+      doc.setFont('helvetica');
+
+      // Add title
+      doc.setFontSize(18);
+      doc.text('Violation Hotspots Report', 14, 20);
+      doc.setFontSize(12);
+      doc.text(`Period: ${filters.startDate} to ${filters.endDate}`, 14, 30);
+
+      // Add summary data
+      const summary = reportData.summary;
+      doc.setFontSize(14);
+      doc.text('Summary', 14, 45);
+      doc.setFontSize(12);
+      doc.text(`Total Violations: ${summary.total_violations}`, 14, 55);
+      doc.text(`Locations with Violations: ${summary.hotspot_count}`, 14, 65);
+      doc.text(`Located by GPS: ${summary.located_by_coordinates} (grouped in ${summary.cell_size_meters} m cells)`, 14, 75);
+      doc.text(`Trend compared with ${new Date(summary.previous_start_date).toLocaleDateString()} to ${new Date(summary.previous_end_date).toLocaleDateString()}`, 14, 85);
+
+      // Add hotspots table
+      doc.autoTable({
+        startY: 95,
+        head: [['#', 'Location', 'Violations', 'Share', 'Top Types', 'Peak Hour', 'Trend']],
+        body: reportData.hotspots.map(hotspot => [
+          hotspot.rank,
+          `${hotspot.label}${hotspot.method === 'grid' ? `\n${hotspot.latitude.toFixed(5)}, ${hotspot.longitude.toFixed(5)}` : ''}`,
+          hotspot.count,
+          `${hotspot.share_percent}%`,
+          hotspot.by_type.slice(0, 3).map(type => `${type.violation_type} (${type.count})`).join('\n'),
+          formatHourRange(hotspot.peak_hour),
+          formatTrend(hotspot)
+        ]),
+        styles: { fontSize: 8 },
+        headStyles: { fillColor: [22, 160, 133] },
+        margin: { top: 10 }
+      });
+
+      // Save the PDF
+      doc.save(`hotspots-report-${filters.startDate}-to-${filters.endDate}.pdf`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">Violation Hotspots</h2>
+          <p className="text-gray-600">Locations with the most violations, by type and time of day</p>
+          <div className="mt-2 flex items-center gap-2 text-sm text-gray-500">
+            <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+            <span>Live Data</span>
+            <span>• Last updated: {lastRefresh.toLocaleTimeString()}</span>
+          </div>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2 sm:gap-2">
+          <ExportButtons onExport={exportReport} reportType="hotspots" isLoading={isLoading} hasData={!!reportData} />
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <div className="flex">
+            <AlertCircle className="h-5 w-5 text-red-400" />
+            <div className="ml-3">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-body">
+          <div className="flex flex-col sm:flex-row gap-4 items-stretch sm:items-end mb-4">
+            <div className="flex-1">
+              <DateRangePicker
+                startDate={filters.startDate}
+                endDate={filters.endDate}
+                onStartDateChange={(date) => setFilters(prev => ({ ...prev, startDate: date }))}
+                onEndDateChange={(date) => setFilters(prev => ({ ...prev, endDate: date }))}
+              />
+            </div>
+            <button
+              onClick={generateReport}
+              disabled={isLoading}
+              className="mobile-btn-primary w-full sm:w-auto"
+            >
+              {isLoading ? <LoadingSpinner size="sm" /> : 'Generate Report'}
+            </button>
+          </div>
+
+          {reportData && (
+            <div className="space-y-6">
+              {/* Summary Stats */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div className="bg-gradient-to-br from-blue-50 to-blue-100 p-6 rounded-2xl border border-blue-200 shadow-sm">
+                  <h4 className="text-sm font-semibold text-blue-700 uppercase tracking-wide mb-3">Total Violations</h4>
+                  <p className="text-3xl font-bold text-blue-900">{reportData.summary.total_violations}</p>
+                </div>
+                <div className="bg-gradient-to-br from-red-50 to-red-100 p-6 rounded-2xl border border-red-200 shadow-sm">
+                  <h4 className="text-sm font-semibold text-red-700 uppercase tracking-wide mb-3">Locations</h4>
+                  <p className="text-3xl font-bold text-red-900">{reportData.summary.hotspot_count}</p>
+                </div>
+                <div className="bg-gradient-to-br from-green-50 to-green-100 p-6 rounded-2xl border border-green-200 shadow-sm">
+                  <h4 className="text-sm font-semibold text-green-700 uppercase tracking-wide mb-3">Located by GPS</h4>
+                  <p className="text-3xl font-bold text-green-900">{reportData.summary.located_by_coordinates}</p>
+                  <p className="mt-2 text-sm text-green-600">Grouped in {reportData.summary.cell_size_meters} m cells</p>
+                </div>
+              </div>
+
+              {reportData.summary.truncated && (
+                <div className="bg-amber-50 border border-amber-200 rounded-md p-3 text-sm text-amber-800">
+                  This range has more violations than one report can scan; only the most recent ones were counted. Choose a shorter range.
+                </div>
+              )}
+
+              {reportData.hotspots.length === 0 ? (
+                <div className="text-center py-12">
+                  <MapPin className="h-12 w-12 mx-auto mb-4 text-gray-300" />
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">No Violations Found</h3>
+                  <p className="text-gray-500">No violations were recorded in the selected date range.</p>
+                </div>
+              ) : (
+                <>
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+                    {/* Top Hotspots Chart */}
+                    <div className="bg-white rounded-2xl border border-gray-100 shadow-sm overflow-hidden">
+                      <div className="px-4 sm:px-6 py-4 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-gray-100">
+                        <h4 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                          <BarChart3 className="h-5 w-5 text-primary-600" />
+                          Top Hotspots
+                        </h4>
+                        <p className="text-sm text-gray-600 mt-1">Violations at the ten busiest locations</p>
+                      </div>
+                      <div className="p-4 sm:p-6">
+                        <div className="mobile-chart-container">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <BarChart data={reportData.hotspots.slice(0, 10)} layout="vertical" margin={{ left: 20 }}>
+                              <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+                              <XAxis type="number" allowDecimals={false} tick={{ fontSize: 10, fill: '#64748b' }} />
+                              <YAxis type="category" dataKey="label" width={140} tick={{ fontSize: 10, fill: '#64748b' }} />
+                              <Tooltip />
+                              <Bar dataKey="count" name="Violations" fill="#ef4444" radius={[0, 4, 4, 0]} />
+                            </BarChart>
+                          </ResponsiveContainer>
+                        </div>
+                      </div>
+                    </div>
+
+                    {/* Time of Day Chart */}
+                    <div className="bg-white rounded-2xl border border-gray-100 shadow-sm overflow-hidden">
+                      <div className="px-4 sm:px-6 py-4 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-gray-100">
+                        <h4 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                          <TrendingUp className="h-5 w-5 text-primary-600" />
+                          Time of Day
+                        </h4>
+                        <p className="text-sm text-gray-600 mt-1">When violations happen at these hotspots</p>
+                      </div>
+                      <div className="p-4 sm:p-6">
+                        <div className="mobile-chart-container">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <AreaChart data={hourlyTotals}>
+                              <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+                              <XAxis dataKey="hour" tick={{ fontSize: 10, fill: '#64748b' }} interval={2} />
+                              <YAxis allowDecimals={false} tick={{ fontSize: 10, fill: '#64748b' }} />
+                              <Tooltip />
+                              <Area type="monotone" dataKey="violations_count" name="Violations" stroke="#3b82f6" fill="#3b82f6" fillOpacity={0.3} />
+                            </AreaChart>
+                          </ResponsiveContainer>
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+
+                  {/* Hotspots Table */}
+                  <div className="bg-white rounded-2xl border border-gray-100 shadow-sm overflow-hidden">
+                    <div className="px-4 sm:px-6 py-4 border-b border-gray-100 bg-gradient-to-r from-gray-50 to-gray-100">
+                      <h4 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                        <Table className="h-5 w-5 text-primary-600" />
+                        Ranked Hotspots
+                      </h4>
+                      <p className="text-sm text-gray-600 mt-1">
+                        Trend compares with {new Date(reportData.summary.previous_start_date).toLocaleDateString()} to {new Date(reportData.summary.previous_end_date).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <div className="overflow-x-auto -mx-4 sm:mx-0">
+                      <table className="mobile-table w-full">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            {['#', 'Location', 'Violations', 'Top Types', 'Peak Hour', 'Trend'].map(heading => (
+                              <th key={heading} className="px-3 sm:px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider border-b border-gray-200">
+                                {heading}
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-100">
+                          {reportData.hotspots.map(hotspot => (
+                            <tr key={hotspot.key} className="hover:bg-gray-50 transition-colors duration-150">
+                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm font-semibold text-gray-900">{hotspot.rank}</td>
+                              <td className="px-3 sm:px-6 py-3 text-sm text-gray-900">
+                                <div className="font-medium">{hotspot.label}</div>
+                                {hotspot.method === 'grid' ? (
+                                  <div className="text-xs text-gray-500 font-mono">{hotspot.latitude.toFixed(5)}, {hotspot.longitude.toFixed(5)}</div>
+                                ) : hotspot.locations.length > 1 && (
+                                  <div className="text-xs text-gray-500">Also recorded as: {hotspot.locations.slice(1).map(entry => entry.location).join('; ')}</div>
+                                )}
+                              </td>
+                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                                <span className="font-medium">{hotspot.count}</span>
+                                <span className="text-xs text-gray-500"> ({hotspot.share_percent}%)</span>
+                              </td>
+                              <td className="px-3 sm:px-6 py-3 text-xs text-gray-700">
+                                {hotspot.by_type.slice(0, 3).map(type => (
+                                  <div key={type.violation_type}>{type.violation_type} ({type.count})</div>
+                                ))}
+                              </td>
+                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-gray-900">{formatHourRange(hotspot.peak_hour)}</td>
+                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap">
+                                <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold ${TREND_STYLES[hotspot.trend]}`}>
+                                  {formatTrend(hotspot)}
+                                </span>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DEMERIT_FLAG_LABELS = {
+  warning: 'Warning',
+  suspension: 'For Suspension',
+  revocation: 'For Revocation'
+};
+
+const DEMERIT_FLAG_STYLES = {
+  warning: 'bg-amber-100 text-amber-800',
+  suspension: 'bg-red-100 text-red-800',
+  revocation: 'bg-red-600 text-white'
+};
+
+const formatReportDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+const SuspensionCandidatesReport = () => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [reportData, setReportData] = useState(null);
+  const [error, setError] = useState(null);
+  const [minFlag, setMinFlag] = useState('suspension');
+  const [lastRefresh, setLastRefresh] = useState(new Date());
+
+  const generateReport = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await reportsAPI.getSuspensionCandidatesReport({ min_flag: minFlag });
+
+      if (response.data.success) {
+        setReportData(response.data.data);
+        setLastRefresh(new Date());
+      } else {
+        setError('Failed to generate report');
+      }
+    } catch (error) {
+      console.error('Failed to generate report:', error);
+      setError(error.response?.data?.error || 'Failed to generate report');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const exportReport = (format) => {
+    if (!reportData) return;
+
+    if (format === 'pdf') {
+      // Generate PDF using jsPDF
+      const { jsPDF } = window.jspdf || require('jspdf');
+      window.jspdfAutoTable || require('jspdf-autotable');
+
+      const doc = new jsPDF();
+      doc.setFont('helvetica');
+
+      // Add title
+      doc.setFontSize(18);
+      doc.text('Suspension Candidates Report', 14, 20);
+      doc.setFontSize(12);
+      doc.text(`As of ${new Date().toLocaleDateString()} (points count for ${reportData.policy.expiryDays} days)`, 14, 30);
+
+      // Add summary data
+      const summary = reportData.summary;
+      doc.setFontSize(14);
+      doc.text('Summary', 14, 45);
+      doc.setFontSize(12);
+      doc.text(`Licenses Listed: ${summary.total}`, 14, 55);
+      doc.text(`For Revocation: ${summary.revocation}   For Suspension: ${summary.suspension}   Warning: ${summary.warning}`, 14, 65);
+      doc.text(`Thresholds: ${reportData.policy.thresholds.map(threshold => `${DEMERIT_FLAG_LABELS[threshold.flag]} ${threshold.points}`).join(', ')}`, 14, 75);
+
+      // Add candidates table
+      doc.autoTable({
+        startY: 85,
+        head: [['Name', 'License', 'Points', 'Flag', 'Violations', 'Last Violation', 'Oldest Points Expire']],
+        body: reportData.candidates.map(candidate => [
+          candidate.full_name || '-',
+          candidate.license_number || '-',
+          candidate.points,
+          DEMERIT_FLAG_LABELS[candidate.flag],
+          candidate.total_violations,
+          formatReportDate(candidate.last_violation_date),
+          formatReportDate(candidate.next_expiry)
+        ]),
+        styles: { fontSize: 8 },
+        headStyles: { fillColor: [22, 160, 133] },
+        margin: { top: 10 }
+      });
+
+      // Save the PDF
+      doc.save(`suspension-candidates-${new Date().toISOString().split('T')[0]}.pdf`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900">Suspension Candidates</h2>
+          <p className="text-gray-600">Licenses whose unexpired demerit points have reached a threshold</p>
+          <div className="mt-2 flex items-center gap-2 text-sm text-gray-500">
+            <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+            <span>Live Data</span>
+            <span>• Last updated: {lastRefresh.toLocaleTimeString()}</span>
+          </div>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2 sm:gap-2">
+          <ExportButtons onExport={exportReport} reportType="suspension-candidates" isLoading={isLoading} hasData={!!reportData} />
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <div className="flex">
+            <AlertCircle className="h-5 w-5 text-red-400" />
+            <div className="ml-3">
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-body">
+          <div className="flex flex-col sm:flex-row gap-4 items-stretch sm:items-end mb-4">
+            <div className="flex-1">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Include</label>
+              <select
+                value={minFlag}
+                onChange={(e) => setMinFlag(e.target.value)}
+                className="mobile-input w-full"
+              >
+                <option value="warning">Warnings and above</option>
+                <option value="suspension">For suspension and above</option>
+                <option value="revocation">For revocation only</option>
+              </select>
+            </div>
+            <button
+              onClick={generateReport}
+              disabled={isLoading}
+              className="mobile-btn-primary w-full sm:w-auto"
+            >
+              {isLoading ? <LoadingSpinner size="sm" /> : 'Generate Report'}
+            </button>
+          </div>
+
+          {reportData && (
+            <div className="space-y-6">
+              {/* Summary Stats */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div className="bg-gradient-to-br from-blue-50 to-blue-100 p-6 rounded-2xl border border-blue-200 shadow-sm">
+                  <h4 className="text-sm font-semibold text-blue-700 uppercase tracking-wide mb-3">Licenses Listed</h4>
+                  <p className="text-3xl font-bold text-blue-900">{reportData.summary.total}</p>
+                  <p className="mt-2 text-sm text-blue-600">Points count for {reportData.policy.expiryDays} days</p>
+                </div>
+                <div className="bg-gradient-to-br from-red-50 to-red-100 p-6 rounded-2xl border border-red-200 shadow-sm">
+                  <h4 className="text-sm font-semibold text-red-700 uppercase tracking-wide mb-3">For Suspension / Revocation</h4>
+                  <p className="text-3xl font-bold text-red-900">{reportData.summary.suspension} / {reportData.summary.revocation}</p>
+                </div>
+                <div className="bg-gradient-to-br from-amber-50 to-amber-100 p-6 rounded-2xl border border-amber-200 shadow-sm">
+                  <h4 className="text-sm font-semibold text-amber-700 uppercase tracking-wide mb-3">Warnings</h4>
+                  <p className="text-3xl font-bold text-amber-900">{reportData.summary.warning}</p>
+                  <p className="mt-2 text-sm text-amber-600">
+                    {reportData.policy.thresholds.map(threshold => `${DEMERIT_FLAG_LABELS[threshold.flag]} at ${threshold.points}`).join(' • ') || 'No thresholds set'}
+                  </p>
+                </div>
+              </div>
+
+              {reportData.candidates.length === 0 ? (
+                <div className="text-center py-12">
+                  <ShieldAlert className="h-12 w-12 mx-auto mb-4 text-gray-300" />
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">No Licenses Flagged</h3>
+                  <p className="text-gray-500">No license has reached the selected threshold.</p>
+                </div>
+              ) : (
+                <div className="overflow-x-auto -mx-4 sm:mx-0">
+                  <table className="mobile-table w-full">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {['Name', 'License', 'Points', 'Flag', 'Violations', 'Last Violation', 'Oldest Points Expire'].map(heading => (
+                          <th key={heading} className="px-3 sm:px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider border-b border-gray-200">
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-100">
+                      {reportData.candidates.map(candidate => (
+                        <tr key={candidate.violator_id} className="hover:bg-gray-50 transition-colors duration-150">
+                          <td className="px-3 sm:px-6 py-3 text-sm">
+                            <Link to={`/violators/${encodeURIComponent(candidate.violator_id)}`} className="font-medium text-primary-600 hover:text-primary-800">
+                              {candidate.full_name || 'Unnamed'}
+                            </Link>
+                            {candidate.phone && <div className="text-xs text-gray-500">{candidate.phone}</div>}
+                          </td>
+                          <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{candidate.license_number}</td>
+                          <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm font-semibold text-gray-900">{candidate.points}</td>
+                          <td className="px-3 sm:px-6 py-3 whitespace-nowrap">
+                            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold ${DEMERIT_FLAG_STYLES[candidate.flag]}`}>
+                              {DEMERIT_FLAG_LABELS[candidate.flag]}
+                            </span>
+                          </td>
+                          <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-gray-900">{candidate.total_violations}</td>
+                          <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-gray-600">{formatReportDate(candidate.last_violation_date)}</td>
+                          <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-gray-600">{formatReportDate(candidate.next_expiry)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const Reports = () => {
   const [activeReport, setActiveReport] = useState(null);
   const [filters, setFilters] = useState({
@@ -1784,13 +2328,27 @@ const Reports = () => {
       description: 'Monthly trends and comparative analysis',
       icon: TrendingUp,
       color: 'info'
+    },
+    {
+      id: 'hotspots',
+      title: 'Violation Hotspots',
+      description: 'Locations with the most violations, by type and time of day',
+      icon: MapPin,
+      color: 'danger'
+    },
+    {
+      id: 'suspension-candidates',
+      title: 'Suspension Candidates',
+      description: 'Licenses whose demerit points have reached the warning, suspension or revocation threshold',
+      icon: ShieldAlert,
+      color: 'danger'
     }
   ];
 
   const handleReportSelect = (reportType) => {
     setActiveReport(reportType);
     // Set default date range to last 30 days for date-based reports
-    if (reportType === 'violations' || reportType === 'enforcers') {
+    if (reportType === 'violations' || reportType === 'enforcers' || reportType === 'hotspots') {
       const endDate = new Date().toISOString().split('T')[0];
       const startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
       setFilters(prev => ({ ...prev, startDate, endDate }));
@@ -1820,6 +2378,10 @@ const Reports = () => {
         return <DailySummaryReport filters={filters} setFilters={setFilters} />;
       case 'monthly':
         return <MonthlyReport filters={filters} setFilters={setFilters} />;
+      case 'hotspots':
+        return <HotspotsReport filters={filters} setFilters={setFilters} />;
+      case 'suspension-candidates':
+        return <SuspensionCandidatesReport />;
       default:
         return null;
     }
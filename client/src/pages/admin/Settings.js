@@ -1,16 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { adminAPI } from '../../services/api';
+import { adminAPI, holidaysAPI } from '../../services/api';
 import {
   Save,
   Settings as SettingsIcon,
   MessageSquare,
   Shield,
   Database,
-  Bell
+  Bell,
+  Clock,
+  Scale,
+  Gauge,
+  CalendarDays,
+  Plus,
+  Trash2,
+  RefreshCw
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import ConfirmationDialog from '../../components/ConfirmationDialog';
 
 const SettingSection = ({ title, description, icon: Icon, children }) => (
   <div className="mobile-card">
@@ -42,6 +50,152 @@ const FormField = ({ label, children, required = false, error }) => (
   </div>
 );
 
+const formatHolidayDate = (holiday) => new Date(`${holiday.date}T00:00:00`).toLocaleDateString('en-US', {
+  month: 'long',
+  day: 'numeric',
+  ...(holiday.recurring ? {} : { year: 'numeric' })
+});
+
+// Holidays are saved as they are added, apart from the settings form
+const HolidayCalendar = () => {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '', recurring: false });
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: holidaysData, isLoading } = useQuery({
+    queryKey: ['holidays', year],
+    queryFn: () => holidaysAPI.getHolidays({ year })
+  });
+  const holidays = holidaysData?.data?.data || [];
+
+  const addHolidayMutation = useMutation({
+    mutationFn: (data) => holidaysAPI.createHoliday(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['holidays']);
+      setNewHoliday({ date: '', name: '', recurring: false });
+      toast.success('Holiday added');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to add holiday');
+    }
+  });
+
+  const deleteHolidayMutation = useMutation({
+    mutationFn: (id) => holidaysAPI.deleteHoliday(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['holidays']);
+      setDeleteTarget(null);
+      toast.success('Holiday deleted');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to delete holiday');
+    }
+  });
+
+  const handleAdd = () => {
+    if (!newHoliday.date || !newHoliday.name.trim()) {
+      toast.error('Enter a date and a name for the holiday');
+      return;
+    }
+    addHolidayMutation.mutate(newHoliday);
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="responsive-text-sm font-medium text-gray-900">Holidays</h4>
+        <select
+          value={year}
+          onChange={(e) => setYear(parseInt(e.target.value))}
+          className="mobile-select w-auto"
+        >
+          {[-1, 0, 1, 2].map(offset => {
+            const option = new Date().getFullYear() + offset;
+            return <option key={option} value={option}>{option}</option>;
+          })}
+        </select>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2 mb-3">
+        <input
+          type="date"
+          value={newHoliday.date}
+          onChange={(e) => setNewHoliday(prev => ({ ...prev, date: e.target.value }))}
+          className="mobile-input sm:w-44"
+        />
+        <input
+          type="text"
+          value={newHoliday.name}
+          onChange={(e) => setNewHoliday(prev => ({ ...prev, name: e.target.value }))}
+          className="mobile-input flex-1"
+          placeholder="Holiday name"
+        />
+        <label className="flex items-center responsive-text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={newHoliday.recurring}
+            onChange={(e) => setNewHoliday(prev => ({ ...prev, recurring: e.target.checked }))}
+            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+          />
+          Every year
+        </label>
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={addHolidayMutation.isPending}
+          className="mobile-btn-secondary flex items-center justify-center gap-1"
+        >
+          <Plus className="h-4 w-4" />
+          Add
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <LoadingSpinner size="sm" />
+        </div>
+      ) : holidays.length === 0 ? (
+        <p className="responsive-text-sm text-gray-500">No holidays for {year}. Weekends are always skipped.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {holidays.map(holiday => (
+            <li key={holiday.id} className="flex items-center justify-between px-3 py-2">
+              <div>
+                <p className="responsive-text-sm font-medium text-gray-900">{holiday.name}</p>
+                <p className="text-xs text-gray-500">
+                  {formatHolidayDate(holiday)}{holiday.recurring ? ' (every year)' : ''}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => setDeleteTarget(holiday)}
+                className="text-red-600 hover:text-red-900"
+                title="Delete holiday"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <ConfirmationDialog
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={() => deleteHolidayMutation.mutate(deleteTarget.id)}
+        title="Delete Holiday"
+        message={`Delete ${deleteTarget?.name}? Due dates already set are not changed until they are recomputed.`}
+        confirmText="Delete"
+        cancelText="Cancel"
+        type="danger"
+        isLoading={deleteHolidayMutation.isPending}
+        confirmButtonColor="red"
+      />
+    </div>
+  );
+};
+
 function Settings() {
   const [formData, setFormData] = useState({
     system_name: '',
@@ -61,10 +215,25 @@ function Settings() {
     email_notifications: true, // For admin alerts
     violation_alerts: true, // For system events
     debug_mode: false,
-    auto_backup: true
+    auto_backup: true,
+    late_surcharge_enabled: false,
+    late_surcharge_type: 'percentage',
+    late_surcharge_amount: 0,
+    late_surcharge_frequency: 'once',
+    late_surcharge_cap: 0,
+    dispute_deadline_days: 0,
+    max_photos_per_violation: 5,
+    demerit_expiry_days: 365,
+    demerit_warning_points: 6,
+    demerit_suspension_points: 10,
+    demerit_revocation_points: 20,
+    compliance_period_days: 3,
+    compliance_working_days: true
   });
 
   const [errors, setErrors] = useState({});
+  const [recomputePreview, setRecomputePreview] = useState(null);
+  const [notifyViolators, setNotifyViolators] = useState(false);
   const queryClient = useQueryClient();
 
   const { data: currentSettings, isLoading } = useQuery({
@@ -83,6 +252,28 @@ function Settings() {
     }
   });
 
+  // A dry run first, so the admin sees how many violations will change before confirming
+  const recomputeMutation = useMutation({
+    mutationFn: (dryRun) => adminAPI.recomputeDueDates({ dry_run: dryRun, notify_violators: notifyViolators }),
+    onSuccess: (response) => {
+      const result = response.data.data;
+      if (result.dry_run) {
+        if (result.changed === 0) {
+          toast.success('All open violations already have the right due date');
+        } else {
+          setRecomputePreview(result);
+        }
+      } else {
+        setRecomputePreview(null);
+        queryClient.invalidateQueries(['violations']);
+        toast.success(response.data.message);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to recompute due dates');
+    }
+  });
+
   useEffect(() => {
     if (currentSettings?.data?.data) {
       setFormData(prev => ({
@@ -127,6 +318,35 @@ function Settings() {
       newErrors.sms_api_url = 'SMS API URL is required when SMS is enabled';
     }
 
+    if (formData.late_surcharge_enabled && !(formData.late_surcharge_amount > 0)) {
+      newErrors.late_surcharge_amount = 'Surcharge amount must be greater than 0 when surcharges are enabled';
+    }
+
+    if (formData.max_photos_per_violation < 1 || formData.max_photos_per_violation > 20) {
+      newErrors.max_photos_per_violation = 'Photos per violation must be between 1 and 20';
+    }
+
+    if (formData.dispute_deadline_days < 0 || formData.dispute_deadline_days > 90) {
+      newErrors.dispute_deadline_days = 'Dispute deadline must be between 0 and 90 days';
+    }
+
+    if (formData.compliance_period_days < 1 || formData.compliance_period_days > 60) {
+      newErrors.compliance_period_days = 'Compliance period must be between 1 and 60 days';
+    }
+
+    if (formData.demerit_expiry_days < 1 || formData.demerit_expiry_days > 3650) {
+      newErrors.demerit_expiry_days = 'Points must expire after 1 to 3650 days';
+    }
+
+    // Thresholds in use (0 = off) must go up from warning to suspension to revocation
+    const thresholds = ['demerit_warning_points', 'demerit_suspension_points', 'demerit_revocation_points']
+      .filter(key => formData[key] > 0);
+    thresholds.slice(1).forEach((key, index) => {
+      if (formData[key] <= formData[thresholds[index]]) {
+        newErrors[key] = 'Must be higher than the lower thresholds';
+      }
+    });
+
     if (formData.password_min_length < 6) {
       newErrors.password_min_length = 'Minimum password length must be at least 6 characters';
     }
@@ -245,6 +465,17 @@ function Settings() {
                 <option value="USD">USD ($)</option>
               </select>
             </FormField>
+
+            <FormField label="Evidence Photos per Violation" error={errors.max_photos_per_violation}>
+              <input
+                type="number"
+                value={formData.max_photos_per_violation}
+                onChange={(e) => handleInputChange('max_photos_per_violation', parseInt(e.target.value) || 0)}
+                className="mobile-input"
+                min="1"
+                max="20"
+              />
+            </FormField>
           </div>
         </SettingSection>
 
@@ -368,6 +599,235 @@ function Settings() {
           </div>
         </SettingSection>
 
+        <SettingSection
+          title="Compliance Period"
+          description="When new violations are due, counted in Philippine time"
+          icon={CalendarDays}
+        >
+          <div className="mobile-form-grid">
+            <FormField label="Days to Pay" error={errors.compliance_period_days}>
+              <input
+                type="number"
+                value={formData.compliance_period_days}
+                onChange={(e) => handleInputChange('compliance_period_days', parseInt(e.target.value) || 0)}
+                className="mobile-input"
+                min="1"
+                max="60"
+              />
+            </FormField>
+
+            <FormField label="Count">
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="compliance_working_days"
+                  checked={formData.compliance_working_days}
+                  onChange={(e) => handleInputChange('compliance_working_days', e.target.checked)}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <label htmlFor="compliance_working_days" className="ml-2 responsive-text-sm text-gray-700">
+                  Working days only (skip weekends and holidays)
+                </label>
+              </div>
+            </FormField>
+          </div>
+
+          <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-md">
+            <p className="text-sm text-blue-700">
+              <strong>Note:</strong> Violations are due at 11:59 PM on the last day. When counting calendar days, a due date on a weekend or holiday moves to the next working day. Changes apply to new violations; save, then recompute to update open ones.
+            </p>
+          </div>
+
+          <HolidayCalendar />
+
+          <div className="mt-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+            <div>
+              <p className="responsive-text-sm text-gray-500">
+                Recompute the due dates of unpaid violations with the saved period and holidays. Disputed or surcharged violations keep theirs.
+              </p>
+              <div className="flex items-center mt-2">
+                <input
+                  type="checkbox"
+                  id="notify_violators"
+                  checked={notifyViolators}
+                  onChange={(e) => setNotifyViolators(e.target.checked)}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <label htmlFor="notify_violators" className="ml-2 responsive-text-sm text-gray-700">
+                  Text violators whose due date moves (never sent for imported paper tickets)
+                </label>
+              </div>
+            </div>
+            <button
+              type="button"
+              onClick={() => recomputeMutation.mutate(true)}
+              disabled={recomputeMutation.isPending}
+              className="mobile-btn-secondary flex items-center justify-center gap-2 whitespace-nowrap"
+            >
+              {recomputeMutation.isPending ? <LoadingSpinner size="sm" /> : <RefreshCw className="h-4 w-4" />}
+              Recompute Due Dates
+            </button>
+          </div>
+        </SettingSection>
+
+        <SettingSection
+          title="Late Payment Surcharge"
+          description="Added to unpaid violations after their due date by a daily job"
+          icon={Clock}
+        >
+          <div className="mobile-form-grid">
+            <FormField label="Apply Surcharges">
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="late_surcharge_enabled"
+                  checked={formData.late_surcharge_enabled}
+                  onChange={(e) => handleInputChange('late_surcharge_enabled', e.target.checked)}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <label htmlFor="late_surcharge_enabled" className="ml-2 responsive-text-sm text-gray-700">
+                  Charge a surcharge on overdue violations
+                </label>
+              </div>
+            </FormField>
+
+            <FormField label="Surcharge Type">
+              <select
+                value={formData.late_surcharge_type}
+                onChange={(e) => handleInputChange('late_surcharge_type', e.target.value)}
+                className="mobile-select"
+              >
+                <option value="percentage">Percentage of the fine</option>
+                <option value="flat">Flat amount (₱)</option>
+              </select>
+            </FormField>
+
+            <FormField
+              label={formData.late_surcharge_type === 'flat' ? 'Amount per Period (₱)' : 'Percentage per Period (%)'}
+              error={errors.late_surcharge_amount}
+            >
+              <input
+                type="number"
+                value={formData.late_surcharge_amount}
+                onChange={(e) => handleInputChange('late_surcharge_amount', parseFloat(e.target.value) || 0)}
+                className="mobile-input"
+                min="0"
+                step="0.01"
+              />
+            </FormField>
+
+            <FormField label="Charged">
+              <select
+                value={formData.late_surcharge_frequency}
+                onChange={(e) => handleInputChange('late_surcharge_frequency', e.target.value)}
+                className="mobile-select"
+              >
+                <option value="once">Once, when the violation becomes overdue</option>
+                <option value="daily">Every day overdue</option>
+                <option value="weekly">Every week overdue</option>
+                <option value="monthly">Every month overdue</option>
+              </select>
+            </FormField>
+
+            <FormField label="Maximum Total Surcharge (₱, 0 for no cap)">
+              <input
+                type="number"
+                value={formData.late_surcharge_cap}
+                onChange={(e) => handleInputChange('late_surcharge_cap', parseFloat(e.target.value) || 0)}
+                className="mobile-input"
+                min="0"
+                step="0.01"
+              />
+            </FormField>
+          </div>
+
+          <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-md">
+            <p className="text-sm text-blue-700">
+              <strong>Note:</strong> Surcharges are recorded as separate line items; the original fine on each violation is never changed.
+            </p>
+          </div>
+        </SettingSection>
+
+        <SettingSection
+          title="Disputes"
+          description="When motorists can contest a violation"
+          icon={Scale}
+        >
+          <div className="mobile-form-grid">
+            <FormField label="Days After Due Date to Accept Disputes" error={errors.dispute_deadline_days}>
+              <input
+                type="number"
+                value={formData.dispute_deadline_days}
+                onChange={(e) => handleInputChange('dispute_deadline_days', parseInt(e.target.value) || 0)}
+                className="mobile-input"
+                min="0"
+                max="90"
+              />
+            </FormField>
+          </div>
+
+          <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-md">
+            <p className="text-sm text-blue-700">
+              <strong>Note:</strong> 0 means disputes close at the end of the due date. Late surcharges are not charged while a dispute is open.
+            </p>
+          </div>
+        </SettingSection>
+
+        <SettingSection
+          title="Demerit Points"
+          description="Points each violation type adds to a driver's license, and when a driver is flagged"
+          icon={Gauge}
+        >
+          <div className="mobile-form-grid">
+            <FormField label="Points Expire After (days)" error={errors.demerit_expiry_days}>
+              <input
+                type="number"
+                value={formData.demerit_expiry_days}
+                onChange={(e) => handleInputChange('demerit_expiry_days', parseInt(e.target.value) || 0)}
+                className="mobile-input"
+                min="1"
+                max="3650"
+              />
+            </FormField>
+
+            <FormField label="Warning at (points)" error={errors.demerit_warning_points}>
+              <input
+                type="number"
+                value={formData.demerit_warning_points}
+                onChange={(e) => handleInputChange('demerit_warning_points', parseInt(e.target.value) || 0)}
+                className="mobile-input"
+                min="0"
+              />
+            </FormField>
+
+            <FormField label="Suspension at (points)" error={errors.demerit_suspension_points}>
+              <input
+                type="number"
+                value={formData.demerit_suspension_points}
+                onChange={(e) => handleInputChange('demerit_suspension_points', parseInt(e.target.value) || 0)}
+                className="mobile-input"
+                min="0"
+              />
+            </FormField>
+
+            <FormField label="Revocation at (points)" error={errors.demerit_revocation_points}>
+              <input
+                type="number"
+                value={formData.demerit_revocation_points}
+                onChange={(e) => handleInputChange('demerit_revocation_points', parseInt(e.target.value) || 0)}
+                className="mobile-input"
+                min="0"
+              />
+            </FormField>
+          </div>
+
+          <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-md">
+            <p className="text-sm text-blue-700">
+              <strong>Note:</strong> Set a threshold to 0 to turn it off. Points of cancelled violations do not count. Points per violation type are set on the Violation Types page.
+            </p>
+          </div>
+        </SettingSection>
+
         <SettingSection
           title="System Notifications"
           description="Configure system notification settings (IoT device handles violation notifications)"
@@ -479,6 +939,19 @@ function Settings() {
           </button>
         </div>
       </form>
+
+      <ConfirmationDialog
+        isOpen={!!recomputePreview}
+        onClose={() => setRecomputePreview(null)}
+        onConfirm={() => recomputeMutation.mutate(false)}
+        title="Recompute Due Dates"
+        message={`${recomputePreview?.changed} of ${recomputePreview?.checked} open violation(s) will get a new due date${recomputePreview?.skipped ? ` (${recomputePreview.skipped} disputed or surcharged violation(s) keep theirs)` : ''}${notifyViolators ? ', and their violators will be sent an SMS' : ''}. Continue?`}
+        confirmText="Recompute"
+        cancelText="Cancel"
+        type="info"
+        isLoading={recomputeMutation.isPending}
+        confirmButtonColor="blue"
+      />
     </div>
   );
 }
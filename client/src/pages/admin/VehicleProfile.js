@@ -0,0 +1,260 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link, useParams } from 'react-router-dom';
+import { vehiclesAPI } from '../../services/api';
+import { ArrowLeft, Car, Pencil, Contact } from 'lucide-react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/LoadingSpinner';
+
+/**
+ * Parse various date formats for display, including Firebase Timestamp
+ * @param {any} dateValue - The date value from the database
+ * @returns {string} - Formatted date string or '-'
+ */
+const formatDisplayDate = (dateValue) => {
+  if (!dateValue) return '-';
+
+  let date;
+  if (dateValue?.seconds || dateValue?._seconds) {
+    date = new Date((dateValue.seconds || dateValue._seconds) * 1000);
+  } else {
+    date = new Date(dateValue);
+  }
+
+  return isNaN(date.getTime()) ? '-' : date.toLocaleDateString();
+};
+
+const formatAmount = (amount) => `₱${(Number(amount) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const STATUS_BADGES = {
+  pending: { label: 'Pending', className: 'badge-warning' },
+  issued: { label: 'Issued', className: 'badge-info' },
+  paid: { label: 'Paid', className: 'badge-success' },
+  disputed: { label: 'Disputed', className: 'badge-danger' },
+  cancelled: { label: 'Cancelled', className: 'badge-secondary' },
+};
+
+// Same normalization the server uses for violator ids
+const violatorIdFor = (license) => license.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const VehicleProfile = () => {
+  const { id } = useParams();
+  const [showEditModal, setShowEditModal] = useState(false);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['vehicle', id],
+    queryFn: () => vehiclesAPI.getVehicle(id),
+  });
+
+  const profile = data?.data?.data;
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error || !profile) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-600">{error?.response?.status === 404 ? 'Vehicle not found' : 'Failed to load vehicle'}</p>
+        <Link to="/vehicles" className="text-sm text-primary-600 hover:text-primary-800">Back to vehicles</Link>
+      </div>
+    );
+  }
+
+  const { vehicle, owner, violations } = profile;
+
+  return (
+    <div className="space-y-6">
+      <Link to="/vehicles" className="inline-flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900">
+        <ArrowLeft className="h-4 w-4" />
+        Vehicles
+      </Link>
+
+      {/* Vehicle */}
+      <div className="border border-gray-200 rounded-lg p-6 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+        <div className="flex items-start gap-4">
+          <div className="p-2 bg-primary-100 rounded-lg">
+            <Car className="h-6 w-6 text-primary-600" />
+          </div>
+          <div className="space-y-1">
+            <h1 className="text-2xl font-bold font-mono text-gray-900">{vehicle.plate_number}</h1>
+            <p className="text-sm text-gray-700">
+              {[vehicle.brand, vehicle.model, vehicle.variant].filter(Boolean).join(' ') || 'Make and model not recorded'}
+              {vehicle.color && ` • ${vehicle.color}`}
+            </p>
+            <p className="text-sm text-gray-600 flex items-center gap-2">
+              <Contact className="h-4 w-4" />
+              {owner ? (
+                <Link to={`/violators/${encodeURIComponent(owner.id)}`} className="text-primary-600 hover:text-primary-800">
+                  {owner.full_name || owner.license_number}
+                </Link>
+              ) : 'No registered owner'}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={() => setShowEditModal(true)}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+        >
+          <Pencil className="h-4 w-4" />
+          <span>Edit Vehicle</span>
+        </button>
+      </div>
+
+      {/* Violation History */}
+      <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Violation History</h2>
+        </div>
+        {violations.length === 0 ? (
+          <p className="px-6 py-8 text-center text-gray-600">No violations linked to this plate</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Violation</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Driver / Location</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {violations.map(violation => {
+                const badge = STATUS_BADGES[violation.status] || STATUS_BADGES.pending;
+                return (
+                  <tr key={violation.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-mono font-medium text-gray-900">{violation.violation_number}</div>
+                      <div className="text-xs text-gray-600">{violation.violation_type}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{formatDisplayDate(violation.captured_at || violation.created_at)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      <div>
+                        {violation.violator_id ? (
+                          <Link to={`/violators/${encodeURIComponent(violation.violator_id)}`} className="text-primary-600 hover:text-primary-800">
+                            {violation.violator_name}
+                          </Link>
+                        ) : violation.violator_name}
+                      </div>
+                      <div className="text-xs text-gray-500">{violation.location}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={badge.className}>{badge.label}</span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">
+                      {violation.status === 'cancelled' ? '-' : formatAmount(violation.balance)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {showEditModal && (
+        <EditVehicleModal vehicle={vehicle} onClose={() => setShowEditModal(false)} />
+      )}
+    </div>
+  );
+};
+
+const EditVehicleModal = ({ vehicle, onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({
+    brand: vehicle.brand || '',
+    model: vehicle.model || '',
+    variant: vehicle.variant || '',
+    color: vehicle.color || '',
+    owner_license: vehicle.owner_id || '',
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: (data) => vehiclesAPI.updateVehicle(vehicle.id, data),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['vehicle', vehicle.id]);
+      queryClient.invalidateQueries(['vehicles']);
+      toast.success(response.data.message || 'Vehicle updated');
+      onClose();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to update vehicle');
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { owner_license: ownerLicense, ...details } = form;
+    updateMutation.mutate({ ...details, owner_id: violatorIdFor(ownerLicense) || null });
+  };
+
+  const field = (name, label) => (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 mb-2">{label}</label>
+      <input
+        type="text"
+        maxLength={100}
+        value={form[name]}
+        onChange={(e) => setForm(prev => ({ ...prev, [name]: e.target.value }))}
+        className="mobile-input w-full"
+      />
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl border border-gray-100 shadow-2xl mobile-modal overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100 bg-gradient-to-r from-primary-50 to-blue-50">
+          <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+            <Pencil className="h-5 w-5 text-primary-600" />
+            Edit Vehicle
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">Plate {vehicle.plate_number}</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="mobile-card space-y-5">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {field('brand', 'Make')}
+            {field('model', 'Model')}
+            {field('variant', 'Variant')}
+            {field('color', 'Color')}
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Owner's License Number</label>
+            <input
+              type="text"
+              value={form.owner_license}
+              onChange={(e) => setForm(prev => ({ ...prev, owner_license: e.target.value }))}
+              placeholder="Leave blank if unknown"
+              className="mobile-input w-full font-mono"
+            />
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Devices pre-fill tickets for this plate with these details. Violations already recorded keep the details written on them.
+          </p>
+
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="mobile-btn-secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={updateMutation.isPending}
+              className="mobile-btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {updateMutation.isPending ? <LoadingSpinner size="sm" /> : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default VehicleProfile;
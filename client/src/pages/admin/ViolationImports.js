@@ -0,0 +1,364 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { violationImportsAPI } from '../../services/api';
+import { ArrowLeft, Upload, FileSpreadsheet, RotateCcw, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/LoadingSpinner';
+
+/**
+ * Parse various date formats for display, including Firebase Timestamp
+ * @param {any} dateValue - The date value from the database
+ * @returns {string} - Formatted date string or '-'
+ */
+const formatDisplayDate = (dateValue) => {
+  if (!dateValue) return '-';
+
+  let date;
+  if (dateValue?.seconds || dateValue?._seconds) {
+    date = new Date((dateValue.seconds || dateValue._seconds) * 1000);
+  } else {
+    date = new Date(dateValue);
+  }
+
+  return isNaN(date.getTime()) ? '-' : date.toLocaleString('en-US', { timeZone: 'Asia/Manila' });
+};
+
+const BATCH_BADGES = {
+  importing: { label: 'Importing', className: 'badge-info' },
+  completed: { label: 'Imported', className: 'badge-success' },
+  failed: { label: 'Failed', className: 'badge-danger' },
+  rolled_back: { label: 'Rolled Back', className: 'badge-secondary' },
+};
+
+// Paper tickets and legacy spreadsheets: upload a CSV, map its columns, dry run, then import as a batch
+const ViolationImports = () => {
+  const queryClient = useQueryClient();
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['violation-imports'],
+    queryFn: () => violationImportsAPI.getBatches(),
+  });
+
+  const batches = data?.data?.data || [];
+
+  const onError = (fallback) => (error) => {
+    // A refused import still carries the dry run report
+    if (error.response?.data?.data?.summary) {
+      setReport(error.response.data.data);
+    }
+    toast.error(error.response?.data?.error || fallback);
+  };
+
+  const validateMutation = useMutation({
+    mutationFn: ({ file, mapping }) => violationImportsAPI.validateImport(file, mapping),
+    onSuccess: (response) => {
+      const result = response.data.data;
+      setReport(result);
+      setMapping(result.mapping);
+      setSkipInvalid(false);
+    },
+    onError: onError('Failed to check the file'),
+  });
+
+  const commitMutation = useMutation({
+    mutationFn: () => violationImportsAPI.commitImport(file, mapping, skipInvalid),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['violation-imports']);
+      queryClient.invalidateQueries(['violations']);
+      queryClient.invalidateQueries(['repeatOffenders']);
+      toast.success(response.data.message || 'Violations imported');
+      setFile(null);
+      setMapping({});
+      setReport(null);
+    },
+    onError: (error) => {
+      queryClient.invalidateQueries(['violation-imports']);
+      onError('Failed to import violations')(error);
+    },
+  });
+
+  const rollbackMutation = useMutation({
+    mutationFn: (id) => violationImportsAPI.rollbackBatch(id),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['violation-imports']);
+      queryClient.invalidateQueries(['violations']);
+      queryClient.invalidateQueries(['repeatOffenders']);
+      toast.success(response.data.message || 'Import rolled back');
+    },
+    onError: onError('Failed to roll back the import'),
+  });
+
+  const handleFileChange = (e) => {
+    const chosen = e.target.files[0];
+    e.target.value = '';
+    if (!chosen) return;
+
+    setFile(chosen);
+    setReport(null);
+    // Let the server suggest a mapping from the header row
+    validateMutation.mutate({ file: chosen, mapping: null });
+  };
+
+  const handleMappingChange = (field, header) => {
+    setMapping(prev => ({ ...prev, [field]: header }));
+  };
+
+  const handleCommit = () => {
+    const count = skipInvalid ? report.summary.valid_rows : report.summary.total_rows;
+    if (window.confirm(`Import ${count} violation(s) from ${file.name}? They can be rolled back as one batch.`)) {
+      commitMutation.mutate();
+    }
+  };
+
+  const handleRollback = (batch) => {
+    if (window.confirm(`Remove the ${batch.imported_rows} violation(s) imported from ${batch.file_name}? This cannot be undone.`)) {
+      rollbackMutation.mutate(batch.id);
+    }
+  };
+
+  const canCommit = report
+    && report.mapping_errors.length === 0
+    && report.summary.valid_rows > 0
+    && (report.summary.invalid_rows === 0 || skipInvalid);
+
+  return (
+    <div className="space-y-6">
+      <Link to="/violations" className="inline-flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900">
+        <ArrowLeft className="h-4 w-4" />
+        Violations
+      </Link>
+
+      {/* Header */}
+      <div className="border border-gray-200 rounded-lg p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <div className="p-2 bg-primary-100 rounded-lg">
+            <Upload className="h-6 w-6 text-primary-600" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Import Violations</h1>
+            <p className="text-sm text-gray-600 mt-1">Record paper citations and legacy spreadsheets from a CSV file</p>
+          </div>
+        </div>
+        <label className={`flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors cursor-pointer ${validateMutation.isPending ? 'opacity-50 pointer-events-none' : ''}`}>
+          <FileSpreadsheet className="h-4 w-4" />
+          <span>{file ? 'Choose Another File' : 'Choose CSV File'}</span>
+          <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+        </label>
+      </div>
+
+      {validateMutation.isPending && !report && (
+        <div className="flex items-center justify-center h-32">
+          <LoadingSpinner size="lg" />
+        </div>
+      )}
+
+      {file && report && (
+        <>
+          {/* Column Mapping */}
+          <div className="bg-white rounded-lg border border-gray-200">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">Columns in {file.name}</h2>
+              <p className="text-sm text-gray-600 mt-1">Match each field to a column. Fines come from the violation type schedule in effect on the ticket date.</p>
+            </div>
+            <div className="p-6 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+              {report.fields.map(({ field, label, required }) => (
+                <div key={field}>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    {label}{required && <span className="text-red-500"> *</span>}
+                  </label>
+                  <select
+                    value={mapping[field] || ''}
+                    onChange={(e) => handleMappingChange(field, e.target.value)}
+                    className="mobile-input w-full"
+                  >
+                    <option value="">Not in file</option>
+                    {report.headers.filter(Boolean).map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div className="px-6 py-4 border-t border-gray-200 flex justify-end">
+              <button
+                onClick={() => validateMutation.mutate({ file, mapping })}
+                disabled={validateMutation.isPending}
+                className="mobile-btn-secondary disabled:opacity-50"
+              >
+                {validateMutation.isPending ? <LoadingSpinner size="sm" /> : 'Check Again'}
+              </button>
+            </div>
+          </div>
+
+          {/* Dry Run */}
+          <div className="bg-white rounded-lg border border-gray-200">
+            <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center gap-2">
+              <h2 className="text-lg font-semibold text-gray-900 mr-2">Dry Run</h2>
+              <span className="badge-info">{report.summary.total_rows} row(s)</span>
+              <span className="badge-success">{report.summary.valid_rows} ready</span>
+              {report.summary.invalid_rows > 0 && (
+                <span className="badge-danger">{report.summary.invalid_rows} with errors</span>
+              )}
+            </div>
+
+            {report.mapping_errors.length > 0 && (
+              <div className="px-6 py-4 bg-red-50 border-b border-red-200 text-sm text-red-800 space-y-1">
+                {report.mapping_errors.map(message => (
+                  <p key={message} className="flex items-center gap-2"><AlertCircle className="h-4 w-4" />{message}</p>
+                ))}
+              </div>
+            )}
+
+            {report.errors.length > 0 && (
+              <div className="overflow-x-auto max-h-80">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {report.errors.map(({ row, errors }) => (
+                      <tr key={row}>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{row}</td>
+                        <td className="px-6 py-3 text-sm text-red-700">
+                          {errors.map(message => <div key={message}>{message}</div>)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {report.errors.length < report.summary.invalid_rows && (
+                  <p className="px-6 py-3 text-xs text-gray-500">Showing the first {report.errors.length} rows with errors.</p>
+                )}
+              </div>
+            )}
+
+            {report.preview.length > 0 && (
+              <div className="overflow-x-auto border-t border-gray-200">
+                <p className="px-6 pt-4 text-sm font-medium text-gray-700">First rows to import</p>
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Row', 'Ticket', 'Date', 'Violator', 'Plate', 'Type', 'Location', 'Status'].map(heading => (
+                        <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{heading}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {report.preview.map(row => (
+                      <tr key={row.row}>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm font-mono text-gray-900">{row.row}</td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm font-mono text-gray-600">{row.ticket_number || '-'}</td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-600">{formatDisplayDate(row.captured_at)}</td>
+                        <td className="px-6 py-3 text-sm text-gray-900">
+                          <div>{row.violator_name}</div>
+                          {row.violator_license && <div className="text-xs font-mono text-gray-500">{row.violator_license}</div>}
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm font-mono text-gray-600">{row.vehicle_plate || '-'}</td>
+                        <td className="px-6 py-3 text-sm text-gray-600">{row.violation_type}</td>
+                        <td className="px-6 py-3 text-sm text-gray-600">{row.location}</td>
+                        <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-600 capitalize">{row.status}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="px-6 py-4 border-t border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              {report.summary.invalid_rows > 0 && report.summary.valid_rows > 0 ? (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={skipInvalid}
+                    onChange={(e) => setSkipInvalid(e.target.checked)}
+                    className="rounded border-gray-300"
+                  />
+                  Skip the {report.summary.invalid_rows} row(s) with errors
+                </label>
+              ) : <span />}
+              <button
+                onClick={handleCommit}
+                disabled={!canCommit || commitMutation.isPending || validateMutation.isPending}
+                className="mobile-btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {commitMutation.isPending
+                  ? <LoadingSpinner size="sm" />
+                  : `Import ${skipInvalid ? report.summary.valid_rows : report.summary.total_rows} Violation(s)`}
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Import History */}
+      <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Recent Imports</h2>
+        </div>
+        {isLoading ? (
+          <div className="flex items-center justify-center h-32">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : batches.length === 0 ? (
+          <p className="px-6 py-8 text-center text-gray-600">No imports yet</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Imported</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rows</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {batches.map(batch => {
+                const badge = BATCH_BADGES[batch.status] || BATCH_BADGES.importing;
+                return (
+                  <tr key={batch.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">{batch.file_name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                      <div>{formatDisplayDate(batch.created_at)}</div>
+                      <div className="text-xs text-gray-500">by {batch.user_name}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                      {batch.imported_rows} imported
+                      {batch.skipped_rows > 0 && <span className="text-gray-500"> • {batch.skipped_rows} skipped</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={badge.className}>{badge.label}</span>
+                      {batch.error && <div className="text-xs text-red-600 mt-1">{batch.error}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right">
+                      {(batch.status === 'completed' || batch.status === 'failed') && (
+                        <button
+                          onClick={() => handleRollback(batch)}
+                          disabled={rollbackMutation.isPending}
+                          className="inline-flex items-center gap-1 text-sm font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          <RotateCcw className="h-4 w-4" />
+                          Roll Back
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ViolationImports;
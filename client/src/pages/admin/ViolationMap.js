@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { MapContainer, TileLayer, CircleMarker, Marker, Popup, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { MapPin, AlertTriangle } from 'lucide-react';
+import { mapAPI, violationTypesAPI } from '../../services/api';
+import LoadingSpinner from '../../components/LoadingSpinner';
+
+// Cebu City, where the system is deployed; used until violations are loaded
+const DEFAULT_CENTER = [10.3157, 123.8854];
+const DEFAULT_ZOOM = 13;
+
+// Points closer than this many pixels at the current zoom are drawn as one cluster
+const CLUSTER_RADIUS_PX = 60;
+
+const STATUS_COLORS = {
+  pending: '#f59e0b',
+  issued: '#3b82f6',
+  paid: '#10b981',
+  disputed: '#ef4444',
+  cancelled: '#6b7280',
+};
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  issued: 'Issued',
+  paid: 'Paid',
+  disputed: 'Disputed',
+  cancelled: 'Cancelled',
+};
+
+/**
+ * Parse various date formats for display, including Firebase Timestamp
+ * @param {any} dateValue - The date value from the database
+ * @returns {string} - Formatted date string or '-'
+ */
+const formatDisplayDate = (dateValue) => {
+  if (!dateValue) return '-';
+  const date = dateValue?.seconds || dateValue?._seconds
+    ? new Date((dateValue.seconds || dateValue._seconds) * 1000)
+    : new Date(dateValue);
+  return isNaN(date.getTime()) ? '-' : date.toLocaleString();
+};
+
+/**
+ * Group points that fall in the same pixel grid cell at a zoom level
+ * @param {object} map - Leaflet map
+ * @param {object[]} points - { latitude, longitude, ... }
+ * @param {number} zoom - Zoom level to cluster at
+ * @returns {object[]} Clusters: { key, latitude, longitude, points }
+ */
+const clusterPoints = (map, points, zoom) => {
+  const cells = new Map();
+
+  points.forEach(point => {
+    const projected = map.project([point.latitude, point.longitude], zoom);
+    const key = `${Math.floor(projected.x / CLUSTER_RADIUS_PX)}:${Math.floor(projected.y / CLUSTER_RADIUS_PX)}`;
+    if (!cells.has(key)) {
+      cells.set(key, { key, points: [] });
+    }
+    cells.get(key).points.push(point);
+  });
+
+  return Array.from(cells.values()).map(cell => ({
+    ...cell,
+    latitude: cell.points.reduce((sum, point) => sum + point.latitude, 0) / cell.points.length,
+    longitude: cell.points.reduce((sum, point) => sum + point.longitude, 0) / cell.points.length,
+  }));
+};
+
+// Count bubble drawn with HTML only, so clusters need no marker images
+const clusterIcon = (count) => {
+  const size = count < 10 ? 32 : count < 100 ? 40 : 48;
+  return L.divIcon({
+    html: `<div style="width:${size}px;height:${size}px;line-height:${size}px" class="rounded-full bg-primary-600 text-white text-sm font-semibold text-center shadow-lg ring-4 ring-primary-200">${count}</div>`,
+    className: '',
+    iconSize: [size, size],
+  });
+};
+
+const ViolationPopup = ({ point }) => (
+  <Popup>
+    <div className="text-sm space-y-1">
+      <p className="font-mono font-semibold">{point.violation_number}</p>
+      <p>{point.violation_type}</p>
+      <p className="text-gray-600">{point.location}</p>
+      <p>
+        <span style={{ color: STATUS_COLORS[point.status] }} className="font-medium">{STATUS_LABELS[point.status] || point.status}</span>
+        {' · '}₱{Number(point.fine_amount || 0).toLocaleString()}
+      </p>
+      <p className="text-xs text-gray-500">{formatDisplayDate(point.violation_date)}</p>
+    </div>
+  </Popup>
+);
+
+// Re-clusters whenever the zoom changes
+const ClusteredViolations = ({ points }) => {
+  const map = useMap();
+  const [zoom, setZoom] = useState(map.getZoom());
+  useMapEvents({ zoomend: () => setZoom(map.getZoom()) });
+
+  const clusters = useMemo(() => clusterPoints(map, points, zoom), [map, points, zoom]);
+
+  return clusters.map(cluster => {
+    if (cluster.points.length === 1) {
+      const [point] = cluster.points;
+      return (
+        <CircleMarker
+          key={point.id}
+          center={[point.latitude, point.longitude]}
+          radius={8}
+          pathOptions={{ color: 'white', weight: 2, fillColor: STATUS_COLORS[point.status] || '#6b7280', fillOpacity: 0.9 }}
+        >
+          <ViolationPopup point={point} />
+        </CircleMarker>
+      );
+    }
+
+    return (
+      <Marker
+        key={cluster.key}
+        position={[cluster.latitude, cluster.longitude]}
+        icon={clusterIcon(cluster.points.length)}
+        eventHandlers={{
+          click: () => map.fitBounds(L.latLngBounds(cluster.points.map(point => [point.latitude, point.longitude])), { padding: [40, 40], maxZoom: 18 }),
+        }}
+      />
+    );
+  });
+};
+
+// Frame the loaded violations once per result set
+const FitToPoints = ({ points }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (points.length === 0) return;
+    map.fitBounds(L.latLngBounds(points.map(point => [point.latitude, point.longitude])), { padding: [40, 40], maxZoom: 16 });
+  }, [map, points]);
+
+  return null;
+};
+
+const ViolationMap = () => {
+  const [filters, setFilters] = useState({
+    status: '',
+    violation_type_code: '',
+    start_date: '',
+    end_date: '',
+  });
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['violationMap', filters],
+    queryFn: () => mapAPI.getViolations(filters),
+  });
+
+  const { data: typesData } = useQuery({
+    queryKey: ['violationTypes'],
+    queryFn: () => violationTypesAPI.getViolationTypes(),
+  });
+
+  const points = useMemo(() => data?.data?.data?.points || [], [data]);
+  const truncated = data?.data?.data?.truncated;
+
+  // The schedule may list several versions of a type; the filter is by code
+  const violationTypes = useMemo(() => {
+    const byCode = new Map();
+    (typesData?.data?.data || []).forEach(type => byCode.set(type.code, type));
+    return Array.from(byCode.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }, [typesData]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border border-gray-200 rounded-lg p-6">
+        <div className="flex items-center gap-4">
+          <div className="p-2 bg-primary-100 rounded-lg">
+            <MapPin className="h-6 w-6 text-primary-600" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Violations Map</h1>
+            <p className="text-sm text-gray-600 mt-1">Where violations were recorded (only violations with GPS coordinates are shown)</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg border border-gray-200 p-4 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+          <select
+            value={filters.status}
+            onChange={(e) => handleFilterChange('status', e.target.value)}
+            className="mobile-select w-full"
+          >
+            <option value="">All statuses</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Violation Type</label>
+          <select
+            value={filters.violation_type_code}
+            onChange={(e) => handleFilterChange('violation_type_code', e.target.value)}
+            className="mobile-select w-full"
+          >
+            <option value="">All types</option>
+            {violationTypes.map(type => (
+              <option key={type.code} value={type.code}>{type.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            type="date"
+            value={filters.start_date}
+            onChange={(e) => handleFilterChange('start_date', e.target.value)}
+            className="mobile-input w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={filters.end_date}
+            onChange={(e) => handleFilterChange('end_date', e.target.value)}
+            className="mobile-input w-full"
+          />
+        </div>
+      </div>
+
+      {truncated && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm text-amber-800 flex items-center gap-2">
+          <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+          Only the {points.length} most recent violations are shown. Narrow the filters to see the rest.
+        </div>
+      )}
+
+      <div className="relative bg-white rounded-lg border border-gray-200 overflow-hidden" style={{ height: '65vh' }}>
+        {isLoading && (
+          <div className="absolute inset-0 z-[1000] flex items-center justify-center bg-white/60">
+            <LoadingSpinner size="lg" />
+          </div>
+        )}
+        {error && (
+          <div className="absolute top-3 left-1/2 -translate-x-1/2 z-[1000] bg-red-50 border border-red-200 rounded-lg px-3 py-2 text-sm text-red-700">
+            Failed to load map data
+          </div>
+        )}
+        <MapContainer center={DEFAULT_CENTER} zoom={DEFAULT_ZOOM} className="h-full w-full">
+          <TileLayer url={mapAPI.tileUrl} attribution={mapAPI.tileAttribution} maxZoom={19} />
+          <ClusteredViolations points={points} />
+          <FitToPoints points={points} />
+        </MapContainer>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+        {Object.entries(STATUS_LABELS).map(([status, label]) => (
+          <span key={status} className="flex items-center gap-2">
+            <span className="inline-block h-3 w-3 rounded-full" style={{ backgroundColor: STATUS_COLORS[status] }}></span>
+            {label}
+          </span>
+        ))}
+        <span>{points.length} violation(s) on the map</span>
+      </div>
+    </div>
+  );
+};
+
+export default ViolationMap;
@@ -0,0 +1,583 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Plus, Edit, Trash2, Search } from 'lucide-react';
+import { violationTypesAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+import ConfirmationDialog from '../../components/ConfirmationDialog';
+
+const formatFine = (amount) =>
+  `₱${parseFloat(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const ordinal = (n) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+// The last tier also applies to every later offense
+const tierLabel = (offense, isLast) => `${ordinal(offense)}${isLast && offense > 1 ? '+' : ''} offense`;
+
+const ViolationTypes = () => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [editingType, setEditingType] = useState(null);
+  const [formErrors, setFormErrors] = useState({});
+  const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, violationType: null });
+  const [tiers, setTiers] = useState([]);
+  const queryClient = useQueryClient();
+
+  // Fetch the whole schedule, including retired and future entries
+  const { data: typesResponse, isLoading, error: queryError } = useQuery({
+    queryKey: ['violationTypes'],
+    queryFn: () => violationTypesAPI.getViolationTypes(),
+    retry: 1,
+    refetchOnWindowFocus: false
+  });
+
+  const violationTypes = Array.isArray(typesResponse?.data?.data) ? typesResponse.data.data : [];
+
+  const openModal = (type = null) => {
+    setTiers((type?.offense_tiers || []).map(tier => ({ fine: String(tier.fine) })));
+    setFormErrors({});
+    if (type) {
+      setEditingType(type);
+    } else {
+      setShowAddModal(true);
+    }
+  };
+
+  const updateTierFine = (index, fine) => {
+    setTiers(tiers.map((tier, i) => (i === index ? { fine } : tier)));
+  };
+
+  const closeModal = () => {
+    setShowAddModal(false);
+    setEditingType(null);
+    setFormErrors({});
+  };
+
+  const handleMutationError = (error, fallback) => {
+    if (error.response?.data?.details && error.response.data.details.length > 0) {
+      const errors = {};
+      error.response.data.details.forEach(detail => {
+        const fieldName = detail.param || detail.path || detail.location;
+        errors[fieldName] = detail.msg;
+      });
+      setFormErrors(errors);
+    } else {
+      const message = error.response?.data?.error || fallback;
+      setFormErrors({ general: message });
+      toast.error(message);
+    }
+  };
+
+  const addTypeMutation = useMutation({
+    mutationFn: (typeData) => violationTypesAPI.createViolationType(typeData),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['violationTypes']);
+      closeModal();
+      toast.success('Violation type added');
+    },
+    onError: (error) => handleMutationError(error, 'Failed to add violation type')
+  });
+
+  const updateTypeMutation = useMutation({
+    mutationFn: ({ id, data }) => violationTypesAPI.updateViolationType(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['violationTypes']);
+      closeModal();
+      toast.success('Violation type updated');
+    },
+    onError: (error) => handleMutationError(error, 'Failed to update violation type')
+  });
+
+  const deleteTypeMutation = useMutation({
+    mutationFn: (id) => violationTypesAPI.deleteViolationType(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['violationTypes']);
+      toast.success('Violation type deleted');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to delete violation type');
+    }
+  });
+
+  const filteredTypes = violationTypes.filter(type => {
+    const term = searchTerm.toLowerCase();
+    return type.code.toLowerCase().includes(term) ||
+      type.name.toLowerCase().includes(term) ||
+      (type.ordinance_reference || '').toLowerCase().includes(term);
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const formData = new FormData(e.target);
+
+    setFormErrors({});
+
+    const effectiveFrom = formData.get('effective_from');
+    const effectiveTo = formData.get('effective_to');
+    if (effectiveTo && effectiveTo < effectiveFrom) {
+      setFormErrors({ effective_to: 'Effective to must be on or after effective from' });
+      return;
+    }
+
+    const lookbackDays = formData.get('lookback_days');
+    const typeData = {
+      code: formData.get('code').trim().toUpperCase(),
+      name: formData.get('name'),
+      ordinance_reference: formData.get('ordinance_reference'),
+      description: formData.get('description'),
+      base_fine: parseFloat(formData.get('base_fine')),
+      effective_from: effectiveFrom,
+      effective_to: effectiveTo || null,
+      offense_tiers: tiers.map((tier, index) => ({ offense: index + 1, fine: parseFloat(tier.fine) })),
+      lookback_days: lookbackDays ? parseInt(lookbackDays, 10) : null,
+      demerit_points: parseInt(formData.get('demerit_points'), 10) || 0
+    };
+
+    if (editingType) {
+      updateTypeMutation.mutate({ id: editingType.id, data: typeData });
+    } else {
+      addTypeMutation.mutate(typeData);
+    }
+  };
+
+  const confirmDelete = () => {
+    if (deleteDialog.violationType) {
+      deleteTypeMutation.mutate(deleteDialog.violationType.id);
+      setDeleteDialog({ isOpen: false, violationType: null });
+    }
+  };
+
+  const inputClass = (field) =>
+    `mobile-input ${formErrors[field] ? 'border-red-300 bg-red-50' : 'border-gray-300 hover:border-gray-400'}`;
+
+  const renderFieldError = (field) => formErrors[field] && (
+    <p className="mt-1 responsive-text-sm text-red-600">{formErrors[field]}</p>
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  if (queryError) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-600 mb-4">Failed to load violation types</p>
+        <p className="text-gray-600 text-sm">{queryError.message}</p>
+        <button
+          onClick={() => window.location.reload()}
+          className="mt-4 btn-primary"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4">
+        <div>
+          <h1 className="responsive-text-2xl font-bold text-gray-900">Violation Types</h1>
+          <p className="responsive-text-sm text-gray-600">Ordinance-based fine schedule used for every new violation</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => openModal()}
+            className="mobile-btn-primary flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add Violation Type</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Search */}
+      <div className="bg-white rounded-lg shadow mobile-card">
+        <div className="p-4 sm:p-6">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+            <input
+              type="text"
+              placeholder="Search by code, name or ordinance..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="block w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm sm:text-base transition-colors duration-200"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Violation Types Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Code
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Violation
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Ordinance
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Fine
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Points
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Effective
+                </th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {filteredTypes.map((type) => (
+                <tr key={type.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-4 whitespace-nowrap text-sm font-mono font-medium text-gray-900">
+                    {type.code}
+                  </td>
+                  <td className="px-4 py-4">
+                    <div className="text-sm font-medium text-gray-900">{type.name}</div>
+                    {type.description && (
+                      <div className="text-sm text-gray-500">{type.description}</div>
+                    )}
+                  </td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {type.ordinance_reference}
+                  </td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {type.offense_tiers?.length > 0 ? (
+                      <div className="space-y-0.5">
+                        {type.offense_tiers.map((tier, index) => (
+                          <div key={tier.offense}>
+                            <span className="text-gray-500">{tierLabel(tier.offense, index === type.offense_tiers.length - 1)}:</span> {formatFine(tier.fine)}
+                          </div>
+                        ))}
+                        <div className="text-xs text-gray-500">
+                          {type.lookback_days ? `Counts offenses in the last ${type.lookback_days} days` : 'Counts all previous offenses'}
+                        </div>
+                      </div>
+                    ) : (
+                      formatFine(type.base_fine)
+                    )}
+                  </td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {type.demerit_points || 0}
+                  </td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500">
+                    <div>{type.effective_from} – {type.effective_to || 'onwards'}</div>
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${type.is_in_effect
+                      ? 'bg-green-100 text-green-800'
+                      : 'bg-gray-100 text-gray-800'
+                      }`}>
+                      {type.is_in_effect ? 'In effect' : 'Not in effect'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-4 whitespace-nowrap text-right text-sm font-medium">
+                    <div className="flex justify-end gap-2">
+                      <button
+                        onClick={() => openModal(type)}
+                        className="text-indigo-600 hover:text-indigo-900 p-1 rounded-md hover:bg-indigo-50 transition-colors"
+                        title="Edit Violation Type"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => setDeleteDialog({ isOpen: true, violationType: type })}
+                        className="text-red-600 hover:text-red-900 p-1 rounded-md hover:bg-red-50 transition-colors"
+                        title="Delete Violation Type"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {filteredTypes.length === 0 && (
+          <div className="text-center py-8">
+            <p className="text-gray-500">No violation types found</p>
+          </div>
+        )}
+      </div>
+
+      {/* Add/Edit Modal */}
+      {(showAddModal || editingType) && (
+        <>
+          <div
+            className="fixed bg-transparent z-[9999] inset-0"
+            onClick={closeModal}
+          />
+
+          <div className="fixed inset-0 flex items-start justify-center z-[10000] p-4 pt-12">
+            <div className="mobile-modal bg-white rounded-lg shadow-2xl border border-gray-200 p-3 sm:p-4 w-full max-w-2xl">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="responsive-text-xl font-bold text-gray-900">
+                  {editingType ? 'Edit Violation Type' : 'Add Violation Type'}
+                </h2>
+                <button
+                  onClick={closeModal}
+                  className="text-gray-400 hover:text-gray-600 transition-colors p-1 touch-target"
+                  title="Close"
+                >
+                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+
+              <form onSubmit={handleSubmit} className="space-y-2">
+                {formErrors.general && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                    <p className="text-sm text-red-600">{formErrors.general}</p>
+                  </div>
+                )}
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  <div>
+                    <label className="block responsive-text-sm font-medium text-gray-700 mb-1">
+                      Code
+                    </label>
+                    <input
+                      type="text"
+                      name="code"
+                      defaultValue={editingType?.code || ''}
+                      required
+                      placeholder="NO_HELMET"
+                      className={inputClass('code')}
+                    />
+                    {renderFieldError('code')}
+                  </div>
+
+                  <div>
+                    <label className="block responsive-text-sm font-medium text-gray-700 mb-1">
+                      Base Fine (₱)
+                    </label>
+                    <input
+                      type="number"
+                      name="base_fine"
+                      min="0"
+                      step="0.01"
+                      defaultValue={editingType?.base_fine ?? ''}
+                      required
+                      className={inputClass('base_fine')}
+                    />
+                    {renderFieldError('base_fine')}
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block responsive-text-sm font-medium text-gray-700 mb-1">
+                    Demerit Points
+                    <span className="responsive-text-xs text-gray-500 ml-1">(added to the driver's license on every offense)</span>
+                  </label>
+                  <input
+                    type="number"
+                    name="demerit_points"
+                    min="0"
+                    max="100"
+                    step="1"
+                    defaultValue={editingType?.demerit_points ?? 0}
+                    className={inputClass('demerit_points')}
+                  />
+                  {renderFieldError('demerit_points')}
+                </div>
+
+                <div>
+                  <label className="block responsive-text-sm font-medium text-gray-700 mb-1">
+                    Name
+                  </label>
+                  <input
+                    type="text"
+                    name="name"
+                    defaultValue={editingType?.name || ''}
+                    required
+                    placeholder="No Helmet"
+                    className={inputClass('name')}
+                  />
+                  {renderFieldError('name')}
+                </div>
+
+                <div>
+                  <label className="block responsive-text-sm font-medium text-gray-700 mb-1">
+                    Ordinance Reference
+                  </label>
+                  <input
+                    type="text"
+                    name="ordinance_reference"
+                    defaultValue={editingType?.ordinance_reference || ''}
+                    required
+                    placeholder="City Ordinance No. 1234, Sec. 5"
+                    className={inputClass('ordinance_reference')}
+                  />
+                  {renderFieldError('ordinance_reference')}
+                </div>
+
+                <div>
+                  <label className="block responsive-text-sm font-medium text-gray-700 mb-1">
+                    Description
+                  </label>
+                  <textarea
+                    name="description"
+                    rows="2"
+                    defaultValue={editingType?.description || ''}
+                    className={inputClass('description')}
+                  />
+                  {renderFieldError('description')}
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  <div>
+                    <label className="block responsive-text-sm font-medium text-gray-700 mb-1">
+                      Effective From
+                    </label>
+                    <input
+                      type="date"
+                      name="effective_from"
+                      defaultValue={editingType?.effective_from || ''}
+                      required
+                      className={inputClass('effective_from')}
+                    />
+                    {renderFieldError('effective_from')}
+                  </div>
+
+                  <div>
+                    <label className="block responsive-text-sm font-medium text-gray-700 mb-1">
+                      Effective To
+                      <span className="responsive-text-xs text-gray-500 ml-1">(leave blank if still in force)</span>
+                    </label>
+                    <input
+                      type="date"
+                      name="effective_to"
+                      defaultValue={editingType?.effective_to || ''}
+                      className={inputClass('effective_to')}
+                    />
+                    {renderFieldError('effective_to')}
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block responsive-text-sm font-medium text-gray-700 mb-1">
+                    Escalating Fines
+                    <span className="responsive-text-xs text-gray-500 ml-1">(optional; without tiers every offense pays the base fine)</span>
+                  </label>
+                  <div className="space-y-2">
+                    {tiers.map((tier, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <span className="w-28 responsive-text-sm text-gray-700">{tierLabel(index + 1, index === tiers.length - 1)}</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={tier.fine}
+                          onChange={(e) => updateTierFine(index, e.target.value)}
+                          required
+                          className="flex-1 mobile-input border-gray-300 hover:border-gray-400"
+                        />
+                        {index === tiers.length - 1 && (
+                          <button
+                            type="button"
+                            onClick={() => setTiers(tiers.slice(0, -1))}
+                            className="text-red-600 hover:text-red-900 p-1 rounded-md hover:bg-red-50 transition-colors"
+                            title="Remove tier"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => setTiers([...tiers, { fine: '' }])}
+                      className="text-sm text-primary-600 hover:text-primary-800 flex items-center gap-1"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add {ordinal(tiers.length + 1)} offense tier
+                    </button>
+                  </div>
+                  {renderFieldError('offense_tiers')}
+                </div>
+
+                {tiers.length > 1 && (
+                  <div>
+                    <label className="block responsive-text-sm font-medium text-gray-700 mb-1">
+                      Look-back Window (days)
+                      <span className="responsive-text-xs text-gray-500 ml-1">(leave blank to count all previous offenses)</span>
+                    </label>
+                    <input
+                      type="number"
+                      name="lookback_days"
+                      min="1"
+                      step="1"
+                      defaultValue={editingType?.lookback_days || ''}
+                      placeholder="365"
+                      className={inputClass('lookback_days')}
+                    />
+                    {renderFieldError('lookback_days')}
+                  </div>
+                )}
+
+                <div className="mobile-button-group pt-4">
+                  <button
+                    type="submit"
+                    disabled={addTypeMutation.isPending || updateTypeMutation.isPending}
+                    className="mobile-btn-primary"
+                  >
+                    {addTypeMutation.isPending || updateTypeMutation.isPending ? (
+                      <div className="flex items-center justify-center gap-2">
+                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                        Saving...
+                      </div>
+                    ) : (
+                      editingType ? 'Update Violation Type' : 'Add Violation Type'
+                    )}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={closeModal}
+                    className="mobile-btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Delete Confirmation Dialog */}
+      <ConfirmationDialog
+        isOpen={deleteDialog.isOpen}
+        onClose={() => setDeleteDialog({ isOpen: false, violationType: null })}
+        onConfirm={confirmDelete}
+        title="Delete Violation Type"
+        message={`Delete ${deleteDialog.violationType?.code} (${deleteDialog.violationType?.name})? Types already used by violations cannot be deleted; set an Effective To date instead.`}
+        confirmText="Delete"
+        cancelText="Cancel"
+        type="danger"
+        isLoading={deleteTypeMutation.isPending}
+        confirmButtonColor="red"
+      />
+    </div>
+  );
+};
+
+export default ViolationTypes;
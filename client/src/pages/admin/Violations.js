@@ -1,7 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
 import { violationsAPI, adminAPI } from '../../services/api';
-import { Search, Filter, Download, Edit, Trash2, RefreshCw, Printer } from 'lucide-react';
+import { Search, Filter, Download, Edit, Trash2, RefreshCw, Printer, CreditCard, ImagePlus, X, Upload, Send, Ban, CheckSquare } from 'lucide-react';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import ConfirmationDialog from '../../components/ConfirmationDialog';
 import toast from 'react-hot-toast';
@@ -107,9 +108,48 @@ const formatPhilippineTime = (date) => {
   });
 };
 
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'pdf', label: 'PDF' },
+];
+
+// Actions that apply to the ticked violations; cancel asks for a reason in its own dialog
+const BULK_CONFIRMATIONS = {
+  issue: {
+    title: 'Issue Violations',
+    message: (count) => `Issue ${count} violation(s)? Violators with a phone number are sent the violation notice.`,
+    confirmText: 'Issue',
+    type: 'info',
+    color: 'blue',
+  },
+  send_sms: {
+    title: 'Send Notice SMS',
+    message: (count) => `Send the violation notice SMS again for ${count} violation(s)?`,
+    confirmText: 'Send SMS',
+    type: 'info',
+    color: 'blue',
+  },
+  delete: {
+    title: 'Delete Violations',
+    message: (count) => `Delete ${count} violation(s)? This cannot be undone. Violations with recorded payments are skipped.`,
+    confirmText: 'Delete',
+    type: 'danger',
+    color: 'red',
+  },
+};
+
+const BULK_ACTION_LABELS = {
+  status: 'Issue',
+  cancel: 'Cancel',
+  send_sms: 'Send notice SMS',
+  delete: 'Delete',
+  print: 'Print receipt',
+};
+
 const Violations = () => {
   const [filters, setFilters] = useState({
-    page: 1,
+    cursor: '',
     limit: 10,
     search: '',
     status: '',
@@ -129,7 +169,17 @@ const Violations = () => {
   const [editingViolation, setEditingViolation] = useState(null);
   const [formErrors, setFormErrors] = useState({});
   const [isExporting, setIsExporting] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
   const [deleteDialog, setDeleteDialog] = useState({ isOpen: false, violation: null });
+  const [paymentsViolation, setPaymentsViolation] = useState(null);
+  // Ids of the violations ticked on the current page
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkConfirm, setBulkConfirm] = useState(null);
+  const [showCancelDialog, setShowCancelDialog] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+  const [bulkResults, setBulkResults] = useState(null);
+  // Cursors of the pages before the current one, used by the Previous button
+  const [cursorHistory, setCursorHistory] = useState([]);
   const queryClient = useQueryClient();
 
   // Debounce search fields (violator_name, violation_type, search) with 300ms delay
@@ -179,6 +229,11 @@ const Violations = () => {
     }
   });
 
+  // Selections only cover the page on screen
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [debouncedFilters]);
+
   // Extract enforcers from response
   const enforcers = enforcersData?.data?.data || [];
 
@@ -189,6 +244,9 @@ const Violations = () => {
   // State for tracking the selected status in the edit form
   const [selectedStatus, setSelectedStatus] = useState('');
 
+  // Paid and cancelled violations have no outgoing transitions
+  const isFinalStatus = !!editingViolation && (editingViolation.allowed_transitions || []).length === 0;
+
   // Send SMS mutation
   const sendSMSMutation = useMutation({
     mutationFn: ({ id, data }) => violationsAPI.sendSMS(id, data),
@@ -207,13 +265,14 @@ const Violations = () => {
       queryClient.invalidateQueries(['violations']);
       queryClient.invalidateQueries(['adminDashboard']);
       queryClient.invalidateQueries(['violationStats']);
+      queryClient.invalidateQueries(['violationStatusHistory', variables.id]);
       setShowEditModal(false);
       setEditingViolation(null);
       setFormErrors({});
       setSelectedStatus('');
 
-      // Payment confirmation SMS is now sent automatically by the backend
-      // when status changes to 'paid', so no need to handle it here
+      // Violations become 'paid' only through recorded payments; the backend
+      // sends the payment confirmation SMS when the balance is settled
 
       toast.success('Violation updated successfully');
     },
@@ -226,7 +285,7 @@ const Violations = () => {
         setFormErrors(errors);
       } else {
         setFormErrors({});
-        toast.error(error.response?.data?.message || 'Failed to update violation');
+        toast.error(error.response?.data?.error || error.response?.data?.message || 'Failed to update violation');
       }
     }
   });
@@ -241,26 +300,96 @@ const Violations = () => {
       toast.success('Violation deleted successfully');
     },
     onError: (error) => {
-      toast.error(error.response?.data?.message || 'Failed to delete violation');
+      toast.error(error.response?.data?.error || error.response?.data?.message || 'Failed to delete violation');
     }
   });
 
+  // Bulk action mutation: the server reports how each violation went
+  const bulkMutation = useMutation({
+    mutationFn: (data) => violationsAPI.bulkAction(data),
+    onSuccess: (response, variables) => {
+      const { results, summary } = response.data.data;
+      if (variables.action !== 'print') {
+        queryClient.invalidateQueries(['violations']);
+        queryClient.invalidateQueries(['adminDashboard']);
+        queryClient.invalidateQueries(['violationStats']);
+      }
+
+      // Failed violations stay ticked so they can be retried after fixing them
+      const failed = results.filter(result => !result.success);
+      setSelectedIds(failed.filter(result => result.violation_number).map(result => result.id));
+
+      if (failed.length === 0) {
+        toast.success(`${BULK_ACTION_LABELS[variables.action]}: ${summary.succeeded} violation(s) done`);
+      } else {
+        setBulkResults({ action: variables.action, failed, summary });
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Bulk action failed');
+    }
+  });
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]);
+  };
+
+  const allSelected = !!violations?.length && violations.every(violation => selectedIds.includes(violation.id));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : violations.map(violation => violation.id));
+  };
+
+  const confirmBulkAction = () => {
+    const action = bulkConfirm;
+    setBulkConfirm(null);
+    bulkMutation.mutate(action === 'issue'
+      ? { action: 'status', status: 'issued', ids: selectedIds }
+      : { action, ids: selectedIds });
+  };
+
+  const handleBulkCancel = (e) => {
+    e.preventDefault();
+    bulkMutation.mutate({ action: 'cancel', reason: cancelReason, ids: selectedIds }, {
+      onSuccess: () => {
+        setShowCancelDialog(false);
+        setCancelReason('');
+      }
+    });
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({
       ...prev,
       [key]: value,
-      page: 1, // Reset to first page when filters change
+      cursor: '', // Reset to first page when filters change
     }));
+    setCursorHistory([]);
+  };
+
+  const handleNextPage = () => {
+    if (!pagination?.nextCursor) return;
+    setCursorHistory(prev => [...prev, filters.cursor]);
+    setFilters(prev => ({ ...prev, cursor: pagination.nextCursor }));
   };
 
-  const handlePageChange = (page) => {
-    setFilters(prev => ({ ...prev, page }));
+  const handlePreviousPage = () => {
+    if (cursorHistory.length === 0) return;
+    const previousCursor = cursorHistory[cursorHistory.length - 1];
+    setCursorHistory(prev => prev.slice(0, -1));
+    setFilters(prev => ({ ...prev, cursor: previousCursor }));
   };
 
+  // Page position derived from the cursor history
+  const currentPage = cursorHistory.length + 1;
+  const pageStart = (currentPage - 1) * filters.limit + 1;
+  const pageEnd = pageStart + (violations?.length || 0) - 1;
+
   const handleEdit = (violation) => {
     setEditingViolation(violation);
     setShowEditModal(true);
     setFormErrors({});
+    setSelectedStatus('');
   };
 
   const handleDelete = (violation) => {
@@ -278,94 +407,37 @@ const Violations = () => {
     setDeleteDialog({ isOpen: false, violation: null });
   };
 
-  const handleExport = async () => {
+  const handleExport = async (format) => {
+    setShowExportMenu(false);
     try {
       setIsExporting(true);
       toast.loading('Preparing export...', { id: 'export' });
 
-      // Fetch violations data for PDF generation
-      const response = await violationsAPI.getViolations({
-        ...filters,
-        limit: 10000 // Get all violations for export
-      });
-
-      if (!response.data?.data?.violations) {
-        throw new Error('Failed to fetch violations data');
-      }
-
-      const violations = response.data.data.violations;
-
-      // Generate PDF using jsPDF
-      const { jsPDF } = window.jspdf || require('jspdf');
-      window.jspdfAutoTable || require('jspdf-autotable');
-
-      const doc = new jsPDF('landscape');
-      doc.setFont('helvetica');
+      // The server streams every violation matching the list filters
+      const { cursor, limit, ...listFilters } = filters;
+      const params = Object.fromEntries(Object.entries(listFilters).filter(([, value]) => value !== ''));
+      const response = await violationsAPI.exportViolations({ ...params, format });
 
-      // Add title
-      doc.setFontSize(18);
-      doc.text('Traffic Violations Report', 14, 20);
-      doc.setFontSize(12);
-
-      // Add filter information
-      let filterText = `Generated on: ${new Date().toLocaleDateString('en-US', { timeZone: 'Asia/Manila' })}`;
-      if (filters.status) filterText += ` | Status: ${filters.status}`;
-      if (filters.start_date && filters.end_date) {
-        filterText += ` | Period: ${filters.start_date} to ${filters.end_date}`;
+      if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        throw new Error(body?.error || `Export failed (${response.status})`);
       }
-      doc.text(filterText, 14, 30);
-
-      // Add violations table
-      doc.autoTable({
-        startY: 40,
-        head: [['Violation #', 'Violator', 'Vehicle', 'Type', 'Fine', 'Status', 'Enforcer', 'Location', 'Date']],
-        body: violations.map(violation => [
-          violation.violation_number,
-          violation.violator_name,
-          violation.vehicle_plate,
-          violation.violation_type,
-          `P${parseFloat(violation.fine_amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
-          violation.status,
-          `${violation.enforcer_name}\n${violation.enforcer_badge}`,
-          violation.location,
-          formatPhilippineDate(parseDisplayDate(violation.created_at))
-        ]),
-        styles: { fontSize: 8 },
-        headStyles: { fillColor: [22, 160, 133] },
-        margin: { top: 10 }
-      });
 
-      // Save the PDF
-      const today = new Date().toISOString().split('T')[0];
-      let filename = `violations_export_${today}`;
-      if (filters.status) filename += `_${filters.status}`;
-      if (filters.start_date && filters.end_date) {
-        filename += `_${filters.start_date}_to_${filters.end_date}`;
-      }
-      filename += '.pdf';
+      const blob = await response.blob();
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `violations_export.${format}`;
 
-      doc.save(filename);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
 
       toast.success('Export completed successfully!', { id: 'export' });
     } catch (error) {
       console.error('Export error:', error);
-      console.error('Error details:', {
-        message: error.message,
-        stack: error.stack
-      });
-
-      let errorMessage = 'Failed to export violations';
-      if (error.message.includes('401')) {
-        errorMessage = 'Authentication failed. Please login again.';
-      } else if (error.message.includes('403')) {
-        errorMessage = 'You do not have permission to export violations.';
-      } else if (error.message.includes('500')) {
-        errorMessage = 'Server error occurred during export.';
-      } else if (error.message) {
-        errorMessage = error.message;
-      }
-
-      toast.error(errorMessage, { id: 'export' });
+      toast.error(error.message || 'Failed to export violations', { id: 'export' });
     } finally {
       setIsExporting(false);
     }
@@ -374,7 +446,7 @@ const Violations = () => {
   const handleSubmit = (e) => {
     e.preventDefault();
     const formData = new FormData(e.target);
-    const status = formData.get('status');
+    const status = formData.get('status') || editingViolation.status;
     const notes = formData.get('notes');
     const sendSMS = formData.get('sendSMS') === 'on';
     const sendPenaltyReminder = formData.get('sendPenaltyReminder') === 'on';
@@ -384,6 +456,10 @@ const Violations = () => {
       notes
     };
 
+    if (status !== editingViolation.status && formData.get('status_reason')) {
+      violationData.status_reason = formData.get('status_reason');
+    }
+
     // Note: SMS notifications are now sent automatically by the backend
     // when status changes to 'paid' or 'issued', so we don't need to handle it here
 
@@ -393,140 +469,35 @@ const Violations = () => {
     });
   };
 
-  const handlePrintReceipt = async (violationData) => {
-    // Create a new window for printing
-    const printWindow = window.open('', '_blank');
-
-    // Show a loading indicator in the new window or main window
-    const toastId = toast.loading('Generating receipt...');
-
-    let violation = violationData;
-    try {
-      // Fetch fresh data to ensure status is up to date
-      const response = await violationsAPI.getViolation(violationData.id);
-      if (response.data && response.data.data) {
-        violation = response.data.data;
-      }
-    } catch (error) {
-      console.error('Failed to fetch latest violation data:', error);
-      // Fallback to existing data if fetch fails
-      toast.error('Using cached data (failed to refresh)', { id: toastId });
-    }
-
-    // Parse the violation date for display
-    const violationDate = parseDisplayDate(violation.created_at);
-
-    // Get logo as base64
-    let logoDataUrl = '';
+  // Logo embedded as base64 so it shows in the print window
+  const loadLogoDataUrl = async () => {
     try {
       const response = await fetch('/logo2.png');
       const blob = await response.blob();
-      logoDataUrl = await new Promise((resolve) => {
+      return await new Promise((resolve) => {
         const reader = new FileReader();
         reader.onloadend = () => resolve(reader.result);
         reader.readAsDataURL(blob);
       });
     } catch (error) {
       console.error('Failed to load logo:', error);
+      return '';
     }
+  };
 
-    toast.success('Receipt generated', { id: toastId });
+  const receiptHTML = (violation, logoDataUrl) => {
+    // Parse the violation date for display
+    const violationDate = parseDisplayDate(violation.created_at);
 
-    // Generate the receipt HTML
-    const receiptHTML = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Violation Receipt - ${violation.violation_number}</title>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            color: #333;
-          }
-          .header {
-            text-align: center;
-            border-bottom: 2px solid #333;
-            padding-bottom: 10px;
-            margin-bottom: 20px;
-          }
-          .header img.logo {
-            max-width: 120px;
-            height: auto;
-            margin: 0 auto 15px auto;
-            display: block;
-          }
-          .header h1 {
-            margin: 0;
-            color: #2563eb;
-          }
-          .header p {
-            margin: 5px 0;
-            color: #666;
-          }
-          .section {
-            margin-bottom: 20px;
-          }
-          .section-title {
-            font-weight: bold;
-            border-bottom: 1px solid #ddd;
-            padding-bottom: 5px;
-            margin-bottom: 10px;
-            color: #2563eb;
-          }
-          .info-grid {
-            display: grid;
-            grid-template-columns: 1fr 1fr;
-            gap: 10px;
-          }
-          .info-item {
-            margin-bottom: 8px;
-          }
-          .info-label {
-            font-weight: bold;
-            display: inline-block;
-            width: 150px;
-          }
-          .signature-section {
-            margin-top: 40px;
-            display: flex;
-            justify-content: space-between;
-          }
-          .signature-line {
-            flex: 1;
-            border-top: 1px solid #333;
-            margin-top: 60px;
-            padding-top: 10px;
-            text-align: center;
-          }
-          .footer {
-            text-align: center;
-            margin-top: 30px;
-            padding-top: 10px;
-            border-top: 1px solid #ddd;
-            font-size: 12px;
-            color: #666;
-          }
-          @media print {
-            body {
-              padding: 10px;
-            }
-            .no-print {
-              display: none;
-            }
-          }
-        </style>
-      </head>
-      <body>
+    return `
+      <div class="receipt">
         <div class="header">
           ${logoDataUrl ? `<img src="${logoDataUrl}" alt="Logo" class="logo" />` : ''}
           <h1>e-Traffic Violation System</h1>
           <p>Official Violation Receipt</p>
           <p>Generated: ${new Date().toLocaleDateString('en-US', { timeZone: 'Asia/Manila' })}</p>
         </div>
-        
+      
         <div class="section">
           <div class="section-title">Violation Details</div>
           <div class="info-grid">
@@ -556,7 +527,7 @@ const Violations = () => {
             </div>
           </div>
         </div>
-        
+      
         <div class="section">
           <div class="section-title">Violator Information</div>
           <div class="info-grid">
@@ -578,7 +549,7 @@ const Violations = () => {
             </div>
           </div>
         </div>
-        
+      
         <div class="section">
           <div class="section-title">Vehicle Information</div>
           <div class="info-grid">
@@ -604,7 +575,7 @@ const Violations = () => {
             </div>
           </div>
         </div>
-        
+      
         <div class="section">
           <div class="section-title">Financial Details</div>
           <div class="info-grid">
@@ -612,6 +583,34 @@ const Violations = () => {
               <span class="info-label">Fine Amount:</span>
               <span>₱${violation.fine_amount?.toLocaleString()}</span>
             </div>
+            ${violation.offense_tier_label ? `
+            <div class="info-item">
+              <span class="info-label">Fine Tier:</span>
+              <span>${violation.offense_tier_label}</span>
+            </div>
+            ` : ''}
+            ${(violation.surcharges || []).map(surcharge => `
+            <div class="info-item">
+              <span class="info-label">${surcharge.description}:</span>
+              <span>₱${surcharge.amount?.toLocaleString()}</span>
+            </div>
+            `).join('')}
+            <div class="info-item">
+              <span class="info-label">Amount Due:</span>
+              <span><strong>₱${(violation.amount_due ?? violation.fine_amount)?.toLocaleString()}</strong></span>
+            </div>
+            ${(violation.payments || []).filter(payment => payment.status === 'posted').map(payment => `
+            <div class="info-item">
+              <span class="info-label">${payment.type === 'refund' ? `Refund ${payment.or_number}` : `Payment ${payment.or_number}`}:</span>
+              <span>₱${payment.amount?.toLocaleString()} (${PAYMENT_METHOD_LABELS[payment.method] || payment.method})</span>
+            </div>
+            `).join('')}
+            ${violation.amount_paid > 0 ? `
+            <div class="info-item">
+              <span class="info-label">Balance:</span>
+              <span><strong>₱${violation.balance?.toLocaleString()}</strong></span>
+            </div>
+            ` : ''}
             <div class="info-item">
               <span class="info-label">Repeat Offender:</span>
               <span>${violation.is_repeat_offender ? 'Yes' : 'No'}</span>
@@ -624,12 +623,12 @@ const Violations = () => {
             ` : ''}
           </div>
         </div>
-        
+      
         <div class="section">
           <div class="section-title">Description</div>
           <p>${violation.violation_description || 'No description provided'}</p>
         </div>
-        
+      
         <div class="signature-section">
           <div class="signature-line">
             Enforcer Signature
@@ -638,15 +637,111 @@ const Violations = () => {
             Violator Signature
           </div>
         </div>
-        
+      
         <div class="footer">
           <p>This is an official receipt for traffic violation. Please keep this document for your records.</p>
           <p>System Generated Receipt - ${new Date().toLocaleString('en-US', { timeZone: 'Asia/Manila' })}</p>
         </div>
-        
+      </div>
+    `;
+  };
+
+  // Write receipts into a print window opened beforehand (opening it after an await gets it blocked)
+  const writeReceiptWindow = (printWindow, title, receipts) => {
+    printWindow.document.write(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>${title}</title>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            max-width: 800px;
+            margin: 0 auto;
+            padding: 20px;
+            color: #333;
+          }
+          .header {
+            text-align: center;
+            border-bottom: 2px solid #333;
+            padding-bottom: 10px;
+            margin-bottom: 20px;
+          }
+          .header img.logo {
+            max-width: 120px;
+            height: auto;
+            margin: 0 auto 15px auto;
+            display: block;
+          }
+          .header h1 {
+            margin: 0;
+            color: #2563eb;
+          }
+          .header p {
+            margin: 5px 0;
+            color: #666;
+          }
+          .section {
+            margin-bottom: 20px;
+          }
+          .section-title {
+            font-weight: bold;
+            border-bottom: 1px solid #ddd;
+            padding-bottom: 5px;
+            margin-bottom: 10px;
+            color: #2563eb;
+          }
+          .info-grid {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 10px;
+          }
+          .info-item {
+            margin-bottom: 8px;
+          }
+          .info-label {
+            font-weight: bold;
+            display: inline-block;
+            width: 150px;
+          }
+          .signature-section {
+            margin-top: 40px;
+            display: flex;
+            justify-content: space-between;
+          }
+          .signature-line {
+            flex: 1;
+            border-top: 1px solid #333;
+            margin-top: 60px;
+            padding-top: 10px;
+            text-align: center;
+          }
+          .footer {
+            text-align: center;
+            margin-top: 30px;
+            padding-top: 10px;
+            border-top: 1px solid #ddd;
+            font-size: 12px;
+            color: #666;
+          }
+          .receipt + .receipt {
+            page-break-before: always;
+          }
+          @media print {
+            body {
+              padding: 10px;
+            }
+            .no-print {
+              display: none;
+            }
+          }
+        </style>
+      </head>
+      <body>
+        ${receipts}
         <div class="no-print" style="text-align: center; margin-top: 20px;">
           <button onclick="window.print()" style="padding: 10px 20px; background-color: #2563eb; color: white; border: none; border-radius: 5px; cursor: pointer;">
-            Print Receipt
+            Print
           </button>
           <button onclick="window.close()" style="padding: 10px 20px; background-color: #6b7280; color: white; border: none; border-radius: 5px; cursor: pointer; margin-left: 10px;">
             Close
@@ -654,10 +749,7 @@ const Violations = () => {
         </div>
       </body>
       </html>
-    `;
-
-    // Write the HTML to the new window
-    printWindow.document.write(receiptHTML);
+    `);
     printWindow.document.close();
 
     // Focus the window and trigger print when it loads
@@ -668,6 +760,47 @@ const Violations = () => {
     };
   };
 
+  // The citation PDF is rendered and signed by the server
+  const handlePrintReceipt = async (violation) => {
+    // Open the window before the request so the browser does not block it
+    const printWindow = window.open('', '_blank');
+    const toastId = toast.loading('Generating citation...');
+
+    try {
+      const response = await violationsAPI.getCitationPdf(violation.id);
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      printWindow.location.href = url;
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+      toast.success('Citation generated', { id: toastId });
+    } catch (error) {
+      printWindow.close();
+      // Error bodies arrive as a blob too
+      const body = await error.response?.data?.text?.().then(JSON.parse).catch(() => null);
+      toast.error(body?.error || 'Failed to generate the citation', { id: toastId });
+    }
+  };
+
+  const handleBulkPrint = async () => {
+    // Open the window before the request so the browser does not block it
+    const printWindow = window.open('', '_blank');
+    try {
+      const response = await bulkMutation.mutateAsync({ action: 'print', ids: selectedIds });
+      const printed = response.data.data.results.filter(result => result.success).map(result => result.violation);
+      if (printed.length === 0) {
+        printWindow.close();
+        return;
+      }
+      const logoDataUrl = await loadLogoDataUrl();
+      writeReceiptWindow(
+        printWindow,
+        `Violation Receipts (${printed.length})`,
+        printed.map(violation => receiptHTML(violation, logoDataUrl)).join('')
+      );
+    } catch (error) {
+      printWindow.close();
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -732,20 +865,44 @@ const Violations = () => {
               <span className="hidden sm:inline">{isFetching ? 'Refreshing...' : 'Refresh'}</span>
             </button>
 
-            {/* Simplified Export Button */}
-            <button
-              onClick={handleExport}
-              disabled={isExporting}
-              className="mobile-btn bg-green-100 text-green-700 hover:bg-green-200 disabled:opacity-50 disabled:cursor-not-allowed"
-              title="Export current violations to CSV"
+            <Link
+              to="/violations/import"
+              className="mobile-btn-secondary"
+              title="Record paper tickets from a CSV file"
             >
-              {isExporting ? (
-                <LoadingSpinner size="sm" />
-              ) : (
-                <Download className="h-4 w-4" />
+              <Upload className="h-4 w-4" />
+              <span className="hidden sm:inline">Import</span>
+            </Link>
+
+            {/* Export Menu */}
+            <div className="relative">
+              <button
+                onClick={() => setShowExportMenu(prev => !prev)}
+                disabled={isExporting}
+                className="mobile-btn bg-green-100 text-green-700 hover:bg-green-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Export the violations matching the current filters"
+              >
+                {isExporting ? (
+                  <LoadingSpinner size="sm" />
+                ) : (
+                  <Download className="h-4 w-4" />
+                )}
+                <span className="hidden sm:inline">{isExporting ? 'Exporting...' : 'Export'}</span>
+              </button>
+              {showExportMenu && (
+                <div className="absolute right-0 mt-2 w-40 bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1">
+                  {EXPORT_FORMATS.map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => handleExport(option.value)}
+                      className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
               )}
-              <span className="hidden sm:inline">{isExporting ? 'Exporting...' : 'Export'}</span>
-            </button>
+            </div>
           </div>
         </div>
       </div>
@@ -1011,18 +1168,21 @@ const Violations = () => {
 
             <div className="flex items-end">
               <button
-                onClick={() => setFilters({
-                  page: 1,
-                  limit: 10,
-                  search: '',
-                  status: '',
-                  enforcer_id: '',
-                  start_date: '',
-                  end_date: '',
-                  violation_type: '',
-                  repeat_offender: '',
-                  violator_name: '',
-                })}
+                onClick={() => {
+                  setCursorHistory([]);
+                  setFilters({
+                    cursor: '',
+                    limit: 10,
+                    search: '',
+                    status: '',
+                    enforcer_id: '',
+                    start_date: '',
+                    end_date: '',
+                    violation_type: '',
+                    repeat_offender: '',
+                    violator_name: '',
+                  });
+                }}
                 className="mobile-btn-secondary w-full hover:bg-gray-100 transition-colors duration-200"
               >
                 <Filter className="h-4 w-4 mr-2" />
@@ -1053,14 +1213,84 @@ const Violations = () => {
               </p>
             </div>
             <div className="text-sm text-gray-500">
-              {pagination?.totalRecords || 0} total violations
+              {pagination?.totalRecords !== null && pagination?.totalRecords !== undefined
+                ? `${pagination.totalRecords} total violations`
+                : 'Matching violations'}
             </div>
           </div>
         </div>
+        {/* Bulk Actions */}
+        {selectedIds.length > 0 && (
+          <div className="px-6 py-3 border-b border-primary-100 bg-primary-50 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div className="flex items-center gap-2 text-sm font-medium text-primary-800">
+              <CheckSquare className="h-4 w-4" />
+              {selectedIds.length} selected
+              <button
+                onClick={() => setSelectedIds([])}
+                className="text-primary-600 hover:text-primary-800 underline font-normal"
+              >
+                Clear
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => setBulkConfirm('issue')}
+                disabled={bulkMutation.isPending}
+                className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-blue-700 bg-white border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+              >
+                <Edit className="h-4 w-4" />
+                Issue
+              </button>
+              <button
+                onClick={() => setBulkConfirm('send_sms')}
+                disabled={bulkMutation.isPending}
+                className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-blue-700 bg-white border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+              >
+                <Send className="h-4 w-4" />
+                Send Notice
+              </button>
+              <button
+                onClick={handleBulkPrint}
+                disabled={bulkMutation.isPending}
+                className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-blue-700 bg-white border border-blue-200 rounded-lg hover:bg-blue-50 disabled:opacity-50"
+              >
+                <Printer className="h-4 w-4" />
+                Print Receipts
+              </button>
+              <button
+                onClick={() => setShowCancelDialog(true)}
+                disabled={bulkMutation.isPending}
+                className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-amber-700 bg-white border border-amber-200 rounded-lg hover:bg-amber-50 disabled:opacity-50"
+              >
+                <Ban className="h-4 w-4" />
+                Cancel
+              </button>
+              <button
+                onClick={() => setBulkConfirm('delete')}
+                disabled={bulkMutation.isPending}
+                className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-red-700 bg-white border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+              >
+                <Trash2 className="h-4 w-4" />
+                Delete
+              </button>
+              {bulkMutation.isPending && <LoadingSpinner size="sm" />}
+            </div>
+          </div>
+        )}
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
+                <th className="pl-4 pr-2 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={toggleSelectAll}
+                    disabled={!violations?.length}
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    aria-label="Select all violations on this page"
+                  />
+                </th>
                 <th className="px-2 sm:px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Violation #
                 </th>
@@ -1095,7 +1325,16 @@ const Violations = () => {
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
               {violations?.map((violation) => (
-                <tr key={violation.id} className="hover:bg-gray-50">
+                <tr key={violation.id} className={selectedIds.includes(violation.id) ? 'bg-primary-50' : 'hover:bg-gray-50'}>
+                  <td className="pl-4 pr-2 py-4">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(violation.id)}
+                      onChange={() => toggleSelected(violation.id)}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      aria-label={`Select violation ${violation.violation_number}`}
+                    />
+                  </td>
                   <td className="px-2 sm:px-3 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                     {violation.violation_number}
                   </td>
@@ -1139,6 +1378,19 @@ const Violations = () => {
                   <td className="px-2 sm:px-3 py-4 whitespace-nowrap text-sm text-gray-900">{violation.violation_type}</td>
                   <td className="px-2 sm:px-3 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                     ₱{violation.fine_amount?.toLocaleString()}
+                    {violation.offense_tier_label && (
+                      <div className="text-xs font-normal text-gray-500">{violation.offense_tier_label}</div>
+                    )}
+                    {violation.surcharge_total > 0 && (
+                      <div className="text-xs font-normal text-red-600">
+                        Due ₱{violation.amount_due?.toLocaleString()} (incl. ₱{violation.surcharge_total.toLocaleString()} late)
+                      </div>
+                    )}
+                    {violation.amount_paid > 0 && violation.balance > 0 && (
+                      <div className="text-xs font-normal text-green-700">
+                        Paid ₱{violation.amount_paid.toLocaleString()} · Balance ₱{violation.balance.toLocaleString()}
+                      </div>
+                    )}
                   </td>
                   <td className="px-2 sm:px-3 py-4 whitespace-nowrap">
                     <StatusBadge status={violation.status} />
@@ -1173,10 +1425,17 @@ const Violations = () => {
                       >
                         <Edit className="h-4 w-4" />
                       </button>
+                      <button
+                        onClick={() => setPaymentsViolation(violation)}
+                        className="text-green-600 hover:text-green-900 p-1 rounded-md hover:bg-green-50 transition-colors"
+                        title="Payments"
+                      >
+                        <CreditCard className="h-4 w-4" />
+                      </button>
                       <button
                         onClick={() => handlePrintReceipt(violation)}
                         className="text-blue-600 hover:text-blue-900 p-1 rounded-md hover:bg-blue-50 transition-colors"
-                        title="Print Receipt"
+                        title="Print Citation"
                       >
                         <Printer className="h-4 w-4" />
                       </button>
@@ -1212,28 +1471,34 @@ const Violations = () => {
         </div>
 
         {/* Pagination */}
-        {pagination && pagination.total > 1 && (
+        {pagination && (pagination.hasMore || cursorHistory.length > 0) && (
           <div className="px-6 py-4 border-t border-gray-100 bg-gradient-to-r from-gray-50 to-white">
             <div className="flex items-center justify-between">
               <div className="text-sm text-gray-600">
-                Showing <span className="font-medium text-gray-900">{((pagination.current - 1) * filters.limit) + 1}</span> to{' '}
-                <span className="font-medium text-gray-900">{Math.min(pagination.current * filters.limit, pagination.totalRecords)}</span> of{' '}
-                <span className="font-medium text-gray-900">{pagination.totalRecords}</span> results
+                Showing <span className="font-medium text-gray-900">{pageStart}</span> to{' '}
+                <span className="font-medium text-gray-900">{pageEnd}</span>
+                {pagination.totalRecords !== null && pagination.totalRecords !== undefined && (
+                  <>
+                    {' '}of <span className="font-medium text-gray-900">{pagination.totalRecords}</span>
+                  </>
+                )}{' '}
+                results
               </div>
               <div className="flex items-center space-x-2">
                 <button
-                  onClick={() => handlePageChange(pagination.current - 1)}
-                  disabled={pagination.current === 1}
+                  onClick={handlePreviousPage}
+                  disabled={cursorHistory.length === 0}
                   className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-white transition-colors duration-200"
                 >
                   Previous
                 </button>
                 <div className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-lg">
-                  Page {pagination.current} of {pagination.total}
+                  Page {currentPage}
+                  {pagination.totalRecords ? ` of ${Math.max(1, Math.ceil(pagination.totalRecords / filters.limit))}` : ''}
                 </div>
                 <button
-                  onClick={() => handlePageChange(pagination.current + 1)}
-                  disabled={pagination.current === pagination.total}
+                  onClick={handleNextPage}
+                  disabled={!pagination.hasMore}
                   className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-white transition-colors duration-200"
                 >
                   Next
@@ -1267,9 +1532,36 @@ const Violations = () => {
                 <div className="text-sm text-gray-700 space-y-2">
                   <p><span className="font-medium text-gray-900">Number:</span> {editingViolation.violation_number}</p>
                   <p><span className="font-medium text-gray-900">Type:</span> {editingViolation.violation_type}</p>
-                  <p><span className="font-medium text-gray-900">Violator:</span> {editingViolation.violator_name}</p>
-                  <p><span className="font-medium text-gray-900">Fine:</span> ₱{editingViolation.fine_amount?.toLocaleString()}</p>
+                  <p>
+                    <span className="font-medium text-gray-900">Violator:</span>{' '}
+                    {editingViolation.violator_id ? (
+                      <Link to={`/violators/${encodeURIComponent(editingViolation.violator_id)}`} className="text-primary-600 hover:text-primary-800">
+                        {editingViolation.violator_name}
+                      </Link>
+                    ) : editingViolation.violator_name}
+                  </p>
+                  {editingViolation.vehicle_plate && (
+                    <p>
+                      <span className="font-medium text-gray-900">Vehicle:</span>{' '}
+                      {editingViolation.vehicle_id ? (
+                        <Link to={`/vehicles/${encodeURIComponent(editingViolation.vehicle_id)}`} className="text-primary-600 hover:text-primary-800">
+                          {editingViolation.vehicle_plate}
+                        </Link>
+                      ) : editingViolation.vehicle_plate}
+                    </p>
+                  )}
+                  <p>
+                    <span className="font-medium text-gray-900">Fine:</span> ₱{editingViolation.fine_amount?.toLocaleString()}
+                    {editingViolation.offense_tier_label && ` (${editingViolation.offense_tier_label})`}
+                  </p>
                   <p><span className="font-medium text-gray-900">Location:</span> {editingViolation.location}</p>
+                  {editingViolation.geopoint && (
+                    <p>
+                      <span className="font-medium text-gray-900">Coordinates:</span>{' '}
+                      {Number(editingViolation.geopoint.latitude ?? editingViolation.geopoint._latitude).toFixed(6)},{' '}
+                      {Number(editingViolation.geopoint.longitude ?? editingViolation.geopoint._longitude).toFixed(6)}
+                    </p>
+                  )}
                   {editingViolation.violator_phone && (
                     <p><span className="font-medium text-gray-900">Phone:</span> {editingViolation.violator_phone}</p>
                   )}
@@ -1284,23 +1576,24 @@ const Violations = () => {
                   name="status"
                   defaultValue={editingViolation.status}
                   required
-                  disabled={editingViolation.status === 'paid'}
+                  disabled={isFinalStatus}
                   onChange={(e) => setSelectedStatus(e.target.value)}
                   className={`mobile-select w-full focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors duration-200 ${formErrors.status ? 'border-red-300 bg-red-50' : 'border-gray-300 bg-white'
-                    } ${editingViolation.status === 'paid' ? 'bg-gray-100 cursor-not-allowed opacity-75' : ''}`}
+                    } ${isFinalStatus ? 'bg-gray-100 cursor-not-allowed opacity-75' : ''}`}
                 >
-                  <option value="pending">Pending</option>
-                  <option value="issued">Issued</option>
-                  <option value="paid">Paid</option>
-                  <option value="disputed">Disputed</option>
-                  <option value="cancelled">Cancelled</option>
+                  {/* Only the current status and the transitions the server allows for this user */}
+                  {[editingViolation.status, ...(editingViolation.allowed_transitions || [])].map(status => (
+                    <option key={status} value={status}>{STATUS_LABELS[status] || status}</option>
+                  ))}
                 </select>
-                {editingViolation.status === 'paid' && (
+                {isFinalStatus && (
                   <p className="mt-2 text-sm text-amber-600 flex items-center gap-1">
                     <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
                     </svg>
-                    This violation has been paid and its status cannot be changed
+                    {editingViolation.status === 'paid'
+                      ? 'This violation has been paid and its status cannot be changed'
+                      : `This violation is ${STATUS_LABELS[editingViolation.status]?.toLowerCase() || editingViolation.status} and its status cannot be changed`}
                   </p>
                 )}
                 {formErrors.status && (
@@ -1313,8 +1606,8 @@ const Violations = () => {
                 )}
               </div>
 
-              {/* Payment Confirmation Info - Only show when status is 'paid' or being changed to 'paid' */}
-              {(editingViolation.status === 'paid' || selectedStatus === 'paid') && editingViolation.violator_phone && (
+              {/* Payment Info - Violations are marked paid by recording payments, not from this form */}
+              {PAYABLE_STATUSES.includes(editingViolation.status) && (
                 <div className="bg-green-50 p-4 rounded-lg border border-green-200">
                   <div className="flex items-start">
                     <div className="flex-shrink-0">
@@ -1324,10 +1617,11 @@ const Violations = () => {
                     </div>
                     <div className="ml-3 text-sm">
                       <p className="font-medium text-green-800">
-                        Payment Confirmation SMS
+                        Recording Payments
                       </p>
                       <p className="text-green-700 mt-1">
-                        A payment confirmation SMS will be automatically sent to the violator when you update the status to "Paid".
+                        Use the Payments button to record payments. The violation is marked "Paid" automatically once the balance is settled
+                        {editingViolation.violator_phone ? ', and a payment confirmation SMS is sent to the violator.' : '.'}
                       </p>
                     </div>
                   </div>
@@ -1355,6 +1649,29 @@ const Violations = () => {
                 </div>
               )}
 
+              {selectedStatus && selectedStatus !== editingViolation.status && (
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Reason for Status Change
+                  </label>
+                  <input
+                    type="text"
+                    name="status_reason"
+                    maxLength={500}
+                    placeholder="Why is the status changing?"
+                    className={`mobile-input w-full focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors duration-200 ${formErrors.status_reason ? 'border-red-300 bg-red-50' : 'border-gray-300 bg-white'
+                      }`}
+                  />
+                  {formErrors.status_reason && (
+                    <p className="mt-2 text-sm text-red-600">{formErrors.status_reason}</p>
+                  )}
+                </div>
+              )}
+
+              <EvidencePhotos violationId={editingViolation.id} />
+
+              <StatusHistory violationId={editingViolation.id} />
+
               <div>
                 <label className="block text-sm font-semibold text-gray-700 mb-2">
                   Administrative Notes
@@ -1413,6 +1730,13 @@ const Violations = () => {
         </div>
       )}
 
+      {paymentsViolation && (
+        <PaymentsModal
+          violation={paymentsViolation}
+          onClose={() => setPaymentsViolation(null)}
+        />
+      )}
+
       {/* Delete Confirmation Dialog */}
       <ConfirmationDialog
         isOpen={deleteDialog.isOpen}
@@ -1426,17 +1750,633 @@ const Violations = () => {
         isLoading={deleteViolationMutation.isPending}
         confirmButtonColor="red"
       />
+
+      {/* Bulk Action Confirmation */}
+      <ConfirmationDialog
+        isOpen={!!bulkConfirm}
+        onClose={() => setBulkConfirm(null)}
+        onConfirm={confirmBulkAction}
+        title={bulkConfirm ? BULK_CONFIRMATIONS[bulkConfirm].title : ''}
+        message={bulkConfirm ? BULK_CONFIRMATIONS[bulkConfirm].message(selectedIds.length) : ''}
+        confirmText={bulkConfirm ? BULK_CONFIRMATIONS[bulkConfirm].confirmText : 'Confirm'}
+        cancelText="Back"
+        type={bulkConfirm ? BULK_CONFIRMATIONS[bulkConfirm].type : 'warning'}
+        confirmButtonColor={bulkConfirm ? BULK_CONFIRMATIONS[bulkConfirm].color : 'red'}
+      />
+
+      {/* Bulk Cancel Modal */}
+      {showCancelDialog && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm p-4">
+          <div className="bg-white rounded-2xl border border-gray-100 shadow-2xl mobile-modal overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-100">
+              <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+                <Ban className="h-5 w-5 text-amber-600" />
+                Cancel {selectedIds.length} Violation(s)
+              </h2>
+              <p className="text-sm text-gray-600 mt-1">The reason is kept in each violation's status history</p>
+            </div>
+            <form onSubmit={handleBulkCancel} className="mobile-card space-y-4">
+              <textarea
+                value={cancelReason}
+                onChange={(e) => setCancelReason(e.target.value)}
+                rows={3}
+                maxLength={500}
+                required
+                placeholder="Reason for cancelling"
+                className="mobile-input w-full"
+              />
+              <div className="flex gap-3">
+                <button
+                  type="submit"
+                  disabled={bulkMutation.isPending || !cancelReason.trim()}
+                  className="mobile-btn-primary flex-1 disabled:opacity-50"
+                >
+                  {bulkMutation.isPending ? <LoadingSpinner size="sm" /> : 'Cancel Violations'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowCancelDialog(false);
+                    setCancelReason('');
+                  }}
+                  className="mobile-btn-secondary flex-1"
+                >
+                  Back
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Bulk Action Results */}
+      {bulkResults && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm p-4">
+          <div className="bg-white rounded-2xl border border-gray-100 shadow-2xl mobile-modal overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-100">
+              <h2 className="text-xl font-bold text-gray-900">{BULK_ACTION_LABELS[bulkResults.action]}</h2>
+              <p className="text-sm text-gray-600 mt-1">
+                {bulkResults.summary.succeeded} of {bulkResults.summary.requested} violation(s) done. The ones below were left as they were and are still selected.
+              </p>
+            </div>
+            <ul className="divide-y divide-gray-100 max-h-80 overflow-y-auto">
+              {bulkResults.failed.map(result => (
+                <li key={result.id} className="px-6 py-3 text-sm">
+                  <span className="font-medium text-gray-900">{result.violation_number || result.id}</span>
+                  <span className="text-red-600"> — {result.error}</span>
+                </li>
+              ))}
+            </ul>
+            <div className="px-6 py-4 border-t border-gray-100">
+              <button onClick={() => setBulkResults(null)} className="mobile-btn-secondary w-full">
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  issued: 'Issued',
+  paid: 'Paid',
+  disputed: 'Disputed',
+  cancelled: 'Cancelled',
+};
+
+const StatusHistory = ({ violationId }) => {
+  const { data, isLoading } = useQuery({
+    queryKey: ['violationStatusHistory', violationId],
+    queryFn: () => violationsAPI.getStatusHistory(violationId),
+  });
+
+  const history = data?.data?.data || [];
+
+  return (
+    <div>
+      <h3 className="block text-sm font-semibold text-gray-700 mb-2">Status History</h3>
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : history.length === 0 ? (
+        <p className="text-sm text-gray-500">No status changes recorded</p>
+      ) : (
+        <ol className="space-y-2 max-h-40 overflow-y-auto">
+          {history.map(entry => {
+            const changedAt = parseDisplayDate(entry.created_at);
+            return (
+              <li key={entry.id} className="text-sm text-gray-700 border-l-2 border-primary-200 pl-3">
+                <p>
+                  {entry.from_status ? `${STATUS_LABELS[entry.from_status] || entry.from_status} → ` : ''}
+                  <span className="font-medium">{STATUS_LABELS[entry.to_status] || entry.to_status}</span>
+                  {' '}by {entry.user_id?.startsWith('system:') ? 'System' : entry.user_name || entry.user_id}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatPhilippineDate(changedAt)} {formatPhilippineTime(changedAt)}
+                  {entry.reason ? ` — ${entry.reason}` : ''}
+                </p>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+// Loads a photo through the API (it needs the auth header) and shows it from an object URL
+const useObjectUrl = (violationId, photoId, thumbnail) => {
+  const { data: blob } = useQuery({
+    queryKey: ['violationPhotoFile', violationId, photoId, thumbnail],
+    queryFn: () => violationsAPI.getPhotoFile(violationId, photoId, thumbnail).then(response => response.data),
+    staleTime: Infinity,
+  });
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!blob) return undefined;
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+
+  return url;
+};
+
+const PhotoThumbnail = ({ violationId, photo, onOpen, onDelete, isDeleting }) => {
+  const url = useObjectUrl(violationId, photo.id, true);
+
+  return (
+    <div className="relative group aspect-square bg-gray-100 rounded-lg overflow-hidden border border-gray-200">
+      {url ? (
+        <button type="button" onClick={onOpen} className="w-full h-full" title={`Uploaded by ${photo.uploaded_by_name}`}>
+          <img src={url} alt={photo.original_name || 'Evidence photo'} className="w-full h-full object-cover" />
+        </button>
+      ) : (
+        <div className="w-full h-full flex items-center justify-center">
+          <LoadingSpinner size="sm" />
+        </div>
+      )}
+      <button
+        type="button"
+        onClick={onDelete}
+        disabled={isDeleting}
+        className="absolute top-1 right-1 p-1 rounded-full bg-white/90 text-red-600 opacity-0 group-hover:opacity-100 hover:bg-white disabled:opacity-50 transition-opacity"
+        title="Delete photo"
+      >
+        <Trash2 className="h-3 w-3" />
+      </button>
+    </div>
+  );
+};
+
+const PhotoViewer = ({ violationId, photo, onClose }) => {
+  const url = useObjectUrl(violationId, photo.id, false);
+  const uploadedAt = parseDisplayDate(photo.uploaded_at);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-[60] p-4" onClick={onClose}>
+      <div className="max-w-4xl w-full space-y-2" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-end">
+          <button type="button" onClick={onClose} className="p-2 text-white hover:text-gray-300" title="Close">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+        {url ? (
+          <img src={url} alt={photo.original_name || 'Evidence photo'} className="max-h-[75vh] mx-auto rounded-lg" />
+        ) : (
+          <div className="h-64 flex items-center justify-center">
+            <LoadingSpinner size="lg" />
+          </div>
+        )}
+        <p className="text-xs text-gray-300 text-center">
+          {photo.width}×{photo.height} · {(photo.size / 1024).toFixed(0)} KB · {photo.uploaded_by_name}
+          {' · '}{formatPhilippineDate(uploadedAt)} {formatPhilippineTime(uploadedAt)}
+        </p>
+        <p className="text-[10px] text-gray-400 text-center font-mono break-all">SHA-256 {photo.sha256}</p>
+      </div>
+    </div>
+  );
+};
+
+const ACCEPTED_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const EvidencePhotos = ({ violationId }) => {
+  const queryClient = useQueryClient();
+  const fileInputRef = useRef(null);
+  const [viewingPhoto, setViewingPhoto] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['violationPhotos', violationId],
+    queryFn: () => violationsAPI.getPhotos(violationId),
+  });
+
+  const photos = data?.data?.data?.photos || [];
+  const maxPhotos = data?.data?.data?.max_photos || 0;
+
+  const uploadMutation = useMutation({
+    mutationFn: (files) => violationsAPI.uploadPhotos(violationId, files),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['violationPhotos', violationId]);
+      toast.success(response.data.message || 'Photos uploaded');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to upload photos');
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (photoId) => violationsAPI.deletePhoto(violationId, photoId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['violationPhotos', violationId]);
+      toast.success('Photo deleted');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Failed to delete photo');
+    }
+  });
+
+  const handleFilesSelected = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    if (files.some(file => !ACCEPTED_PHOTO_TYPES.includes(file.type))) {
+      toast.error('Photos must be JPEG, PNG or WebP images');
+      return;
+    }
+    if (photos.length + files.length > maxPhotos) {
+      toast.error(`A violation can have at most ${maxPhotos} photos`);
+      return;
+    }
+    uploadMutation.mutate(files);
+  };
+
+  const handleDelete = (photo) => {
+    if (window.confirm('Delete this evidence photo? This cannot be undone.')) {
+      deleteMutation.mutate(photo.id);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="block text-sm font-semibold text-gray-700">
+          Evidence Photos {maxPhotos > 0 && <span className="font-normal text-gray-500">({photos.length}/{maxPhotos})</span>}
+        </h3>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={uploadMutation.isPending || (maxPhotos > 0 && photos.length >= maxPhotos)}
+          className="flex items-center gap-1 px-3 py-1 text-xs font-medium text-primary-700 bg-primary-50 border border-primary-200 rounded-lg hover:bg-primary-100 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {uploadMutation.isPending ? <LoadingSpinner size="sm" /> : <ImagePlus className="h-3 w-3" />}
+          Add Photos
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_PHOTO_TYPES.join(',')}
+          multiple
+          onChange={handleFilesSelected}
+          className="hidden"
+        />
+      </div>
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading photos...</p>
+      ) : photos.length === 0 ? (
+        <p className="text-sm text-gray-500">No photos attached</p>
+      ) : (
+        <div className="grid grid-cols-3 sm:grid-cols-5 gap-2">
+          {photos.map(photo => (
+            <PhotoThumbnail
+              key={photo.id}
+              violationId={violationId}
+              photo={photo}
+              onOpen={() => setViewingPhoto(photo)}
+              onDelete={() => handleDelete(photo)}
+              isDeleting={deleteMutation.isPending}
+            />
+          ))}
+        </div>
+      )}
+      {viewingPhoto && (
+        <PhotoViewer violationId={violationId} photo={viewingPhoto} onClose={() => setViewingPhoto(null)} />
+      )}
+    </div>
+  );
+};
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  gcash: 'GCash',
+  maya: 'Maya',
+  card: 'Card',
+  bank: 'Bank Transfer',
+};
+
+const PAYABLE_STATUSES = ['pending', 'issued'];
+
+const PaymentsModal = ({ violation, onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({ amount: '', method: 'cash', reference_number: '', notes: '' });
+  const [formErrors, setFormErrors] = useState({});
+  // Void or refund being confirmed: { type, payment, amount, reason }
+  const [action, setAction] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['violationPayments', violation.id],
+    queryFn: () => violationsAPI.getPayments(violation.id),
+  });
+
+  const payments = data?.data?.data?.payments || [];
+  const summary = data?.data?.data?.summary;
+  const canRecordPayment = !!summary && PAYABLE_STATUSES.includes(summary.status) && summary.balance > 0;
+
+  // Default the amount to the outstanding balance
+  useEffect(() => {
+    if (summary) {
+      setForm(prev => ({ ...prev, amount: prev.amount === '' ? String(summary.balance) : prev.amount }));
+    }
+  }, [summary]);
+
+  const onPaymentChange = (response) => {
+    queryClient.invalidateQueries(['violations']);
+    queryClient.invalidateQueries(['violationPayments', violation.id]);
+    queryClient.invalidateQueries(['violationStatusHistory', violation.id]);
+    queryClient.invalidateQueries(['adminDashboard']);
+    queryClient.invalidateQueries(['violationStats']);
+    toast.success(response.data?.message || 'Payment updated');
+  };
+
+  const onPaymentError = (error) => {
+    if (error.response?.data?.details) {
+      const errors = {};
+      error.response.data.details.forEach(detail => {
+        errors[detail.param || detail.path] = detail.msg;
+      });
+      setFormErrors(errors);
+    } else {
+      toast.error(error.response?.data?.error || 'Failed to update payment');
+    }
+  };
+
+  const recordPaymentMutation = useMutation({
+    mutationFn: (paymentData) => violationsAPI.recordPayment(violation.id, paymentData),
+    onSuccess: (response) => {
+      setForm({ amount: '', method: 'cash', reference_number: '', notes: '' });
+      setFormErrors({});
+      onPaymentChange(response);
+    },
+    onError: onPaymentError
+  });
+
+  const paymentActionMutation = useMutation({
+    mutationFn: ({ type, payment, amount, reason }) => (type === 'refund'
+      ? violationsAPI.refundPayment(violation.id, payment.id, { amount: parseFloat(amount), reason })
+      : violationsAPI.voidPayment(violation.id, payment.id, { reason })),
+    onSuccess: (response) => {
+      setAction(null);
+      setFormErrors({});
+      onPaymentChange(response);
+    },
+    onError: onPaymentError
+  });
+
+  const handleRecordPayment = (e) => {
+    e.preventDefault();
+    recordPaymentMutation.mutate({
+      amount: parseFloat(form.amount),
+      method: form.method,
+      reference_number: form.reference_number || undefined,
+      notes: form.notes || undefined
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl border border-gray-100 shadow-2xl mobile-modal overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100 bg-gradient-to-r from-green-50 to-emerald-50">
+          <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+            <CreditCard className="h-5 w-5 text-green-600" />
+            Payments
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {violation.violation_number} · {violation.violator_name}
+          </p>
+        </div>
+
+        <div className="mobile-card space-y-6">
+          {isLoading || !summary ? (
+            <p className="text-sm text-gray-500">Loading payments...</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-3 gap-3 text-center">
+                <div className="bg-gray-50 rounded-xl border border-gray-200 p-3">
+                  <p className="text-xs text-gray-500">Amount Due</p>
+                  <p className="text-lg font-semibold text-gray-900">₱{summary.amount_due.toLocaleString()}</p>
+                </div>
+                <div className="bg-gray-50 rounded-xl border border-gray-200 p-3">
+                  <p className="text-xs text-gray-500">Paid</p>
+                  <p className="text-lg font-semibold text-green-700">₱{summary.amount_paid.toLocaleString()}</p>
+                </div>
+                <div className="bg-gray-50 rounded-xl border border-gray-200 p-3">
+                  <p className="text-xs text-gray-500">Balance</p>
+                  <p className={`text-lg font-semibold ${summary.balance > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                    ₱{summary.balance.toLocaleString()}
+                  </p>
+                </div>
+              </div>
+
+              <div>
+                <h3 className="block text-sm font-semibold text-gray-700 mb-2">Official Receipts</h3>
+                {payments.length === 0 ? (
+                  <p className="text-sm text-gray-500">No payments recorded</p>
+                ) : (
+                  <ul className="space-y-2 max-h-56 overflow-y-auto">
+                    {payments.map(payment => {
+                      const paidAt = parseDisplayDate(payment.paid_at);
+                      const isVoided = payment.status === 'voided';
+                      const refundable = payment.amount - (payment.refunded_amount || 0);
+                      return (
+                        <li key={payment.id} className={`text-sm border rounded-lg p-3 ${isVoided ? 'border-gray-200 bg-gray-50 text-gray-400' : 'border-gray-200 text-gray-700'}`}>
+                          <div className="flex items-start justify-between gap-2">
+                            <div>
+                              <p className={`font-medium ${isVoided ? 'line-through' : 'text-gray-900'}`}>
+                                {payment.or_number} · {payment.type === 'refund' ? `Refund of ${payment.refund_of_or_number}` : PAYMENT_METHOD_LABELS[payment.method] || payment.method}
+                                {' '}· ₱{payment.amount.toLocaleString()}
+                              </p>
+                              <p className="text-xs text-gray-500">
+                                {formatPhilippineDate(paidAt)} {formatPhilippineTime(paidAt)} by {payment.cashier_name}
+                                {payment.reference_number ? ` · Ref ${payment.reference_number}` : ''}
+                                {payment.notes ? ` — ${payment.notes}` : ''}
+                              </p>
+                              {payment.refunded_amount > 0 && (
+                                <p className="text-xs text-amber-600">Refunded ₱{payment.refunded_amount.toLocaleString()}</p>
+                              )}
+                              {isVoided && (
+                                <p className="text-xs text-red-500">Voided{payment.void_reason ? `: ${payment.void_reason}` : ''}</p>
+                              )}
+                            </div>
+                            {!isVoided && (
+                              <div className="flex gap-2 flex-shrink-0">
+                                {payment.type === 'payment' && refundable > 0 && (
+                                  <button
+                                    type="button"
+                                    onClick={() => setAction({ type: 'refund', payment, amount: String(refundable), reason: '' })}
+                                    className="text-xs text-amber-600 hover:text-amber-800"
+                                  >
+                                    Refund
+                                  </button>
+                                )}
+                                <button
+                                  type="button"
+                                  onClick={() => setAction({ type: 'void', payment, amount: '', reason: '' })}
+                                  className="text-xs text-red-600 hover:text-red-800"
+                                >
+                                  Void
+                                </button>
+                              </div>
+                            )}
+                          </div>
+
+                          {action?.payment.id === payment.id && (
+                            <div className="mt-3 space-y-2">
+                              {action.type === 'refund' && (
+                                <input
+                                  type="number"
+                                  min="0.01"
+                                  step="0.01"
+                                  value={action.amount}
+                                  onChange={(e) => setAction(prev => ({ ...prev, amount: e.target.value }))}
+                                  placeholder="Refund amount"
+                                  className="mobile-input w-full border-gray-300 bg-white"
+                                />
+                              )}
+                              <input
+                                type="text"
+                                maxLength={500}
+                                value={action.reason}
+                                onChange={(e) => setAction(prev => ({ ...prev, reason: e.target.value }))}
+                                placeholder={action.type === 'refund' ? 'Reason for the refund' : 'Reason for voiding this receipt'}
+                                className="mobile-input w-full border-gray-300 bg-white"
+                              />
+                              {(formErrors.reason || formErrors.amount) && (
+                                <p className="text-xs text-red-600">{formErrors.reason || formErrors.amount}</p>
+                              )}
+                              <div className="flex gap-2">
+                                <button
+                                  type="button"
+                                  disabled={paymentActionMutation.isPending}
+                                  onClick={() => paymentActionMutation.mutate(action)}
+                                  className="mobile-btn-primary flex-1"
+                                >
+                                  {action.type === 'refund' ? 'Confirm Refund' : 'Confirm Void'}
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => { setAction(null); setFormErrors({}); }}
+                                  className="mobile-btn-secondary flex-1"
+                                >
+                                  Cancel
+                                </button>
+                              </div>
+                            </div>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </div>
+
+              {canRecordPayment && (
+                <form onSubmit={handleRecordPayment} className="space-y-4 border-t border-gray-100 pt-4">
+                  <h3 className="block text-sm font-semibold text-gray-700">Record Payment</h3>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Amount (₱) *</label>
+                      <input
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        max={summary.balance}
+                        required
+                        value={form.amount}
+                        onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+                        className={`mobile-input w-full ${!action && formErrors.amount ? 'border-red-300 bg-red-50' : 'border-gray-300 bg-white'}`}
+                      />
+                      {!action && formErrors.amount && <p className="mt-1 text-xs text-red-600">{formErrors.amount}</p>}
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Method *</label>
+                      <select
+                        value={form.method}
+                        onChange={(e) => setForm(prev => ({ ...prev, method: e.target.value }))}
+                        className="mobile-select w-full border-gray-300 bg-white"
+                      >
+                        {Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  {form.method !== 'cash' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Reference Number *</label>
+                      <input
+                        type="text"
+                        required
+                        value={form.reference_number}
+                        onChange={(e) => setForm(prev => ({ ...prev, reference_number: e.target.value }))}
+                        placeholder={form.method === 'bank' ? 'Bank transaction reference' : `${PAYMENT_METHOD_LABELS[form.method]} reference number`}
+                        className={`mobile-input w-full ${formErrors.reference_number ? 'border-red-300 bg-red-50' : 'border-gray-300 bg-white'}`}
+                      />
+                      {formErrors.reference_number && <p className="mt-1 text-xs text-red-600">{formErrors.reference_number}</p>}
+                    </div>
+                  )}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                    <input
+                      type="text"
+                      maxLength={500}
+                      value={form.notes}
+                      onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+                      className="mobile-input w-full border-gray-300 bg-white"
+                    />
+                  </div>
+                  <button
+                    type="submit"
+                    disabled={recordPaymentMutation.isPending}
+                    className="mobile-btn-primary w-full"
+                  >
+                    {recordPaymentMutation.isPending ? 'Recording...' : 'Record Payment & Issue OR'}
+                  </button>
+                </form>
+              )}
+            </>
+          )}
+
+          <div className="mobile-button-group pt-4 border-t border-gray-100">
+            <button type="button" onClick={onClose} className="mobile-btn-secondary flex-1">
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
     </div>
   );
 };
 
 const StatusBadge = ({ status }) => {
   const statusConfig = {
-    pending: { color: 'warning', text: 'Pending' },
-    issued: { color: 'info', text: 'Issued' },
-    paid: { color: 'success', text: 'Paid' },
-    disputed: { color: 'danger', text: 'Disputed' },
-    cancelled: { color: 'secondary', text: 'Cancelled' },
+    pending: { color: 'warning', text: STATUS_LABELS.pending },
+    issued: { color: 'info', text: STATUS_LABELS.issued },
+    paid: { color: 'success', text: STATUS_LABELS.paid },
+    disputed: { color: 'danger', text: STATUS_LABELS.disputed },
+    cancelled: { color: 'secondary', text: STATUS_LABELS.cancelled },
   };
 
   const config = statusConfig[status] || statusConfig.pending;
@@ -0,0 +1,315 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link, useParams } from 'react-router-dom';
+import { violatorsAPI } from '../../services/api';
+import { ArrowLeft, Contact, Pencil, Phone, MapPin } from 'lucide-react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../../components/LoadingSpinner';
+
+/**
+ * Parse various date formats for display, including Firebase Timestamp
+ * @param {any} dateValue - The date value from the database
+ * @returns {string} - Formatted date string or '-'
+ */
+const formatDisplayDate = (dateValue) => {
+  if (!dateValue) return '-';
+
+  let date;
+  if (dateValue?.seconds || dateValue?._seconds) {
+    date = new Date((dateValue.seconds || dateValue._seconds) * 1000);
+  } else {
+    date = new Date(dateValue);
+  }
+
+  return isNaN(date.getTime()) ? '-' : date.toLocaleDateString();
+};
+
+const formatAmount = (amount) => `₱${(Number(amount) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const STATUS_BADGES = {
+  pending: { label: 'Pending', className: 'badge-warning' },
+  issued: { label: 'Issued', className: 'badge-info' },
+  paid: { label: 'Paid', className: 'badge-success' },
+  disputed: { label: 'Disputed', className: 'badge-danger' },
+  cancelled: { label: 'Cancelled', className: 'badge-secondary' },
+};
+
+const DEMERIT_LABELS = {
+  warning: 'Warning',
+  suspension: 'For suspension',
+  revocation: 'For revocation',
+};
+
+const DEMERIT_STYLES = {
+  warning: 'bg-yellow-50 border-yellow-200',
+  suspension: 'bg-red-50 border-red-200',
+  revocation: 'bg-red-100 border-red-300',
+};
+
+const ViolatorProfile = () => {
+  const { id } = useParams();
+  const [showEditModal, setShowEditModal] = useState(false);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['violator', id],
+    queryFn: () => violatorsAPI.getViolator(id),
+  });
+
+  const profile = data?.data?.data;
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error || !profile) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-600">{error?.response?.status === 404 ? 'Violator not found' : 'Failed to load violator'}</p>
+        <Link to="/violators" className="text-sm text-primary-600 hover:text-primary-800">Back to violators</Link>
+      </div>
+    );
+  }
+
+  const { violator, violations, summary, demerits } = profile;
+
+  return (
+    <div className="space-y-6">
+      <Link to="/violators" className="inline-flex items-center gap-2 text-sm text-gray-600 hover:text-gray-900">
+        <ArrowLeft className="h-4 w-4" />
+        Violators
+      </Link>
+
+      {violator.merged_into && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg px-4 py-3 text-sm text-yellow-800">
+          This profile was merged as a duplicate. Its violations and new tickets under this license are on{' '}
+          <Link to={`/violators/${encodeURIComponent(violator.merged_into)}`} className="font-medium underline">
+            the surviving profile
+          </Link>.
+        </div>
+      )}
+
+      {/* Profile */}
+      <div className="border border-gray-200 rounded-lg p-6 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+        <div className="flex items-start gap-4">
+          <div className="p-2 bg-primary-100 rounded-lg">
+            <Contact className="h-6 w-6 text-primary-600" />
+          </div>
+          <div className="space-y-1">
+            <h1 className="text-2xl font-bold text-gray-900">{violator.full_name || 'Unnamed'}</h1>
+            <p className="text-sm font-mono text-gray-700">License {violator.license_number}</p>
+            <p className="text-sm text-gray-600 flex items-center gap-2">
+              <Phone className="h-4 w-4" />{violator.phone || 'No phone number'}
+            </p>
+            <p className="text-sm text-gray-600 flex items-center gap-2">
+              <MapPin className="h-4 w-4" />{violator.address || 'No address'}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={() => setShowEditModal(true)}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+        >
+          <Pencil className="h-4 w-4" />
+          <span>Edit Contact Details</span>
+        </button>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-white rounded-lg border border-gray-200 p-4">
+          <p className="text-xs font-medium text-gray-500 uppercase">Violations</p>
+          <p className="text-2xl font-bold text-gray-900">{summary.total_violations}</p>
+        </div>
+        <div className="bg-white rounded-lg border border-gray-200 p-4">
+          <p className="text-xs font-medium text-gray-500 uppercase">Unsettled</p>
+          <p className="text-2xl font-bold text-gray-900">{summary.unsettled_violations}</p>
+        </div>
+        <div className="bg-white rounded-lg border border-gray-200 p-4">
+          <p className="text-xs font-medium text-gray-500 uppercase">Total Paid</p>
+          <p className="text-2xl font-bold text-gray-900">{formatAmount(summary.total_paid)}</p>
+        </div>
+        <div className={`rounded-lg border p-4 ${summary.outstanding_balance > 0 ? 'bg-red-50 border-red-200' : 'bg-white border-gray-200'}`}>
+          <p className="text-xs font-medium text-gray-500 uppercase">Outstanding Balance</p>
+          <p className={`text-2xl font-bold ${summary.outstanding_balance > 0 ? 'text-red-700' : 'text-gray-900'}`}>{formatAmount(summary.outstanding_balance)}</p>
+        </div>
+      </div>
+
+      {/* Demerit Points */}
+      {demerits && (
+        <div className={`rounded-lg border p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 ${DEMERIT_STYLES[demerits.flag] || 'bg-white border-gray-200'}`}>
+          <div>
+            <p className="text-xs font-medium text-gray-500 uppercase">Demerit Points</p>
+            <p className="text-2xl font-bold text-gray-900">
+              {demerits.points}
+              {demerits.flag && <span className="ml-2 text-sm font-semibold uppercase">{DEMERIT_LABELS[demerits.flag]}</span>}
+            </p>
+          </div>
+          <div className="text-sm text-gray-600 sm:text-right">
+            {demerits.next_threshold !== null && <p>{demerits.points_to_next} more point(s) to the next threshold ({demerits.next_threshold})</p>}
+            {demerits.next_expiry && <p>Oldest points expire {formatDisplayDate(demerits.next_expiry)}</p>}
+          </div>
+        </div>
+      )}
+
+      {/* Violation History */}
+      <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Violation History</h2>
+        </div>
+        {violations.length === 0 ? (
+          <p className="px-6 py-8 text-center text-gray-600">No violations linked to this license</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Violation</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vehicle / Location</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount Due</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {violations.map(violation => {
+                const badge = STATUS_BADGES[violation.status] || STATUS_BADGES.pending;
+                return (
+                  <tr key={violation.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-mono font-medium text-gray-900">{violation.violation_number}</div>
+                      <div className="text-xs text-gray-600">
+                        {violation.violation_type}
+                        {violation.offense_tier_label && ` (${violation.offense_tier_label})`}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{formatDisplayDate(violation.captured_at || violation.created_at)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      <div>
+                        {violation.vehicle_id ? (
+                          <Link to={`/vehicles/${encodeURIComponent(violation.vehicle_id)}`} className="text-primary-600 hover:text-primary-800">
+                            {violation.vehicle_plate}
+                          </Link>
+                        ) : violation.vehicle_plate || 'No plate'}
+                      </div>
+                      <div className="text-xs text-gray-500">{violation.location}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={badge.className}>{badge.label}</span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatAmount(violation.amount_due)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">
+                      {violation.status === 'cancelled' ? '-' : formatAmount(violation.balance)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {showEditModal && (
+        <EditContactModal violator={violator} onClose={() => setShowEditModal(false)} />
+      )}
+    </div>
+  );
+};
+
+const EditContactModal = ({ violator, onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({
+    full_name: violator.full_name || '',
+    phone: violator.phone || '',
+    address: violator.address || '',
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: (data) => violatorsAPI.updateViolator(violator.id, data),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['violator', violator.id]);
+      queryClient.invalidateQueries(['violators']);
+      queryClient.invalidateQueries(['violations']);
+      toast.success(response.data.message || 'Violator updated');
+      onClose();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to update violator');
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateMutation.mutate(form);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl border border-gray-100 shadow-2xl mobile-modal overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100 bg-gradient-to-r from-primary-50 to-blue-50">
+          <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+            <Pencil className="h-5 w-5 text-primary-600" />
+            Edit Contact Details
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">License {violator.license_number}</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="mobile-card space-y-5">
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Full Name *</label>
+            <input
+              type="text"
+              required
+              maxLength={200}
+              value={form.full_name}
+              onChange={(e) => setForm(prev => ({ ...prev, full_name: e.target.value }))}
+              className="mobile-input w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Phone</label>
+            <input
+              type="tel"
+              value={form.phone}
+              onChange={(e) => setForm(prev => ({ ...prev, phone: e.target.value }))}
+              placeholder="09XXXXXXXXX"
+              className="mobile-input w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-2">Address</label>
+            <textarea
+              rows={2}
+              maxLength={500}
+              value={form.address}
+              onChange={(e) => setForm(prev => ({ ...prev, address: e.target.value }))}
+              className="mobile-input w-full"
+            />
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Unsettled violations of this person are updated too, so notices and reminders go to the new number. Paid and cancelled violations keep the details they were recorded with.
+          </p>
+
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={onClose} className="mobile-btn-secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={updateMutation.isPending}
+              className="mobile-btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {updateMutation.isPending ? <LoadingSpinner size="sm" /> : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ViolatorProfile;
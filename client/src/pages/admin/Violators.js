@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import { violatorsAPI } from '../../services/api';
+import { Contact, Search, Phone, MapPin, Users } from 'lucide-react';
+import LoadingSpinner from '../../components/LoadingSpinner';
+
+// Violator registry: one entry per license number, linked to every violation of that person
+const Violators = () => {
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [cursor, setCursor] = useState('');
+  const [cursorHistory, setCursorHistory] = useState([]);
+
+  // Wait for the user to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setCursor('');
+      setCursorHistory([]);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['violators', search, cursor],
+    queryFn: () => violatorsAPI.getViolators({ search, limit: 20, ...(cursor && { cursor }) }),
+  });
+
+  const violators = data?.data?.data?.violators || [];
+  const pagination = data?.data?.data?.pagination;
+
+  const handleNextPage = () => {
+    if (!pagination?.nextCursor) return;
+    setCursorHistory(prev => [...prev, cursor]);
+    setCursor(pagination.nextCursor);
+  };
+
+  const handlePreviousPage = () => {
+    if (cursorHistory.length === 0) return;
+    setCursor(cursorHistory[cursorHistory.length - 1]);
+    setCursorHistory(prev => prev.slice(0, -1));
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="border border-gray-200 rounded-lg p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center gap-4">
+          <div className="p-2 bg-primary-100 rounded-lg">
+            <Contact className="h-6 w-6 text-primary-600" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Violators</h1>
+            <p className="text-sm text-gray-600 mt-1">Everyone apprehended with a driver's license, with their violation history</p>
+          </div>
+        </div>
+        <Link
+          to="/violators/duplicates"
+          className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          <Users className="h-4 w-4" />
+          <span>Review Duplicates</span>
+        </Link>
+      </div>
+
+      {/* Search */}
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search by name or license number"
+          className="mobile-input w-full pl-10"
+        />
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-64">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : error ? (
+        <div className="text-center py-12">
+          <p className="text-red-600">Failed to load violators</p>
+        </div>
+      ) : violators.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg border border-gray-200">
+          <Contact className="h-10 w-10 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">{search ? 'No violators match your search' : 'No violators registered yet'}</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">License</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {violators.map(violator => (
+                <tr key={violator.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <Link to={`/violators/${encodeURIComponent(violator.id)}`} className="text-sm font-medium text-primary-600 hover:text-primary-800">
+                      {violator.full_name || 'Unnamed'}
+                    </Link>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-700">{violator.license_number}</td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {violator.phone && (
+                      <div className="flex items-center gap-1"><Phone className="h-3 w-3" />{violator.phone}</div>
+                    )}
+                    {violator.address && (
+                      <div className="flex items-center gap-1 text-xs text-gray-500"><MapPin className="h-3 w-3" />{violator.address}</div>
+                    )}
+                    {!violator.phone && !violator.address && '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Pagination */}
+      {pagination && (pagination.hasMore || cursorHistory.length > 0) && (
+        <div className="flex items-center justify-end space-x-2">
+          <button
+            onClick={handlePreviousPage}
+            disabled={cursorHistory.length === 0}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            Previous
+          </button>
+          <div className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-lg">
+            Page {cursorHistory.length + 1}
+          </div>
+          <button
+            onClick={handleNextPage}
+            disabled={!pagination.hasMore}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Violators;
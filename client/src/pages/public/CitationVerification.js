@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { ShieldCheck, ShieldAlert, AlertTriangle } from 'lucide-react';
+import { publicAPI } from '../../services/api';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import Logo from '../../components/Logo';
+
+const STATUS_LABELS = {
+  pending: 'Unpaid',
+  issued: 'Unpaid',
+  disputed: 'Under Dispute',
+  paid: 'Paid',
+  cancelled: 'Cancelled',
+};
+
+const CHANGE_TEXT = {
+  status: 'The status has changed since this document was printed.',
+  amount_due: 'The amount due has changed (surcharges or a dispute decision).',
+  amount_paid: 'Payments were recorded or reversed since this document was printed.',
+  violation_removed: 'This violation is no longer on record.',
+};
+
+/**
+ * Format an ISO date for Philippine timezone (UTC+8 / Asia/Manila)
+ * @param {string} value - ISO date string
+ * @returns {string} - e.g. "October 19, 2026, 3:45 PM"
+ */
+const formatPhilippineDateTime = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-US', {
+    timeZone: 'Asia/Manila',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+const formatAmount = (amount) => `₱${(Number(amount) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Public page opened from the QR code on a printed citation (/verify/<token>)
+const CitationVerification = () => {
+  const location = useLocation();
+  const token = decodeURIComponent(location.pathname.slice('/verify/'.length));
+
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    setIsLoading(true);
+    setError('');
+    publicAPI.verifyCitation(token)
+      .then(response => setResult(response.data.data))
+      .catch(err => setError(err.response?.data?.error || 'Verification failed. Please try again.'))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  const rows = (values) => [
+    ['Status', STATUS_LABELS[values.status] || values.status],
+    ['Amount Due', formatAmount(values.amount_due)],
+    ['Amount Paid', formatAmount(values.amount_paid)],
+  ];
+
+  return (
+    <div className="relative min-h-screen flex items-start sm:items-center justify-center bg-gradient-to-br from-primary-50 via-white to-primary-100 py-8 sm:py-12 px-4 sm:px-6 lg:px-8 overflow-hidden">
+      <div className="max-w-lg w-full space-y-6">
+        <div className="bg-white/80 backdrop-blur-xl shadow-xl ring-1 ring-black/5 rounded-2xl mobile-card space-y-6">
+          <div className="flex flex-col items-center text-center space-y-2">
+            <Logo size="large" />
+            <h1 className="text-xl font-bold text-gray-900">Citation Verification</h1>
+          </div>
+
+          {isLoading && (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner size="lg" />
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800 flex items-start gap-3">
+              <ShieldAlert className="h-6 w-6 flex-shrink-0" />
+              <div>
+                <p className="font-semibold">Not a valid document</p>
+                <p className="mt-1">{error}. Do not accept this document as proof of the violation or its payment.</p>
+              </div>
+            </div>
+          )}
+
+          {result && (
+            <>
+              {result.current ? (
+                <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-800 flex items-start gap-3">
+                  <ShieldCheck className="h-6 w-6 flex-shrink-0" />
+                  <div>
+                    <p className="font-semibold">Authentic and current</p>
+                    <p className="mt-1">This citation was issued by the e-Traffic System and matches the record as of now.</p>
+                  </div>
+                </div>
+              ) : (
+                <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm text-amber-800 flex items-start gap-3">
+                  <AlertTriangle className="h-6 w-6 flex-shrink-0" />
+                  <div>
+                    <p className="font-semibold">Authentic but outdated</p>
+                    <p className="mt-1">This citation was issued by the e-Traffic System, but the record has changed since it was printed. Go by the current record below.</p>
+                    <ul className="list-disc ml-4 mt-2 space-y-1">
+                      {result.changes.map(change => <li key={change}>{CHANGE_TEXT[change] || change}</li>)}
+                    </ul>
+                  </div>
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+                <div className="border border-gray-200 rounded-lg p-4">
+                  <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">On the document</p>
+                  <p className="font-mono font-semibold text-gray-900 mb-2">{result.document.violation_number}</p>
+                  <dl className="space-y-1">
+                    {rows(result.document).map(([label, value]) => (
+                      <div key={label} className="flex justify-between gap-2">
+                        <dt className="text-gray-500">{label}</dt>
+                        <dd className="text-gray-900">{value}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                  <p className="text-xs text-gray-500 mt-2">Printed {formatPhilippineDateTime(result.document.issued_at)}</p>
+                </div>
+
+                <div className="border border-gray-200 rounded-lg p-4">
+                  <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">Current record</p>
+                  {result.violation ? (
+                    <>
+                      <p className="font-medium text-gray-900">{result.violation.violation_type}</p>
+                      <p className="text-gray-600 mb-2">Plate {result.violation.vehicle_plate}</p>
+                      <dl className="space-y-1">
+                        {[...rows(result.violation), ['Balance', formatAmount(result.violation.balance)]].map(([label, value]) => (
+                          <div key={label} className="flex justify-between gap-2">
+                            <dt className="text-gray-500">{label}</dt>
+                            <dd className="font-medium text-gray-900">{value}</dd>
+                          </div>
+                        ))}
+                      </dl>
+                    </>
+                  ) : (
+                    <p className="text-gray-600">No longer on record</p>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CitationVerification;
@@ -0,0 +1,371 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { toast } from 'react-hot-toast';
+import { Search, CreditCard, CheckCircle, AlertTriangle, Scale } from 'lucide-react';
+import { publicAPI } from '../../services/api';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import Logo from '../../components/Logo';
+
+const STATUS_STYLES = {
+  pending: { label: 'Unpaid', className: 'badge-warning' },
+  issued: { label: 'Unpaid', className: 'badge-info' },
+  disputed: { label: 'Under Dispute', className: 'badge-danger' },
+  paid: { label: 'Paid', className: 'badge-success' },
+  cancelled: { label: 'Cancelled', className: 'badge-secondary' },
+};
+
+/**
+ * Format an ISO date for Philippine timezone (UTC+8 / Asia/Manila)
+ * @param {string} value - ISO date string
+ * @returns {string} - e.g. "October 19, 2026"
+ */
+const formatPhilippineDate = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleDateString('en-US', {
+    timeZone: 'Asia/Manila',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+const DISPUTE_OUTCOME_TEXT = {
+  upheld: 'Your dispute was denied. The fine stands.',
+  reduced: 'Your dispute was partly granted. The fine was reduced.',
+  dismissed: 'Your dispute was granted. The violation was dismissed.',
+};
+
+const MAX_EVIDENCE_ITEMS = 5;
+
+const formatAmount = (amount) => `₱${(Number(amount) || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Public motorist portal: look up a ticket by violation number and plate, then pay online
+const ViolationLookup = () => {
+  const [searchParams] = useSearchParams();
+  const checkoutStatus = searchParams.get('status');
+
+  const [form, setForm] = useState({
+    violation_number: searchParams.get('violation_number') || '',
+    vehicle_plate: ''
+  });
+  const [violation, setViolation] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isStartingCheckout, setIsStartingCheckout] = useState(false);
+  const [showDisputeForm, setShowDisputeForm] = useState(false);
+  const [disputeForm, setDisputeForm] = useState({ reason: '', evidence: '', contact_phone: '' });
+  const [isSubmittingDispute, setIsSubmittingDispute] = useState(false);
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    setViolation(null);
+    setShowDisputeForm(false);
+    try {
+      const response = await publicAPI.lookupViolation(form);
+      setViolation(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Lookup failed. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handlePayOnline = async () => {
+    setIsStartingCheckout(true);
+    try {
+      const response = await publicAPI.createCheckout(form);
+      window.location.href = response.data.data.checkout_url;
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not start the online payment');
+      setIsStartingCheckout(false);
+    }
+  };
+
+  const handleSubmitDispute = async (e) => {
+    e.preventDefault();
+    // One evidence item per line: what it is and where it can be seen
+    const evidence = disputeForm.evidence.split('\n').map(line => line.trim()).filter(Boolean);
+    if (evidence.length > MAX_EVIDENCE_ITEMS) {
+      toast.error(`Please list at most ${MAX_EVIDENCE_ITEMS} evidence items`);
+      return;
+    }
+
+    setIsSubmittingDispute(true);
+    try {
+      const response = await publicAPI.fileDispute({
+        ...form,
+        reason: disputeForm.reason,
+        evidence,
+        ...(disputeForm.contact_phone && { contact_phone: disputeForm.contact_phone })
+      });
+      toast.success(response.data.message || 'Dispute submitted');
+      setShowDisputeForm(false);
+      setDisputeForm({ reason: '', evidence: '', contact_phone: '' });
+      const refreshed = await publicAPI.lookupViolation(form);
+      setViolation(refreshed.data.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not submit the dispute');
+    } finally {
+      setIsSubmittingDispute(false);
+    }
+  };
+
+  const isOverdue = violation?.due_date && violation.balance > 0 && new Date(violation.due_date) < new Date();
+  const statusStyle = violation ? (STATUS_STYLES[violation.status] || STATUS_STYLES.pending) : null;
+
+  return (
+    <div className="relative min-h-screen flex items-start sm:items-center justify-center bg-gradient-to-br from-primary-50 via-white to-primary-100 py-8 sm:py-12 px-4 sm:px-6 lg:px-8 overflow-hidden">
+      <div className="pointer-events-none absolute -top-32 -right-32 h-72 w-72 rounded-full bg-primary-200 opacity-40 blur-3xl"></div>
+      <div className="pointer-events-none absolute -bottom-24 -left-24 h-72 w-72 rounded-full bg-primary-300 opacity-30 blur-3xl"></div>
+
+      <div className="max-w-lg w-full space-y-6">
+        <div className="bg-white/80 backdrop-blur-xl shadow-xl ring-1 ring-black/5 rounded-2xl mobile-card space-y-6">
+          <div className="flex flex-col items-center text-center space-y-2">
+            <Logo size="large" />
+            <h1 className="text-xl font-bold text-gray-900">Check Your Traffic Violation</h1>
+            <p className="text-sm text-gray-600">
+              Enter the reference number from your SMS (e.g. VIO-20250101-0001) and your plate number.
+            </p>
+          </div>
+
+          {checkoutStatus === 'success' && (
+            <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-sm text-green-800 flex items-start gap-2">
+              <CheckCircle className="h-5 w-5 flex-shrink-0" />
+              <span>Thank you! Your payment was received. It may take a moment to appear below, and you will get an SMS confirmation.</span>
+            </div>
+          )}
+          {checkoutStatus === 'cancelled' && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm text-amber-800">
+              Online payment was cancelled. You have not been charged.
+            </div>
+          )}
+
+          <form className="space-y-4" onSubmit={handleLookup}>
+            <div>
+              <label htmlFor="violation_number" className="block text-sm font-medium text-gray-700 mb-2">
+                Violation Reference Number
+              </label>
+              <input
+                id="violation_number"
+                type="text"
+                required
+                maxLength={40}
+                value={form.violation_number}
+                onChange={(e) => setForm(prev => ({ ...prev, violation_number: e.target.value }))}
+                placeholder="VIO-YYYYMMDD-NNNN"
+                className="block w-full px-3 py-3 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm sm:text-base uppercase"
+              />
+            </div>
+            <div>
+              <label htmlFor="vehicle_plate" className="block text-sm font-medium text-gray-700 mb-2">
+                Plate Number
+              </label>
+              <input
+                id="vehicle_plate"
+                type="text"
+                required
+                maxLength={20}
+                value={form.vehicle_plate}
+                onChange={(e) => setForm(prev => ({ ...prev, vehicle_plate: e.target.value }))}
+                placeholder="ABC 1234"
+                className="block w-full px-3 py-3 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm sm:text-base uppercase"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full flex justify-center items-center gap-2 px-4 py-3 border border-transparent text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 min-h-[48px]"
+            >
+              {isLoading ? <LoadingSpinner size="sm" /> : <Search className="h-4 w-4" />}
+              {isLoading ? 'Searching...' : 'Look Up Violation'}
+            </button>
+          </form>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 flex items-start gap-2">
+              <AlertTriangle className="h-5 w-5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+        </div>
+
+        {violation && (
+          <div className="bg-white shadow-xl ring-1 ring-black/5 rounded-2xl mobile-card space-y-5">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <p className="text-xs text-gray-500">Reference</p>
+                <p className="font-mono font-semibold text-gray-900">{violation.violation_number}</p>
+              </div>
+              <span className={statusStyle.className}>{statusStyle.label}</span>
+            </div>
+
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-3 text-sm">
+              <div>
+                <dt className="text-gray-500">Violation</dt>
+                <dd className="font-medium text-gray-900">
+                  {violation.violation_type}
+                  {violation.offense_tier_label && <span className="block text-xs text-gray-500">{violation.offense_tier_label}</span>}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Plate</dt>
+                <dd className="font-medium text-gray-900">{violation.vehicle_plate}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Date</dt>
+                <dd className="font-medium text-gray-900">{formatPhilippineDate(violation.violation_date)}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Due Date</dt>
+                <dd className={`font-medium ${isOverdue ? 'text-red-600' : 'text-gray-900'}`}>
+                  {formatPhilippineDate(violation.due_date)}
+                  {isOverdue && <span className="block text-xs">Overdue</span>}
+                </dd>
+              </div>
+              <div className="col-span-2">
+                <dt className="text-gray-500">Location</dt>
+                <dd className="font-medium text-gray-900">{violation.location}</dd>
+              </div>
+            </dl>
+
+            <div className="border-t border-gray-100 pt-4 space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Fine</span>
+                <span className="text-gray-900">{formatAmount(violation.fine_amount)}</span>
+              </div>
+              {violation.surcharges.map((surcharge, index) => (
+                <div key={index} className="flex justify-between">
+                  <span className="text-gray-600">{surcharge.description}</span>
+                  <span className="text-gray-900">{formatAmount(surcharge.amount)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between font-semibold">
+                <span className="text-gray-900">Amount Due</span>
+                <span className="text-gray-900">{formatAmount(violation.amount_due)}</span>
+              </div>
+              {violation.amount_paid > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Paid</span>
+                  <span className="text-green-700">− {formatAmount(violation.amount_paid)}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-base font-bold border-t border-gray-100 pt-2">
+                <span className="text-gray-900">Balance</span>
+                <span className={violation.balance > 0 ? 'text-red-600' : 'text-green-700'}>{formatAmount(violation.balance)}</span>
+              </div>
+              {violation.status === 'paid' && violation.paid_at && (
+                <p className="text-xs text-green-700">Fully paid on {formatPhilippineDate(violation.paid_at)}</p>
+              )}
+            </div>
+
+            {violation.online_payment_available && (
+              <button
+                type="button"
+                onClick={handlePayOnline}
+                disabled={isStartingCheckout}
+                className="w-full flex justify-center items-center gap-2 px-4 py-3 border border-transparent text-sm font-medium rounded-lg text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200 min-h-[48px]"
+              >
+                {isStartingCheckout ? <LoadingSpinner size="sm" /> : <CreditCard className="h-4 w-4" />}
+                Pay {formatAmount(violation.balance)} Online (GCash, Maya, Card)
+              </button>
+            )}
+            {violation.dispute && (
+              <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-sm text-gray-700 flex items-start gap-2">
+                <Scale className="h-5 w-5 flex-shrink-0 text-gray-500" />
+                <span>
+                  {violation.dispute.status === 'open'
+                    ? `Dispute submitted on ${formatPhilippineDate(violation.dispute.submitted_at)}. Payment and late charges are on hold; you will be notified of the decision by SMS.`
+                    : `${DISPUTE_OUTCOME_TEXT[violation.dispute.outcome]} Decided on ${formatPhilippineDate(violation.dispute.decided_at)}.`}
+                </span>
+              </div>
+            )}
+
+            {violation.can_dispute && !showDisputeForm && (
+              <button
+                type="button"
+                onClick={() => setShowDisputeForm(true)}
+                className="w-full flex justify-center items-center gap-2 px-4 py-3 border border-gray-300 text-sm font-medium rounded-lg text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-colors duration-200 min-h-[48px]"
+              >
+                <Scale className="h-4 w-4" />
+                Dispute This Violation
+              </button>
+            )}
+
+            {violation.can_dispute && showDisputeForm && (
+              <form className="border-t border-gray-100 pt-4 space-y-4" onSubmit={handleSubmitDispute}>
+                <div>
+                  <h2 className="text-base font-semibold text-gray-900">Dispute This Violation</h2>
+                  {violation.dispute_deadline && (
+                    <p className="text-xs text-gray-500">Disputes are accepted until {formatPhilippineDate(violation.dispute_deadline)}. A violation can only be disputed once.</p>
+                  )}
+                </div>
+                <div>
+                  <label htmlFor="dispute_reason" className="block text-sm font-medium text-gray-700 mb-2">
+                    Why are you disputing this violation?
+                  </label>
+                  <textarea
+                    id="dispute_reason"
+                    required
+                    rows={4}
+                    maxLength={2000}
+                    value={disputeForm.reason}
+                    onChange={(e) => setDisputeForm(prev => ({ ...prev, reason: e.target.value }))}
+                    className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="dispute_evidence" className="block text-sm font-medium text-gray-700 mb-2">
+                    Evidence (optional)
+                  </label>
+                  <textarea
+                    id="dispute_evidence"
+                    rows={3}
+                    value={disputeForm.evidence}
+                    onChange={(e) => setDisputeForm(prev => ({ ...prev, evidence: e.target.value }))}
+                    placeholder="One per line, e.g. a link to dashcam video or an OR number"
+                    className="block w-full px-3 py-2 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="dispute_contact_phone" className="block text-sm font-medium text-gray-700 mb-2">
+                    Contact Number (optional)
+                  </label>
+                  <input
+                    id="dispute_contact_phone"
+                    type="tel"
+                    maxLength={20}
+                    value={disputeForm.contact_phone}
+                    onChange={(e) => setDisputeForm(prev => ({ ...prev, contact_phone: e.target.value }))}
+                    placeholder="09XXXXXXXXX"
+                    className="block w-full px-3 py-3 border border-gray-300 rounded-lg shadow-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm"
+                  />
+                </div>
+                <div className="flex gap-3">
+                  <button
+                    type="button"
+                    onClick={() => setShowDisputeForm(false)}
+                    className="flex-1 px-4 py-3 border border-gray-300 text-sm font-medium rounded-lg text-gray-700 bg-white hover:bg-gray-50 min-h-[48px]"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isSubmittingDispute}
+                    className="flex-1 flex justify-center items-center gap-2 px-4 py-3 border border-transparent text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed min-h-[48px]"
+                  >
+                    {isSubmittingDispute && <LoadingSpinner size="sm" />}
+                    Submit Dispute
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ViolationLookup;
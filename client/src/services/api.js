@@ -41,6 +41,14 @@ api.interceptors.response.use(
   }
 );
 
+// Public API (motorist portal, no login)
+export const publicAPI = {
+  lookupViolation: (data) => api.post('/public/violations/lookup', data),
+  createCheckout: (data) => api.post('/online-payments/checkout', data),
+  fileDispute: (data) => api.post('/public/violations/dispute', data),
+  verifyCitation: (token) => api.get(`/public/verify/${encodeURIComponent(token)}`),
+};
+
 // Auth API
 export const authAPI = {
   login: (email, password) => api.post('/auth/login', { email, password }),
@@ -60,6 +68,8 @@ export const adminAPI = {
   getNextBadgeNumber: () => api.get('/admin/next-badge-number'),
   getSettings: () => api.get('/admin/settings'),
   updateSettings: (data) => api.put('/admin/settings', data),
+  // Goes through every open violation, so allow longer than the default timeout
+  recomputeDueDates: (data) => api.post('/admin/settings/recompute-due-dates', data, { timeout: 120000 }),
   getRepeatOffenders: (params) => api.get('/admin/repeat-offenders', { params }),
 };
 
@@ -67,33 +77,129 @@ export const adminAPI = {
 export const violationsAPI = {
   getViolations: (params) => api.get('/violations', { params }),
   getViolation: (id) => api.get(`/violations/${id}`),
+  getCitationPdf: (id) => api.get(`/violations/${id}/citation`, { responseType: 'blob', timeout: 30000 }),
   createViolation: (data) => api.post('/violations', data),
   updateViolation: (id, data) => api.put(`/violations/${id}`, data),
   deleteViolation: (id) => api.delete(`/violations/${id}`),
   getViolationStats: () => api.get('/violations/stats/overview'),
   sendSMS: (id, data) => api.post(`/violations/${id}/send-sms`, data),
+  getStatusHistory: (id) => api.get(`/violations/${id}/status-history`),
+  getPayments: (id) => api.get(`/violations/${id}/payments`),
+  recordPayment: (id, data) => api.post(`/violations/${id}/payments`, data),
+  voidPayment: (id, paymentId, data) => api.post(`/violations/${id}/payments/${paymentId}/void`, data),
+  refundPayment: (id, paymentId, data) => api.post(`/violations/${id}/payments/${paymentId}/refund`, data),
+  getPhotos: (id) => api.get(`/violations/${id}/photos`),
+  uploadPhotos: (id, files) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('photos', file));
+    // Photos take longer than the default timeout on slow connections
+    return api.post(`/violations/${id}/photos`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000,
+    });
+  },
+  getPhotoFile: (id, photoId, thumbnail = false) =>
+    api.get(`/violations/${id}/photos/${photoId}${thumbnail ? '/thumbnail' : ''}`, { responseType: 'blob', timeout: 30000 }),
+  deletePhoto: (id, photoId) => api.delete(`/violations/${id}/photos/${photoId}`),
+  // Each violation is handled in turn on the server, so a full page can take a while
+  bulkAction: (data) => api.post('/violations/bulk', data, { timeout: 120000 }),
   exportViolations: (params) => {
     // Build URL with parameters
     const queryString = new URLSearchParams(params).toString();
     const url = `${API_BASE_URL}/violations/export?${queryString}`;
-    
-    // Return a direct fetch call for better control over the response
+
+    // A direct fetch has no timeout, so large exports can stream as long as they need
     return fetch(url, {
       method: 'GET',
       headers: {
-        'Authorization': `Bearer ${localStorage.getItem('token')}`,
-        'Content-Type': 'application/json'
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
       }
     });
   },
 };
 
+// Violation Imports API
+// Uploads go as multipart form data; the mapping is sent as JSON text
+const importFormData = (file, mapping, extra = {}) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  if (mapping) formData.append('mapping', JSON.stringify(mapping));
+  Object.entries(extra).forEach(([key, value]) => formData.append(key, value));
+  return formData;
+};
+
+export const violationImportsAPI = {
+  getBatches: () => api.get('/violation-imports'),
+  validateImport: (file, mapping) => api.post('/violation-imports/validate', importFormData(file, mapping), {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 120000,
+  }),
+  // Each row is recorded one at a time, so large files need a long timeout
+  commitImport: (file, mapping, skipInvalid) => api.post('/violation-imports', importFormData(file, mapping, { skip_invalid: String(!!skipInvalid) }), {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 600000,
+  }),
+  rollbackBatch: (id) => api.post(`/violation-imports/${encodeURIComponent(id)}/rollback`, null, { timeout: 600000 }),
+};
+
+// Disputes API
+export const disputesAPI = {
+  getDisputes: (params) => api.get('/disputes', { params }),
+  fileDispute: (data) => api.post('/disputes', data),
+  decideDispute: (id, data) => api.post(`/disputes/${id}/decision`, data),
+};
+
+// Violators API
+export const violatorsAPI = {
+  getViolators: (params) => api.get('/violators', { params }),
+  getViolator: (id) => api.get(`/violators/${encodeURIComponent(id)}`),
+  updateViolator: (id, data) => api.put(`/violators/${encodeURIComponent(id)}`, data),
+  getDuplicates: (params) => api.get('/violators/duplicates', { params }),
+  scanDuplicates: () => api.post('/violators/duplicates/scan'),
+  mergeDuplicate: (id, targetId) => api.post(`/violators/duplicates/${encodeURIComponent(id)}/merge`, { target_id: targetId }),
+  dismissDuplicate: (id) => api.post(`/violators/duplicates/${encodeURIComponent(id)}/dismiss`),
+};
+
+// Vehicles API
+export const vehiclesAPI = {
+  getVehicles: (params) => api.get('/vehicles', { params }),
+  lookupVehicle: (plate) => api.get('/vehicles/lookup', { params: { plate } }),
+  getVehicle: (id) => api.get(`/vehicles/${encodeURIComponent(id)}`),
+  updateVehicle: (id, data) => api.put(`/vehicles/${encodeURIComponent(id)}`, data),
+};
+
+// Map API
+// Tiles come from the server's offline tile directory unless REACT_APP_MAP_TILE_URL points elsewhere
+export const mapAPI = {
+  getViolations: (params) => api.get('/map/violations', { params }),
+  tileUrl: process.env.REACT_APP_MAP_TILE_URL || `${API_BASE_URL}/map/tiles/{z}/{x}/{y}.png`,
+  tileAttribution: process.env.REACT_APP_MAP_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors',
+};
+
+// Violation Types API
+export const violationTypesAPI = {
+  getViolationTypes: (params) => api.get('/violation-types', { params }),
+  createViolationType: (data) => api.post('/violation-types', data),
+  updateViolationType: (id, data) => api.put(`/violation-types/${id}`, data),
+  deleteViolationType: (id) => api.delete(`/violation-types/${id}`),
+};
+
+// Holidays API (non-working days for due dates)
+export const holidaysAPI = {
+  getHolidays: (params) => api.get('/holidays', { params }),
+  createHoliday: (data) => api.post('/holidays', data),
+  updateHoliday: (id, data) => api.put(`/holidays/${id}`, data),
+  deleteHoliday: (id) => api.delete(`/holidays/${id}`),
+};
+
 // Reports API
 export const reportsAPI = {
   getViolationsReport: (params) => api.get('/reports/violations', { params }),
   getEnforcersReport: (params) => api.get('/reports/enforcers', { params }),
   getDailySummary: (params) => api.get('/reports/daily-summary', { params }),
   getMonthlyReport: (params) => api.get('/reports/monthly', { params }),
+  getHotspotsReport: (params) => api.get('/reports/hotspots', { params }),
+  getSuspensionCandidatesReport: (params) => api.get('/reports/suspension-candidates', { params }),
   testDatabase: () => api.get('/reports/test-db'),
 };
 
@@ -1,13 +1,42 @@
-const { initializeFirebase } = require('./firebase');
-const FirebaseService = require('./firebaseService');
-
 let firebaseService;
 
+// Storage backends selectable through DB_BACKEND (defaults to Firestore)
+const backends = {
+  firebase: async () => {
+    const { initializeFirebase } = require('./firebase');
+    const FirebaseService = require('./firebaseService');
+
+    await initializeFirebase();
+    return new FirebaseService();
+  },
+  memory: async () => {
+    const MemoryService = require('./memoryService');
+    const { seedDefaultData } = require('../scripts/setupFirebaseDatabase');
+
+    // Nothing persists between runs, so seed the admin account and settings on every start.
+    // SMS starts disabled so local runs never text real phone numbers.
+    const service = new MemoryService();
+    await seedDefaultData(service, { smsEnabled: false });
+    return service;
+  }
+};
+
 const connectDB = async () => {
+  // Scripts such as the penalty reminder call connectDB() again; reuse the live connection
+  if (firebaseService) {
+    return firebaseService;
+  }
+
   try {
-    await initializeFirebase();
-    firebaseService = new FirebaseService();
-    console.log('✅ Firebase Database connected successfully');
+    const backendName = (process.env.DB_BACKEND || 'firebase').toLowerCase();
+    const createBackend = backends[backendName];
+
+    if (!createBackend) {
+      throw new Error(`Unknown DB_BACKEND '${backendName}'. Expected one of: ${Object.keys(backends).join(', ')}`);
+    }
+
+    firebaseService = await createBackend();
+    console.log(`✅ ${firebaseService.backendName} database connected successfully`);
     return firebaseService;
   } catch (error) {
     console.error('❌ Database connection failed:', error.message);
@@ -1,10 +1,22 @@
-const { getFirestore, docToObject, snapshotToArray, generateId, addTimestamps, updateTimestamp } = require('./firebase');
+const { getFirestore, docToObject, snapshotToArray, addTimestamps, updateTimestamp, admin } = require('./firebase');
+const StorageService = require('./storageService');
 
-class FirebaseService {
+const FIND_BY_IDS_CHUNK_SIZE = 100;
+
+class FirebaseService extends StorageService {
   constructor() {
+    super();
     this.db = getFirestore();
   }
 
+  get backendName() {
+    return 'Firebase Firestore';
+  }
+
+  createGeoPoint(latitude, longitude) {
+    return new admin.firestore.GeoPoint(latitude, longitude);
+  }
+
   // Generic collection operations
   async create(collection, data) {
     try {
@@ -30,6 +42,32 @@ class FirebaseService {
     }
   }
 
+  async findByIds(collection, ids) {
+    try {
+      const uniqueIds = [...new Set(ids.filter(Boolean))];
+      const found = new Map();
+
+      // getAll reads many documents in one round trip; chunk to keep requests small
+      for (let i = 0; i < uniqueIds.length; i += FIND_BY_IDS_CHUNK_SIZE) {
+        const refs = uniqueIds
+          .slice(i, i + FIND_BY_IDS_CHUNK_SIZE)
+          .map(id => this.db.collection(collection).doc(id));
+
+        const docs = await this.db.getAll(...refs);
+        docs.forEach(doc => {
+          if (doc.exists) {
+            found.set(doc.id, docToObject(doc));
+          }
+        });
+      }
+
+      return found;
+    } catch (error) {
+      console.error(`Error finding documents by id in ${collection}:`, error);
+      throw error;
+    }
+  }
+
   async findOne(collection, field, value) {
     try {
       const snapshot = await this.db.collection(collection)
@@ -51,31 +89,50 @@ class FirebaseService {
   async findMany(collection, conditions = {}, options = {}) {
     try {
       let query = this.db.collection(collection);
+      const filters = StorageService.toFilters(conditions);
 
-      // Apply where conditions
-      Object.entries(conditions).forEach(([field, value]) => {
-        if (value !== undefined && value !== null && value !== '') {
-          query = query.where(field, '==', value);
-        }
+      // Apply where conditions (equality, ranges and 'in')
+      filters.forEach(([field, operator, value]) => {
+        query = query.where(field, operator, value);
       });
 
       // Apply ordering - MUST be done before limit/offset in Firestore
       // Only apply ordering if explicitly requested to avoid composite index requirements
-      if (options.orderBy) {
-        query = query.orderBy(options.orderBy.field, options.orderBy.direction || 'asc');
+      // (cursor pagination always needs an ordering, so it defaults to created_at desc)
+      let orderBy = options.orderBy;
+      if (!orderBy && (options.startAfter || filters.length === 0)) {
+        orderBy = { field: 'created_at', direction: 'desc' };
       }
-      // If no explicit orderBy and no conditions, use default created_at ordering
-      else if (Object.keys(conditions).length === 0) {
-        query = query.orderBy('created_at', 'desc');
+
+      if (orderBy) {
+        query = query.orderBy(orderBy.field, orderBy.direction || 'asc');
+
+        if (options.startAfter) {
+          const cursorDoc = await this.db.collection(collection).doc(StorageService.decodeCursor(options.startAfter)).get();
+          if (!cursorDoc.exists) {
+            throw StorageService.invalidCursorError();
+          }
+          query = query.startAfter(cursorDoc);
+        }
+
+        // The query is already ordered, so let Firestore apply offset and limit
+        if (options.offset) {
+          query = query.offset(options.offset);
+        }
+        if (options.limit) {
+          query = query.limit(options.limit);
+        }
+
+        const snapshot = await query.get();
+        return snapshotToArray(snapshot);
       }
 
-      // Firestore doesn't support offset efficiently, so we'll get all and paginate in memory
-      // Note: This is not ideal for large datasets, but works for the current use case
+      // Without an ordering in the query we get all matches and sort/paginate in memory
+      // Note: This is not ideal for large datasets; prefer findPage() for lists
       const snapshot = await query.get();
       let results = snapshotToArray(snapshot);
 
-      // If no orderBy was used but we want sorting, do it in memory
-      if (!options.orderBy && Object.keys(conditions).length > 0 && options.sortInMemory !== false) {
+      if (options.sortInMemory !== false) {
         results.sort((a, b) => {
           const aDate = a.created_at?.toDate ? a.created_at.toDate() : new Date(a.created_at || 0);
           const bDate = b.created_at?.toDate ? b.created_at.toDate() : new Date(b.created_at || 0);
@@ -130,178 +187,47 @@ class FirebaseService {
       let query = this.db.collection(collection);
 
       // Apply where conditions
-      Object.entries(conditions).forEach(([field, value]) => {
-        if (value !== undefined && value !== null && value !== '') {
-          query = query.where(field, '==', value);
-        }
+      StorageService.toFilters(conditions).forEach(([field, operator, value]) => {
+        query = query.where(field, operator, value);
       });
 
-      const snapshot = await query.get();
-      return snapshot.size;
+      // Aggregation query: counted server-side without downloading the documents
+      const snapshot = await query.count().get();
+      return snapshot.data().count;
     } catch (error) {
       console.error(`Error counting documents in ${collection}:`, error);
       throw error;
     }
   }
 
-  // Specific methods for each collection
-  async createUser(userData) {
-    return this.create('users', userData);
-  }
-
-  async findUserByEmail(email) {
-    return this.findOne('users', 'email', email);
-  }
-
-  async findUserByUsername(username) {
-    return this.findOne('users', 'username', username);
-  }
-
-  async findUserByBadgeNumber(badgeNumber) {
-    return this.findOne('users', 'badge_number', badgeNumber);
-  }
-
-  async getUsers(filters = {}, options = {}) {
-    return this.findMany('users', filters, options);
-  }
-
-  async updateUser(id, userData) {
-    return this.update('users', id, userData);
-  }
-
-  async deleteUser(id) {
-    return this.delete('users', id);
-  }
-
-  // Violations
-  async createViolation(violationData) {
-    return this.create('violations', violationData);
-  }
-
-  async findViolationByNumber(violationNumber) {
-    return this.findOne('violations', 'violation_number', violationNumber);
-  }
-
-  async getViolations(filters = {}, options = {}) {
-    return this.findMany('violations', filters, options);
-  }
-
-  async updateViolation(id, violationData) {
-    return this.update('violations', id, violationData);
-  }
-
-  async deleteViolation(id) {
-    return this.delete('violations', id);
-  }
-
-  // SMS Logs
-  async createSmsLog(smsData) {
-    return this.create('sms_logs', smsData);
-  }
-
-  async getSmsLogs(filters = {}, options = {}) {
-    return this.findMany('sms_logs', filters, options);
-  }
-
-  async updateSmsLog(id, smsData) {
-    return this.update('sms_logs', id, smsData);
-  }
-
-  // Audit Logs
-  async createAuditLog(auditData) {
-    return this.create('audit_logs', auditData);
-  }
-
-  async getAuditLogs(filters = {}, options = {}) {
-    return this.findMany('audit_logs', filters, options);
-  }
-
-  // System Settings
-  async createSetting(settingData) {
-    return this.create('system_settings', settingData);
-  }
-
-  async findSettingByKey(key) {
-    return this.findOne('system_settings', 'setting_key', key);
-  }
-
-  async getSettings(filters = {}, options = {}) {
-    return this.findMany('system_settings', filters, options);
-  }
-
-  async updateSetting(id, settingData) {
-    return this.update('system_settings', id, settingData);
-  }
-
-  // Complex queries that require multiple operations
-  async getViolationsWithEnforcer(filters = {}, options = {}) {
-    try {
-      const violations = await this.getViolations(filters, options);
-
-      // Get enforcer details for each violation
-      const violationsWithEnforcer = await Promise.all(
-        violations.map(async (violation) => {
-          if (violation.enforcer_id) {
-            try {
-              const enforcer = await this.findById('users', violation.enforcer_id);
-              return {
-                ...violation,
-                enforcer_name: enforcer ? enforcer.full_name : 'Unknown',
-                enforcer_badge: enforcer ? enforcer.badge_number : 'Unknown'
-              };
-            } catch (error) {
-              console.error(`Error fetching enforcer for violation ${violation.id}:`, error);
-              return {
-                ...violation,
-                enforcer_name: 'Unknown',
-                enforcer_badge: 'Unknown'
-              };
-            }
-          }
-          return {
-            ...violation,
-            enforcer_name: 'Unknown',
-            enforcer_badge: 'Unknown'
-          };
-        })
-      );
-
-      return violationsWithEnforcer;
-    } catch (error) {
-      console.error('Error getting violations with enforcer:', error);
-      throw error;
-    }
-  }
-
-  async getAuditLogsWithUser(filters = {}, options = {}) {
-    try {
-      const auditLogs = await this.getAuditLogs(filters, options);
-
-      // Get user details for each audit log
-      const auditLogsWithUser = await Promise.all(
-        auditLogs.map(async (log) => {
-          if (log.user_id) {
-            const user = await this.findById('users', log.user_id);
-            return {
-              ...log,
-              user_name: user ? user.full_name : 'Unknown'
-            };
-          }
-          return log;
-        })
-      );
-
-      return auditLogsWithUser;
-    } catch (error) {
-      console.error('Error getting audit logs with user:', error);
-      throw error;
-    }
-  }
-
   // Transaction support
+  // Wraps the Firestore transaction in the backend-neutral handle described in storageService.js.
+  // Firestore requires every tx.get() to happen before the first write.
   async runTransaction(callback) {
     try {
-      return await this.db.runTransaction(callback);
+      return await this.db.runTransaction(async (transaction) => {
+        const ref = (collection, id) => this.db.collection(collection).doc(id);
+
+        const tx = {
+          get: async (collection, id) => docToObject(await transaction.get(ref(collection, id))),
+          create: (collection, data) => {
+            const docRef = this.db.collection(collection).doc();
+            transaction.set(docRef, addTimestamps(data));
+            return docRef.id;
+          },
+          set: (collection, id, data) => {
+            transaction.set(ref(collection, id), addTimestamps(data));
+          },
+          update: (collection, id, data) => {
+            transaction.update(ref(collection, id), updateTimestamp(data));
+          },
+          delete: (collection, id) => {
+            transaction.delete(ref(collection, id));
+          }
+        };
+
+        return callback(tx);
+      });
     } catch (error) {
       console.error('Transaction error:', error);
       throw error;
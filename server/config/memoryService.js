@@ -0,0 +1,252 @@
+const { v4: uuidv4 } = require('uuid');
+const StorageService = require('./storageService');
+
+// Convert stored values into something comparable (Dates and Firestore-like timestamps -> ms)
+const toComparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toDate === 'function') return value.toDate().getTime();
+  return value;
+};
+
+const compareValues = (a, b) => {
+  const aValue = toComparable(a);
+  const bValue = toComparable(b);
+
+  if (aValue === bValue) return 0;
+  if (aValue === undefined || aValue === null) return -1;
+  if (bValue === undefined || bValue === null) return 1;
+  return aValue < bValue ? -1 : 1;
+};
+
+const matchesFilter = (fieldValue, operator, value) => {
+  // Like Firestore, range and inequality filters never match documents missing the field
+  if (operator !== '==' && operator !== 'in' && (fieldValue === undefined || fieldValue === null)) {
+    return false;
+  }
+
+  switch (operator) {
+    case '==': return compareValues(fieldValue, value) === 0;
+    case '!=': return compareValues(fieldValue, value) !== 0;
+    case '<': return compareValues(fieldValue, value) < 0;
+    case '<=': return compareValues(fieldValue, value) <= 0;
+    case '>': return compareValues(fieldValue, value) > 0;
+    case '>=': return compareValues(fieldValue, value) >= 0;
+    case 'in': return value.some(option => compareValues(fieldValue, option) === 0);
+    default: throw new Error(`Unsupported query operator: ${operator}`);
+  }
+};
+
+// Conditions are flattened exactly like the Firestore backend (empty values are ignored)
+const matchesConditions = (doc, conditions) => {
+  return StorageService.toFilters(conditions).every(([field, operator, value]) =>
+    matchesFilter(doc[field], operator, value)
+  );
+};
+
+/**
+ * In-memory storage backend
+ *
+ * Keeps every collection in a Map so the API can run on a laptop or in a
+ * test job without Google credentials. Data lives only as long as the process.
+ */
+class MemoryService extends StorageService {
+  constructor() {
+    super();
+    this.collections = new Map();
+    this.transactionQueue = Promise.resolve();
+  }
+
+  get backendName() {
+    return 'In-Memory';
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  // Documents are cloned on the way in and out so callers cannot mutate the store
+  toObject(id, data) {
+    return data ? { id, ...structuredClone(data) } : null;
+  }
+
+  writeDocument(collection, id, data) {
+    const { id: _ignored, ...fields } = data;
+    this.getCollection(collection).set(id, structuredClone(fields));
+  }
+
+  // Generic collection operations
+  async create(collection, data) {
+    const id = uuidv4();
+    const now = new Date();
+    this.writeDocument(collection, id, { ...data, created_at: now, updated_at: now });
+    return this.findById(collection, id);
+  }
+
+  async findById(collection, id) {
+    return this.toObject(id, this.getCollection(collection).get(id));
+  }
+
+  async findByIds(collection, ids) {
+    const found = new Map();
+    new Set(ids.filter(Boolean)).forEach(id => {
+      const data = this.getCollection(collection).get(id);
+      if (data) {
+        found.set(id, this.toObject(id, data));
+      }
+    });
+    return found;
+  }
+
+  async findOne(collection, field, value) {
+    for (const [id, data] of this.getCollection(collection)) {
+      if (compareValues(data[field], value) === 0) {
+        return this.toObject(id, data);
+      }
+    }
+    return null;
+  }
+
+  async findMany(collection, conditions = {}, options = {}) {
+    let results = [];
+    for (const [id, data] of this.getCollection(collection)) {
+      if (matchesConditions(data, conditions)) {
+        results.push(this.toObject(id, data));
+      }
+    }
+
+    // Mirror the Firestore backend: explicit orderBy, else newest first.
+    // Sorting ascending and then reversing keeps ties in newest-first insertion order.
+    const sortField = options.orderBy ? options.orderBy.field : 'created_at';
+    const direction = options.orderBy ? (options.orderBy.direction || 'asc') : 'desc';
+    const hasFilters = StorageService.toFilters(conditions).length > 0;
+
+    if (options.orderBy || options.startAfter || !hasFilters || options.sortInMemory !== false) {
+      results.sort((a, b) => compareValues(a[sortField], b[sortField]));
+      if (direction === 'desc') {
+        results.reverse();
+      }
+    }
+
+    if (options.startAfter) {
+      const cursorId = StorageService.decodeCursor(options.startAfter);
+      if (!this.getCollection(collection).has(cursorId)) {
+        throw StorageService.invalidCursorError();
+      }
+
+      const cursorDoc = this.toObject(cursorId, this.getCollection(collection).get(cursorId));
+      const cursorIndex = results.findIndex(doc => doc.id === cursorId);
+
+      if (cursorIndex >= 0) {
+        results = results.slice(cursorIndex + 1);
+      } else {
+        // The cursor document no longer matches the conditions; continue after its sort position
+        const sign = direction === 'desc' ? -1 : 1;
+        results = results.filter(doc => sign * compareValues(doc[sortField], cursorDoc[sortField]) > 0);
+      }
+    }
+
+    if (options.offset) {
+      results = results.slice(options.offset);
+    }
+
+    if (options.limit) {
+      results = results.slice(0, options.limit);
+    }
+
+    return results;
+  }
+
+  async update(collection, id, data) {
+    const current = this.getCollection(collection).get(id);
+    if (!current) {
+      throw new Error(`No document to update: ${collection}/${id}`);
+    }
+
+    this.writeDocument(collection, id, { ...current, ...data, updated_at: new Date() });
+    return this.findById(collection, id);
+  }
+
+  async delete(collection, id) {
+    this.getCollection(collection).delete(id);
+    return true;
+  }
+
+  async count(collection, conditions = {}) {
+    let total = 0;
+    for (const data of this.getCollection(collection).values()) {
+      if (matchesConditions(data, conditions)) {
+        total++;
+      }
+    }
+    return total;
+  }
+
+  // Transaction support
+  // Transactions run one at a time; writes are buffered and applied only if the callback succeeds.
+  async runTransaction(callback) {
+    const run = async () => {
+      const writes = [];
+
+      const tx = {
+        get: async (collection, id) => this.findById(collection, id),
+        create: (collection, data) => {
+          const id = uuidv4();
+          writes.push({ type: 'set', collection, id, data });
+          return id;
+        },
+        set: (collection, id, data) => {
+          writes.push({ type: 'set', collection, id, data });
+        },
+        update: (collection, id, data) => {
+          writes.push({ type: 'update', collection, id, data });
+        },
+        delete: (collection, id) => {
+          writes.push({ type: 'delete', collection, id });
+        }
+      };
+
+      const result = await callback(tx);
+
+      // Validate before applying anything so a bad update leaves the store untouched
+      const pendingIds = new Set();
+      writes.forEach(({ type, collection, id }) => {
+        const key = `${collection}/${id}`;
+        if (type === 'update' && !pendingIds.has(key) && !this.getCollection(collection).has(id)) {
+          throw new Error(`No document to update: ${key}`);
+        }
+        if (type === 'set') pendingIds.add(key);
+        if (type === 'delete') pendingIds.delete(key);
+      });
+
+      const now = new Date();
+      writes.forEach(({ type, collection, id, data }) => {
+        if (type === 'set') {
+          this.writeDocument(collection, id, { ...data, created_at: now, updated_at: now });
+        } else if (type === 'update') {
+          const current = this.getCollection(collection).get(id);
+          this.writeDocument(collection, id, { ...current, ...data, updated_at: now });
+        } else {
+          this.getCollection(collection).delete(id);
+        }
+      });
+
+      return result;
+    };
+
+    const pending = this.transactionQueue.then(run);
+    // Keep the queue alive even when a transaction fails
+    this.transactionQueue = pending.catch(() => {});
+
+    try {
+      return await pending;
+    } catch (error) {
+      console.error('Transaction error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MemoryService;
@@ -0,0 +1,346 @@
+/**
+ * Storage adapter base class
+ *
+ * Every backend (Firestore, in-memory) extends this class and implements the
+ * generic collection operations below. The collection-specific helpers and
+ * the multi-step queries used by the routes are shared here, so routes never
+ * need to know which backend is active.
+ *
+ * Transactions use a backend-neutral handle instead of the raw Firestore
+ * transaction object:
+ *   tx.get(collection, id)           -> document or null
+ *   tx.create(collection, data)      -> new document id
+ *   tx.set(collection, id, data)     -> create or overwrite a document
+ *   tx.update(collection, id, data)  -> patch an existing document
+ *   tx.delete(collection, id)
+ *
+ * Conditions map a field either to a value (equality) or to an operator
+ * object, e.g. { status: { in: ['pending', 'issued'] },
+ * created_at: { '>=': start, '<=': end } }. Empty values are ignored.
+ */
+
+const { createUserLookup } = require('../utils/userLookup');
+
+const OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'in'];
+
+const isOperatorObject = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  if (value instanceof Date || typeof value.toDate === 'function') return false;
+
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => OPERATORS.includes(key));
+};
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+class StorageService {
+  /**
+   * Flatten a conditions object into [field, operator, value] filters
+   * @param {object} conditions - Equality values or operator objects per field
+   * @returns {Array<[string, string, any]>} Filters with empty values removed
+   */
+  static toFilters(conditions = {}) {
+    const filters = [];
+
+    Object.entries(conditions).forEach(([field, value]) => {
+      if (isOperatorObject(value)) {
+        Object.entries(value).forEach(([operator, operand]) => {
+          if (isEmptyValue(operand) || (operator === 'in' && (!Array.isArray(operand) || operand.length === 0))) {
+            return;
+          }
+          filters.push([field, operator, operand]);
+        });
+      } else if (!isEmptyValue(value)) {
+        filters.push([field, '==', value]);
+      }
+    });
+
+    return filters;
+  }
+
+  // Cursors are opaque to clients; they wrap the id of the last document on a page
+  static encodeCursor(id) {
+    return Buffer.from(String(id), 'utf8').toString('base64url');
+  }
+
+  static decodeCursor(cursor) {
+    const id = Buffer.from(String(cursor), 'base64url').toString('utf8');
+    if (!id) {
+      throw StorageService.invalidCursorError();
+    }
+    return id;
+  }
+
+  static invalidCursorError() {
+    const error = new Error('Invalid or expired pagination cursor');
+    error.code = 'INVALID_CURSOR';
+    return error;
+  }
+
+  // Human readable backend name (used by health checks)
+  get backendName() {
+    return 'Unknown';
+  }
+
+  /**
+   * Value stored for a coordinate pair; Firestore stores a native GeoPoint
+   * @returns {{latitude: number, longitude: number}}
+   */
+  createGeoPoint(latitude, longitude) {
+    return { latitude, longitude };
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  // Generic collection operations (implemented by each backend)
+
+  /**
+   * Create a document with created_at/updated_at timestamps
+   * @param {string} collection - Collection name
+   * @param {object} data - Document fields
+   * @returns {Promise<object>} Created document including its id
+   */
+  async create(collection, data) {
+    return this.notImplemented('create');
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @param {string} id - Document id
+   * @returns {Promise<object|null>} Document or null when missing
+   */
+  async findById(collection, id) {
+    return this.notImplemented('findById');
+  }
+
+  /**
+   * Fetch several documents by id in as few round trips as the backend allows
+   * @param {string} collection - Collection name
+   * @param {string[]} ids - Document ids (duplicates and empty ids are ignored)
+   * @returns {Promise<Map<string, object>>} Found documents keyed by id (missing ids are absent)
+   */
+  async findByIds(collection, ids) {
+    return this.notImplemented('findByIds');
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @param {string} field - Field to match
+   * @param {any} value - Value the field must equal
+   * @returns {Promise<object|null>} First matching document or null
+   */
+  async findOne(collection, field, value) {
+    return this.notImplemented('findOne');
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @param {object} conditions - Equality values or operator objects (empty values are ignored)
+   * @param {object} options - { orderBy: { field, direction }, startAfter, offset, limit, sortInMemory }
+   *   startAfter is a cursor from findPage(); it implies ordering by orderBy (default created_at desc)
+   * @returns {Promise<object[]>} Matching documents
+   */
+  async findMany(collection, conditions = {}, options = {}) {
+    return this.notImplemented('findMany');
+  }
+
+  /**
+   * Patch a document and refresh updated_at
+   * @param {string} collection - Collection name
+   * @param {string} id - Document id
+   * @param {object} data - Fields to change
+   * @returns {Promise<object>} Updated document
+   */
+  async update(collection, id, data) {
+    return this.notImplemented('update');
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @param {string} id - Document id
+   * @returns {Promise<boolean>} True once deleted
+   */
+  async delete(collection, id) {
+    return this.notImplemented('delete');
+  }
+
+  /**
+   * @param {string} collection - Collection name
+   * @param {object} conditions - Equality values or operator objects (empty values are ignored)
+   * @returns {Promise<number>} Number of matching documents
+   */
+  async count(collection, conditions = {}) {
+    return this.notImplemented('count');
+  }
+
+  /**
+   * Run a callback atomically with a backend-neutral transaction handle
+   * @param {function} callback - async (tx) => result
+   * @returns {Promise<any>} Whatever the callback returns
+   */
+  async runTransaction(callback) {
+    return this.notImplemented('runTransaction');
+  }
+
+  /**
+   * Cursor-based page of documents
+   * @param {string} collection - Collection name
+   * @param {object} conditions - Conditions applied by the backend
+   * @param {object} options - { limit, cursor, orderBy, filter }
+   *   filter is an optional in-memory predicate for matches the backend cannot express
+   *   (e.g. substring search); documents are then scanned in batches until the page is full.
+   * @returns {Promise<{items: object[], nextCursor: string|null, hasMore: boolean}>}
+   */
+  async findPage(collection, conditions = {}, options = {}) {
+    const limit = Math.max(1, parseInt(options.limit) || 10);
+    const orderBy = options.orderBy || { field: 'created_at', direction: 'desc' };
+    const { filter } = options;
+
+    const items = [];
+    let startAfter = options.cursor || null;
+    const batchSize = filter ? Math.max(limit * 5, 100) : limit + 1;
+
+    // Collect one extra match to know whether another page exists
+    while (items.length <= limit) {
+      const batch = await this.findMany(collection, conditions, { orderBy, startAfter, limit: batchSize });
+
+      for (const doc of batch) {
+        if (!filter || filter(doc)) {
+          items.push(doc);
+          if (items.length > limit) break;
+        }
+      }
+
+      if (batch.length < batchSize) break;
+      startAfter = StorageService.encodeCursor(batch[batch.length - 1].id);
+    }
+
+    const hasMore = items.length > limit;
+    const pageItems = items.slice(0, limit);
+
+    return {
+      items: pageItems,
+      hasMore,
+      nextCursor: hasMore ? StorageService.encodeCursor(pageItems[pageItems.length - 1].id) : null
+    };
+  }
+
+  // Specific methods for each collection
+  async createUser(userData) {
+    return this.create('users', userData);
+  }
+
+  async findUserByEmail(email) {
+    return this.findOne('users', 'email', email);
+  }
+
+  async findUserByUsername(username) {
+    return this.findOne('users', 'username', username);
+  }
+
+  async findUserByBadgeNumber(badgeNumber) {
+    return this.findOne('users', 'badge_number', badgeNumber);
+  }
+
+  async getUsers(filters = {}, options = {}) {
+    return this.findMany('users', filters, options);
+  }
+
+  async updateUser(id, userData) {
+    return this.update('users', id, userData);
+  }
+
+  async deleteUser(id) {
+    return this.delete('users', id);
+  }
+
+  // Violations
+  async createViolation(violationData) {
+    return this.create('violations', violationData);
+  }
+
+  async findViolationByNumber(violationNumber) {
+    return this.findOne('violations', 'violation_number', violationNumber);
+  }
+
+  async getViolations(filters = {}, options = {}) {
+    return this.findMany('violations', filters, options);
+  }
+
+  async updateViolation(id, violationData) {
+    return this.update('violations', id, violationData);
+  }
+
+  async deleteViolation(id) {
+    return this.delete('violations', id);
+  }
+
+  // SMS Logs
+  async createSmsLog(smsData) {
+    return this.create('sms_logs', smsData);
+  }
+
+  async getSmsLogs(filters = {}, options = {}) {
+    return this.findMany('sms_logs', filters, options);
+  }
+
+  async updateSmsLog(id, smsData) {
+    return this.update('sms_logs', id, smsData);
+  }
+
+  // Audit Logs
+  async createAuditLog(auditData) {
+    return this.create('audit_logs', auditData);
+  }
+
+  async getAuditLogs(filters = {}, options = {}) {
+    return this.findMany('audit_logs', filters, options);
+  }
+
+  // System Settings
+  async createSetting(settingData) {
+    return this.create('system_settings', settingData);
+  }
+
+  async findSettingByKey(key) {
+    return this.findOne('system_settings', 'setting_key', key);
+  }
+
+  async getSettings(filters = {}, options = {}) {
+    return this.findMany('system_settings', filters, options);
+  }
+
+  async updateSetting(id, settingData) {
+    return this.update('system_settings', id, settingData);
+  }
+
+  // Complex queries that require multiple operations
+  async getViolationsWithEnforcer(filters = {}, options = {}) {
+    try {
+      const violations = await this.getViolations(filters, options);
+
+      return await createUserLookup(this).withEnforcers(violations);
+    } catch (error) {
+      console.error('Error getting violations with enforcer:', error);
+      throw error;
+    }
+  }
+
+  async getAuditLogsWithUser(filters = {}, options = {}) {
+    try {
+      const auditLogs = await this.getAuditLogs(filters, options);
+      return await this.withAuditUsers(auditLogs);
+    } catch (error) {
+      console.error('Error getting audit logs with user:', error);
+      throw error;
+    }
+  }
+
+  async withAuditUsers(auditLogs, userLookup = createUserLookup(this)) {
+    return userLookup.withUserNames(auditLogs);
+  }
+}
+
+module.exports = StorageService;
@@ -8,14 +8,27 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
 const violationRoutes = require('./routes/violations');
+const paymentRoutes = require('./routes/payments');
+const photoRoutes = require('./routes/photos');
+const onlinePaymentRoutes = require('./routes/onlinePayments');
+const publicRoutes = require('./routes/public');
+const disputeRoutes = require('./routes/disputes');
+const mapRoutes = require('./routes/map');
+const violatorRoutes = require('./routes/violators');
+const vehicleRoutes = require('./routes/vehicles');
+const violationImportRoutes = require('./routes/violationImports');
 const reportRoutes = require('./routes/reports');
 const smsRoutes = require('./routes/sms');
 const deviceRoutes = require('./routes/device');
 const auditRoutes = require('./routes/audit');
+const violationTypeRoutes = require('./routes/violationTypes');
+const holidayRoutes = require('./routes/holidays');
 
 const { connectDB } = require('./config/database');
 const { errorHandler } = require('./middleware/errorHandler');
 const { sendPenaltyReminders } = require('./scripts/penaltyReminder');
+const { runLateSurcharges } = require('./scripts/lateSurcharges');
+const { findDuplicateViolators } = require('./scripts/findDuplicateViolators');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -26,19 +39,31 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? [process.env.CORS_ORIGIN || 'https://yourdomain.com'] 
     : ['http://localhost:3000'],
-  credentials: true
+  credentials: true,
+  // The export download is named by the server
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // A single map view loads dozens of tiles
+  skip: (req) => req.path.startsWith('/api/map/tiles/')
 });
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/online-payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files from the React build
@@ -59,24 +84,24 @@ app.get('/health/db', async (req, res) => {
     const { getFirebaseService } = require('./config/database');
     const firebaseService = getFirebaseService();
     
-    // Test Firebase connection by getting a simple count
+    // Test the database connection by getting a simple count
     const userCount = await firebaseService.count('users');
     
     res.json({
       status: 'OK',
-      message: 'Firebase connection successful',
+      message: 'Database connection successful',
       data: {
-        database: 'Firebase Firestore',
+        database: firebaseService.backendName,
         userCount: userCount,
         timestamp: new Date().toISOString()
       },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Firebase health check failed:', error);
+    console.error('Database health check failed:', error);
     res.status(500).json({
       status: 'ERROR',
-      message: 'Firebase connection failed',
+      message: 'Database connection failed',
       error: error.message,
       timestamp: new Date().toISOString()
     });
@@ -86,11 +111,22 @@ app.get('/health/db', async (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/violations/:id/payments', paymentRoutes);
+app.use('/api/violations/:id/photos', photoRoutes);
+app.use('/api/online-payments', onlinePaymentRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/map', mapRoutes);
+app.use('/api/violators', violatorRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/violation-imports', violationImportRoutes);
 app.use('/api/violations', violationRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/sms', smsRoutes);
 app.use('/api/device', deviceRoutes);
 app.use('/api/audit', auditRoutes);
+app.use('/api/violation-types', violationTypeRoutes);
+app.use('/api/holidays', holidayRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -121,6 +157,47 @@ if (process.env.NODE_ENV === 'production' || process.env.ENABLE_PENALTY_REMINDER
   console.log('✅ Penalty reminder scheduler enabled');
 }
 
+// Accrue late payment surcharges daily just after midnight, before the reminders go out.
+// The job does nothing until the surcharge policy is enabled in system settings.
+// Only run in production or when explicitly enabled
+if (process.env.NODE_ENV === 'production' || process.env.ENABLE_SURCHARGES === 'true') {
+  console.log('⏰ Scheduling daily late payment surcharges...');
+
+  cron.schedule('5 0 * * *', async () => {
+    console.log('💸 Running scheduled late payment surcharges...');
+    try {
+      const result = await runLateSurcharges();
+      console.log('💸 Late payment surcharge job completed:', result);
+    } catch (error) {
+      console.error('❌ Error in scheduled late payment surcharge job:', error);
+    }
+  }, {
+    timezone: "Asia/Manila"
+  });
+
+  console.log('✅ Late payment surcharge scheduler enabled');
+}
+
+// Look for duplicate violator records overnight so the list is ready for review in the morning
+// Only run in production or when explicitly enabled
+if (process.env.NODE_ENV === 'production' || process.env.ENABLE_DUPLICATE_SCAN === 'true') {
+  console.log('⏰ Scheduling nightly duplicate violator scan...');
+
+  cron.schedule('30 1 * * *', async () => {
+    console.log('🔍 Running scheduled duplicate violator scan...');
+    try {
+      const result = await findDuplicateViolators();
+      console.log('🔍 Duplicate violator scan completed:', result);
+    } catch (error) {
+      console.error('❌ Error in scheduled duplicate violator scan:', error);
+    }
+  }, {
+    timezone: "Asia/Manila"
+  });
+
+  console.log('✅ Duplicate violator scan scheduler enabled');
+}
+
 // Start server
 const startServer = async () => {
   try {
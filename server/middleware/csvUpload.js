@@ -0,0 +1,39 @@
+const multer = require('multer');
+const { MAX_IMPORT_FILE_BYTES } = require('../services/violationImportService');
+
+// Browsers report .csv files as text/csv, application/vnd.ms-excel or nothing at all, so go by the name
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!/\.csv$/i.test(file.originalname)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `${file.originalname} must be a .csv file`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Multipart upload of one CSV file in the "file" field, held in memory as req.file
+const uploadCsv = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge
+          ? `The file must be at most ${Math.round(MAX_IMPORT_FILE_BYTES / (1024 * 1024))} MB`
+          : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = { uploadCsv };
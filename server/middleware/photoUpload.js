@@ -0,0 +1,43 @@
+const multer = require('multer');
+const { PHOTO_FORMATS, MAX_PHOTO_SIZE_BYTES } = require('../services/evidencePhotoService');
+
+// Most photos accepted in one request; the per-violation limit is checked by the photo service
+const MAX_FILES_PER_REQUEST = 10;
+
+const ALLOWED_CONTENT_TYPES = Object.values(PHOTO_FORMATS).map(format => format.contentType);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_PHOTO_SIZE_BYTES,
+    files: MAX_FILES_PER_REQUEST
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_CONTENT_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `${file.originalname} must be a JPEG, PNG or WebP image`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).array('photos', MAX_FILES_PER_REQUEST);
+
+// Multipart upload of evidence photos in the "photos" field, held in memory as req.files
+const uploadPhotos = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge
+          ? `Each photo must be at most ${Math.round(MAX_PHOTO_SIZE_BYTES / (1024 * 1024))} MB`
+          : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = { uploadPhotos };
@@ -3,7 +3,17 @@ const { body, validationResult } = require('express-validator');
 const { protect, adminOnly } = require('../middleware/auth');
 const { getFirebaseService } = require('../config/database');
 const { logAudit } = require('../utils/auditLogger');
+const { getUserLookup } = require('../utils/userLookup');
+const { getAllTimeStats, getStatsRange, getStatsStatus } = require('../services/statsService');
+const { VIOLATION_STATUSES } = require('../services/violationStatusService');
+const { SURCHARGE_TYPES, SURCHARGE_FREQUENCIES, DEFAULT_SURCHARGE_POLICY } = require('../services/surchargeService');
+const { DEFAULT_DISPUTE_SETTINGS } = require('../services/disputeService');
+const { DEFAULT_PHOTO_SETTINGS } = require('../services/evidencePhotoService');
+const { violatorIdFor } = require('../services/violatorService');
+const { DEFAULT_DEMERIT_SETTINGS, getDemeritPolicy, getTypePoints, calculateStanding } = require('../services/demeritService');
+const { DEFAULT_COMPLIANCE_SETTINGS, recomputeDueDates } = require('../services/dueDateService');
 const { generateNextBadgeNumber } = require('../utils/badgeNumberGenerator');
+const { toManila } = require('../utils/dateUtils');
 const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcryptjs');
 
@@ -31,14 +41,14 @@ router.get('/dashboard', async (req, res) => {
   try {
     const firebaseService = getFirebaseService();
 
-    // Get all violations
-    const allViolations = await firebaseService.getViolations({}, { limit: 10000 });
+    // Totals come from the pre-aggregated monthly stats
+    const allTimeStats = await getAllTimeStats();
 
     // Get all enforcers
     const allEnforcers = await firebaseService.getUsers({ role: 'enforcer' }, { limit: 1000 });
 
     // Calculate total violations
-    const totalViolations = allViolations.length;
+    const totalViolations = allTimeStats.totals.count;
 
     // Calculate active enforcers (enforcers who are active)
     const activeEnforcers = allEnforcers.filter(e => e.is_active).length;
@@ -47,99 +57,48 @@ router.get('/dashboard', async (req, res) => {
     const totalEnforcers = allEnforcers.length;
 
     // Calculate total fines (sum of all violation fines)
-    const totalFines = allViolations.reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0);
+    const totalFines = allTimeStats.totals.fines;
 
     // Calculate violations by status
-    const violationsByStatus = [
-      {
-        status: 'pending',
-        count: allViolations.filter(v => v.status === 'pending').length
-      },
-      {
-        status: 'issued',
-        count: allViolations.filter(v => v.status === 'issued').length
-      },
-      {
-        status: 'paid',
-        count: allViolations.filter(v => v.status === 'paid').length
-      },
-      {
-        status: 'disputed',
-        count: allViolations.filter(v => v.status === 'disputed').length
-      },
-      {
-        status: 'cancelled',
-        count: allViolations.filter(v => v.status === 'cancelled').length
-      }
-    ].filter(item => item.count > 0); // Only include statuses with violations
+    const violationsByStatus = VIOLATION_STATUSES
+      .map(status => ({
+        status,
+        count: allTimeStats.by_status[status]?.count || 0
+      }))
+      .filter(item => item.count > 0); // Only include statuses with violations
+
+    // Calculate monthly data for trends (last 6 months, Manila calendar)
+    const thisMonth = toManila().startOf('month');
+    const sixMonthsAgo = thisMonth.clone().subtract(5, 'months');
+    const monthStats = await getStatsRange('month', sixMonthsAgo.toDate(), new Date());
 
-    // Calculate monthly data for trends (last 6 months)
     const monthlyData = [];
-    const now = new Date();
-
     for (let i = 5; i >= 0; i--) {
-      const monthDate = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      const monthStart = new Date(monthDate.getFullYear(), monthDate.getMonth(), 1);
-      const monthEnd = new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0, 23, 59, 59);
-
-      // Filter violations for this month
-      const monthViolations = allViolations.filter(v => {
-        const vDate = v.created_at?.toDate ? v.created_at.toDate() : new Date(v.created_at);
-        return vDate >= monthStart && vDate <= monthEnd;
-      });
-
-      const totalViolationsInMonth = monthViolations.length;
-      const totalFinesInMonth = monthViolations.reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0);
-      const paidViolationsInMonth = monthViolations.filter(v => v.status === 'paid').length;
-      const collectedFinesInMonth = monthViolations
-        .filter(v => v.status === 'paid')
-        .reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0);
+      const monthDate = thisMonth.clone().subtract(i, 'months');
+      const monthKey = monthDate.format('YYYY-MM');
+      const totals = monthStats.find(stats => stats.period_key === monthKey)?.totals;
 
       monthlyData.push({
-        month: monthDate.toISOString(),
-        totalViolations: totalViolationsInMonth,
-        totalFines: totalFinesInMonth,
-        paidViolations: paidViolationsInMonth,
-        collectedFines: collectedFinesInMonth
+        // The 1st of the month at midnight UTC, whichever calendar the key came from
+        month: monthDate.clone().utc(true).toISOString(),
+        totalViolations: totals?.count || 0,
+        totalFines: totals?.fines || 0,
+        paidViolations: totals?.paid_count || 0,
+        collectedFines: totals?.paid_fines || 0
       });
     }
 
     // Get recent violations (last 10)
-    const recentViolations = allViolations
-      .sort((a, b) => {
-        const aDate = a.created_at?.toDate ? a.created_at.toDate() : new Date(a.created_at || 0);
-        const bDate = b.created_at?.toDate ? b.created_at.toDate() : new Date(b.created_at || 0);
-        return bDate - aDate;
-      })
-      .slice(0, 10);
+    const recentViolations = await firebaseService.getViolations({}, {
+      orderBy: { field: 'created_at', direction: 'desc' },
+      limit: 10
+    });
 
     // Get enforcer details for recent violations
-    const recentViolationsWithEnforcer = await Promise.all(
-      recentViolations.map(async (violation) => {
-        if (violation.enforcer_id) {
-          try {
-            const enforcer = await firebaseService.findById('users', violation.enforcer_id);
-            return {
-              ...violation,
-              enforcer_name: enforcer ? enforcer.full_name : 'Unknown',
-              enforcer_badge: enforcer ? enforcer.badge_number : 'Unknown'
-            };
-          } catch (error) {
-            console.error(`Error fetching enforcer for violation ${violation.id}:`, error);
-            return {
-              ...violation,
-              enforcer_name: 'Unknown',
-              enforcer_badge: 'Unknown'
-            };
-          }
-        }
-        return {
-          ...violation,
-          enforcer_name: 'Unknown',
-          enforcer_badge: 'Unknown'
-        };
-      })
-    );
+    const recentViolationsWithEnforcer = await getUserLookup(req).withEnforcers(recentViolations);
+
+    // Counters that missed a write stay off until rebuild-stats is run
+    const statsStatus = await getStatsStatus();
 
     res.status(200).json({
       success: true,
@@ -150,7 +109,8 @@ router.get('/dashboard', async (req, res) => {
         totalFines,
         violationsByStatus,
         monthlyData,
-        recentViolations: recentViolationsWithEnforcer
+        recentViolations: recentViolationsWithEnforcer,
+        statsStatus
       }
     });
 
@@ -177,11 +137,11 @@ router.get('/repeat-offenders', repeatOffendersLimiter, async (req, res) => {
     const allViolations = await firebaseService.getViolations({}, { limit: 10000 });
     console.log(`Found ${allViolations.length} total violations`);
 
-    // Group by violator (using license plate as identifier)
+    // Group by violator: the registered person (keyed by license) when the violation
+    // has a license, otherwise the plate or name
     const violatorGroups = {};
     allViolations.forEach(violation => {
-      // Use violator license as primary identifier, fallback to other fields
-      const key = violation.violator_license || violation.vehicle_plate || violation.violator_name;
+      const key = violation.violator_id || violatorIdFor(violation.violator_license) || violation.vehicle_plate || violation.violator_name;
       if (key) {
         if (!violatorGroups[key]) {
           violatorGroups[key] = [];
@@ -199,6 +159,9 @@ router.get('/repeat-offenders', repeatOffendersLimiter, async (req, res) => {
 
     console.log(`Grouped into ${Object.keys(violatorGroups).length} violator groups`);
 
+    // Demerit points are counted per license, so only groups with a license get a standing
+    const [demeritPolicy, typePoints] = await Promise.all([getDemeritPolicy(), getTypePoints()]);
+
     // Show some sample groups for debugging
     const sampleGroups = Object.entries(violatorGroups).slice(0, 5);
     sampleGroups.forEach(([key, violations]) => {
@@ -237,6 +200,7 @@ router.get('/repeat-offenders', repeatOffendersLimiter, async (req, res) => {
 
         return {
           identifier: key,
+          violator_id: violations.find(v => v.violator_id)?.violator_id || null,
           violator_name: lastViolation.violator_name,
           violator_license: lastViolation.violator_license,
           violator_phone: lastViolation.violator_phone,
@@ -248,7 +212,10 @@ router.get('/repeat-offenders', repeatOffendersLimiter, async (req, res) => {
           first_violation_type: firstViolation.violation_type,
           last_violation_date: lastViolation.created_at,
           last_violation_type: lastViolation.violation_type,
-          violations: violations.slice(0, 5) // Show last 5 violations
+          violations: violations.slice(0, 5), // Show last 5 violations
+          demerits: violations.some(v => v.violator_id || v.violator_license)
+            ? calculateStanding(violations, demeritPolicy, typePoints)
+            : null
         };
       })
       .sort((a, b) => b.total_violations - a.total_violations);
@@ -305,25 +272,19 @@ router.get('/repeat-offenders', repeatOffendersLimiter, async (req, res) => {
 // @access  Private (Admin only)
 router.get('/violation-stats', async (req, res) => {
   try {
-    const firebaseService = getFirebaseService();
-
-    // Get all violations
-    const allViolations = await firebaseService.getViolations({}, { limit: 1000 });
+    const { totals, by_status: byStatus } = await getAllTimeStats();
+    const statusBucket = (status) => byStatus[status] || { count: 0, fines: 0 };
 
     // Calculate statistics
     const stats = {
-      totalViolations: allViolations.length,
-      totalFines: allViolations.reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0),
-      collectedFines: allViolations
-        .filter(v => v.status === 'paid')
-        .reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0),
-      pendingFines: allViolations
-        .filter(v => v.status === 'pending' || v.status === 'issued')
-        .reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0),
-      paidViolations: allViolations.filter(v => v.status === 'paid').length,
-      pendingViolations: allViolations.filter(v => v.status === 'pending' || v.status === 'issued').length,
-      disputedViolations: allViolations.filter(v => v.status === 'disputed').length,
-      cancelledViolations: allViolations.filter(v => v.status === 'cancelled').length
+      totalViolations: totals.count,
+      totalFines: totals.fines,
+      collectedFines: totals.paid_fines,
+      pendingFines: statusBucket('pending').fines + statusBucket('issued').fines,
+      paidViolations: totals.paid_count,
+      pendingViolations: statusBucket('pending').count + statusBucket('issued').count,
+      disputedViolations: statusBucket('disputed').count,
+      cancelledViolations: statusBucket('cancelled').count
     };
 
     res.status(200).json({
@@ -664,7 +625,12 @@ router.get('/settings', async (req, res) => {
         email_notifications: true,
         violation_alerts: true,
         debug_mode: false,
-        auto_backup: true
+        auto_backup: true,
+        ...DEFAULT_SURCHARGE_POLICY,
+        ...DEFAULT_DISPUTE_SETTINGS,
+        ...DEFAULT_PHOTO_SETTINGS,
+        ...DEFAULT_DEMERIT_SETTINGS,
+        ...DEFAULT_COMPLIANCE_SETTINGS
       };
 
       return res.status(200).json({
@@ -673,10 +639,11 @@ router.get('/settings', async (req, res) => {
       });
     }
 
-    // Return the first (and should be only) settings document
+    // Return the first (and should be only) settings document; settings saved
+    // before the surcharge policy, dispute deadline, photo limit, demerit points or compliance period existed fall back to their defaults
     res.status(200).json({
       success: true,
-      data: settings[0]
+      data: { ...DEFAULT_SURCHARGE_POLICY, ...DEFAULT_DISPUTE_SETTINGS, ...DEFAULT_PHOTO_SETTINGS, ...DEFAULT_DEMERIT_SETTINGS, ...DEFAULT_COMPLIANCE_SETTINGS, ...settings[0] }
     });
 
   } catch (error) {
@@ -697,6 +664,17 @@ router.put('/settings', [
   body('session_timeout').optional().isInt({ min: 5, max: 480 }).withMessage('Session timeout must be between 5 and 480 minutes'),
   body('max_login_attempts').optional().isInt({ min: 3, max: 10 }).withMessage('Max login attempts must be between 3 and 10'),
   body('password_min_length').optional().isInt({ min: 6, max: 20 }).withMessage('Password length must be between 6 and 20'),
+  body('late_surcharge_enabled').optional().isBoolean().withMessage('Late surcharge enabled must be true or false').toBoolean(),
+  body('late_surcharge_type').optional().isIn(SURCHARGE_TYPES).withMessage(`Late surcharge type must be one of: ${SURCHARGE_TYPES.join(', ')}`),
+  body('late_surcharge_amount').optional().isFloat({ min: 0 }).withMessage('Late surcharge amount must be a positive number').toFloat(),
+  body('late_surcharge_frequency').optional().isIn(SURCHARGE_FREQUENCIES).withMessage(`Late surcharge frequency must be one of: ${SURCHARGE_FREQUENCIES.join(', ')}`),
+  body('late_surcharge_cap').optional().isFloat({ min: 0 }).withMessage('Late surcharge cap must be a positive number (0 for no cap)').toFloat(),
+  body('max_photos_per_violation').optional().isInt({ min: 1, max: 20 }).withMessage('Photos per violation must be between 1 and 20').toInt(),
+  body('dispute_deadline_days').optional().isInt({ min: 0, max: 90 }).withMessage('Dispute deadline must be between 0 and 90 days after the due date').toInt(),
+  body('demerit_expiry_days').optional().isInt({ min: 1, max: 3650 }).withMessage('Demerit points must expire after 1 to 3650 days').toInt(),
+  body(['demerit_warning_points', 'demerit_suspension_points', 'demerit_revocation_points']).optional().isInt({ min: 0, max: 1000 }).withMessage('Demerit thresholds must be whole numbers (0 to turn a threshold off)').toInt(),
+  body('compliance_period_days').optional().isInt({ min: 1, max: 60 }).withMessage('Compliance period must be between 1 and 60 days').toInt(),
+  body('compliance_working_days').optional().isBoolean().withMessage('Count working days only must be true or false').toBoolean(),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -751,4 +729,55 @@ router.put('/settings', [
   }
 });
 
+// @desc    Recompute due dates of open violations under the current compliance period and holidays
+// @route   POST /api/admin/settings/recompute-due-dates
+// @access  Private (Admin only)
+router.post('/settings/recompute-due-dates', [
+  body('dry_run').optional().isBoolean().withMessage('Dry run must be true or false').toBoolean(),
+  body('notify_violators').optional().isBoolean().withMessage('Notify violators must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const dryRun = req.body.dry_run === true;
+    // Texting every violator is opt-in; without it due dates move silently
+    const result = await recomputeDueDates({ dryRun, notify: req.body.notify_violators === true });
+
+    // A dry run changes nothing, so only the real run is audited
+    if (!dryRun) {
+      await logAudit(
+        req.user.id,
+        'RECOMPUTE_DUE_DATES',
+        'violations',
+        null,
+        null,
+        { checked: result.checked, changed: result.changed, skipped: result.skipped, notified: result.notified },
+        req
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...result, dry_run: dryRun },
+      message: dryRun
+        ? `${result.changed} open violation(s) would get a new due date`
+        : `Due dates updated on ${result.changed} open violation(s)${result.notified ? `; ${result.notified} violator(s) texted` : ''}`
+    });
+
+  } catch (error) {
+    console.error('Recompute due dates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to recompute due dates'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -8,13 +8,13 @@ const router = express.Router();
 // Apply admin protection to all routes
 router.use(protect, adminOnly);
 
-// @desc    Get audit logs with pagination and filtering
+// @desc    Get audit logs with cursor pagination and filtering
 // @route   GET /api/audit/logs
 // @access  Private (Admin only)
 router.get('/logs', async (req, res) => {
   try {
     const { 
-      page, 
+      cursor, 
       limit, 
       userId, 
       action, 
@@ -24,8 +24,8 @@ router.get('/logs', async (req, res) => {
     } = req.query;
 
     const result = await getAuditLogs({
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 10,
+      cursor,
+      limit: Math.max(1, Math.min(100, parseInt(limit) || 10)),
       userId,
       action,
       tableName,
@@ -142,23 +142,16 @@ router.get('/recent', async (req, res) => {
 
     // Get audit logs from the last 24 hours
     const recentLogs = await firebaseService.getAuditLogsWithUser(
-      {}, 
+      { created_at: { '>=': twentyFourHoursAgo } }, 
       { 
         limit: parseInt(limit),
         orderBy: { field: 'created_at', direction: 'desc' }
       }
     );
 
-    // Filter by date in memory (since Firebase doesn't support date range queries easily)
-    const filteredLogs = recentLogs.filter(log => {
-      if (!log.created_at) return false;
-      const logDate = new Date(log.created_at.toDate ? log.created_at.toDate() : log.created_at);
-      return logDate >= twentyFourHoursAgo;
-    });
-
     res.status(200).json({
       success: true,
-      data: filteredLogs
+      data: recentLogs
     });
 
   } catch (error) {
@@ -176,11 +169,11 @@ router.get('/recent', async (req, res) => {
 router.get('/user/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { cursor, limit = 10 } = req.query;
 
     const result = await getAuditLogs({
-      page: parseInt(page),
-      limit: parseInt(limit),
+      cursor,
+      limit: Math.max(1, Math.min(100, parseInt(limit) || 10)),
       userId
     });
 
@@ -4,6 +4,16 @@ const { getFirebaseService } = require('../config/database');
 const { generateViolationNumber } = require('../utils/violationNumberGenerator');
 const { logAudit } = require('../utils/auditLogger');
 const { sendSMS } = require('../services/smsService');
+const { recordViolationStats } = require('../services/statsService');
+const { recordInitialStatus } = require('../services/violationStatusService');
+const { resolveTicketType, countPriorOffenses, violationTypeFields } = require('../services/violationTypeService');
+const { addPhotos } = require('../services/evidencePhotoService');
+const { uploadPhotos } = require('../middleware/photoUpload');
+const { coordinateValidators, toGeoPoint } = require('../utils/geoUtils');
+const { linkViolator, repeatOffenderFields } = require('../services/violatorService');
+const { linkVehicle, lookupVehicle } = require('../services/vehicleService');
+const { checkNewViolation } = require('../services/demeritService');
+const { computeDueDate } = require('../services/dueDateService');
 
 const router = express.Router();
 
@@ -140,18 +150,21 @@ router.post(
   authenticateDevice,
   [
     body('violator_name').trim().notEmpty().withMessage('Violator name is required'),
-    body('violation_type').trim().notEmpty().withMessage('Violation type is required'),
+    body('violation_type')
+      .if(body('violation_type_code').not().exists())
+      .trim()
+      .notEmpty()
+      .withMessage('Violation type is required'),
     body('location').trim().notEmpty().withMessage('Location is required'),
     body('fine_amount')
-      .notEmpty()
-      .withMessage('Fine amount is required')
-      .bail()
+      .optional({ checkFalsy: true })
       .isFloat({ min: 0 })
       .withMessage('Fine amount must be a positive number'),
     body('violator_phone')
       .optional({ checkFalsy: true })
       .isMobilePhone('any')
       .withMessage('Violator phone must be a valid mobile number'),
+    ...coordinateValidators,
   ],
   async (req, res) => {
     try {
@@ -166,60 +179,66 @@ router.post(
 
       const firebaseService = getFirebaseService();
 
+      // Resolve the type against the fine schedule; a fine sent by the device is ignored
+      const typeKey = req.body.violation_type_code || req.body.violation_type;
+      const violationType = await resolveTicketType(req.body);
+      if (!violationType) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown or inactive violation type: ${typeKey}`,
+        });
+      }
+
+      // Offenses are counted per violator, so merged profiles and differently typed licenses add up
+      const violatorId = await linkViolator(req.body);
+      const offenseNumber = await countPriorOffenses(violationType, violatorId) + 1;
+      const typeFields = violationTypeFields(violationType, offenseNumber);
+      if (req.body.fine_amount !== undefined && parseFloat(req.body.fine_amount) !== typeFields.fine_amount) {
+        console.warn(
+          `⚠️ Device ${req.device.id} sent fine ${req.body.fine_amount} for ${violationType.code}; using scheduled fine ${typeFields.fine_amount}`
+        );
+      }
+
       // Generate violation number
       const violationNumber = await generateViolationNumber();
 
-      // Calculate due date (3 days from now - Cebu City compliance period)
-      const dueDate = new Date();
-      dueDate.setDate(dueDate.getDate() + 3);
-
-      // Check if violator is a repeat offender by looking for existing violations
-      // with the same license number
-      let isRepeatOffender = false;
-      let previousViolationsCount = 0;
+      // Due date from the compliance period in system settings (skips weekends and holidays)
+      const dueDate = await computeDueDate();
 
-      if (req.body.violator_license) {
-        // Find existing violations with the same license number
-        const existingViolations = await firebaseService.getViolations({
-          violator_license: req.body.violator_license
-        });
-
-        if (existingViolations && existingViolations.length > 0) {
-          isRepeatOffender = true;
-          previousViolationsCount = existingViolations.length;
-        }
-      }
+      const capturedAt = req.body.captured_at
+        ? new Date(req.body.captured_at)
+        : req.body.datetime
+          ? (parseESP32DateTime(req.body.datetime) || new Date())
+          : new Date();
 
       // Create violation payload
       const violationPayload = {
         violation_number: violationNumber,
         enforcer_id: null, // Device violations don't have enforcer_id
+        device_id: req.device.id,
         violator_name: req.body.violator_name,
         violator_license: req.body.violator_license || '',
         violator_phone: req.body.violator_phone || '',
         violator_address: req.body.violator_address || '',
-        vehicle_plate: req.body.vehicle_plate || '',
-        vehicle_brand: req.body.vehicle_brand || '',
-        vehicle_model: req.body.vehicle_model || '',
-        vehicle_variant: req.body.vehicle_variant || '',
-        vehicle_color: req.body.vehicle_color || '',
-        violation_type: req.body.violation_type,
+        violator_id: violatorId,
+        // The keypad may send only the plate; the rest comes from the vehicle registry
+        ...await linkVehicle(req.body),
+        ...typeFields,
         violation_description: req.body.violation_description || '',
         location: req.body.location,
-        fine_amount: parseFloat(req.body.fine_amount),
+        geopoint: toGeoPoint(firebaseService, req.body),
         status: 'pending',
         notes: req.body.notes || '',
         due_date: dueDate,
-        is_repeat_offender: isRepeatOffender,
-        previous_violations_count: previousViolationsCount,
-        captured_at: req.body.captured_at
-          ? new Date(req.body.captured_at)
-          : req.body.datetime
-            ? (parseESP32DateTime(req.body.datetime) || new Date())
-            : new Date(),
+        // Repeat offender if the violator already has violations on record
+        ...await repeatOffenderFields(violatorId),
+        captured_at: capturedAt,
+        violation_date: capturedAt,
       };
 
       const violation = await firebaseService.createViolation(violationPayload);
+      await recordViolationStats(null, violation);
+      await recordInitialStatus(violation, { id: `device:${req.device.id}`, role: 'device' });
 
       await logAudit(
         `device:${req.device.id}`,
@@ -235,13 +254,35 @@ router.post(
         req
       );
 
+      // The enforcer sees the notice on the device when the license is over a demerit threshold
+      const demerits = await checkNewViolation(violation);
+      if (demerits && demerits.newly_flagged) {
+        await logAudit(
+          `device:${req.device.id}`,
+          'DEMERIT_THRESHOLD_REACHED',
+          'violators',
+          violation.violator_id,
+          null,
+          { flag: demerits.flag, points: demerits.points, threshold: demerits.threshold, violation_number: violationNumber },
+          req
+        );
+      }
+
       return res.status(201).json({
         success: true,
-        data: violation,
-        message: 'Violation recorded successfully',
+        data: { ...violation, demerits },
+        message: demerits && demerits.notice
+          ? `Violation recorded successfully. ${demerits.notice}`
+          : 'Violation recorded successfully',
       });
     } catch (error) {
       console.error('Device violation creation error:', error);
+      if (error.code === 'VIOLATION_TYPE_ERROR') {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message,
+        });
+      }
       return res.status(500).json({
         success: false,
         error: 'Failed to create violation record',
@@ -250,5 +291,83 @@ router.post(
   }
 );
 
+// Photos from the device's camera, sent after the violation is created
+// (multipart, field "photos"). A device can only add photos to its own violations.
+router.post('/violations/:id/photos', authenticateDevice, uploadPhotos, async (req, res) => {
+  try {
+    const firebaseService = getFirebaseService();
+    const violation = await firebaseService.findById('violations', req.params.id);
+
+    if (!violation || violation.device_id !== req.device.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violation not found',
+      });
+    }
+
+    const photos = await addPhotos(violation.id, req.files, { id: `device:${req.device.id}`, source: 'device' });
+
+    await logAudit(
+      `device:${req.device.id}`,
+      'DEVICE_UPLOAD_EVIDENCE_PHOTOS',
+      'violations',
+      violation.id,
+      null,
+      { photos: photos.map((photo) => ({ id: photo.id, sha256: photo.sha256, size: photo.size })) },
+      req
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: photos.map((photo) => ({ id: photo.id, size: photo.size, sha256: photo.sha256 })),
+      message: `${photos.length} photo(s) uploaded`,
+    });
+  } catch (error) {
+    console.error('Device photo upload error:', error);
+    if (error.code === 'PHOTO_ERROR') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to upload photos',
+    });
+  }
+});
+
+// Registered make, model and color for a plate, so the keypad only needs the
+// plate number. 404 when the plate has not been ticketed before.
+router.get('/vehicles/:plate', authenticateDevice, async (req, res) => {
+  try {
+    const vehicle = await lookupVehicle(req.params.plate);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not registered',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        vehicle_plate: vehicle.plate_number,
+        vehicle_brand: vehicle.brand || '',
+        vehicle_model: vehicle.model || '',
+        vehicle_variant: vehicle.variant || '',
+        vehicle_color: vehicle.color || '',
+      },
+    });
+  } catch (error) {
+    console.error('Device vehicle lookup error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to look up vehicle',
+    });
+  }
+});
+
 module.exports = router;
 
@@ -0,0 +1,202 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { getFirebaseService } = require('../config/database');
+const { protect, authorize } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { getUserLookup } = require('../utils/userLookup');
+const { withAmountDue } = require('../services/surchargeService');
+const {
+  DISPUTE_OUTCOMES,
+  MAX_EVIDENCE_ITEMS,
+  fileDispute,
+  decideDispute,
+  getDisputes
+} = require('../services/disputeService');
+
+const router = express.Router();
+
+// Disputes are handled by admins only
+router.use(protect);
+router.use(authorize('admin'));
+
+const handleDisputeError = (res, error, fallback) => {
+  if (error.code === 'DISPUTE_ERROR' || error.code === 'INVALID_STATUS_TRANSITION') {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+// Violation fields shown next to each dispute in the adjudication queue
+const withViolations = async (req, disputes) => {
+  const firebaseService = getFirebaseService();
+  const violations = await firebaseService.findByIds('violations', disputes.map(dispute => dispute.violation_id));
+  const users = await getUserLookup(req).getUsers(disputes.flatMap(dispute => [dispute.submitted_by, dispute.decided_by]));
+
+  return disputes.map(dispute => {
+    const found = violations.get(dispute.violation_id);
+    const [violation] = found ? withAmountDue([found]) : [null];
+    return {
+      ...dispute,
+      submitted_by_name: dispute.submitted_by ? users.get(dispute.submitted_by)?.full_name || 'Unknown' : 'Motorist (portal)',
+      decided_by_name: dispute.decided_by ? users.get(dispute.decided_by)?.full_name || 'Unknown' : null,
+      violation: violation && {
+        id: violation.id,
+        violation_number: violation.violation_number,
+        violation_type: violation.violation_type,
+        offense_tier_label: violation.offense_tier_label || null,
+        violator_name: violation.violator_name,
+        violator_phone: violation.violator_phone,
+        vehicle_plate: violation.vehicle_plate,
+        location: violation.location,
+        status: violation.status,
+        fine_amount: violation.fine_amount,
+        amount_due: violation.amount_due,
+        amount_paid: violation.amount_paid,
+        due_date: violation.due_date,
+        created_at: violation.created_at
+      }
+    };
+  });
+};
+
+// @desc    Get disputes (adjudication queue)
+// @route   GET /api/disputes
+// @access  Private (Admin only)
+router.get('/', [
+  query('status').optional().isIn(['open', 'decided']).withMessage('Status must be open or decided'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const { status = 'open', limit = 20, cursor } = req.query;
+    const page = await getDisputes({ status, limit: parseInt(limit), cursor });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        disputes: await withViolations(req, page.items),
+        pagination: {
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load disputes'
+    });
+  }
+});
+
+// @desc    File a dispute on behalf of a motorist
+// @route   POST /api/disputes
+// @access  Private (Admin only)
+router.post('/', [
+  body('violation_number').trim().notEmpty().withMessage('Violation number is required'),
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 2000 }).withMessage('Reason must be at most 2000 characters'),
+  body('evidence').optional().isArray({ max: MAX_EVIDENCE_ITEMS }).withMessage(`At most ${MAX_EVIDENCE_ITEMS} evidence items`),
+  body('evidence.*').isString().trim().notEmpty().isLength({ max: 500 }).withMessage('Each evidence item must be 1-500 characters'),
+  body('contact_phone').optional().isString().isLength({ max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const firebaseService = getFirebaseService();
+    const violation = await firebaseService.findViolationByNumber(req.body.violation_number.toUpperCase());
+    if (!violation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violation not found'
+      });
+    }
+
+    const dispute = await fileDispute(violation.id, req.body, { source: 'admin', user: { id: req.user.id } });
+
+    // Log audit
+    await logAudit(req.user.id, 'FILE_DISPUTE', 'disputes', dispute.id, null, dispute, req);
+
+    res.status(201).json({
+      success: true,
+      data: dispute,
+      message: 'Dispute filed'
+    });
+
+  } catch (error) {
+    console.error('File dispute error:', error);
+    handleDisputeError(res, error, 'Failed to file dispute');
+  }
+});
+
+// @desc    Decide a dispute
+// @route   POST /api/disputes/:id/decision
+// @access  Private (Admin only)
+router.post('/:id/decision', [
+  body('outcome').isIn(DISPUTE_OUTCOMES).withMessage(`Outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`),
+  body('reduced_fine')
+    .if(body('outcome').equals('reduced'))
+    .isFloat({ gt: 0 })
+    .withMessage('Reduced fine is required when the fine is reduced')
+    .toFloat(),
+  body('decision_notes').trim().notEmpty().withMessage('Decision notes are required').isLength({ max: 2000 }).withMessage('Decision notes must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const { dispute, violation } = await decideDispute(req.params.id, req.body, { id: req.user.id });
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'DECIDE_DISPUTE',
+      'disputes',
+      dispute.id,
+      { status: 'open' },
+      { outcome: dispute.outcome, reduced_fine: dispute.reduced_fine, violation_status: violation.status },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { dispute, violation },
+      message: `Dispute ${dispute.outcome}`
+    });
+
+  } catch (error) {
+    console.error('Decide dispute error:', error);
+    handleDisputeError(res, error, 'Failed to decide dispute');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { protect, adminOnly } = require('../middleware/auth');
+const { getFirebaseService } = require('../config/database');
+const { logAudit } = require('../utils/auditLogger');
+const { HOLIDAYS_COLLECTION, DATE_PATTERN, getHolidays } = require('../services/dueDateService');
+
+const router = express.Router();
+
+// Apply authentication and admin check to all routes
+router.use(protect);
+router.use(adminOnly);
+
+const holidayValidators = (isUpdate) => {
+  const optionalIfUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    optionalIfUpdate(body('date'))
+      .matches(DATE_PATTERN).withMessage('Date must be YYYY-MM-DD')
+      .bail()
+      .isISO8601({ strict: true }).withMessage('Date must be a valid calendar date'),
+    optionalIfUpdate(body('name')).trim().notEmpty().withMessage('Name is required'),
+    body('recurring').optional().isBoolean().withMessage('Recurring must be true or false').toBoolean()
+  ];
+};
+
+// A day is one holiday: a recurring holiday covers its month and day in every year
+const findConflictingHoliday = async (holiday, excludeId = null) => {
+  const holidays = await getHolidays();
+  return holidays.find(other => other.id !== excludeId && (
+    other.date === holiday.date ||
+    ((other.recurring || holiday.recurring) && other.date.slice(5) === holiday.date.slice(5))
+  ));
+};
+
+// @desc    Get holidays
+// @route   GET /api/holidays
+// @access  Private (Admin only)
+router.get('/', [
+  query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Year must be between 2000 and 2100').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const holidays = await getHolidays({ year: req.query.year });
+
+    res.status(200).json({
+      success: true,
+      data: holidays
+    });
+
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load holidays'
+    });
+  }
+});
+
+// @desc    Add holiday
+// @route   POST /api/holidays
+// @access  Private (Admin only)
+router.post('/', holidayValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const firebaseService = getFirebaseService();
+    const holidayData = {
+      date: req.body.date,
+      name: req.body.name,
+      recurring: req.body.recurring === true
+    };
+
+    const conflict = await findConflictingHoliday(holidayData);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: `${conflict.date} is already a holiday (${conflict.name})`
+      });
+    }
+
+    const holiday = await firebaseService.create(HOLIDAYS_COLLECTION, holidayData);
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'CREATE_HOLIDAY',
+      HOLIDAYS_COLLECTION,
+      holiday.id,
+      null,
+      holidayData,
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      data: holiday,
+      message: 'Holiday added successfully'
+    });
+
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add holiday'
+    });
+  }
+});
+
+// @desc    Update holiday
+// @route   PUT /api/holidays/:id
+// @access  Private (Admin only)
+router.put('/:id', holidayValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const firebaseService = getFirebaseService();
+
+    const currentHoliday = await firebaseService.findById(HOLIDAYS_COLLECTION, id);
+    if (!currentHoliday) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday not found'
+      });
+    }
+
+    const updateData = {};
+    ['date', 'name', 'recurring'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
+
+    const conflict = await findConflictingHoliday({ ...currentHoliday, ...updateData }, id);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: `${conflict.date} is already a holiday (${conflict.name})`
+      });
+    }
+
+    const holiday = await firebaseService.update(HOLIDAYS_COLLECTION, id, updateData);
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'UPDATE_HOLIDAY',
+      HOLIDAYS_COLLECTION,
+      id,
+      currentHoliday,
+      updateData,
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: holiday,
+      message: 'Holiday updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update holiday error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update holiday'
+    });
+  }
+});
+
+// @desc    Delete holiday
+// @route   DELETE /api/holidays/:id
+// @access  Private (Admin only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const firebaseService = getFirebaseService();
+
+    const holiday = await firebaseService.findById(HOLIDAYS_COLLECTION, id);
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday not found'
+      });
+    }
+
+    await firebaseService.delete(HOLIDAYS_COLLECTION, id);
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'DELETE_HOLIDAY',
+      HOLIDAYS_COLLECTION,
+      id,
+      holiday,
+      null,
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete holiday'
+    });
+  }
+});
+
+module.exports = router;
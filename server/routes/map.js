@@ -0,0 +1,124 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+const { query, validationResult } = require('express-validator');
+const { getFirebaseService } = require('../config/database');
+const { protect } = require('../middleware/auth');
+const { toLatLng } = require('../utils/geoUtils');
+const { manilaDay, violationDateOf } = require('../utils/dateUtils');
+
+const router = express.Router();
+
+// The map plots at most this many violations; narrow the filters to see the rest
+const MAX_MAP_POINTS = 2000;
+
+const TILE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+// @desc    Serve a map tile from the offline tile directory (XYZ layout: {z}/{x}/{y}.png)
+// @route   GET /api/map/tiles/:z/:x/:y.:ext
+// @access  Public (tiles are loaded by <img> tags, which cannot send the auth header)
+router.get('/tiles/:z/:x/:y.:ext', async (req, res) => {
+  const tilesDir = process.env.MAP_TILES_DIR;
+  const { z, x, y, ext } = req.params;
+  const contentType = TILE_CONTENT_TYPES[ext];
+
+  if (!tilesDir || !contentType || ![z, x, y].every(part => /^\d+$/.test(part))) {
+    return res.status(404).end();
+  }
+
+  try {
+    const tile = await fs.readFile(path.join(path.resolve(tilesDir), z, x, `${y}.${ext}`));
+    res.set('Content-Type', contentType);
+    res.set('Cache-Control', 'public, max-age=604800');
+    // The web app may be served from another origin during development
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.send(tile);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Map tile error:', error);
+    }
+    res.status(404).end();
+  }
+});
+
+// @desc    Get violations with coordinates for the map
+// @route   GET /api/map/violations
+// @access  Private
+router.get('/violations', [
+  protect,
+  query('start_date').optional({ values: 'falsy' }).isISO8601().withMessage('Start date must be a date'),
+  query('end_date').optional({ values: 'falsy' }).isISO8601().withMessage('End date must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const { status = '', violation_type_code = '', start_date = '', end_date = '' } = req.query;
+    const firebaseService = getFirebaseService();
+
+    const conditions = {};
+    if (status) {
+      conditions.status = status;
+    }
+
+    // Date range on when the violation was committed, whole days in Philippine time
+    if (start_date || end_date) {
+      conditions.violation_date = {};
+
+      if (start_date) {
+        conditions.violation_date['>='] = manilaDay(start_date).toDate();
+      }
+
+      if (end_date) {
+        conditions.violation_date['<='] = manilaDay(end_date).endOf('day').toDate();
+      }
+    }
+
+    // Violations recorded without coordinates are skipped while scanning
+    const page = await firebaseService.findPage('violations', conditions, {
+      limit: MAX_MAP_POINTS,
+      orderBy: { field: conditions.violation_date ? 'violation_date' : 'created_at', direction: 'desc' },
+      filter: (violation) => !!toLatLng(violation.geopoint)
+        && (!violation_type_code || violation.violation_type_code === violation_type_code)
+    });
+
+    const points = page.items.map(violation => ({
+      id: violation.id,
+      ...toLatLng(violation.geopoint),
+      violation_number: violation.violation_number,
+      violation_type: violation.violation_type,
+      status: violation.status,
+      fine_amount: violation.fine_amount,
+      location: violation.location,
+      violation_date: violationDateOf(violation)
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        points,
+        truncated: page.hasMore
+      }
+    });
+
+  } catch (error) {
+    console.error('Get map violations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load map data'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const { logAudit } = require('../utils/auditLogger');
+const {
+  ONLINE_CASHIER,
+  getPaymentGateway,
+  createCheckout,
+  handleWebhook
+} = require('../services/onlinePaymentService');
+
+const router = express.Router();
+
+// Public endpoint: keep violation-number guessing slow
+const checkoutLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { success: false, error: 'Too many payment attempts, please try again later.' }
+});
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+// @desc    Start an online checkout for a violation
+// @route   POST /api/online-payments/checkout
+// @access  Public
+router.post('/checkout', [
+  checkoutLimiter,
+  body('violation_number').trim().notEmpty().withMessage('Violation number is required'),
+  body('vehicle_plate').trim().notEmpty().withMessage('Vehicle plate is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const checkout = await createCheckout(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: checkout
+    });
+
+  } catch (error) {
+    console.error('Create checkout error:', error);
+    if (error.code === 'ONLINE_PAYMENT_ERROR' || error.code === 'GATEWAY_NOT_CONFIGURED') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(502).json({
+      success: false,
+      error: 'Could not start the online payment, please try again'
+    });
+  }
+});
+
+// @desc    Payment gateway webhook (signed by the provider)
+// @route   POST /api/online-payments/webhook
+// @access  Public (signature checked)
+router.post('/webhook', async (req, res) => {
+  try {
+    const outcome = await handleWebhook(req.rawBody, req.headers);
+
+    if (outcome.result === 'recorded') {
+      await logAudit(
+        ONLINE_CASHIER.id,
+        'ONLINE_PAYMENT',
+        'payments',
+        outcome.payment.id,
+        null,
+        { violation_number: outcome.payment.violation_number, or_number: outcome.payment.or_number, amount: outcome.payment.amount, method: outcome.payment.method },
+        req
+      );
+    } else if (outcome.result === 'needs_review') {
+      await logAudit(ONLINE_CASHIER.id, 'ONLINE_PAYMENT_NEEDS_REVIEW', 'payment_intents', outcome.intent_id, null, { reason: outcome.reason }, req);
+    }
+
+    // Any 2xx stops the provider from retrying, including for events we ignore
+    res.status(200).json({
+      success: true,
+      data: { result: outcome.result }
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    if (error.code === 'INVALID_WEBHOOK_SIGNATURE' || error.code === 'GATEWAY_NOT_CONFIGURED' || error.code === 'ONLINE_PAYMENT_ERROR') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process payment event'
+    });
+  }
+});
+
+// Fake gateway checkout pages; only exist while the fake gateway is active
+const requireFakeGateway = (req, res, next) => {
+  const gateway = getPaymentGateway();
+  if (!gateway || gateway.name !== 'fake') {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+  req.gateway = gateway;
+  next();
+};
+
+const renderFakePage = (title, content) => `<!DOCTYPE html>
+<html>
+  <head>
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { font-family: Arial, sans-serif; max-width: 420px; margin: 40px auto; padding: 0 16px; color: #1f2937; }
+      .notice { background: #fef3c7; border: 1px solid #f59e0b; padding: 8px 12px; border-radius: 6px; font-size: 13px; }
+      button { display: block; width: 100%; margin: 8px 0; padding: 12px; font-size: 16px; border-radius: 6px; border: 1px solid #2563eb; background: #2563eb; color: #fff; cursor: pointer; }
+      a { color: #2563eb; }
+    </style>
+  </head>
+  <body>
+    <p class="notice">Test checkout: no real money is charged.</p>
+    ${content}
+  </body>
+</html>`;
+
+// @desc    Fake hosted checkout page
+// @route   GET /api/online-payments/fake-checkout/:intentId
+// @access  Public (fake gateway only)
+router.get('/fake-checkout/:intentId', requireFakeGateway, (req, res) => {
+  const intent = req.gateway.getIntent(req.params.intentId);
+  if (!intent) {
+    return res.status(404).send(renderFakePage('Checkout not found', '<h2>Checkout not found or expired</h2>'));
+  }
+
+  const action = `/api/online-payments/fake-checkout/${encodeURIComponent(req.params.intentId)}/complete`;
+  res.send(renderFakePage('Pay violation', `
+    <h2>${escapeHtml(intent.description)}</h2>
+    <p>Amount: <strong>PHP ${escapeHtml(Number(intent.amount).toLocaleString())}</strong></p>
+    <form method="POST" action="${action}"><input type="hidden" name="method" value="gcash"><button type="submit">Pay with GCash</button></form>
+    <form method="POST" action="${action}"><input type="hidden" name="method" value="maya"><button type="submit">Pay with Maya</button></form>
+    <form method="POST" action="${action}"><input type="hidden" name="method" value="card"><button type="submit">Pay with Card</button></form>
+    <p><a href="${escapeHtml(intent.cancelUrl)}">Cancel</a></p>
+  `));
+});
+
+// @desc    Complete a fake checkout (sends the signed webhook)
+// @route   POST /api/online-payments/fake-checkout/:intentId/complete
+// @access  Public (fake gateway only)
+router.post('/fake-checkout/:intentId/complete', requireFakeGateway, async (req, res) => {
+  try {
+    const intent = await req.gateway.completeCheckout(req.params.intentId, req.body.method);
+
+    res.send(renderFakePage('Payment complete', `
+      <h2>Payment complete</h2>
+      <p>PHP ${escapeHtml(Number(intent.amount).toLocaleString())} paid for ${escapeHtml(intent.reference)}.</p>
+      <p><a href="${escapeHtml(intent.successUrl)}">Return to e-Traffic</a></p>
+    `));
+
+  } catch (error) {
+    console.error('Fake checkout error:', error);
+    res.status(error.statusCode || 500).send(renderFakePage('Payment failed', `
+      <h2>Payment failed</h2>
+      <p>${escapeHtml(error.response?.data?.error || error.message)}</p>
+    `));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getFirebaseService } = require('../config/database');
+const { protect, authorize } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { getUserLookup } = require('../utils/userLookup');
+const { withAmountDue } = require('../services/surchargeService');
+const {
+  PAYMENT_METHODS,
+  recordPayment,
+  voidPayment,
+  refundPayment,
+  getPayments
+} = require('../services/paymentService');
+
+// Mounted at /api/violations/:id/payments
+const router = express.Router({ mergeParams: true });
+
+// Apply authentication to all routes
+router.use(protect);
+
+const handlePaymentError = (res, error, fallback) => {
+  if (error.code === 'PAYMENT_ERROR' || error.code === 'INVALID_STATUS_TRANSITION') {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+const validationErrorResponse = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: errors.array()
+  });
+  return true;
+};
+
+// Balance summary returned with every payment response
+const paymentSummary = (violation) => {
+  const [withTotals] = withAmountDue([violation]);
+  return {
+    status: withTotals.status,
+    fine_amount: withTotals.fine_amount,
+    surcharge_total: withTotals.surcharge_total,
+    amount_due: withTotals.amount_due,
+    amount_paid: withTotals.amount_paid,
+    balance: withTotals.balance
+  };
+};
+
+// @desc    Get payments and refunds for a violation
+// @route   GET /api/violations/:id/payments
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const firebaseService = getFirebaseService();
+
+    const violation = await firebaseService.findById('violations', id);
+    if (!violation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violation not found'
+      });
+    }
+
+    const payments = await getPayments(id);
+    const cashiers = await getUserLookup(req).getUsers(payments.map(payment => payment.cashier_id));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payments: payments.map(payment => ({
+          ...payment,
+          cashier_name: payment.payment_intent_id ? 'Online payment' : cashiers.get(payment.cashier_id)?.full_name || 'Unknown'
+        })),
+        summary: paymentSummary(violation)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load payments'
+    });
+  }
+});
+
+// @desc    Record a full or partial payment
+// @route   POST /api/violations/:id/payments
+// @access  Private (Admin only)
+router.post('/', [
+  authorize('admin'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+  body('method').isIn(PAYMENT_METHODS).withMessage(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+  body('reference_number')
+    .if(body('method').not().equals('cash'))
+    .trim()
+    .notEmpty()
+    .withMessage('Reference number is required for non-cash payments'),
+  body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (validationErrorResponse(req, res)) return;
+
+    const { id } = req.params;
+    const { payment, violation } = await recordPayment(id, req.body, { id: req.user.id });
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'RECORD_PAYMENT',
+      'payments',
+      payment.id,
+      null,
+      { violation_number: violation.violation_number, or_number: payment.or_number, amount: payment.amount, method: payment.method },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        payment,
+        summary: paymentSummary(violation)
+      },
+      message: violation.status === 'paid'
+        ? `Payment recorded (${payment.or_number}); violation fully paid`
+        : `Payment recorded (${payment.or_number})`
+    });
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    handlePaymentError(res, error, 'Failed to record payment');
+  }
+});
+
+// @desc    Void a payment or refund entered by mistake
+// @route   POST /api/violations/:id/payments/:paymentId/void
+// @access  Private (Admin only)
+router.post('/:paymentId/void', [
+  authorize('admin'),
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (validationErrorResponse(req, res)) return;
+
+    const { id, paymentId } = req.params;
+    const { payment, violation } = await voidPayment(id, paymentId, { id: req.user.id }, req.body.reason);
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'VOID_PAYMENT',
+      'payments',
+      paymentId,
+      { status: 'posted' },
+      { status: 'voided', or_number: payment.or_number, reason: req.body.reason },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payment,
+        summary: paymentSummary(violation)
+      },
+      message: `${payment.or_number} voided`
+    });
+
+  } catch (error) {
+    console.error('Void payment error:', error);
+    handlePaymentError(res, error, 'Failed to void payment');
+  }
+});
+
+// @desc    Refund part or all of a payment
+// @route   POST /api/violations/:id/payments/:paymentId/refund
+// @access  Private (Admin only)
+router.post('/:paymentId/refund', [
+  authorize('admin'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0').toFloat(),
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (validationErrorResponse(req, res)) return;
+
+    const { id, paymentId } = req.params;
+    const { refund, violation } = await refundPayment(id, paymentId, req.body, { id: req.user.id });
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'REFUND_PAYMENT',
+      'payments',
+      refund.id,
+      null,
+      { refund_of: paymentId, or_number: refund.or_number, amount: refund.amount, reason: req.body.reason },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        refund,
+        summary: paymentSummary(violation)
+      },
+      message: `Refund recorded (${refund.or_number})`
+    });
+
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    handlePaymentError(res, error, 'Failed to refund payment');
+  }
+});
+
+module.exports = router;
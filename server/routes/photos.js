@@ -0,0 +1,209 @@
+const express = require('express');
+const { getFirebaseService } = require('../config/database');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadPhotos } = require('../middleware/photoUpload');
+const { logAudit } = require('../utils/auditLogger');
+const { getUserLookup } = require('../utils/userLookup');
+const {
+  getMaxPhotosPerViolation,
+  addPhotos,
+  findPhoto,
+  readPhoto,
+  deletePhoto,
+  toPhotoResponse
+} = require('../services/evidencePhotoService');
+
+// Mounted at /api/violations/:id/photos
+const router = express.Router({ mergeParams: true });
+
+// Apply authentication to all routes
+router.use(protect);
+
+const handlePhotoError = (res, error, fallback) => {
+  if (error.code === 'PHOTO_ERROR') {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+// Photo files never change, so browsers may keep them
+const sendPhoto = async (req, res, thumbnail) => {
+  const firebaseService = getFirebaseService();
+  const violation = await firebaseService.findById('violations', req.params.id);
+  const photo = violation && findPhoto(violation, req.params.photoId);
+  const file = photo && await readPhoto(photo, thumbnail);
+
+  if (!file) {
+    return res.status(404).json({
+      success: false,
+      error: 'Photo not found'
+    });
+  }
+
+  res.set('Content-Type', file.contentType);
+  res.set('Cache-Control', 'private, max-age=86400');
+  res.send(file.buffer);
+};
+
+// @desc    Get evidence photos of a violation
+// @route   GET /api/violations/:id/photos
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const firebaseService = getFirebaseService();
+    const violation = await firebaseService.findById('violations', req.params.id);
+    if (!violation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violation not found'
+      });
+    }
+
+    const photos = violation.evidence_photos || [];
+    const uploaders = await getUserLookup(req).getUsers(photos.filter(photo => photo.source !== 'device').map(photo => photo.uploaded_by));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        photos: photos.map(photo => ({
+          ...toPhotoResponse(photo),
+          uploaded_by_name: photo.source === 'device'
+            ? `Device ${photo.uploaded_by.replace(/^device:/, '')}`
+            : uploaders.get(photo.uploaded_by)?.full_name || 'Unknown'
+        })),
+        max_photos: await getMaxPhotosPerViolation()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get photos error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load photos'
+    });
+  }
+});
+
+// @desc    Upload evidence photos (multipart, field "photos")
+// @route   POST /api/violations/:id/photos
+// @access  Private (Enforcer and Admin)
+router.post('/', authorize('enforcer', 'admin'), async (req, res, next) => {
+  try {
+    const firebaseService = getFirebaseService();
+    const violation = await firebaseService.findById('violations', req.params.id);
+    if (!violation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violation not found'
+      });
+    }
+
+    // Check ownership before accepting the upload body
+    if (req.user.role === 'enforcer' && violation.enforcer_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only add photos to your own violations'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Upload photos error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload photos'
+    });
+  }
+}, uploadPhotos, async (req, res) => {
+  try {
+    const photos = await addPhotos(req.params.id, req.files, { id: req.user.id, source: req.user.role });
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'UPLOAD_EVIDENCE_PHOTOS',
+      'violations',
+      req.params.id,
+      null,
+      { photos: photos.map(photo => ({ id: photo.id, sha256: photo.sha256, size: photo.size })) },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      data: photos.map(toPhotoResponse),
+      message: `${photos.length} photo(s) uploaded`
+    });
+
+  } catch (error) {
+    console.error('Upload photos error:', error);
+    handlePhotoError(res, error, 'Failed to upload photos');
+  }
+});
+
+// @desc    Get a photo
+// @route   GET /api/violations/:id/photos/:photoId
+// @access  Private
+router.get('/:photoId', async (req, res) => {
+  try {
+    await sendPhoto(req, res, false);
+  } catch (error) {
+    console.error('Get photo error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load photo'
+    });
+  }
+});
+
+// @desc    Get a photo thumbnail
+// @route   GET /api/violations/:id/photos/:photoId/thumbnail
+// @access  Private
+router.get('/:photoId/thumbnail', async (req, res) => {
+  try {
+    await sendPhoto(req, res, true);
+  } catch (error) {
+    console.error('Get photo thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load photo'
+    });
+  }
+});
+
+// @desc    Delete a photo
+// @route   DELETE /api/violations/:id/photos/:photoId
+// @access  Private (Admin only)
+router.delete('/:photoId', authorize('admin'), async (req, res) => {
+  try {
+    const photo = await deletePhoto(req.params.id, req.params.photoId);
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'DELETE_EVIDENCE_PHOTO',
+      'violations',
+      req.params.id,
+      { photo: toPhotoResponse(photo) },
+      null,
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Photo deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete photo error:', error);
+    handlePhotoError(res, error, 'Failed to delete photo');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const { findViolationByReference, toPublicViolation } = require('../services/violationLookupService');
+const { getPaymentGateway } = require('../services/onlinePaymentService');
+const { PAYABLE_STATUSES } = require('../services/paymentService');
+const { MAX_EVIDENCE_ITEMS, fileDispute } = require('../services/disputeService');
+const { verifyCitation } = require('../services/citationService');
+
+const router = express.Router();
+
+// Unauthenticated: keep violation-number guessing slow
+const lookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: { success: false, error: 'Too many lookups, please try again later.' }
+});
+
+// Cashiers and courts scan many receipts, but a token cannot be guessed anyway
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  message: { success: false, error: 'Too many verifications, please try again later.' }
+});
+
+// Filing a dispute is rarer than a lookup
+const disputeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: { success: false, error: 'Too many disputes submitted, please try again later.' }
+});
+
+// @desc    Look up a violation by its number and plate
+// @route   POST /api/public/violations/lookup
+// @access  Public
+router.post('/violations/lookup', [
+  lookupLimiter,
+  body('violation_number').trim().notEmpty().withMessage('Violation number is required').isLength({ max: 40 }),
+  body('vehicle_plate').trim().notEmpty().withMessage('Plate number is required').isLength({ max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const violation = await findViolationByReference(req.body.violation_number, req.body.vehicle_plate);
+    if (!violation) {
+      return res.status(404).json({
+        success: false,
+        error: 'No violation matches that violation number and plate'
+      });
+    }
+
+    const publicViolation = await toPublicViolation(violation);
+    publicViolation.online_payment_available = !!getPaymentGateway()
+      && PAYABLE_STATUSES.includes(violation.status)
+      && publicViolation.balance > 0;
+
+    res.status(200).json({
+      success: true,
+      data: publicViolation
+    });
+
+  } catch (error) {
+    console.error('Public violation lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up violation'
+    });
+  }
+});
+
+// @desc    Dispute a violation
+// @route   POST /api/public/violations/dispute
+// @access  Public
+router.post('/violations/dispute', [
+  disputeLimiter,
+  body('violation_number').trim().notEmpty().withMessage('Violation number is required').isLength({ max: 40 }),
+  body('vehicle_plate').trim().notEmpty().withMessage('Plate number is required').isLength({ max: 20 }),
+  body('reason').trim().notEmpty().withMessage('Please explain why you are disputing this violation').isLength({ max: 2000 }).withMessage('Reason must be at most 2000 characters'),
+  body('evidence').optional().isArray({ max: MAX_EVIDENCE_ITEMS }).withMessage(`At most ${MAX_EVIDENCE_ITEMS} evidence items`),
+  body('evidence.*').isString().trim().notEmpty().isLength({ max: 500 }).withMessage('Each evidence item must be 1-500 characters'),
+  body('contact_phone').optional().isString().isLength({ max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const violation = await findViolationByReference(req.body.violation_number, req.body.vehicle_plate);
+    if (!violation) {
+      return res.status(404).json({
+        success: false,
+        error: 'No violation matches that violation number and plate'
+      });
+    }
+
+    const dispute = await fileDispute(violation.id, req.body, { source: 'portal' });
+
+    res.status(201).json({
+      success: true,
+      data: { status: dispute.status, submitted_at: dispute.created_at },
+      message: 'Your dispute was submitted. You will be notified of the decision by SMS.'
+    });
+
+  } catch (error) {
+    console.error('Public dispute error:', error);
+    if (error.code === 'DISPUTE_ERROR') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit dispute'
+    });
+  }
+});
+
+// @desc    Check that a printed citation is authentic and still current
+// @route   GET /api/public/verify/:token
+// @access  Public
+router.get('/verify/:token', verifyLimiter, async (req, res) => {
+  try {
+    const result = await verifyCitation(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (error.code === 'CITATION_ERROR') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Citation verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify the document'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,12 @@
 const express = require('express');
 const { protect, adminOnly } = require('../middleware/auth');
 const { getFirebaseService } = require('../config/database');
+const { getUserLookup } = require('../utils/userLookup');
+const { mergeStats, getStatsRange, getStatsFor } = require('../services/statsService');
+const { withAmountDue } = require('../services/surchargeService');
+const { DEFAULT_CELL_SIZE_METERS, getHotspots } = require('../services/hotspotService');
+const { DEMERIT_FLAGS, getSuspensionCandidates } = require('../services/demeritService');
+const { toManila, manilaDay } = require('../utils/dateUtils');
 
 const router = express.Router();
 router.use(protect, adminOnly);
@@ -9,65 +15,61 @@ router.get('/health', async (req, res) => {
   try {
     const firebaseService = getFirebaseService();
     const userCount = await firebaseService.count('users');
-    res.status(200).json({ success: true, data: { database: 'Firebase Firestore', status: 'Connected', userCount, timestamp: new Date().toISOString() } });
+    res.status(200).json({ success: true, data: { database: firebaseService.backendName, status: 'Connected', userCount, timestamp: new Date().toISOString() } });
   } catch (error) {
     console.error('Health report error:', error);
     res.status(500).json({ success: false, error: 'Failed to generate health report' });
   }
 });
 
+// Parse the optional start_date/end_date query pair into an inclusive range of Manila days
+const parseDateRange = ({ start_date, end_date }) => {
+  if (!start_date || !end_date) return null;
+
+  const start = manilaDay(start_date).toDate();
+  const end = manilaDay(end_date).endOf('day').toDate();
+  return { start, end };
+};
+
+// Stats for a date range (summed daily documents) or for all time (summed monthly documents)
+const getReportStats = async (range) => {
+  const docs = range
+    ? await getStatsRange('day', range.start, range.end)
+    : await getStatsRange('month');
+  return mergeStats(docs);
+};
+
+// Unpaid fines plus the surcharges accrued on them
+const outstandingAmount = (stats) => ['pending', 'issued'].reduce((sum, status) => {
+  const bucket = stats.by_status[status];
+  return sum + (bucket?.fines || 0) + (bucket?.surcharges || 0);
+}, 0);
+
+const collectionRate = (bucket) => bucket.count > 0 ? Math.round((bucket.paid_count / bucket.count) * 100) : 0;
+
 router.get('/violations', async (req, res) => {
   try {
     const firebaseService = getFirebaseService();
-    const { start_date, end_date } = req.query;
-    let allViolations = await firebaseService.getViolations({}, { limit: 10000 });
-    console.log('Total violations fetched:', allViolations.length);
-
-    if (start_date && end_date) {
-      const start = new Date(start_date);
-      const end = new Date(end_date);
-      end.setHours(23, 59, 59, 999);
-
-      allViolations = allViolations.filter(violation => {
-        if (!violation.created_at) return false;
-
-        // Handle Firestore timestamp conversion
-        let violationDate;
-        if (violation.created_at.toDate) {
-          violationDate = violation.created_at.toDate();
-        } else if (violation.created_at.seconds) {
-          violationDate = new Date(violation.created_at.seconds * 1000);
-        } else {
-          violationDate = new Date(violation.created_at);
-        }
-
-        return violationDate >= start && violationDate <= end;
-      });
-
-      console.log('Filtered violations:', allViolations.length);
-    }
+    const range = parseDateRange(req.query);
+    const stats = await getReportStats(range);
 
     const summary = {
-      total_violations: allViolations.length,
-      total_fines: allViolations.reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0),
-      pending_fines: allViolations.filter(v => v.status === 'pending' || v.status === 'issued').reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0),
-      collection_rate: allViolations.length > 0 ? Math.round((allViolations.filter(v => v.status === 'paid').length / allViolations.length) * 100) : 0
+      total_violations: stats.totals.count,
+      total_fines: stats.totals.fines,
+      pending_fines: ['pending', 'issued'].reduce((sum, status) => sum + (stats.by_status[status]?.fines || 0), 0),
+      total_surcharges: stats.totals.surcharges,
+      amount_due: outstandingAmount(stats),
+      collection_rate: collectionRate(stats.totals)
     };
 
-    // Fetch all users once to create a lookup map
-    const users = await firebaseService.getUsers({}, { limit: 1000 });
-    const userMap = {};
-    users.forEach(user => {
-      userMap[user.id] = user.full_name || 'Unknown';
-    });
+    // The listing is capped; the summary above always covers every violation in the range
+    const reportViolations = await firebaseService.getViolations(
+      range ? { violation_date: { '>=': range.start, '<=': range.end } } : {},
+      { orderBy: { field: range ? 'violation_date' : 'created_at', direction: 'desc' }, limit: 10000 }
+    );
+    console.log('Report violations fetched:', reportViolations.length);
 
-    const violations = allViolations.map(violation => {
-      let enforcer_name = 'Unknown';
-      if (violation.enforcer_id && userMap[violation.enforcer_id]) {
-        enforcer_name = userMap[violation.enforcer_id];
-      }
-      return { ...violation, enforcer_name };
-    });
+    const violations = withAmountDue(await getUserLookup(req).withEnforcers(reportViolations));
 
     res.status(200).json({ success: true, data: { summary, violations } });
   } catch (error) {
@@ -79,97 +81,34 @@ router.get('/violations', async (req, res) => {
 router.get('/enforcers', async (req, res) => {
   try {
     const firebaseService = getFirebaseService();
-    const { start_date, end_date } = req.query;
     const enforcers = await firebaseService.getUsers({ role: 'enforcer' }, { limit: 1000 });
-    let allViolations = await firebaseService.getViolations({}, { limit: 10000 });
-
-    if (start_date && end_date) {
-      const start = new Date(start_date);
-      const end = new Date(end_date);
-      end.setHours(23, 59, 59, 999);
-
-      allViolations = allViolations.filter(violation => {
-        if (!violation.created_at) return false;
-
-        // Handle Firestore timestamp conversion
-        let violationDate;
-        if (violation.created_at.toDate) {
-          violationDate = violation.created_at.toDate();
-        } else if (violation.created_at.seconds) {
-          violationDate = new Date(violation.created_at.seconds * 1000);
-        } else {
-          violationDate = new Date(violation.created_at);
-        }
-
-        return violationDate >= start && violationDate <= end;
-      });
-    }
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayEnd = new Date();
-    todayEnd.setHours(23, 59, 59, 999);
-    const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
-    const monthEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0, 23, 59, 59, 999);
+    const stats = await getReportStats(parseDateRange(req.query));
+    const todayStats = await getStatsFor('day', new Date());
+    const monthStats = await getStatsFor('month', new Date());
 
     const enforcersWithStats = enforcers.map(enforcer => {
-      const enforcerViolations = allViolations.filter(v => v.enforcer_id === enforcer.id);
-      const total_violations = enforcerViolations.length;
-      const total_fines = enforcerViolations.reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0);
-      const collected_fines = enforcerViolations.filter(v => v.status === 'paid').reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0);
-      const collection_rate = total_violations > 0 ? Math.round((enforcerViolations.filter(v => v.status === 'paid').length / total_violations) * 100) : 0;
-
-      const todayViolations = enforcerViolations.filter(v => {
-        if (!v.created_at) return false;
-
-        // Handle Firestore timestamp conversion
-        let violationDate;
-        if (v.created_at.toDate) {
-          violationDate = v.created_at.toDate();
-        } else if (v.created_at.seconds) {
-          violationDate = new Date(v.created_at.seconds * 1000);
-        } else {
-          violationDate = new Date(v.created_at);
-        }
-
-        return violationDate >= today && violationDate <= todayEnd;
-      });
-
-      const monthViolations = enforcerViolations.filter(v => {
-        if (!v.created_at) return false;
-
-        // Handle Firestore timestamp conversion
-        let violationDate;
-        if (v.created_at.toDate) {
-          violationDate = v.created_at.toDate();
-        } else if (v.created_at.seconds) {
-          violationDate = new Date(v.created_at.seconds * 1000);
-        } else {
-          violationDate = new Date(v.created_at);
-        }
-
-        return violationDate >= monthStart && violationDate <= monthEnd;
-      });
+      const bucket = stats.by_enforcer[enforcer.id] || { count: 0, fines: 0, paid_count: 0, paid_fines: 0 };
 
       return {
         id: String(enforcer.id || ''),
         full_name: String(enforcer.full_name || 'Unknown'),
         badge_number: String(enforcer.badge_number || ''),
-        total_violations: Number(total_violations) || 0,
-        total_fines: Number(total_fines) || 0,
-        collected_fines: Number(collected_fines) || 0,
-        collection_rate: Number(collection_rate) || 0,
-        today_violations: Number(todayViolations.length) || 0,
-        month_violations: Number(monthViolations.length) || 0
+        total_violations: Number(bucket.count) || 0,
+        total_fines: Number(bucket.fines) || 0,
+        collected_fines: Number(bucket.paid_fines) || 0,
+        collection_rate: collectionRate(bucket),
+        today_violations: Number(todayStats.by_enforcer[enforcer.id]?.count) || 0,
+        month_violations: Number(monthStats.by_enforcer[enforcer.id]?.count) || 0
       };
     });
 
     const summary = {
       total_enforcers: Number(enforcers.length) || 0,
       active_enforcers: enforcers.filter(e => e.is_active !== false).length,
-      total_violations: Number(allViolations.length) || 0,
-      total_fines: Number(allViolations.reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0)) || 0,
-      collected_fines: Number(allViolations.filter(v => v.status === 'paid').reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0)) || 0,
+      total_violations: Number(stats.totals.count) || 0,
+      total_fines: Number(stats.totals.fines) || 0,
+      collected_fines: Number(stats.totals.paid_fines) || 0,
       avg_collection_rate: Number(enforcersWithStats.length > 0 ? Math.round(enforcersWithStats.reduce((sum, e) => sum + e.collection_rate, 0) / enforcersWithStats.length) : 0) || 0,
       // Alias for PDF export compatibility
       get collection_rate() { return this.avg_collection_rate; }
@@ -186,76 +125,45 @@ router.get('/daily-summary', async (req, res) => {
   try {
     const firebaseService = getFirebaseService();
     const { date } = req.query;
-    const targetDate = date ? new Date(date) : new Date();
-    targetDate.setHours(0, 0, 0, 0);
-    const targetDateEnd = new Date(targetDate);
-    targetDateEnd.setHours(23, 59, 59, 999);
+    const targetDay = date ? manilaDay(date) : toManila().startOf('day');
+    const targetDate = targetDay.toDate();
+    const targetDateEnd = targetDay.clone().endOf('day').toDate();
 
     // Get all active enforcers from the system
     const allEnforcers = await firebaseService.getUsers({ role: 'enforcer' }, { limit: 1000 });
     const activeEnforcersInSystem = allEnforcers.filter(e => e.is_active !== false).length;
 
-    const allViolations = await firebaseService.getViolations({}, { limit: 10000 });
-    console.log('Total violations fetched:', allViolations.length);
-
-    const dayViolations = allViolations.filter(violation => {
-      if (!violation.created_at) return false;
-
-      // Handle Firestore timestamp conversion
-      let violationDate;
-      if (violation.created_at.toDate) {
-        violationDate = violation.created_at.toDate();
-      } else if (violation.created_at.seconds) {
-        // Handle Firestore timestamp without .toDate() method
-        violationDate = new Date(violation.created_at.seconds * 1000);
-      } else {
-        violationDate = new Date(violation.created_at);
-      }
-
-      return violationDate >= targetDate && violationDate <= targetDateEnd;
-    });
-
-    console.log('Day violations count:', dayViolations.length);
-
-    const enforcersWhoWorked = new Set();
-    dayViolations.forEach(v => { if (v.enforcer_id) enforcersWhoWorked.add(v.enforcer_id); });
+    const dayStats = await getStatsFor('day', targetDate);
+    const enforcerIds = Object.keys(dayStats.by_enforcer);
 
     const summary = {
-      total_violations: dayViolations.length,
-      total_fines: dayViolations.reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0),
+      total_violations: dayStats.totals.count,
+      total_fines: dayStats.totals.fines,
       active_enforcers: activeEnforcersInSystem,
-      enforcers_worked_today: enforcersWhoWorked.size,
-      avg_violations_per_enforcer: enforcersWhoWorked.size > 0 ? Math.round(dayViolations.length / enforcersWhoWorked.size) : 0
+      enforcers_worked_today: enforcerIds.length,
+      avg_violations_per_enforcer: enforcerIds.length > 0 ? Math.round(dayStats.totals.count / enforcerIds.length) : 0
     };
 
-    const violationsByType = {};
-    dayViolations.forEach(v => { const type = v.violation_type || 'Unknown'; violationsByType[type] = (violationsByType[type] || 0) + 1; });
+    const userLookup = getUserLookup(req);
+    const enforcerUsers = await userLookup.getUsers(enforcerIds);
 
     const violationsByEnforcer = {};
-    for (const v of dayViolations) {
-      if (v.enforcer_id) {
-        const enforcer = await firebaseService.findById('users', v.enforcer_id);
-        const name = enforcer ? enforcer.full_name : 'Unknown';
-        if (!violationsByEnforcer[name]) violationsByEnforcer[name] = 0;
-        violationsByEnforcer[name]++;
-      }
-    }
+    enforcerIds.forEach(id => {
+      const name = enforcerUsers.get(id)?.full_name || 'Unknown';
+      violationsByEnforcer[name] = (violationsByEnforcer[name] || 0) + dayStats.by_enforcer[id].count;
+    });
 
-    const recentViolations = [];
-    for (const violation of dayViolations.slice().reverse().slice(0, 10)) {
-      let enforcer_name = 'Unknown';
-      if (violation.enforcer_id) {
-        const enforcer = await firebaseService.findById('users', violation.enforcer_id);
-        if (enforcer) enforcer_name = enforcer.full_name || 'Unknown';
-      }
-      recentViolations.push({ ...violation, enforcer_name });
-    }
+    const dayViolations = await firebaseService.getViolations(
+      { violation_date: { '>=': targetDate, '<=': targetDateEnd } },
+      { orderBy: { field: 'violation_date', direction: 'desc' }, limit: 10 }
+    );
+    const recentViolations = withAmountDue(await userLookup.withEnforcers(dayViolations));
 
     res.status(200).json({
       success: true,
       data: {
         summary,
-        violations_by_type: Object.entries(violationsByType).map(([violation_type, count]) => ({ violation_type, count })),
+        violations_by_type: Object.entries(dayStats.by_type).map(([violation_type, bucket]) => ({ violation_type, count: bucket.count })),
         violations_by_enforcer: Object.entries(violationsByEnforcer).map(([full_name, violations_count]) => ({ full_name, violations_count })),
         recent_violations: recentViolations
       }
@@ -268,65 +176,35 @@ router.get('/daily-summary', async (req, res) => {
 
 router.get('/monthly', async (req, res) => {
   try {
-    const firebaseService = getFirebaseService();
     const { year, month } = req.query;
-    const targetYear = parseInt(year) || new Date().getFullYear();
-    const targetMonth = parseInt(month) || new Date().getMonth() + 1;
-    const monthStart = new Date(targetYear, targetMonth - 1, 1);
-    const monthEnd = new Date(targetYear, targetMonth, 0, 23, 59, 59, 999);
-
-    const allViolations = await firebaseService.getViolations({}, { limit: 10000 });
-    console.log('Monthly report: Total violations fetched:', allViolations.length);
-
-    const monthViolations = allViolations.filter(violation => {
-      if (!violation.created_at) return false;
-
-      // Handle Firestore timestamp conversion
-      let violationDate;
-      if (violation.created_at.toDate) {
-        violationDate = violation.created_at.toDate();
-      } else if (violation.created_at.seconds) {
-        violationDate = new Date(violation.created_at.seconds * 1000);
-      } else {
-        violationDate = new Date(violation.created_at);
-      }
-
-      return violationDate >= monthStart && violationDate <= monthEnd;
-    });
+    const today = toManila();
+    const targetYear = parseInt(year) || today.year();
+    const targetMonth = parseInt(month) || today.month() + 1;
+    const monthDay = manilaDay(`${targetYear}-${String(targetMonth).padStart(2, '0')}-01`);
+    const monthStart = monthDay.toDate();
+    const monthEnd = monthDay.clone().endOf('month').toDate();
+    const daysInMonth = monthDay.daysInMonth();
 
-    console.log('Monthly report: Filtered violations:', monthViolations.length);
+    const monthStats = await getStatsFor('month', monthStart);
+    const dayStats = await getStatsRange('day', monthStart, monthEnd);
 
     const summary = {
-      total_violations: monthViolations.length,
-      total_fines: monthViolations.reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0),
-      paid_fines: monthViolations.filter(v => v.status === 'paid').reduce((sum, v) => sum + (parseFloat(v.fine_amount) || 0), 0),
-      collection_rate: monthViolations.length > 0 ? Math.round((monthViolations.filter(v => v.status === 'paid').length / monthViolations.length) * 100) : 0,
-      avg_daily_violations: Math.round(monthViolations.length / monthEnd.getDate())
+      total_violations: monthStats.totals.count,
+      total_fines: monthStats.totals.fines,
+      paid_fines: monthStats.totals.paid_fines,
+      total_surcharges: monthStats.totals.surcharges,
+      amount_due: outstandingAmount(monthStats),
+      collection_rate: collectionRate(monthStats.totals),
+      avg_daily_violations: Math.round(monthStats.totals.count / daysInMonth)
     };
 
-    const violationsByStatus = {};
-    monthViolations.forEach(v => { const status = v.status || 'pending'; violationsByStatus[status] = (violationsByStatus[status] || 0) + 1; });
-
     const dailyBreakdown = [];
-    for (let day = 1; day <= monthEnd.getDate(); day++) {
-      const dayStart = new Date(targetYear, targetMonth - 1, day);
-      const dayEnd = new Date(targetYear, targetMonth - 1, day, 23, 59, 59, 999);
-      const dayViolations = monthViolations.filter(v => {
-        // Handle Firestore timestamp conversion
-        let violationDate;
-        if (v.created_at.toDate) {
-          violationDate = v.created_at.toDate();
-        } else if (v.created_at.seconds) {
-          violationDate = new Date(v.created_at.seconds * 1000);
-        } else {
-          violationDate = new Date(v.created_at);
-        }
-
-        return violationDate >= dayStart && violationDate <= dayEnd;
-      });
+    for (let day = 1; day <= daysInMonth; day++) {
+      const dateKey = `${targetYear}-${String(targetMonth).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      const stats = dayStats.find(doc => doc.period_key === dateKey);
       dailyBreakdown.push({
-        date: `${targetYear}-${String(targetMonth).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
-        violations_count: dayViolations.length
+        date: dateKey,
+        violations_count: stats ? stats.totals.count : 0
       });
     }
 
@@ -337,7 +215,7 @@ router.get('/monthly', async (req, res) => {
       data: {
         summary,
         month_name: monthNames[targetMonth - 1],
-        violations_by_status: Object.entries(violationsByStatus).map(([status, count]) => ({ status, count })),
+        violations_by_status: Object.entries(monthStats.by_status).map(([status, bucket]) => ({ status, count: bucket.count })),
         daily_breakdown: dailyBreakdown
       }
     });
@@ -347,5 +225,58 @@ router.get('/monthly', async (req, res) => {
   }
 });
 
+// Ranked locations with the most violations; defaults to the last 30 days
+router.get('/hotspots', async (req, res) => {
+  try {
+    let range = parseDateRange(req.query);
+    if (!range) {
+      const end = toManila().endOf('day');
+      const start = end.clone().subtract(29, 'days').startOf('day');
+      range = { start: start.toDate(), end: end.toDate() };
+    }
+
+    if (isNaN(range.start) || isNaN(range.end) || range.start > range.end) {
+      return res.status(400).json({ success: false, error: 'Invalid date range' });
+    }
+
+    const cellSize = Math.min(Math.max(parseInt(req.query.cell_size) || DEFAULT_CELL_SIZE_METERS, 25), 2000);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const data = await getHotspots({ start: range.start, end: range.end, cellSize, limit });
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error('Hotspots report error:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate hotspots report' });
+  }
+});
+
+// Licenses over the demerit suspension threshold (min_flag=warning to include drivers approaching it)
+router.get('/suspension-candidates', async (req, res) => {
+  try {
+    const minFlag = req.query.min_flag || 'suspension';
+    if (!DEMERIT_FLAGS.includes(minFlag)) {
+      return res.status(400).json({ success: false, error: `min_flag must be one of: ${DEMERIT_FLAGS.join(', ')}` });
+    }
+
+    const { candidates, policy } = await getSuspensionCandidates({ minFlag });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        candidates,
+        policy,
+        summary: DEMERIT_FLAGS.reduce((summary, flag) => ({
+          ...summary,
+          [flag]: candidates.filter(candidate => candidate.flag === flag).length
+        }), { total: candidates.length })
+      }
+    });
+  } catch (error) {
+    console.error('Suspension candidates report error:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate suspension candidates report' });
+  }
+});
+
 module.exports = router;
 
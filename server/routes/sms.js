@@ -12,11 +12,11 @@ router.use(protect, adminOnly);
 // @access  Private (Admin only)
 router.get('/logs', async (req, res) => {
   try {
-    const { page, limit, status, phone_number } = req.query;
+    const { cursor, limit, status, phone_number } = req.query;
     
     const result = await getSMSLogs({
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 10,
+      cursor,
+      limit: Math.max(1, Math.min(100, parseInt(limit) || 10)),
       status,
       phone_number
     });
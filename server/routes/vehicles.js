@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { getUserLookup } = require('../utils/userLookup');
+const {
+  lookupVehicle,
+  searchVehicles,
+  getVehicleProfile,
+  updateVehicle
+} = require('../services/vehicleService');
+
+const router = express.Router();
+
+router.use(protect);
+
+// @desc    Search vehicles by plate, make or model
+// @route   GET /api/vehicles
+// @access  Private (Admin only)
+router.get('/', authorize('admin'), [
+  query('search').optional().isString().isLength({ max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const { search = '', limit = 20, cursor } = req.query;
+    const page = await searchVehicles({ search, limit: parseInt(limit), cursor });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vehicles: page.items,
+        pagination: {
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get vehicles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load vehicles'
+    });
+  }
+});
+
+// @desc    Look up a vehicle's registered details by plate number to pre-fill a ticket
+// @route   GET /api/vehicles/lookup?plate=
+// @access  Private (Enforcer/Admin)
+router.get('/lookup', authorize('enforcer', 'admin'), [
+  query('plate').trim().notEmpty().withMessage('Plate number is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const vehicle = await lookupVehicle(req.query.plate);
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not registered'
+      });
+    }
+
+    // Only what a ticket needs; the owner is not shown to enforcers
+    res.status(200).json({
+      success: true,
+      data: {
+        id: vehicle.id,
+        plate_number: vehicle.plate_number,
+        brand: vehicle.brand || '',
+        model: vehicle.model || '',
+        variant: vehicle.variant || '',
+        color: vehicle.color || ''
+      }
+    });
+
+  } catch (error) {
+    console.error('Vehicle lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up vehicle'
+    });
+  }
+});
+
+// @desc    Get a vehicle with its owner and violation history
+// @route   GET /api/vehicles/:id
+// @access  Private (Admin only)
+router.get('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const profile = await getVehicleProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...profile,
+        violations: await getUserLookup(req).withEnforcers(profile.violations)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get vehicle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load vehicle'
+    });
+  }
+});
+
+// @desc    Correct a vehicle's details or set its registered owner
+// @route   PUT /api/vehicles/:id
+// @access  Private (Admin only)
+router.put('/:id', authorize('admin'), [
+  body('plate_number').not().exists().withMessage('The plate number identifies the vehicle and cannot be changed'),
+  body(['brand', 'model', 'variant', 'color']).optional().isString().trim().isLength({ max: 100 }).withMessage('Vehicle details must be at most 100 characters'),
+  body('owner_id').optional({ nullable: true }).isString().withMessage('Owner must be a violator id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const result = await updateVehicle(req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vehicle not found'
+      });
+    }
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'UPDATE_VEHICLE',
+      'vehicles',
+      req.params.id,
+      result.before,
+      req.body,
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.vehicle,
+      message: 'Vehicle updated'
+    });
+
+  } catch (error) {
+    console.error('Update vehicle error:', error);
+    if (error.code === 'VEHICLE_ERROR') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update vehicle'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/auth');
+const { uploadCsv } = require('../middleware/csvUpload');
+const { logAudit } = require('../utils/auditLogger');
+const { getUserLookup } = require('../utils/userLookup');
+const {
+  IMPORT_BATCHES_COLLECTION,
+  validateImport,
+  commitImport,
+  rollbackImport,
+  getImportBatches
+} = require('../services/violationImportService');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin'));
+
+/**
+ * Column mapping sent with the upload as a JSON object (field -> column header);
+ * unmapped fields may be left out or blank
+ * @returns {object|null} Mapping, or null when none was sent
+ * @throws {Error} When the mapping is not a JSON object of strings
+ */
+const readMapping = (req) => {
+  if (!req.body.mapping) return null;
+
+  const mapping = JSON.parse(req.body.mapping);
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('Mapping must be an object');
+  }
+
+  return Object.fromEntries(Object.entries(mapping).filter(([, header]) => {
+    if (typeof header !== 'string') throw new Error('Mapping values must be column headers');
+    return header !== '';
+  }));
+};
+
+const sendImportError = (res, error, message) => {
+  if (error.code === 'IMPORT_ERROR') {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.report && { data: error.report }),
+      ...(error.batch && { data: { batch: error.batch } })
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    error: message
+  });
+};
+
+// @desc    List recent import batches
+// @route   GET /api/violation-imports
+// @access  Private (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const batches = await getImportBatches();
+
+    res.status(200).json({
+      success: true,
+      data: await getUserLookup(req).withUserNames(batches)
+    });
+
+  } catch (error) {
+    console.error('Get import batches error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load imports'
+    });
+  }
+});
+
+// @desc    Dry run: check a CSV and its column mapping without recording anything
+// @route   POST /api/violation-imports/validate
+// @access  Private (Admin only)
+router.post('/validate', uploadCsv, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Choose a CSV file to upload'
+      });
+    }
+
+    let mapping;
+    try {
+      mapping = readMapping(req);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid column mapping: ${error.message}`
+      });
+    }
+
+    const report = await validateImport(req.file.buffer, mapping);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Validate import error:', error);
+    sendImportError(res, error, 'Failed to check the file');
+  }
+});
+
+// @desc    Import the rows of a CSV as violations, tracked as one batch
+// @route   POST /api/violation-imports
+// @access  Private (Admin only)
+router.post('/', uploadCsv, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Choose a CSV file to upload'
+      });
+    }
+
+    let mapping;
+    try {
+      mapping = readMapping(req);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid column mapping: ${error.message}`
+      });
+    }
+    if (!mapping) {
+      return res.status(400).json({
+        success: false,
+        error: 'Column mapping is required; run a dry run first'
+      });
+    }
+
+    const batch = await commitImport(req.file.buffer, {
+      mapping,
+      fileName: req.file.originalname,
+      skipInvalid: req.body.skip_invalid === 'true',
+      user: req.user
+    });
+
+    await logAudit(
+      req.user.id,
+      'IMPORT_VIOLATIONS',
+      IMPORT_BATCHES_COLLECTION,
+      batch.id,
+      null,
+      { file_name: batch.file_name, imported_rows: batch.imported_rows, skipped_rows: batch.skipped_rows },
+      req
+    );
+    console.log(`📥 Imported ${batch.imported_rows} violation(s) from ${batch.file_name} (batch ${batch.id})`);
+
+    res.status(201).json({
+      success: true,
+      data: batch,
+      message: `${batch.imported_rows} violation(s) imported`
+    });
+
+  } catch (error) {
+    console.error('Import violations error:', error);
+    if (error.batch) {
+      await logAudit(
+        req.user.id,
+        'IMPORT_VIOLATIONS_FAILED',
+        IMPORT_BATCHES_COLLECTION,
+        error.batch.id,
+        null,
+        { file_name: error.batch.file_name, imported_rows: error.batch.imported_rows, error: error.batch.error },
+        req
+      );
+    }
+    sendImportError(res, error, 'Failed to import violations');
+  }
+});
+
+// @desc    Delete every violation an import created
+// @route   POST /api/violation-imports/:id/rollback
+// @access  Private (Admin only)
+router.post('/:id/rollback', async (req, res) => {
+  try {
+    const { batch, removed } = await rollbackImport(req.params.id, req.user);
+
+    await logAudit(
+      req.user.id,
+      'ROLLBACK_VIOLATION_IMPORT',
+      IMPORT_BATCHES_COLLECTION,
+      batch.id,
+      null,
+      { file_name: batch.file_name, removed_rows: removed },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: batch,
+      message: `${removed} imported violation(s) removed`
+    });
+
+  } catch (error) {
+    console.error('Rollback import error:', error);
+    sendImportError(res, error, 'Failed to roll back the import');
+  }
+});
+
+module.exports = router;
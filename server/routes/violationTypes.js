@@ -0,0 +1,312 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect, adminOnly } = require('../middleware/auth');
+const { getFirebaseService } = require('../config/database');
+const { logAudit } = require('../utils/auditLogger');
+const {
+  VIOLATION_TYPES_COLLECTION,
+  CODE_PATTERN,
+  normalizeCode,
+  normalizeOffenseTiers,
+  isInEffect,
+  getViolationTypes,
+  findOverlappingType
+} = require('../services/violationTypeService');
+
+const router = express.Router();
+
+// Apply authentication to all routes (reading the catalog is open to every role)
+router.use(protect);
+
+const toDateOnly = (value) => (value ? String(value).slice(0, 10) : null);
+
+const violationTypeValidators = (isUpdate) => {
+  const optionalIfUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    optionalIfUpdate(body('code'))
+      .customSanitizer(normalizeCode)
+      .matches(CODE_PATTERN).withMessage('Code must be 2-20 letters, digits, dashes or underscores'),
+    optionalIfUpdate(body('name')).trim().notEmpty().withMessage('Name is required'),
+    optionalIfUpdate(body('ordinance_reference')).trim().notEmpty().withMessage('Ordinance reference is required'),
+    body('description').optional().trim(),
+    optionalIfUpdate(body('base_fine'))
+      .isFloat({ min: 0 }).withMessage('Base fine must be a positive number')
+      .toFloat(),
+    optionalIfUpdate(body('effective_from'))
+      .isISO8601().withMessage('Effective from must be a date (YYYY-MM-DD)')
+      .customSanitizer(toDateOnly),
+    body('effective_to')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601().withMessage('Effective to must be a date (YYYY-MM-DD)')
+      .customSanitizer(toDateOnly),
+    body('offense_tiers')
+      .optional()
+      .custom(tiers => {
+        normalizeOffenseTiers(tiers);
+        return true;
+      })
+      .bail()
+      .customSanitizer(normalizeOffenseTiers),
+    body('lookback_days')
+      .optional({ nullable: true, checkFalsy: true })
+      .isInt({ min: 1 }).withMessage('Look-back window must be a whole number of days')
+      .toInt(),
+    body('demerit_points')
+      .optional()
+      .isInt({ min: 0, max: 100 }).withMessage('Demerit points must be a whole number from 0 to 100')
+      .toInt()
+  ];
+};
+
+// Pick the catalog fields from a request body (unknown fields are ignored)
+const pickViolationTypeFields = (data) => {
+  const fields = {};
+  ['code', 'name', 'ordinance_reference', 'description', 'base_fine', 'effective_from', 'effective_to',
+    'offense_tiers', 'lookback_days', 'demerit_points'].forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  });
+  return fields;
+};
+
+const hasInvalidRange = (type) => Boolean(type.effective_to && type.effective_to < type.effective_from);
+
+// A code may only have one schedule in effect on any given day
+const findScheduleConflict = async (type, excludeId = null) => {
+  const overlapping = await findOverlappingType(type, excludeId);
+  if (overlapping) {
+    return `Schedule overlaps ${overlapping.code} effective ${overlapping.effective_from}` +
+      (overlapping.effective_to ? ` to ${overlapping.effective_to}` : ' (no end date)');
+  }
+
+  return null;
+};
+
+// @desc    Get violation types
+// @route   GET /api/violation-types
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { active_only } = req.query;
+
+    let types = (await getViolationTypes()).map(type => ({
+      ...type,
+      is_in_effect: isInEffect(type)
+    }));
+
+    if (active_only === 'true') {
+      types = types.filter(type => type.is_in_effect);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: types
+    });
+
+  } catch (error) {
+    console.error('Get violation types error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load violation types'
+    });
+  }
+});
+
+// @desc    Create violation type
+// @route   POST /api/violation-types
+// @access  Private (Admin only)
+router.post('/', adminOnly, violationTypeValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const firebaseService = getFirebaseService();
+    const typeData = {
+      description: '',
+      effective_to: null,
+      offense_tiers: [],
+      lookback_days: null,
+      demerit_points: 0,
+      ...pickViolationTypeFields(req.body)
+    };
+
+    if (hasInvalidRange(typeData)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Effective to must be on or after effective from'
+      });
+    }
+
+    const scheduleError = await findScheduleConflict(typeData);
+    if (scheduleError) {
+      return res.status(409).json({
+        success: false,
+        error: scheduleError
+      });
+    }
+
+    const violationType = await firebaseService.create(VIOLATION_TYPES_COLLECTION, typeData);
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'CREATE_VIOLATION_TYPE',
+      VIOLATION_TYPES_COLLECTION,
+      violationType.id,
+      null,
+      typeData,
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      data: violationType,
+      message: 'Violation type created successfully'
+    });
+
+  } catch (error) {
+    console.error('Create violation type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create violation type'
+    });
+  }
+});
+
+// @desc    Update violation type
+// @route   PUT /api/violation-types/:id
+// @access  Private (Admin only)
+router.put('/:id', adminOnly, violationTypeValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const firebaseService = getFirebaseService();
+
+    const currentType = await firebaseService.findById(VIOLATION_TYPES_COLLECTION, id);
+    if (!currentType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violation type not found'
+      });
+    }
+
+    const updateData = pickViolationTypeFields(req.body);
+    ['effective_to', 'lookback_days'].forEach(field => {
+      if (req.body[field] === '' || req.body[field] === null) {
+        updateData[field] = null;
+      }
+    });
+
+    const updatedType = { ...currentType, ...updateData };
+    if (hasInvalidRange(updatedType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Effective to must be on or after effective from'
+      });
+    }
+
+    const scheduleError = await findScheduleConflict(updatedType, id);
+    if (scheduleError) {
+      return res.status(409).json({
+        success: false,
+        error: scheduleError
+      });
+    }
+
+    const violationType = await firebaseService.update(VIOLATION_TYPES_COLLECTION, id, updateData);
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'UPDATE_VIOLATION_TYPE',
+      VIOLATION_TYPES_COLLECTION,
+      id,
+      currentType,
+      updateData,
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: violationType,
+      message: 'Violation type updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update violation type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update violation type'
+    });
+  }
+});
+
+// @desc    Delete violation type
+// @route   DELETE /api/violation-types/:id
+// @access  Private (Admin only)
+router.delete('/:id', adminOnly, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const firebaseService = getFirebaseService();
+
+    const violationType = await firebaseService.findById(VIOLATION_TYPES_COLLECTION, id);
+    if (!violationType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violation type not found'
+      });
+    }
+
+    // Issued violations keep pointing at their schedule, so retire it instead
+    const usageCount = await firebaseService.count('violations', { violation_type_id: id });
+    if (usageCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `This violation type is used by ${usageCount} violation(s). Set an effective to date to retire it instead.`
+      });
+    }
+
+    await firebaseService.delete(VIOLATION_TYPES_COLLECTION, id);
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'DELETE_VIOLATION_TYPE',
+      VIOLATION_TYPES_COLLECTION,
+      id,
+      violationType,
+      null,
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Violation type deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete violation type error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete violation type'
+    });
+  }
+});
+
+module.exports = router;
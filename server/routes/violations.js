@@ -5,6 +5,30 @@ const { protect, authorize } = require('../middleware/auth');
 const { sendSMS } = require('../services/smsService');
 const { generateViolationNumber } = require('../utils/violationNumberGenerator');
 const { logAudit } = require('../utils/auditLogger');
+const { getUserLookup } = require('../utils/userLookup');
+const { violationDateOf, manilaDay } = require('../utils/dateUtils');
+const { coordinateValidators, toGeoPoint } = require('../utils/geoUtils');
+const { linkViolator, repeatOffenderFields } = require('../services/violatorService');
+const { linkVehicle } = require('../services/vehicleService');
+const { checkNewViolation } = require('../services/demeritService');
+const { computeDueDate } = require('../services/dueDateService');
+const { recordViolationStats } = require('../services/statsService');
+const { resolveViolationType, resolveTicketType, countPriorOffenses, violationTypeFields } = require('../services/violationTypeService');
+const { withAmountDue, getSurcharges, deleteSurcharges } = require('../services/surchargeService');
+const { PAYMENTS_COLLECTION, getPayments } = require('../services/paymentService');
+const { getViolationDispute, deleteDisputes } = require('../services/disputeService');
+const { deleteViolationPhotos, toPhotoResponse } = require('../services/evidencePhotoService');
+const { EXPORT_FORMATS, streamViolationsExport } = require('../services/violationExportService');
+const { BULK_ACTIONS, MAX_BULK_VIOLATIONS, runBulkAction } = require('../services/violationBulkService');
+const { renderCitationPdf } = require('../services/citationService');
+const {
+  VIOLATION_STATUSES,
+  getAllowedTransitions,
+  updateViolation: updateViolationWithStatus,
+  recordInitialStatus,
+  getStatusHistory,
+  deleteStatusHistory
+} = require('../services/violationStatusService');
 
 console.log('🔥 VIOLATIONS.JS LOADED - ESP32 DateTime Parser Active');
 
@@ -99,181 +123,161 @@ const parseESP32DateTime = (dateTimeStr) => {
 // Apply authentication to all routes
 router.use(protect);
 
-// @desc    Get all violations (simplified Firebase version)
-// @route   GET /api/violations
-// @access  Private
-router.get('/', async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      search = '',
-      status = '',
-      enforcer_id = '',
-      violation_type = '',
-      violator_name = '',
-      repeat_offender = '',
-      start_date = '',
-      end_date = ''
-    } = req.query;
-
-    const firebaseService = getFirebaseService();
-
-    // Ensure limit and page are valid numbers
-    const validLimit = Math.max(1, Math.min(100, parseInt(limit) || 10));
-    const validPage = Math.max(1, parseInt(page) || 1);
-    const offset = (validPage - 1) * validLimit;
+// Query parameters shared by the violation list and the export
+// Fields a violation can be corrected through; the rest are set by the server
+// (numbers, fines, offense counts, flags) or through their own endpoints
+const EDITABLE_VIOLATION_FIELDS = [
+  'violator_name', 'violator_license', 'violator_phone', 'violator_address',
+  'vehicle_plate', 'vehicle_brand', 'vehicle_model', 'vehicle_variant', 'vehicle_color',
+  'violation_type', 'violation_type_code', 'violation_description', 'location', 'notes',
+  'status', 'status_reason', 'latitude', 'longitude'
+];
 
-    // Build conditions for Firebase
-    const conditions = {};
+const VIOLATION_FILTERS = ['search', 'status', 'enforcer_id', 'violation_type', 'violator_name', 'repeat_offender', 'start_date', 'end_date'];
 
-    if (status) {
-      conditions.status = status;
+/**
+ * Turn the violation list filters into storage conditions and an in-memory filter
+ * @param {object} query - Request query parameters
+ * @returns {object} { conditions, filter, orderBy, applied } filter is null when the backend applies every filter
+ */
+const buildViolationQuery = (query) => {
+  const applied = {};
+  VIOLATION_FILTERS.forEach(field => {
+    if (typeof query[field] === 'string' && query[field] !== '') {
+      applied[field] = query[field];
     }
+  });
+
+  const {
+    search = '',
+    status = '',
+    enforcer_id = '',
+    violation_type = '',
+    violator_name = '',
+    repeat_offender = '',
+    start_date = '',
+    end_date = ''
+  } = applied;
+
+  // Build conditions that the database applies server-side
+  const conditions = {};
+
+  if (status) {
+    conditions.status = status;
+  }
 
-    // Note: enforcer_id is filtered in-memory for better reliability
-    // Note: violation_type is filtered in-memory for partial, case-insensitive matching
-
-    if (repeat_offender !== '') {
-      conditions.is_repeat_offender = repeat_offender === 'true';
-    }
+  if (enforcer_id) {
+    conditions.enforcer_id = enforcer_id;
+  }
 
-    // For search, we'll need to filter in memory since Firebase doesn't support full-text search
-    const allViolations = await firebaseService.getViolations(conditions);
+  if (repeat_offender !== '') {
+    conditions.is_repeat_offender = repeat_offender === 'true';
+  }
 
-    // Apply search filters in memory
-    let filteredViolations = allViolations;
+  // Date range on when the violation was committed, whole days in Philippine time
+  if (start_date || end_date) {
+    conditions.violation_date = {};
 
-    if (search) {
-      const searchTerm = search.toLowerCase();
-      filteredViolations = filteredViolations.filter(violation =>
-        (violation.violation_number && violation.violation_number.toLowerCase().includes(searchTerm)) ||
-        (violation.violator_name && violation.violator_name.toLowerCase().includes(searchTerm)) ||
-        (violation.vehicle_plate && violation.vehicle_plate.toLowerCase().includes(searchTerm))
-      );
+    if (start_date) {
+      conditions.violation_date['>='] = manilaDay(start_date).toDate();
     }
 
-    if (violator_name) {
-      const searchTerm = violator_name.toLowerCase();
-      filteredViolations = filteredViolations.filter(violation =>
-        violation.violator_name && violation.violator_name.toLowerCase().includes(searchTerm)
-      );
+    if (end_date) {
+      conditions.violation_date['<='] = manilaDay(end_date).endOf('day').toDate();
     }
+  }
 
-    // Apply enforcer filter with exact ID matching
-    if (enforcer_id) {
-      filteredViolations = filteredViolations.filter(violation =>
-        violation.enforcer_id && violation.enforcer_id === enforcer_id
-      );
-    }
+  // Firestore has no substring search, so text filters are matched while scanning pages
+  const textFilters = [];
 
-    // Apply violation type filter with case-insensitive partial matching
-    if (violation_type) {
-      const searchTerm = violation_type.toLowerCase();
-      filteredViolations = filteredViolations.filter(violation =>
-        violation.violation_type && violation.violation_type.toLowerCase().includes(searchTerm)
-      );
-    }
+  if (search) {
+    const searchTerm = search.toLowerCase();
+    textFilters.push(violation =>
+      (violation.violation_number && violation.violation_number.toLowerCase().includes(searchTerm)) ||
+      (violation.violator_name && violation.violator_name.toLowerCase().includes(searchTerm)) ||
+      (violation.vehicle_plate && violation.vehicle_plate.toLowerCase().includes(searchTerm))
+    );
+  }
 
-    // Apply date range filters
-    if (start_date || end_date) {
-      filteredViolations = filteredViolations.filter(violation => {
-        // Get the violation date - check multiple possible date fields
-        let violationDate = null;
-
-        // Try different date fields in order of preference
-        if (violation.datetime) {
-          // If datetime is a Firestore Timestamp
-          violationDate = violation.datetime.toDate ? violation.datetime.toDate() : new Date(violation.datetime);
-        } else if (violation.captured_at) {
-          violationDate = violation.captured_at.toDate ? violation.captured_at.toDate() : new Date(violation.captured_at);
-        } else if (violation.created_at) {
-          violationDate = violation.created_at.toDate ? violation.created_at.toDate() : new Date(violation.created_at);
-        }
+  if (violator_name) {
+    const searchTerm = violator_name.toLowerCase();
+    textFilters.push(violation =>
+      violation.violator_name && violation.violator_name.toLowerCase().includes(searchTerm)
+    );
+  }
 
-        // If we couldn't get a valid date, skip this violation
-        if (!violationDate || isNaN(violationDate.getTime())) {
-          return false;
-        }
+  // Violation type uses case-insensitive partial matching
+  if (violation_type) {
+    const searchTerm = violation_type.toLowerCase();
+    textFilters.push(violation =>
+      violation.violation_type && violation.violation_type.toLowerCase().includes(searchTerm)
+    );
+  }
 
-        // Normalize the violation date to start of day for comparison
-        const violationDateOnly = new Date(violationDate);
-        violationDateOnly.setHours(0, 0, 0, 0);
-
-        // Check start_date filter
-        if (start_date) {
-          const startDate = new Date(start_date);
-          startDate.setHours(0, 0, 0, 0);
-          if (violationDateOnly < startDate) {
-            return false;
-          }
-        }
+  return {
+    conditions,
+    filter: textFilters.length > 0
+      ? (violation) => textFilters.every(matches => matches(violation))
+      : null,
+    // Firestore orders a range query by the field the range is on first
+    orderBy: { field: conditions.violation_date ? 'violation_date' : 'created_at', direction: 'desc' },
+    applied
+  };
+};
 
-        // Check end_date filter
-        if (end_date) {
-          const endDate = new Date(end_date);
-          endDate.setHours(23, 59, 59, 999); // Include the entire end date
-          if (violationDateOnly > endDate) {
-            return false;
-          }
-        }
+// @desc    Get all violations (cursor paginated)
+// @route   GET /api/violations
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { limit = 10, cursor = '' } = req.query;
 
-        return true;
-      });
-    }
+    const firebaseService = getFirebaseService();
+
+    // Ensure limit is a valid number
+    const validLimit = Math.max(1, Math.min(100, parseInt(limit) || 10));
 
-    // Sort by created_at descending (newest first)
-    filteredViolations.sort((a, b) => {
-      const aDate = a.created_at?.toDate ? a.created_at.toDate() : new Date(a.created_at || 0);
-      const bDate = b.created_at?.toDate ? b.created_at.toDate() : new Date(b.created_at || 0);
-      return bDate - aDate;
+    const { conditions, filter, orderBy } = buildViolationQuery(req.query);
+
+    const page = await firebaseService.findPage('violations', conditions, {
+      limit: validLimit,
+      cursor: cursor || null,
+      orderBy,
+      filter
     });
 
-    // Apply pagination
-    const paginatedViolations = filteredViolations.slice(offset, offset + validLimit);
-
-    // Get enforcer details for each violation
-    const violationsWithEnforcer = await Promise.all(
-      paginatedViolations.map(async (violation) => {
-        if (violation.enforcer_id) {
-          try {
-            const enforcer = await firebaseService.findById('users', violation.enforcer_id);
-            return {
-              ...violation,
-              enforcer_name: enforcer ? enforcer.full_name : 'Unknown',
-              enforcer_badge: enforcer ? enforcer.badge_number : 'Unknown'
-            };
-          } catch (error) {
-            console.error(`Error fetching enforcer for violation ${violation.id}:`, error);
-            return {
-              ...violation,
-              enforcer_name: 'Unknown',
-              enforcer_badge: 'Unknown'
-            };
-          }
-        }
-        return {
-          ...violation,
-          enforcer_name: 'Unknown',
-          enforcer_badge: 'Unknown'
-        };
-      })
-    );
+    // The total is only known without text filters (those are applied while scanning)
+    const totalRecords = filter
+      ? null
+      : await firebaseService.count('violations', conditions);
+
+    // Enforcer details are fetched in one batch for the whole page
+    const violationsWithEnforcer = withAmountDue(await getUserLookup(req).withEnforcers(page.items)).map(violation => ({
+      ...violation,
+      allowed_transitions: getAllowedTransitions(violation.status, req.user.role)
+    }));
 
     res.status(200).json({
       success: true,
       data: {
         violations: violationsWithEnforcer,
         pagination: {
-          current: validPage,
-          total: Math.ceil(filteredViolations.length / validLimit),
-          totalRecords: filteredViolations.length
+          limit: validLimit,
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore,
+          totalRecords
         }
       }
     });
 
   } catch (error) {
     console.error('Get violations error:', error);
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to load violations'
@@ -281,6 +285,56 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Export the violations matching the list filters as CSV, XLSX or PDF
+// @route   GET /api/violations/export?format=csv|xlsx|pdf
+// @access  Private (Admin only)
+router.get('/export', authorize('admin'), async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+
+  const { conditions, filter, orderBy, applied } = buildViolationQuery(req.query);
+  const userLookup = getUserLookup(req);
+
+  try {
+    const result = await streamViolationsExport(res, {
+      format,
+      conditions,
+      filter,
+      orderBy,
+      filters: applied,
+      enrich: async (violations) => withAmountDue(await userLookup.withEnforcers(violations))
+    });
+
+    await logAudit(
+      req.user.id,
+      'EXPORT_VIOLATIONS',
+      'violations',
+      null,
+      null,
+      { format, filters: applied, rows: result.rows, ...(result.aborted && { aborted: true }) },
+      req
+    );
+    console.log(`📤 Exported ${result.rows} violation(s) as ${format}${result.aborted ? ' (client disconnected)' : ''}`);
+  } catch (error) {
+    console.error('Export violations error:', error);
+    if (res.headersSent) {
+      // Part of the file is already out; cut the download short instead of leaving a truncated file looking complete
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export violations'
+    });
+  }
+});
+
 // @desc    Get single violation
 // @route   GET /api/violations/:id
 // @access  Private
@@ -298,25 +352,16 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Get enforcer details if exists
-    if (violation.enforcer_id) {
-      try {
-        const enforcer = await firebaseService.findById('users', violation.enforcer_id);
-        violation.enforcer_name = enforcer ? enforcer.full_name : 'Unknown';
-        violation.enforcer_badge = enforcer ? enforcer.badge_number : 'Unknown';
-      } catch (error) {
-        console.error(`Error fetching enforcer for violation ${violation.id}:`, error);
-        violation.enforcer_name = 'Unknown';
-        violation.enforcer_badge = 'Unknown';
-      }
-    } else {
-      violation.enforcer_name = 'Unknown';
-      violation.enforcer_badge = 'Unknown';
-    }
+    const [violationWithEnforcer] = withAmountDue(await getUserLookup(req).withEnforcers([violation]));
+    violationWithEnforcer.allowed_transitions = getAllowedTransitions(violation.status, req.user.role);
+    violationWithEnforcer.surcharges = await getSurcharges(id);
+    violationWithEnforcer.payments = await getPayments(id);
+    violationWithEnforcer.dispute = violation.dispute_id ? await getViolationDispute(id) : null;
+    violationWithEnforcer.evidence_photos = (violation.evidence_photos || []).map(toPhotoResponse);
 
     res.status(200).json({
       success: true,
-      data: violation
+      data: violationWithEnforcer
     });
 
   } catch (error) {
@@ -328,15 +373,112 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @desc    Official citation PDF with a signed QR verification code
+// @route   GET /api/violations/:id/citation
+// @access  Private (Enforcer and Admin)
+router.get('/:id/citation', authorize('enforcer', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const firebaseService = getFirebaseService();
+
+    const violation = await firebaseService.findById('violations', id);
+    if (!violation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violation not found'
+      });
+    }
+
+    if (req.user.role === 'enforcer' && violation.enforcer_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only print your own violations'
+      });
+    }
+
+    const [violationWithEnforcer] = await getUserLookup(req).withEnforcers([violation]);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="citation_${violation.violation_number}.pdf"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const { issuedAt } = await renderCitationPdf(res, violationWithEnforcer, {
+      verifyBaseUrl: process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`
+    });
+
+    await logAudit(
+      req.user.id,
+      'PRINT_CITATION',
+      'violations',
+      id,
+      null,
+      { issued_at: issuedAt, status: violation.status },
+      req
+    );
+
+  } catch (error) {
+    console.error('Citation PDF error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader('Content-Disposition');
+    res.setHeader('Content-Type', 'application/json');
+    if (error.code === 'CITATION_ERROR') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate the citation'
+    });
+  }
+});
+
+// @desc    Get status history of a violation
+// @route   GET /api/violations/:id/status-history
+// @access  Private
+router.get('/:id/status-history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const firebaseService = getFirebaseService();
+
+    const violation = await firebaseService.findById('violations', id);
+    if (!violation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violation not found'
+      });
+    }
+
+    const history = await getUserLookup(req).withUserNames(await getStatusHistory(id));
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Get status history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load status history'
+    });
+  }
+});
+
 // @desc    Create new violation
 // @route   POST /api/violations
 // @access  Private (Enforcer and Admin)
 router.post('/', [
   authorize('enforcer', 'admin'),
   body('violator_name').notEmpty().withMessage('Violator name is required'),
-  body('violation_type').notEmpty().withMessage('Violation type is required'),
+  body('violation_type').if(body('violation_type_code').not().exists()).notEmpty().withMessage('Violation type is required'),
   body('location').notEmpty().withMessage('Location is required'),
-  body('fine_amount').isNumeric().withMessage('Fine amount must be a number')
+  body('fine_amount').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Fine amount must be a positive number'),
+  ...coordinateValidators
 ], async (req, res) => {
   console.log('🚨 POST /api/violations HIT - User:', req.user?.full_name, 'Body keys:', Object.keys(req.body));
 
@@ -352,29 +494,25 @@ router.post('/', [
 
     const firebaseService = getFirebaseService();
 
-    // Generate violation number
-    const violationNumber = await generateViolationNumber();
-
-    // Calculate due date (3 days from now - Cebu City compliance period)
-    const dueDate = new Date();
-    dueDate.setDate(dueDate.getDate() + 3);
+    // The fine comes from the ordinance schedule, never from the request
+    const violationType = await resolveTicketType(req.body);
+    if (!violationType) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or inactive violation type: ${req.body.violation_type_code || req.body.violation_type}`
+      });
+    }
 
-    // Check if violator is a repeat offender by looking for existing violations
-    // with the same license number
-    let isRepeatOffender = false;
-    let previousViolationsCount = 0;
+    // Escalate the fine for repeat offenses of this type by the same person; counting by
+    // violator id makes merged profiles and differently typed licenses add up
+    const violatorId = await linkViolator(req.body);
+    const offenseNumber = await countPriorOffenses(violationType, violatorId) + 1;
 
-    if (req.body.violator_license) {
-      // Find existing violations with the same license number
-      const existingViolations = await firebaseService.getViolations({
-        violator_license: req.body.violator_license
-      });
+    // Generate violation number
+    const violationNumber = await generateViolationNumber();
 
-      if (existingViolations && existingViolations.length > 0) {
-        isRepeatOffender = true;
-        previousViolationsCount = existingViolations.length;
-      }
-    }
+    // Due date from the compliance period in system settings (skips weekends and holidays)
+    const dueDate = await computeDueDate();
 
     // Create violation
     console.log('🚗 Vehicle data received:', {
@@ -384,6 +522,31 @@ router.post('/', [
       color: req.body.vehicle_color
     });
 
+    // When the violation was committed; stats, reports and the date filters go by this
+    const capturedAt = (() => {
+      console.log('🔍 DEBUG - captured_at:', req.body.captured_at);
+      console.log('🔍 DEBUG - datetime:', req.body.datetime);
+
+      if (req.body.captured_at) {
+        console.log('📅 Using captured_at from request');
+        // Try to parse using our specialized parser first to handle timezone correctly
+        const parsed = parseESP32DateTime(req.body.captured_at);
+        if (parsed) {
+          return parsed;
+        }
+        // Fallback if parser returns null (standard ISO string perhaps?)
+        return new Date(req.body.captured_at);
+      } else if (req.body.datetime) {
+        console.log('📅 Parsing ESP32 datetime:', req.body.datetime);
+        const parsed = parseESP32DateTime(req.body.datetime);
+        console.log('📅 Parse result:', parsed);
+        return parsed || new Date();
+      } else {
+        console.log('📅 No datetime provided, using server time');
+        return new Date();
+      }
+    })();
+
     const violation = await firebaseService.createViolation({
       violation_number: violationNumber,
       enforcer_id: req.user.id,
@@ -391,45 +554,25 @@ router.post('/', [
       violator_license: req.body.violator_license || '',
       violator_phone: req.body.violator_phone || '',
       violator_address: req.body.violator_address || '',
-      vehicle_plate: req.body.vehicle_plate || '',
-      vehicle_brand: req.body.vehicle_brand || '',
-      vehicle_model: req.body.vehicle_model || '',
-      vehicle_variant: req.body.vehicle_variant || '',
-      vehicle_color: req.body.vehicle_color || '',
-      violation_type: req.body.violation_type,
+      violator_id: violatorId,
+      // Details left blank on the ticket are filled in from the vehicle registry
+      ...await linkVehicle(req.body),
+      ...violationTypeFields(violationType, offenseNumber),
       violation_description: req.body.violation_description || '',
       location: req.body.location,
-      fine_amount: parseFloat(req.body.fine_amount),
+      geopoint: toGeoPoint(firebaseService, req.body),
       status: 'pending',
       notes: req.body.notes || '',
       due_date: dueDate,
-      is_repeat_offender: isRepeatOffender,
-      previous_violations_count: previousViolationsCount,
-      captured_at: (() => {
-        console.log('🔍 DEBUG - captured_at:', req.body.captured_at);
-        console.log('🔍 DEBUG - datetime:', req.body.datetime);
-
-        if (req.body.captured_at) {
-          console.log('📅 Using captured_at from request');
-          // Try to parse using our specialized parser first to handle timezone correctly
-          const parsed = parseESP32DateTime(req.body.captured_at);
-          if (parsed) {
-            return parsed;
-          }
-          // Fallback if parser returns null (standard ISO string perhaps?)
-          return new Date(req.body.captured_at);
-        } else if (req.body.datetime) {
-          console.log('📅 Parsing ESP32 datetime:', req.body.datetime);
-          const parsed = parseESP32DateTime(req.body.datetime);
-          console.log('📅 Parse result:', parsed);
-          return parsed || new Date();
-        } else {
-          console.log('📅 No datetime provided, using server time');
-          return new Date();
-        }
-      })()
+      // Repeat offender if the violator already has violations on record
+      ...await repeatOffenderFields(violatorId),
+      captured_at: capturedAt,
+      violation_date: capturedAt
     });
 
+    await recordViolationStats(null, violation);
+    await recordInitialStatus(violation, { id: req.user.id, role: req.user.role });
+
     // Log audit
     await logAudit(
       req.user.id,
@@ -441,14 +584,34 @@ router.post('/', [
       req
     );
 
+    // Flag the license when this violation takes it over a demerit threshold
+    const demerits = await checkNewViolation(violation);
+    if (demerits && demerits.newly_flagged) {
+      await logAudit(
+        req.user.id,
+        'DEMERIT_THRESHOLD_REACHED',
+        'violators',
+        violation.violator_id,
+        null,
+        { flag: demerits.flag, points: demerits.points, threshold: demerits.threshold, violation_number: violationNumber },
+        req
+      );
+    }
+
     res.status(201).json({
       success: true,
-      data: violation,
+      data: { ...violation, demerits },
       message: 'Violation created successfully'
     });
 
   } catch (error) {
     console.error('Create violation error:', error);
+    if (error.code === 'VIOLATION_TYPE_ERROR') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to create violation'
@@ -456,6 +619,99 @@ router.post('/', [
   }
 });
 
+// Audit entry written for each violation a bulk action went through on
+const BULK_AUDIT = {
+  status: (result, { status, reason }) => ['UPDATE_VIOLATION', result.before, { status, status_reason: reason, bulk: true }],
+  cancel: (result, { reason }) => ['UPDATE_VIOLATION', result.before, { status: 'cancelled', status_reason: reason, bulk: true }],
+  send_sms: (result) => ['SEND_SMS', null, { phone_number: result.before.violator_phone, notice: true, bulk: true }],
+  delete: (result) => ['DELETE_VIOLATION', result.before, null],
+  print: () => ['PRINT_RECEIPT', null, { bulk: true }]
+};
+
+// @desc    Apply one action to several violations (status change, cancel, notice SMS, delete, print)
+// @route   POST /api/violations/bulk
+// @access  Private (Admin only)
+router.post('/bulk', [
+  authorize('admin'),
+  body('action').isIn(BULK_ACTIONS).withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+  body('ids').isArray({ min: 1, max: MAX_BULK_VIOLATIONS }).withMessage(`Select between 1 and ${MAX_BULK_VIOLATIONS} violations`),
+  body('ids.*').isString().notEmpty().withMessage('Violation ids must be strings'),
+  body('status')
+    .if(body('action').equals('status'))
+    .isIn(VIOLATION_STATUSES.filter(status => status !== 'cancelled'))
+    .withMessage('Choose the new status (use the cancel action to cancel)'),
+  body('reason').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  body('reason')
+    .if(body('action').equals('cancel'))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to cancel violations')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const { action, ids } = req.body;
+    const status = action === 'status' ? req.body.status : null;
+    const reason = req.body.reason || null;
+
+    const results = await runBulkAction(action, ids, {
+      actor: { id: req.user.id, role: req.user.role },
+      status,
+      reason
+    });
+
+    // One audit entry per violation the action went through on
+    for (const result of results.filter(item => item.success)) {
+      const [auditAction, oldValues, newValues] = BULK_AUDIT[action](result, { status, reason });
+      await logAudit(req.user.id, auditAction, 'violations', result.id, oldValues, newValues, req);
+    }
+
+    // Receipts need the enforcer and balance fields, as on the single violation
+    const printed = action === 'print'
+      ? new Map(withAmountDue(await getUserLookup(req).withEnforcers(
+        results.filter(item => item.success).map(item => item.violation)
+      )).map(violation => [violation.id, violation]))
+      : null;
+
+    const succeeded = results.filter(item => item.success).length;
+    console.log(`📦 Bulk ${action}: ${succeeded} of ${results.length} violation(s)`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        action,
+        results: results.map(({ id, violation_number, success, error }) => ({
+          id,
+          violation_number,
+          success,
+          ...(error && { error }),
+          ...(printed && success && { violation: printed.get(id) })
+        })),
+        summary: {
+          requested: results.length,
+          succeeded,
+          failed: results.length - succeeded
+        }
+      },
+      message: `${succeeded} of ${results.length} violation(s) done`
+    });
+
+  } catch (error) {
+    console.error('Bulk violations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply the bulk action'
+    });
+  }
+});
+
 // @desc    Update violation
 // @route   PUT /api/violations/:id
 // @access  Private (Enforcer and Admin)
@@ -463,9 +719,31 @@ router.put('/:id', [
   authorize('enforcer', 'admin'),
   body('violator_name').optional().notEmpty().withMessage('Violator name cannot be empty'),
   body('violation_type').optional().notEmpty().withMessage('Violation type cannot be empty'),
+  body('violation_type_code').optional().notEmpty().withMessage('Violation type code cannot be empty'),
   body('location').optional().notEmpty().withMessage('Location cannot be empty'),
-  body('fine_amount').optional().isNumeric().withMessage('Fine amount must be a number'),
-  body('status').optional().isIn(['pending', 'issued', 'paid', 'disputed', 'cancelled']).withMessage('Invalid status')
+  body('fine_amount').not().exists().withMessage('Fine amount is set by the violation type schedule'),
+  body(['surcharge_total', 'surcharge_periods']).not().exists().withMessage('Surcharges are accrued by the daily surcharge job'),
+  body(['amount_paid', 'paid_at']).not().exists().withMessage('Payments are recorded through the payments endpoint'),
+  body('dispute_id').not().exists().withMessage('Disputes are filed through the disputes endpoint'),
+  body('evidence_photos').not().exists().withMessage('Photos are uploaded through the photos endpoint'),
+  body('status').optional().isIn(VIOLATION_STATUSES).withMessage('Invalid status'),
+  body('status_reason').optional().isString().isLength({ max: 500 }).withMessage('Status reason must be at most 500 characters'),
+  body('geopoint').not().exists().withMessage('Send latitude and longitude instead'),
+  body('violator_id').not().exists().withMessage('The violator is linked from the license number'),
+  body('vehicle_id').not().exists().withMessage('The vehicle is linked from the plate number'),
+  body(['offense_number', 'offense_tier', 'offense_tier_label']).not().exists().withMessage('The offense number is counted from the violator\'s record'),
+  body('demerit_points').not().exists().withMessage('Demerit points are set by the violation type'),
+  body('is_repeat_offender').not().exists().withMessage('Repeat offender flags are recomputed from the violator\'s record'),
+  body('violation_number').not().exists().withMessage('Violation numbers cannot be changed'),
+  body(['import_batch_id', 'paper_ticket_number']).not().exists().withMessage('Import details cannot be changed'),
+  body().custom((value) => {
+    const unknown = Object.keys(value || {}).filter(field => !EDITABLE_VIOLATION_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`These fields cannot be updated: ${unknown.join(', ')}`);
+    }
+    return true;
+  }),
+  ...coordinateValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -497,78 +775,43 @@ router.put('/:id', [
       });
     }
 
-    // Prevent status updates for paid violations
-    if (currentViolation.status === 'paid' && req.body.status && req.body.status !== 'paid') {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot update status: This violation has already been paid and its status cannot be changed'
-      });
-    }
+    // Status changes are checked against the transition table; SMS notices for
+    // 'issued' and 'paid' are sent by the status service when those transitions happen
+    const { status_reason: statusReason, latitude, longitude, ...updates } = req.body;
 
-    // Update violation
-    const updatedViolation = await firebaseService.updateViolation(id, req.body);
-
-    // Check if status was updated to 'paid' and automatically send payment confirmation SMS
-    if (req.body.status === 'paid' && currentViolation.status !== 'paid') {
-      // Automatically send payment confirmation SMS if violator has phone number
-      if (currentViolation.violator_phone) {
-        const { sendSMS } = require('../services/smsService');
-
-        // Create payment confirmation message
-        const message = `e-Traffic: Payment Confirmed. Violation: ${currentViolation.violation_type}, Plate: ${currentViolation.vehicle_plate}, Paid: PHP${currentViolation.fine_amount}. Ref: ${currentViolation.violation_number}`;
-
-        // Send SMS in the background (don't wait for result)
-        sendSMS(currentViolation.violator_phone, message, id)
-          .then(result => {
-            if (result.success) {
-              console.log(`✅ Payment confirmation SMS sent for violation ${currentViolation.violation_number}`);
-            } else {
-              console.log(`❌ Failed to send payment confirmation SMS for violation ${currentViolation.violation_number}: ${result.message}`);
-            }
-          })
-          .catch(error => {
-            console.error(`❌ Error sending payment confirmation SMS for violation ${currentViolation.violation_number}:`, error.message);
-          });
-      }
+    // Coordinates can be corrected; sending null for both clears them
+    if (latitude !== undefined) {
+      updates.geopoint = toGeoPoint(firebaseService, { latitude, longitude });
     }
 
-    // Check if status was updated to 'issued' and automatically send violation notice SMS
-    if (req.body.status === 'issued' && currentViolation.status !== 'issued') {
-      // Automatically send violation notice SMS if violator has phone number
-      if (currentViolation.violator_phone) {
-        const { sendSMS } = require('../services/smsService');
+    // A corrected license number moves the violation to that person's profile
+    if (updates.violator_license !== undefined && updates.violator_license !== currentViolation.violator_license) {
+      updates.violator_id = await linkViolator({ ...currentViolation, ...updates });
+    }
 
-        // Get due date for the message
-        let dueDateStr = '';
-        if (currentViolation.due_date) {
-          const dueDate = currentViolation.due_date.toDate ?
-            currentViolation.due_date.toDate() :
-            new Date(currentViolation.due_date);
-          dueDateStr = dueDate.toLocaleDateString();
-        }
+    // Likewise a corrected plate moves it to that vehicle's history
+    if (updates.vehicle_plate !== undefined && updates.vehicle_plate !== currentViolation.vehicle_plate) {
+      Object.assign(updates, await linkVehicle({ ...currentViolation, ...updates }));
+    }
 
-        // Create violation notice message
-        const message = `e-Traffic Notice: Violation ${currentViolation.violation_type}, Plate: ${currentViolation.vehicle_plate}, Fine: PHP${currentViolation.fine_amount}${dueDateStr ? `, Due: ${dueDateStr} (Compliance Period: 3 days)` : ' (Compliance Period: 3 days)'}. Please settle. Ref: ${currentViolation.violation_number}`;
-
-        // Send SMS in the background (don't wait for result)
-        sendSMS(currentViolation.violator_phone, message, id)
-          .then(result => {
-            if (result.success) {
-              console.log(`✅ Violation notice SMS sent for violation ${currentViolation.violation_number}`);
-            } else {
-              console.log(`❌ Failed to send violation notice SMS for violation ${currentViolation.violation_number}: ${result.message}`);
-            }
-          })
-          .catch(error => {
-            console.error(`❌ Error sending violation notice SMS for violation ${currentViolation.violation_number}:`, error.message);
-          });
+    // Changing the type re-applies the schedule in effect when the violation was
+    // committed; the violation keeps its offense number
+    if (updates.violation_type_code || updates.violation_type) {
+      const typeKey = updates.violation_type_code || updates.violation_type;
+      const violationType = await resolveViolationType(typeKey, violationDateOf(currentViolation));
+      if (!violationType) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown or inactive violation type: ${typeKey}`
+        });
       }
+      Object.assign(updates, violationTypeFields(violationType, currentViolation.offense_number || 1));
     }
-
-    // Note: SMS notifications are now automatic:
-    // - When status changes to 'issued': Violation notice SMS is sent
-    // - When status changes to 'paid': Payment confirmation SMS is sent
-    // - Overdue violations: Automated daily penalty reminders (handled by penaltyReminder.js script)
+    const { violation: updatedViolation } = await updateViolationWithStatus(id, updates, {
+      actor: { id: req.user.id, role: req.user.role },
+      reason: statusReason
+    });
+    await recordViolationStats(currentViolation, updatedViolation);
 
     // Log audit
     await logAudit(
@@ -589,6 +832,12 @@ router.put('/:id', [
 
   } catch (error) {
     console.error('Update violation error:', error);
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to update violation'
@@ -674,8 +923,22 @@ router.delete('/:id', authorize('admin'), async (req, res) => {
       });
     }
 
+    // Official receipts must stay traceable to their violation
+    const paymentCount = await firebaseService.count(PAYMENTS_COLLECTION, { violation_id: id });
+    if (paymentCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Violation has recorded payments and cannot be deleted; cancel it instead'
+      });
+    }
+
     // Delete violation
     await firebaseService.deleteViolation(id);
+    await recordViolationStats(violation, null);
+    await deleteStatusHistory(id);
+    await deleteSurcharges(id);
+    await deleteDisputes(id);
+    await deleteViolationPhotos(violation);
 
     // Log audit
     await logAudit(
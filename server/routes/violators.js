@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { logAudit } = require('../utils/auditLogger');
+const { getUserLookup } = require('../utils/userLookup');
+const {
+  searchViolators,
+  getViolatorProfile,
+  updateViolator
+} = require('../services/violatorService');
+const {
+  scanDuplicates,
+  getDuplicateCandidates,
+  dismissDuplicate,
+  mergeDuplicate
+} = require('../services/duplicateService');
+const { getDemeritStanding } = require('../services/demeritService');
+
+const router = express.Router();
+
+// The registry holds personal details, so it is for admins only
+router.use(protect);
+router.use(authorize('admin'));
+
+// @desc    Search violators by name or license number
+// @route   GET /api/violators
+// @access  Private (Admin only)
+router.get('/', [
+  query('search').optional().isString().isLength({ max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const { search = '', limit = 20, cursor } = req.query;
+    const page = await searchViolators({ search, limit: parseInt(limit), cursor });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        violators: page.items,
+        pagination: {
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore,
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get violators error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load violators'
+    });
+  }
+});
+
+const sendDuplicateError = (res, error, message) => {
+  if (error.code === 'DUPLICATE_ERROR') {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    error: message
+  });
+};
+
+// @desc    Get likely duplicate violator identities found by the last scan
+// @route   GET /api/violators/duplicates
+// @access  Private (Admin only)
+router.get('/duplicates', [
+  query('status').optional().isIn(['open', 'merged', 'dismissed']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const candidates = await getDuplicateCandidates(req.query.status || 'open');
+
+    res.status(200).json({
+      success: true,
+      data: candidates
+    });
+
+  } catch (error) {
+    console.error('Get duplicate violators error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load duplicate violators'
+    });
+  }
+});
+
+// @desc    Scan for duplicate violator identities now instead of waiting for the nightly job
+// @route   POST /api/violators/duplicates/scan
+// @access  Private (Admin only)
+router.post('/duplicates/scan', async (req, res) => {
+  try {
+    const result = await scanDuplicates();
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `Found ${result.candidates} likely duplicate(s)`
+    });
+
+  } catch (error) {
+    console.error('Scan duplicate violators error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to scan for duplicate violators'
+    });
+  }
+});
+
+// @desc    Merge a duplicate into the chosen violator profile
+// @route   POST /api/violators/duplicates/:id/merge
+// @access  Private (Admin only)
+router.post('/duplicates/:id/merge', [
+  body('target_id').isString().notEmpty().withMessage('Choose the profile to keep')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const result = await mergeDuplicate(req.params.id, req.body.target_id, req.user.id);
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'MERGE_VIOLATORS',
+      'violators',
+      req.body.target_id,
+      result.before,
+      {
+        merged: result.source,
+        violator: result.target,
+        moved_violations: result.movedViolations,
+        updated_repeat_flags: result.updatedFlags
+      },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.target,
+      message: `Merged ${result.movedViolations} violation(s) into ${result.target.full_name || result.target.license_number}`
+    });
+
+  } catch (error) {
+    console.error('Merge duplicate violators error:', error);
+    sendDuplicateError(res, error, 'Failed to merge violators');
+  }
+});
+
+// @desc    Mark a duplicate candidate as different people
+// @route   POST /api/violators/duplicates/:id/dismiss
+// @access  Private (Admin only)
+router.post('/duplicates/:id/dismiss', async (req, res) => {
+  try {
+    const candidate = await dismissDuplicate(req.params.id, req.user.id);
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'DISMISS_DUPLICATE_VIOLATORS',
+      'violator_duplicates',
+      req.params.id,
+      candidate,
+      { status: 'dismissed' },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Marked as different people'
+    });
+
+  } catch (error) {
+    console.error('Dismiss duplicate violators error:', error);
+    sendDuplicateError(res, error, 'Failed to dismiss duplicate');
+  }
+});
+
+// @desc    Get a violator's profile, violation history, outstanding balance and demerit points
+// @route   GET /api/violators/:id
+// @access  Private (Admin only)
+router.get('/:id', async (req, res) => {
+  try {
+    const profile = await getViolatorProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violator not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...profile,
+        violations: await getUserLookup(req).withEnforcers(profile.violations),
+        demerits: await getDemeritStanding(req.params.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get violator error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load violator'
+    });
+  }
+});
+
+// @desc    Update a violator's contact details
+// @route   PUT /api/violators/:id
+// @access  Private (Admin only)
+router.put('/:id', [
+  body('license_number').not().exists().withMessage('The license number identifies the violator and cannot be changed'),
+  body('full_name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty').isLength({ max: 200 }),
+  body('phone')
+    .optional()
+    .isString()
+    .trim()
+    .custom(value => value === '' || /^\+?[0-9\s-]{7,20}$/.test(value))
+    .withMessage('Phone must be a valid phone number'),
+  body('address').optional().isString().trim().isLength({ max: 500 }).withMessage('Address must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: errors.array()
+      });
+    }
+
+    const result = await updateViolator(req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Violator not found'
+      });
+    }
+
+    // Log audit
+    await logAudit(
+      req.user.id,
+      'UPDATE_VIOLATOR',
+      'violators',
+      req.params.id,
+      result.before,
+      { ...req.body, updated_violations: result.updatedViolations },
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.violator,
+      message: result.updatedViolations > 0
+        ? `Violator updated; ${result.updatedViolations} unsettled violation(s) now use the new details`
+        : 'Violator updated'
+    });
+
+  } catch (error) {
+    console.error('Update violator error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update violator'
+    });
+  }
+});
+
+module.exports = router;
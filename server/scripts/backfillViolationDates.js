@@ -0,0 +1,64 @@
+const { connectDB, getFirebaseService } = require('../config/database');
+const { violationDateOf } = require('../utils/dateUtils');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Store violation_date on violations recorded before it existed
+ * Takes the capture time, or the creation time when there is none. Reports,
+ * hotspots and the date filters query violation_date, so run this once after
+ * upgrading and then `npm run rebuild-stats`. Safe to run more than once.
+ */
+async function backfillViolationDates() {
+  try {
+    console.log('📅 Setting violation dates on existing violations...');
+
+    await connectDB();
+    const firebaseService = getFirebaseService();
+
+    let cursor = null;
+    let scanned = 0;
+    let updated = 0;
+
+    do {
+      const page = await firebaseService.findPage('violations', {}, {
+        limit: BATCH_SIZE,
+        cursor,
+        orderBy: { field: 'created_at', direction: 'asc' }
+      });
+
+      for (const violation of page.items) {
+        scanned += 1;
+        if (violation.violation_date) continue;
+
+        const violationDate = violationDateOf(violation);
+        if (!violationDate || isNaN(violationDate)) continue;
+
+        await firebaseService.update('violations', violation.id, { violation_date: violationDate });
+        updated += 1;
+      }
+
+      cursor = page.hasMore ? page.nextCursor : null;
+    } while (cursor);
+
+    console.log(`✅ Set the violation date on ${updated} of ${scanned} violations`);
+    return { success: true, scanned, updated };
+  } catch (error) {
+    console.error('❌ Error setting violation dates:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  backfillViolationDates()
+    .then(result => {
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillViolationDates };
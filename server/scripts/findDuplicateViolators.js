@@ -0,0 +1,36 @@
+const { connectDB } = require('../config/database');
+const { scanDuplicates } = require('../services/duplicateService');
+
+/**
+ * Look for violators recorded under several spellings or licenses
+ * Scheduled nightly by the server; the results are reviewed on the Duplicate
+ * Violators page. Dismissed and merged candidates are left alone.
+ */
+async function findDuplicateViolators() {
+  try {
+    console.log('🔍 Scanning for duplicate violators...');
+
+    await connectDB();
+    const result = await scanDuplicates();
+
+    console.log(`✅ Compared ${result.identities} identities: ${result.candidates} likely duplicate(s), ${result.added} new`);
+    return result;
+  } catch (error) {
+    console.error('❌ Error scanning for duplicate violators:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  findDuplicateViolators()
+    .then(result => {
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { findDuplicateViolators };
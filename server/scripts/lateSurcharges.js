@@ -0,0 +1,34 @@
+const { connectDB } = require('../config/database');
+const { applyLateSurcharges } = require('../services/surchargeService');
+
+/**
+ * Accrue late-payment surcharges on overdue, unpaid violations
+ * Scheduled daily by the server; safe to run again the same day because each
+ * surcharge period is only added once.
+ */
+async function runLateSurcharges() {
+  try {
+    console.log('💸 Applying late payment surcharges...');
+
+    await connectDB();
+    return await applyLateSurcharges();
+  } catch (error) {
+    console.error('❌ Error applying late payment surcharges:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  runLateSurcharges()
+    .then(result => {
+      console.log('Script execution result:', result);
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runLateSurcharges };
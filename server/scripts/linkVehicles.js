@@ -0,0 +1,67 @@
+const { connectDB, getFirebaseService } = require('../config/database');
+const { linkVehicle } = require('../services/vehicleService');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Register the vehicles of existing violations and link them
+ * Creates a vehicle for every plate found, taking its details from the first
+ * violation that has them, and sets vehicle_id on the violations. The
+ * violations keep the vehicle details they were recorded with. Safe to run
+ * more than once.
+ */
+async function linkVehicles() {
+  try {
+    console.log('🚗 Linking violations to the vehicle registry...');
+
+    await connectDB();
+    const firebaseService = getFirebaseService();
+
+    let cursor = null;
+    let scanned = 0;
+    let linked = 0;
+    const vehicles = new Set();
+
+    do {
+      const page = await firebaseService.findPage('violations', {}, {
+        limit: BATCH_SIZE,
+        cursor,
+        orderBy: { field: 'created_at', direction: 'asc' }
+      });
+
+      for (const violation of page.items) {
+        scanned += 1;
+        if (violation.vehicle_id) continue;
+
+        const { vehicle_id: vehicleId } = await linkVehicle(violation);
+        if (!vehicleId) continue;
+
+        await firebaseService.update('violations', violation.id, { vehicle_id: vehicleId });
+        vehicles.add(vehicleId);
+        linked += 1;
+      }
+
+      cursor = page.hasMore ? page.nextCursor : null;
+    } while (cursor);
+
+    console.log(`✅ Linked ${linked} of ${scanned} violations to ${vehicles.size} vehicles`);
+    return { success: true, scanned, linked, vehicles: vehicles.size };
+  } catch (error) {
+    console.error('❌ Error linking vehicles:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  linkVehicles()
+    .then(result => {
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { linkVehicles };
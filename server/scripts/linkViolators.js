@@ -0,0 +1,66 @@
+const { connectDB, getFirebaseService } = require('../config/database');
+const { linkViolator } = require('../services/violatorService');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Register the violators of existing violations and link them
+ * Violations recorded before the violator registry only have violator_*
+ * strings; this creates a violator for every license number found and sets
+ * violator_id on the violations. Safe to run more than once.
+ */
+async function linkViolators() {
+  try {
+    console.log('🪪 Linking violations to the violator registry...');
+
+    await connectDB();
+    const firebaseService = getFirebaseService();
+
+    let cursor = null;
+    let scanned = 0;
+    let linked = 0;
+    const violators = new Set();
+
+    do {
+      const page = await firebaseService.findPage('violations', {}, {
+        limit: BATCH_SIZE,
+        cursor,
+        orderBy: { field: 'created_at', direction: 'asc' }
+      });
+
+      for (const violation of page.items) {
+        scanned += 1;
+        if (violation.violator_id) continue;
+
+        const violatorId = await linkViolator(violation);
+        if (!violatorId) continue;
+
+        await firebaseService.update('violations', violation.id, { violator_id: violatorId });
+        violators.add(violatorId);
+        linked += 1;
+      }
+
+      cursor = page.hasMore ? page.nextCursor : null;
+    } while (cursor);
+
+    console.log(`✅ Linked ${linked} of ${scanned} violations to ${violators.size} violators`);
+    return { success: true, scanned, linked, violators: violators.size };
+  } catch (error) {
+    console.error('❌ Error linking violators:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  linkViolators()
+    .then(result => {
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { linkViolators };
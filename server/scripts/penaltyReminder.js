@@ -1,5 +1,7 @@
 const { getFirebaseService } = require('../config/database');
 const { sendSMS } = require('../services/smsService');
+const { getAmountDue } = require('../services/surchargeService');
+const { formatDueDate } = require('../services/violationStatusService');
 const { connectDB } = require('../config/database');
 
 /**
@@ -58,9 +60,9 @@ async function sendPenaltyReminders() {
       const daysOverdue = Math.floor((today - dueDate) / (1000 * 60 * 60 * 24));
 
       // LOGIC VERIFICATION:
-      // Compliance period is 3 days. After 3 days, violation becomes overdue.
-      // Day 1-3: Compliance period (within due date)
-      // Day 4+: Overdue - Penalty Reminder Sent
+      // The due date is the last day of the compliance period (system settings).
+      // Up to the due date: Compliance period
+      // Day after the due date onward: Overdue - Penalty Reminder Sent
       return daysOverdue > 0;
     });
 
@@ -89,8 +91,14 @@ async function sendPenaltyReminders() {
           dueDate = new Date(violation.due_date);
         }
 
+        // Quote the amount due once late payment surcharges have been added
+        const amountDue = getAmountDue(violation);
+        const amountText = amountDue > violation.fine_amount
+          ? `Fine: PHP${violation.fine_amount}, Amount Due: PHP${amountDue}`
+          : `Fine: PHP${violation.fine_amount}`;
+
         // Create short penalty reminder message for better delivery
-        const message = `e-Traffic Reminder: Violation ${violation.violation_type}, Plate: ${violation.vehicle_plate}, Fine: PHP${violation.fine_amount}, Due: ${dueDate.toLocaleDateString()} (Compliance Period: 3 days). Please settle. Ref: ${violation.violation_number}`;
+        const message = `e-Traffic Reminder: Violation ${violation.violation_type}, Plate: ${violation.vehicle_plate}, ${amountText}, Due: ${formatDueDate(dueDate)}. Please settle. Ref: ${violation.violation_number}`;
 
         // Send SMS
         console.log(`📱 Sending penalty reminder for violation ${violation.violation_number} to ${violation.violator_phone}`);
@@ -0,0 +1,36 @@
+const { connectDB } = require('../config/database');
+const { rebuildViolationStats } = require('../services/statsService');
+
+/**
+ * Recompute the violation_stats collection from scratch
+ * Run after importing or migrating violations, or whenever the dashboard
+ * numbers look out of sync with the violation records.
+ */
+async function rebuildStats() {
+  try {
+    console.log('📊 Rebuilding violation statistics...');
+
+    await connectDB();
+    const result = await rebuildViolationStats();
+
+    console.log(`✅ Rebuilt ${result.documents} stats documents from ${result.violations} violations`);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('❌ Error rebuilding violation statistics:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  rebuildStats()
+    .then(result => {
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { rebuildStats };
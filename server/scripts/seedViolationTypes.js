@@ -0,0 +1,139 @@
+const { connectDB, getFirebaseService } = require('../config/database');
+const {
+  VIOLATION_TYPES_COLLECTION,
+  getViolationTypes,
+  findTypeInEffect
+} = require('../services/violationTypeService');
+
+const BATCH_SIZE = 500;
+
+// Early enough to cover every violation already on record
+const LEGACY_EFFECTIVE_FROM = '2000-01-01';
+
+// Initials of the name ("Reckless Driving" -> RD), or its first letters for one-word names
+const codeFromName = (name) => {
+  const words = name.toUpperCase().replace(/[^A-Z0-9 ]/g, ' ').split(/\s+/).filter(Boolean);
+  const code = words.length > 1 ? words.map(word => word[0]).join('') : (words[0] || 'TYPE').slice(0, 4);
+  return code.padEnd(2, 'X').slice(0, 16);
+};
+
+// The fine most of the type's violations were recorded with
+const mostCommonFine = (fines) => {
+  const counts = new Map();
+  fines.forEach(fine => counts.set(fine, (counts.get(fine) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+};
+
+/**
+ * Build the violation type catalog from the types already on violations
+ * Violations recorded before the catalog only have a free-text
+ * violation_type. This adds a catalog entry for every distinct type not in the
+ * catalog yet, with the fine most often recorded for it, and sets
+ * violation_type_code and violation_type_id on those violations so they count
+ * toward repeat offenses. Ordinance references are left for an admin to fill
+ * in. Safe to run more than once.
+ */
+async function seedViolationTypes() {
+  try {
+    console.log('📚 Building the violation type catalog from existing violations...');
+
+    await connectDB();
+    const firebaseService = getFirebaseService();
+
+    // Free-text types by their upper-cased name
+    const legacyTypes = new Map();
+    let cursor = null;
+    let scanned = 0;
+
+    do {
+      const page = await firebaseService.findPage('violations', {}, {
+        limit: BATCH_SIZE,
+        cursor,
+        orderBy: { field: 'created_at', direction: 'asc' }
+      });
+
+      page.items.forEach(violation => {
+        scanned += 1;
+        const name = String(violation.violation_type || '').trim();
+        if (violation.violation_type_code || !name) return;
+
+        const key = name.toUpperCase();
+        if (!legacyTypes.has(key)) {
+          legacyTypes.set(key, { name, fines: [], violationIds: [] });
+        }
+        const legacyType = legacyTypes.get(key);
+        legacyType.violationIds.push(violation.id);
+        if (Number.isFinite(Number(violation.fine_amount))) {
+          legacyType.fines.push(Number(violation.fine_amount));
+        }
+      });
+
+      cursor = page.hasMore ? page.nextCursor : null;
+    } while (cursor);
+
+    const types = await getViolationTypes();
+    const usedCodes = new Set(types.map(type => type.code));
+    let created = 0;
+    let linked = 0;
+
+    for (const { name, fines, violationIds } of legacyTypes.values()) {
+      let type = findTypeInEffect(types, name);
+
+      if (!type) {
+        const baseCode = codeFromName(name);
+        let code = baseCode;
+        for (let suffix = 2; usedCodes.has(code); suffix += 1) {
+          code = `${baseCode}${suffix}`;
+        }
+        usedCodes.add(code);
+
+        type = await firebaseService.create(VIOLATION_TYPES_COLLECTION, {
+          code,
+          name,
+          ordinance_reference: 'To be confirmed',
+          description: 'Added from violations recorded before the catalog',
+          base_fine: fines.length > 0 ? mostCommonFine(fines) : 0,
+          effective_from: LEGACY_EFFECTIVE_FROM,
+          effective_to: null,
+          offense_tiers: [],
+          lookback_days: null,
+          demerit_points: 0
+        });
+        types.push(type);
+        created += 1;
+        console.log(`➕ ${code}: ${name} (PHP${type.base_fine}, ${violationIds.length} violations)`);
+      }
+
+      for (const id of violationIds) {
+        await firebaseService.update('violations', id, {
+          violation_type_code: type.code,
+          violation_type_id: type.id
+        });
+        linked += 1;
+      }
+    }
+
+    console.log(`✅ Added ${created} violation types and linked ${linked} of ${scanned} violations`);
+    if (created > 0) {
+      console.log('ℹ️ Review the new entries under Violation Types and set their ordinance references');
+    }
+    return { success: true, scanned, created, linked };
+  } catch (error) {
+    console.error('❌ Error seeding violation types:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  seedViolationTypes()
+    .then(result => {
+      process.exit(result.success ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Script failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { seedViolationTypes };
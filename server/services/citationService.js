@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { getFirebaseService } = require('../config/database');
+const { toDate, violationDateOf } = require('../utils/dateUtils');
+const { withAmountDue, getSurcharges } = require('./surchargeService');
+const { PAYABLE_STATUSES, getPayments } = require('./paymentService');
+
+/**
+ * Official citation PDFs
+ *
+ * Every citation printed by the server carries a QR code linking to
+ * CLIENT_URL/verify/<token>. The token is the violation number, status and
+ * amounts at the time of printing, signed with CITATION_SIGNING_SECRET
+ * (HMAC-SHA256):
+ *   base64url(JSON payload) + '.' + base64url(signature)
+ * Only the server can produce a valid token, so a retyped or altered receipt
+ * fails verification, and comparing the signed values with the violation as
+ * it is now shows whether the document is still current (not paid since,
+ * cancelled or surcharged).
+ */
+
+const TIMEZONE = 'Asia/Manila';
+
+const citationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'CITATION_ERROR';
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getSigningSecret = () => {
+  const secret = process.env.CITATION_SIGNING_SECRET;
+  if (!secret) {
+    throw citationError('Citation signing is not configured (CITATION_SIGNING_SECRET)', 503);
+  }
+  return secret;
+};
+
+const sign = (encodedPayload) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update(encodedPayload)
+  .digest('base64url');
+
+const toAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// What the document states; short keys keep the QR code small enough to scan from paper
+const citationPayload = (violation, issuedAt) => ({
+  n: violation.violation_number,
+  s: violation.status,
+  d: toAmount(violation.amount_due),
+  p: toAmount(violation.amount_paid),
+  t: Math.floor(issuedAt.getTime() / 1000)
+});
+
+/**
+ * Signed verification token for a violation as it is now
+ * @param {object} violation - Violation with amount fields (see withAmountDue)
+ * @param {Date} issuedAt - When the document is printed
+ * @returns {string} Token
+ */
+const signCitation = (violation, issuedAt = new Date()) => {
+  const encoded = Buffer.from(JSON.stringify(citationPayload(violation, issuedAt))).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+};
+
+/**
+ * Check a token's signature and read its payload
+ * @param {string} token - Token from the QR code
+ * @returns {object} Payload
+ * @throws {Error} CITATION_ERROR 400 when the token was not signed by this server
+ */
+const readCitationToken = (token) => {
+  const [encoded, signature, extra] = String(token || '').split('.');
+  if (!encoded || !signature || extra !== undefined) {
+    throw citationError('This is not an e-Traffic verification code', 400);
+  }
+
+  const expected = Buffer.from(sign(encoded));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw citationError('This code was not issued by the e-Traffic System', 400);
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw citationError('This is not an e-Traffic verification code', 400);
+  }
+};
+
+/**
+ * Verify a citation: authentic when the signature matches, current when the
+ * violation still has the status and amounts printed on it
+ * @param {string} token - Token from the QR code
+ * @returns {Promise<object>} { authentic, current, changes, document, violation }
+ */
+const verifyCitation = async (token) => {
+  const payload = readCitationToken(token);
+  const firebaseService = getFirebaseService();
+
+  const document = {
+    violation_number: payload.n,
+    status: payload.s,
+    amount_due: payload.d,
+    amount_paid: payload.p,
+    issued_at: new Date(payload.t * 1000).toISOString()
+  };
+
+  const stored = await firebaseService.findViolationByNumber(payload.n);
+  if (!stored) {
+    return { authentic: true, current: false, changes: ['violation_removed'], document, violation: null };
+  }
+
+  const [violation] = withAmountDue([stored]);
+  const changes = [];
+  if (violation.status !== payload.s) changes.push('status');
+  if (toAmount(violation.amount_due) !== payload.d) changes.push('amount_due');
+  if (toAmount(violation.amount_paid) !== payload.p) changes.push('amount_paid');
+
+  return {
+    authentic: true,
+    current: changes.length === 0,
+    changes,
+    document,
+    // Enough to compare with the paper; no names, phone numbers or licenses
+    violation: {
+      violation_number: violation.violation_number,
+      violation_type: violation.violation_type,
+      vehicle_plate: violation.vehicle_plate,
+      violation_date: violationDateOf(violation)?.toISOString() || null,
+      status: violation.status,
+      amount_due: violation.amount_due,
+      amount_paid: violation.amount_paid,
+      balance: violation.balance
+    }
+  };
+};
+
+const formatDateTime = (value) => {
+  const date = toDate(value);
+  return date ? date.toLocaleString('en-US', { timeZone: TIMEZONE }) : '-';
+};
+
+// The PDF font has no peso sign
+const formatPesos = (value) => `PHP ${toAmount(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const STATUS_LABELS = {
+  pending: 'PENDING',
+  issued: 'ISSUED',
+  paid: 'PAID',
+  disputed: 'DISPUTED',
+  cancelled: 'CANCELLED'
+};
+
+/**
+ * Render the citation PDF of a violation to a stream
+ * @param {object} res - Writable stream (Express response; headers are set by the caller)
+ * @param {object} violation - Violation with enforcer fields (see withEnforcers)
+ * @param {object} options
+ * @param {string} options.verifyBaseUrl - Web app URL the QR code points to
+ * @returns {Promise<object>} { token, issuedAt }
+ */
+const renderCitationPdf = async (res, violation, { verifyBaseUrl }) => {
+  const [withTotals] = withAmountDue([violation]);
+  const [surcharges, payments] = await Promise.all([
+    getSurcharges(violation.id),
+    getPayments(violation.id)
+  ]);
+
+  const issuedAt = new Date();
+  const token = signCitation(withTotals, issuedAt);
+  const verifyUrl = `${verifyBaseUrl.replace(/\/$/, '')}/verify/${token}`;
+  const qrCode = await QRCode.toBuffer(verifyUrl, { errorCorrectionLevel: 'M', margin: 1, width: 300 });
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Traffic Citation ${violation.violation_number}` } });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18).fillColor('#1d4ed8').text('e-Traffic Violation System', { align: 'center' });
+  doc.font('Helvetica').fontSize(11).fillColor('#4b5563').text('Official Traffic Citation', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(1.5).strokeColor('#111827').stroke();
+  doc.moveDown(0.8);
+
+  const section = (title, rows) => {
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#1d4ed8').text(title, left);
+    doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).lineWidth(0.5).strokeColor('#d1d5db').stroke();
+    doc.moveDown(0.5);
+    rows.filter(Boolean).forEach(([label, value, bold]) => {
+      const top = doc.y;
+      doc.font('Helvetica-Bold').fontSize(9).fillColor('#374151').text(label, left, top, { width: 140 });
+      const labelBottom = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#111827')
+        .text(value === undefined || value === null || value === '' ? 'N/A' : String(value), left + 145, top, { width: width - 145 });
+      doc.x = left;
+      doc.y = Math.max(doc.y, labelBottom);
+      doc.moveDown(0.3);
+    });
+    doc.moveDown(0.6);
+  };
+
+  section('Violation Details', [
+    ['Violation #', violation.violation_number, true],
+    ['Status', STATUS_LABELS[violation.status] || violation.status, true],
+    ['Date & Time', formatDateTime(violationDateOf(violation))],
+    ['Location', violation.location],
+    ['Violation Type', violation.violation_type],
+    violation.offense_tier_label && ['Fine Tier', violation.offense_tier_label],
+    ['Enforcer', violation.enforcer_name ? `${violation.enforcer_name} (${violation.enforcer_badge || 'N/A'})` : null]
+  ]);
+
+  section('Violator Information', [
+    ['Name', violation.violator_name],
+    ['License #', violation.violator_license],
+    ['Address', violation.violator_address]
+  ]);
+
+  section('Vehicle Information', [
+    ['Plate #', violation.vehicle_plate],
+    ['Vehicle', [violation.vehicle_brand, violation.vehicle_model, violation.vehicle_variant, violation.vehicle_color].filter(Boolean).join(' ')]
+  ]);
+
+  section('Financial Details', [
+    ['Fine Amount', formatPesos(withTotals.fine_amount)],
+    ...surcharges.map(item => [item.description, formatPesos(item.amount)]),
+    ['Amount Due', formatPesos(withTotals.amount_due), true],
+    ...payments
+      .filter(payment => payment.status === 'posted')
+      .map(payment => [
+        `${payment.type === 'refund' ? 'Refund' : 'Payment'} ${payment.or_number}`,
+        `${formatPesos(payment.amount)} (${formatDateTime(payment.created_at)})`
+      ]),
+    ['Balance', formatPesos(violation.status === 'cancelled' ? 0 : withTotals.balance), true],
+    // Due dates only matter while the violation can still be paid
+    violation.due_date && PAYABLE_STATUSES.includes(violation.status) && ['Due Date', formatDateTime(violation.due_date)]
+  ]);
+
+  // Verification block: QR code on the left, explanation beside it
+  const qrSize = 110;
+  if (doc.y + qrSize + 20 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  const top = doc.y;
+  doc.image(qrCode, left, top, { width: qrSize, height: qrSize });
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827')
+    .text('Verify this document', left + qrSize + 15, top + 10, { width: width - qrSize - 15 });
+  doc.font('Helvetica').fontSize(8.5).fillColor('#4b5563')
+    .text(
+      `Scan the code to confirm this citation was issued by the e-Traffic System and that its status and amounts are still current. ` +
+      `Status and amounts are as of ${formatDateTime(issuedAt)}.`,
+      { width: width - qrSize - 15 }
+    );
+
+  doc.font('Helvetica').fontSize(8).fillColor('#6b7280')
+    .text(`Generated ${formatDateTime(issuedAt)}`, left, top + qrSize + 15, { width, align: 'center' });
+
+  doc.end();
+
+  return { token, issuedAt };
+};
+
+module.exports = {
+  signCitation,
+  readCitationToken,
+  verifyCitation,
+  renderCitationPdf
+};
@@ -0,0 +1,216 @@
+const moment = require('moment');
+const { getFirebaseService } = require('../config/database');
+const { violationDateOf } = require('../utils/dateUtils');
+const { getViolationTypes } = require('./violationTypeService');
+const { VIOLATORS_COLLECTION } = require('./violatorService');
+
+/**
+ * Demerit points
+ *
+ * Each violation type carries demerit_points, copied onto the violation when it
+ * is recorded. A license's standing is the sum of the points of its
+ * non-cancelled violations from the last demerit_expiry_days (system
+ * settings). Crossing a threshold flags the driver:
+ *   warning    - demerit_warning_points
+ *   suspension - demerit_suspension_points, a candidate for license suspension
+ *   revocation - demerit_revocation_points
+ * A threshold set to 0 is not used. Standings are computed from the
+ * violations whenever they are shown, so expired points and cancelled
+ * violations drop out without a job.
+ */
+
+const DEMERIT_FLAGS = ['warning', 'suspension', 'revocation'];
+
+const FLAG_LABELS = {
+  warning: 'WARNING',
+  suspension: 'FOR SUSPENSION',
+  revocation: 'FOR REVOCATION'
+};
+
+const DEFAULT_DEMERIT_SETTINGS = {
+  demerit_expiry_days: 365,
+  demerit_warning_points: 6,
+  demerit_suspension_points: 10,
+  demerit_revocation_points: 20
+};
+
+/**
+ * @returns {Promise<object>} { expiryDays, thresholds: [{ flag, points }] } lowest threshold first
+ */
+const getDemeritPolicy = async () => {
+  const firebaseService = getFirebaseService();
+  const settings = await firebaseService.getSettings();
+  const stored = settings && settings.length > 0 ? settings[0] : {};
+
+  const setting = (field) => {
+    const value = Number(stored[field]);
+    return stored[field] !== undefined && stored[field] !== null && stored[field] !== '' && Number.isFinite(value)
+      ? value
+      : DEFAULT_DEMERIT_SETTINGS[field];
+  };
+
+  return {
+    expiryDays: setting('demerit_expiry_days'),
+    thresholds: DEMERIT_FLAGS
+      .map(flag => ({ flag, points: setting(`demerit_${flag}_points`) }))
+      .filter(threshold => threshold.points > 0)
+      .sort((a, b) => a.points - b.points)
+  };
+};
+
+/**
+ * Points of each catalog entry, for violations recorded before types carried points
+ * @returns {Promise<Map<string, number>>} Violation type id -> points
+ */
+const getTypePoints = async () => {
+  const types = await getViolationTypes();
+  return new Map(types.map(type => [type.id, Number(type.demerit_points) || 0]));
+};
+
+const violationPoints = (violation, typePoints) => {
+  if (violation.demerit_points !== undefined && violation.demerit_points !== null) {
+    return Number(violation.demerit_points) || 0;
+  }
+  return typePoints.get(violation.violation_type_id) || 0;
+};
+
+/**
+ * A license's demerit standing from its violations
+ * @param {object[]} violations - Every violation of the license
+ * @param {object} policy - From getDemeritPolicy
+ * @param {Map<string, number>} typePoints - From getTypePoints
+ * @param {Date} asOf - Date the standing is computed for
+ * @returns {object} { points, flag, threshold, next_threshold, points_to_next, next_expiry }
+ */
+const calculateStanding = (violations, policy, typePoints, asOf = new Date()) => {
+  const since = moment(asOf).subtract(policy.expiryDays, 'days').toDate();
+
+  const active = violations
+    .filter(violation => violation.status !== 'cancelled')
+    .map(violation => ({
+      date: violationDateOf(violation),
+      points: violationPoints(violation, typePoints)
+    }))
+    .filter(entry => entry.points > 0 && entry.date > since);
+
+  const points = active.reduce((sum, entry) => sum + entry.points, 0);
+  const reached = policy.thresholds.filter(threshold => points >= threshold.points);
+  const current = reached[reached.length - 1] || null;
+  const next = policy.thresholds.find(threshold => points < threshold.points) || null;
+  const oldest = active.reduce((min, entry) => (!min || entry.date < min ? entry.date : min), null);
+
+  return {
+    points,
+    flag: current ? current.flag : null,
+    threshold: current ? current.points : null,
+    next_threshold: next ? next.points : null,
+    points_to_next: next ? next.points - points : null,
+    // When the oldest points stop counting
+    next_expiry: oldest ? moment(oldest).add(policy.expiryDays, 'days').toDate() : null
+  };
+};
+
+/**
+ * Standing of a registered violator
+ * @param {string} violatorId - Violator id
+ * @returns {Promise<object>} Standing (see calculateStanding)
+ */
+const getDemeritStanding = async (violatorId) => {
+  const firebaseService = getFirebaseService();
+  const [policy, typePoints, violations] = await Promise.all([
+    getDemeritPolicy(),
+    getTypePoints(),
+    firebaseService.findMany('violations', { violator_id: violatorId }, { sortInMemory: false })
+  ]);
+  return calculateStanding(violations, policy, typePoints);
+};
+
+/**
+ * Standing after a new violation, and whether it crossed a threshold
+ * @param {object} violation - The violation just recorded
+ * @returns {Promise<object|null>} Standing plus newly_flagged, or null for a violation without a license
+ */
+const checkNewViolation = async (violation) => {
+  if (!violation.violator_id) return null;
+
+  const firebaseService = getFirebaseService();
+  const [policy, typePoints, violations] = await Promise.all([
+    getDemeritPolicy(),
+    getTypePoints(),
+    firebaseService.findMany('violations', { violator_id: violation.violator_id }, { sortInMemory: false })
+  ]);
+
+  const standing = calculateStanding(violations, policy, typePoints);
+  const before = calculateStanding(violations.filter(other => other.id !== violation.id), policy, typePoints);
+
+  return {
+    ...standing,
+    newly_flagged: !!standing.flag && standing.flag !== before.flag,
+    // Short enough for the device display
+    notice: standing.flag ? `${FLAG_LABELS[standing.flag]}: ${standing.points} demerit points` : null
+  };
+};
+
+/**
+ * Licenses at or above a threshold, most points first
+ * @param {object} options
+ * @param {string} options.minFlag - Lowest flag to include (defaults to suspension)
+ * @param {Date} options.asOf - Date the standings are computed for
+ * @returns {Promise<object>} { candidates, policy }
+ */
+const getSuspensionCandidates = async ({ minFlag = 'suspension', asOf = new Date() } = {}) => {
+  const firebaseService = getFirebaseService();
+  const [policy, typePoints, violations] = await Promise.all([
+    getDemeritPolicy(),
+    getTypePoints(),
+    firebaseService.findMany('violations', {}, { sortInMemory: false })
+  ]);
+
+  const byViolator = new Map();
+  violations.forEach(violation => {
+    if (!violation.violator_id) return;
+    if (!byViolator.has(violation.violator_id)) byViolator.set(violation.violator_id, []);
+    byViolator.get(violation.violator_id).push(violation);
+  });
+
+  const included = DEMERIT_FLAGS.slice(DEMERIT_FLAGS.indexOf(minFlag));
+  const flagged = [];
+  byViolator.forEach((list, violatorId) => {
+    const standing = calculateStanding(list, policy, typePoints, asOf);
+    if (included.includes(standing.flag)) {
+      flagged.push({ violatorId, list, standing });
+    }
+  });
+
+  const violators = await firebaseService.findByIds(VIOLATORS_COLLECTION, flagged.map(entry => entry.violatorId));
+
+  const candidates = flagged.map(({ violatorId, list, standing }) => {
+    const violator = violators.get(violatorId) || {};
+    const latest = list.reduce((max, violation) => {
+      const date = violationDateOf(violation);
+      return !max || date > max ? date : max;
+    }, null);
+    return {
+      violator_id: violatorId,
+      full_name: violator.full_name || list[0].violator_name,
+      license_number: violator.license_number || list[0].violator_license,
+      phone: violator.phone || '',
+      total_violations: list.length,
+      last_violation_date: latest,
+      ...standing
+    };
+  }).sort((a, b) => b.points - a.points);
+
+  return { candidates, policy };
+};
+
+module.exports = {
+  DEMERIT_FLAGS,
+  DEFAULT_DEMERIT_SETTINGS,
+  getDemeritPolicy,
+  getTypePoints,
+  calculateStanding,
+  getDemeritStanding,
+  checkNewViolation,
+  getSuspensionCandidates
+};
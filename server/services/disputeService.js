@@ -0,0 +1,288 @@
+const { getFirebaseService } = require('../config/database');
+const { toDate, toManila } = require('../utils/dateUtils');
+const { recordViolationStats } = require('./statsService');
+const { getAmountDue } = require('./surchargeService');
+const { recordTransition, notifyViolator, formatDueDate } = require('./violationStatusService');
+const { computeDueDate } = require('./dueDateService');
+
+/**
+ * Disputes (appeals) against violations
+ *
+ * A motorist (through the public portal) or an admin on their behalf files a
+ * dispute with a reason and supporting evidence. Filing moves the violation to
+ * disputed, which pauses late surcharges. An admin then decides it:
+ *
+ *   upheld    -> issued (fine stands; due date extended if it already passed)
+ *   reduced   -> issued with the lower fine, or paid if already covered
+ *   dismissed -> cancelled
+ *
+ * A violation can be disputed once, until the end of its due date plus the
+ * dispute_deadline_days setting. Only this service moves violations into and
+ * out of disputed.
+ */
+
+const DISPUTES_COLLECTION = 'disputes';
+const DISPUTE_OUTCOMES = ['upheld', 'reduced', 'dismissed'];
+const DISPUTE_SOURCES = ['admin', 'portal'];
+const DISPUTABLE_STATUSES = ['pending', 'issued'];
+const MAX_EVIDENCE_ITEMS = 5;
+
+const DEFAULT_DISPUTE_SETTINGS = {
+  dispute_deadline_days: 0
+};
+
+const PORTAL_ACTOR_ID = 'system:portal';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const disputeError = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'DISPUTE_ERROR';
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Disputes drive the status change; the history keeps who filed or decided it
+const disputeActor = (user) => ({ id: user ? user.id : PORTAL_ACTOR_ID, role: 'system' });
+
+/**
+ * @returns {Promise<number>} Days after the due date that disputes are still accepted
+ */
+const getDisputeDeadlineDays = async () => {
+  const firebaseService = getFirebaseService();
+  const settings = await firebaseService.getSettings();
+  const stored = settings && settings.length > 0 ? settings[0] : {};
+  const days = Number(stored.dispute_deadline_days);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_DISPUTE_SETTINGS.dispute_deadline_days;
+};
+
+/**
+ * Last moment a violation can be disputed
+ * @param {object} violation - Violation record
+ * @param {number} deadlineDays - Days after the due date
+ * @returns {Date|null} null when the violation has no due date (no deadline)
+ */
+const getDisputeDeadline = (violation, deadlineDays) => {
+  const dueDate = toDate(violation.due_date);
+  if (!dueDate) return null;
+  // Due dates end at midnight in Manila, and so do dispute deadlines
+  return toManila(dueDate).add(deadlineDays, 'days').endOf('day').toDate();
+};
+
+/**
+ * Whether a violation can still be disputed, and why not
+ * @returns {{allowed: boolean, reason: string|null, deadline: Date|null}}
+ */
+const checkDisputable = (violation, deadlineDays, asOf = new Date()) => {
+  const deadline = getDisputeDeadline(violation, deadlineDays);
+
+  if (violation.dispute_id) {
+    return { allowed: false, reason: 'This violation has already been disputed', deadline };
+  }
+  if (!DISPUTABLE_STATUSES.includes(violation.status)) {
+    return { allowed: false, reason: `A ${violation.status} violation cannot be disputed`, deadline };
+  }
+  if (deadline && asOf > deadline) {
+    return { allowed: false, reason: `The deadline to dispute this violation passed on ${formatDueDate(deadline)}`, deadline };
+  }
+  return { allowed: true, reason: null, deadline };
+};
+
+/**
+ * File a dispute and move the violation to disputed
+ * @param {string} violationId - Violation id
+ * @param {object} data - { reason, evidence: string[], contact_phone }
+ * @param {object} options - { source: 'admin'|'portal', user: { id } for admins }
+ * @returns {Promise<object>} The dispute
+ * @throws {Error} DISPUTE_ERROR with statusCode 404 or 409
+ */
+const fileDispute = async (violationId, data, { source, user = null }) => {
+  const firebaseService = getFirebaseService();
+  const deadlineDays = await getDisputeDeadlineDays();
+
+  const result = await firebaseService.runTransaction(async (tx) => {
+    const violation = await tx.get('violations', violationId);
+    if (!violation) {
+      throw disputeError('Violation not found', 404);
+    }
+
+    const check = checkDisputable(violation, deadlineDays);
+    if (!check.allowed) {
+      throw disputeError(check.reason, 409);
+    }
+
+    const disputeId = tx.create(DISPUTES_COLLECTION, {
+      violation_id: violationId,
+      violation_number: violation.violation_number,
+      status: 'open',
+      source,
+      submitted_by: user ? user.id : null,
+      reason: data.reason,
+      evidence: (data.evidence || []).slice(0, MAX_EVIDENCE_ITEMS),
+      contact_phone: data.contact_phone || '',
+      previous_status: violation.status,
+      outcome: null,
+      original_fine: violation.fine_amount,
+      reduced_fine: null,
+      decision_notes: null,
+      decided_by: null,
+      decided_at: null
+    });
+
+    recordTransition(tx, violation, 'disputed', {
+      actor: disputeActor(user),
+      reason: `Dispute filed via ${source}: ${data.reason}`
+    });
+    tx.update('violations', violationId, { status: 'disputed', dispute_id: disputeId });
+
+    return { before: violation, disputeId };
+  });
+
+  const violation = await firebaseService.findById('violations', violationId);
+  await recordViolationStats(result.before, violation);
+
+  notifyViolator(
+    violation,
+    `e-Traffic: Your dispute for Ref ${violation.violation_number} was received. Payment and late charges are on hold until it is decided.`,
+    'Dispute received'
+  );
+
+  console.log(`⚖️ Dispute filed for ${violation.violation_number} via ${source}`);
+  return firebaseService.findById(DISPUTES_COLLECTION, result.disputeId);
+};
+
+// SMS for each outcome
+const DECISION_MESSAGES = {
+  upheld: (violation) => `e-Traffic: Your dispute for Ref ${violation.violation_number} was denied. Fine PHP${violation.fine_amount} stands. Due: ${formatDueDate(violation.due_date)}. Please settle.`,
+  reduced: (violation) => (violation.status === 'paid'
+    ? `e-Traffic: Your dispute for Ref ${violation.violation_number} was partly granted. Fine reduced to PHP${violation.fine_amount}, which is already covered by your payments.`
+    : `e-Traffic: Your dispute for Ref ${violation.violation_number} was partly granted. Fine reduced to PHP${violation.fine_amount}. Due: ${formatDueDate(violation.due_date)}. Please settle.`),
+  dismissed: (violation) => `e-Traffic: Your dispute for Ref ${violation.violation_number} was granted. The violation is dismissed and nothing is owed.`
+};
+
+/**
+ * Decide an open dispute
+ * @param {string} disputeId - Dispute id
+ * @param {object} data - { outcome, reduced_fine, decision_notes }
+ * @param {object} user - { id } of the deciding admin
+ * @returns {Promise<{dispute: object, violation: object}>}
+ * @throws {Error} DISPUTE_ERROR with statusCode 404, 409 or 400
+ */
+const decideDispute = async (disputeId, data, user) => {
+  const firebaseService = getFirebaseService();
+  // Read outside the transaction, which should only touch the dispute and its violation
+  const minimumDueDate = await computeDueDate();
+
+  const result = await firebaseService.runTransaction(async (tx) => {
+    const dispute = await tx.get(DISPUTES_COLLECTION, disputeId);
+    if (!dispute) {
+      throw disputeError('Dispute not found', 404);
+    }
+    const violation = await tx.get('violations', dispute.violation_id);
+    if (!violation) {
+      throw disputeError('Violation not found', 404);
+    }
+    if (dispute.status !== 'open' || violation.status !== 'disputed') {
+      throw disputeError('This dispute has already been decided', 409);
+    }
+
+    const updates = {};
+    let target;
+
+    if (data.outcome === 'dismissed') {
+      target = 'cancelled';
+    } else {
+      if (data.outcome === 'reduced') {
+        const reducedFine = roundAmount(Number(data.reduced_fine));
+        if (!(reducedFine > 0) || reducedFine >= violation.fine_amount) {
+          throw disputeError(`Reduced fine must be more than 0 and less than the current fine of PHP${violation.fine_amount}`, 400);
+        }
+        updates.fine_amount = reducedFine;
+      }
+
+      const amountDue = getAmountDue({ ...violation, ...updates });
+      const amountPaid = Number(violation.amount_paid) || 0;
+
+      if (amountPaid > 0 && amountPaid >= amountDue) {
+        target = 'paid';
+        updates.paid_at = new Date();
+      } else {
+        target = 'issued';
+        // Give the full compliance period again when the original due date has passed
+        const dueDate = toDate(violation.due_date);
+        if (!dueDate || dueDate < minimumDueDate) {
+          updates.due_date = minimumDueDate;
+        }
+      }
+    }
+
+    recordTransition(tx, violation, target, {
+      actor: disputeActor(user),
+      reason: `Dispute ${data.outcome}${data.decision_notes ? `: ${data.decision_notes}` : ''}`
+    });
+    tx.update('violations', violation.id, { ...updates, status: target });
+    tx.update(DISPUTES_COLLECTION, disputeId, {
+      status: 'decided',
+      outcome: data.outcome,
+      reduced_fine: updates.fine_amount || null,
+      decision_notes: data.decision_notes || null,
+      decided_by: user.id,
+      decided_at: new Date()
+    });
+
+    return { before: violation };
+  });
+
+  const violation = await firebaseService.findById('violations', result.before.id);
+  await recordViolationStats(result.before, violation);
+
+  notifyViolator(violation, DECISION_MESSAGES[data.outcome](violation), 'Dispute decision');
+
+  console.log(`⚖️ Dispute for ${violation.violation_number} decided: ${data.outcome}`);
+  const dispute = await firebaseService.findById(DISPUTES_COLLECTION, disputeId);
+  return { dispute, violation };
+};
+
+/**
+ * @param {object} options - { status, limit, cursor }
+ * @returns {Promise<{items: object[], nextCursor: string|null, hasMore: boolean}>} Oldest open disputes first
+ */
+const getDisputes = async ({ status, limit = 20, cursor = null } = {}) => {
+  const firebaseService = getFirebaseService();
+  return firebaseService.findPage(DISPUTES_COLLECTION, { status }, {
+    limit,
+    cursor,
+    orderBy: { field: 'created_at', direction: status === 'open' ? 'asc' : 'desc' }
+  });
+};
+
+/**
+ * @param {string} violationId - Violation id
+ * @returns {Promise<object|null>} The violation's dispute, if any
+ */
+const getViolationDispute = async (violationId) => {
+  const firebaseService = getFirebaseService();
+  const disputes = await firebaseService.findMany(DISPUTES_COLLECTION, { violation_id: violationId }, { sortInMemory: false });
+  return disputes[0] || null;
+};
+
+const deleteDisputes = async (violationId) => {
+  const firebaseService = getFirebaseService();
+  const disputes = await firebaseService.findMany(DISPUTES_COLLECTION, { violation_id: violationId }, { sortInMemory: false });
+  await Promise.all(disputes.map(dispute => firebaseService.delete(DISPUTES_COLLECTION, dispute.id)));
+};
+
+module.exports = {
+  DISPUTES_COLLECTION,
+  DISPUTE_OUTCOMES,
+  DISPUTE_SOURCES,
+  MAX_EVIDENCE_ITEMS,
+  DEFAULT_DISPUTE_SETTINGS,
+  getDisputeDeadlineDays,
+  checkDisputable,
+  fileDispute,
+  decideDispute,
+  getDisputes,
+  getViolationDispute,
+  deleteDisputes
+};
@@ -0,0 +1,197 @@
+const { getFirebaseService } = require('../config/database');
+const { toDate, toManila, violationDateOf } = require('../utils/dateUtils');
+const { notifyViolator, formatDueDate } = require('./violationStatusService');
+
+/**
+ * Due dates (compliance period)
+ *
+ * A violation is due compliance_period_days after the day it is recorded,
+ * counted in Asia/Manila time and ending at 11:59 PM on the last day. With
+ * compliance_working_days on, only weekdays that are not holidays count;
+ * otherwise every day counts but a due date that lands on a weekend or
+ * holiday moves to the next working day. Holidays are kept in the holidays
+ * collection:
+ *   { date: 'YYYY-MM-DD', name, recurring }
+ * A recurring holiday falls on the same month and day every year.
+ */
+
+const HOLIDAYS_COLLECTION = 'holidays';
+
+const DEFAULT_COMPLIANCE_SETTINGS = {
+  compliance_period_days: 3,
+  compliance_working_days: true
+};
+
+// Only unpaid, undisputed violations have a due date that still matters
+const OPEN_STATUSES = ['pending', 'issued'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @returns {Promise<object>} { periodDays, workingDays } from system settings, with defaults
+ */
+const getCompliancePolicy = async () => {
+  const firebaseService = getFirebaseService();
+  const settings = await firebaseService.getSettings();
+  const stored = settings && settings.length > 0 ? settings[0] : {};
+
+  const days = Number(stored.compliance_period_days);
+  const workingDays = stored.compliance_working_days;
+
+  return {
+    periodDays: stored.compliance_period_days !== undefined && stored.compliance_period_days !== null && stored.compliance_period_days !== '' &&
+      Number.isInteger(days) && days > 0
+      ? days
+      : DEFAULT_COMPLIANCE_SETTINGS.compliance_period_days,
+    workingDays: workingDays === undefined || workingDays === null || workingDays === ''
+      ? DEFAULT_COMPLIANCE_SETTINGS.compliance_working_days
+      : workingDays === true || workingDays === 'true'
+  };
+};
+
+/**
+ * @param {object} options - { year } to list one year (recurring holidays are always included)
+ * @returns {Promise<object[]>} Holidays by date
+ */
+const getHolidays = async ({ year = null } = {}) => {
+  const firebaseService = getFirebaseService();
+  const holidays = await firebaseService.findMany(HOLIDAYS_COLLECTION, {}, { sortInMemory: false });
+
+  return holidays
+    .filter(holiday => !year || holiday.recurring || holiday.date.startsWith(`${year}-`))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Build a lookup for a list of holidays
+ * @param {object[]} holidays - Holiday records
+ * @returns {function(moment): boolean} True when the (Manila) day is a holiday
+ */
+const holidayMatcher = (holidays) => {
+  const dates = new Set();
+  const recurring = new Set();
+  holidays.forEach(holiday => {
+    if (holiday.recurring) {
+      recurring.add(holiday.date.slice(5));
+    } else {
+      dates.add(holiday.date);
+    }
+  });
+
+  return (day) => dates.has(day.format('YYYY-MM-DD')) || recurring.has(day.format('MM-DD'));
+};
+
+/**
+ * Due date for a violation recorded at a given time
+ * @param {Date} from - When the violation was recorded
+ * @param {object} policy - { periodDays, workingDays } (see getCompliancePolicy)
+ * @param {function(moment): boolean} isHoliday - See holidayMatcher
+ * @returns {Date} End of the last day of the compliance period, Manila time
+ */
+const calculateDueDate = (from, { periodDays, workingDays }, isHoliday = () => false) => {
+  const isWorkingDay = (day) => day.isoWeekday() <= 5 && !isHoliday(day);
+  const day = toManila(from).startOf('day');
+
+  if (workingDays) {
+    let remaining = periodDays;
+    while (remaining > 0) {
+      day.add(1, 'day');
+      if (isWorkingDay(day)) remaining -= 1;
+    }
+  } else {
+    day.add(periodDays, 'days');
+    while (!isWorkingDay(day)) {
+      day.add(1, 'day');
+    }
+  }
+
+  return day.endOf('day').toDate();
+};
+
+/**
+ * Due date for a violation recorded now (or at `from`) under the current policy
+ * @param {Date} from - When the violation was recorded
+ * @returns {Promise<Date>} Due date
+ */
+const computeDueDate = async (from = new Date()) => {
+  const [policy, holidays] = await Promise.all([getCompliancePolicy(), getHolidays()]);
+  return calculateDueDate(from, policy, holidayMatcher(holidays));
+};
+
+// Text sent when a recompute moves a violation's due date
+const dueDateChangedMessage = (violation, dueDate) =>
+  `e-Traffic: The due date for Ref ${violation.violation_number} (Plate: ${violation.vehicle_plate}) is now ${formatDueDate(dueDate)} after a change to the payment period or holidays. Please settle by then.`;
+
+/**
+ * Recompute the due dates of open violations under the current policy, counted
+ * from when each was committed. Violations that have been disputed keep the due
+ * date set by the decision, and those already surcharged keep theirs so
+ * charged surcharges stay valid. With notify, violators whose due date moves
+ * get an SMS, except for imported paper tickets, whose violators were never
+ * texted about them.
+ * @param {object} options - { dryRun } to report the changes without saving them, { notify }, { batchSize }
+ * @returns {Promise<object>} { checked, changed, skipped, notified, samples }
+ */
+const recomputeDueDates = async ({ dryRun = false, notify = false, batchSize = 500 } = {}) => {
+  const firebaseService = getFirebaseService();
+  const [policy, holidays] = await Promise.all([getCompliancePolicy(), getHolidays()]);
+  const isHoliday = holidayMatcher(holidays);
+
+  const summary = { checked: 0, changed: 0, skipped: 0, notified: 0, samples: [] };
+
+  for (const status of OPEN_STATUSES) {
+    let cursor = null;
+    do {
+      const page = await firebaseService.findPage('violations', { status }, { limit: batchSize, cursor });
+
+      for (const violation of page.items) {
+        summary.checked += 1;
+
+        const violationDate = violationDateOf(violation);
+        if (!violationDate || violation.dispute_id || Number(violation.surcharge_total) > 0) {
+          summary.skipped += 1;
+          continue;
+        }
+
+        const current = toDate(violation.due_date);
+        const dueDate = calculateDueDate(violationDate, policy, isHoliday);
+        if (current && current.getTime() === dueDate.getTime()) continue;
+
+        summary.changed += 1;
+        if (summary.samples.length < 10) {
+          summary.samples.push({
+            id: violation.id,
+            violation_number: violation.violation_number,
+            from: current ? current.toISOString() : null,
+            to: dueDate.toISOString()
+          });
+        }
+
+        if (!dryRun) {
+          await firebaseService.update('violations', violation.id, { due_date: dueDate });
+          if (notify && !violation.import_batch_id) {
+            notifyViolator(violation, dueDateChangedMessage(violation, dueDate), 'Due date change');
+            summary.notified += 1;
+          }
+        }
+      }
+
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  console.log(`📅 Due dates ${dryRun ? 'checked' : 'recomputed'}: ${summary.changed} of ${summary.checked} open violations ${dryRun ? 'would change' : 'changed'}`);
+  return summary;
+};
+
+module.exports = {
+  HOLIDAYS_COLLECTION,
+  DEFAULT_COMPLIANCE_SETTINGS,
+  DATE_PATTERN,
+  getCompliancePolicy,
+  getHolidays,
+  holidayMatcher,
+  calculateDueDate,
+  computeDueDate,
+  recomputeDueDates
+};
@@ -0,0 +1,482 @@
+const { getFirebaseService } = require('../config/database');
+const { toDate } = require('../utils/dateUtils');
+const {
+  VIOLATORS_COLLECTION,
+  CONTACT_FIELDS,
+  recomputeRepeatFlags
+} = require('./violatorService');
+
+/**
+ * Duplicate violator detection
+ *
+ * The same person is often recorded under several spellings ("Juan Dela Cruz",
+ * "JUAN DELACRUZ", "Juan D. Cruz"), sometimes with a license and sometimes
+ * without. A scan compares identities and stores likely duplicates in the
+ * violator_duplicates collection for an admin to merge or dismiss:
+ *   { identities: [a, b], confidence, reasons, status: open|merged|dismissed }
+ *
+ * An identity is either a registry profile (kind 'violator') or the violations
+ * recorded without a license under one spelling of a name (kind 'unlinked').
+ * Identities are compared on name similarity, shared phone numbers and plates,
+ * and license numbers one character apart. Dismissed pairs are kept so a
+ * rescan does not bring them back.
+ */
+
+const DUPLICATES_COLLECTION = 'violator_duplicates';
+
+const SCAN_BATCH_SIZE = 500;
+
+// Identities sharing a key this common (a popular first name, a fleet plate)
+// are not compared pairwise
+const MAX_BLOCK_SIZE = 500;
+
+const NAME_THRESHOLD = 0.85;
+const SUPPORTED_NAME_THRESHOLD = 0.6;
+
+const duplicateError = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'DUPLICATE_ERROR';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Lowercase a name and strip accents and punctuation
+ * @param {string} name - Name as written
+ * @returns {string} Words separated by single spaces
+ */
+const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Last ten digits, so 0917..., 917... and +63917... compare equal
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+const normalizePlate = (plate) => String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '') || null;
+
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(i + window + 1, b.length);
+    for (let j = from; j < to; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k += 1;
+    if (a[i] !== b[k]) transpositions += 1;
+    k += 1;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix += 1;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Words match when equal, nearly equal, or one is the other's initial ("d" and "dela")
+const wordsMatch = (a, b) => a === b
+  || (a.length === 1 && b.startsWith(a))
+  || (b.length === 1 && a.startsWith(b))
+  || (a.length > 3 && b.length > 3 && jaroWinkler(a, b) >= 0.92);
+
+/**
+ * How alike two names are, from 0 to 1
+ * Takes the better of comparing the names with spaces removed (catches
+ * "Dela Cruz" vs "Delacruz") and matching word by word (catches initials and
+ * missing middle names, as long as the first and last words match).
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number} Similarity
+ */
+const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  const compact = jaroWinkler(a.replace(/ /g, ''), b.replace(/ /g, ''));
+
+  const aWords = a.split(' ');
+  const bWords = b.split(' ');
+  if (aWords.length < 2 || bWords.length < 2) return compact;
+  if (!wordsMatch(aWords[0], bWords[0]) || !wordsMatch(aWords[aWords.length - 1], bWords[bWords.length - 1])) {
+    return compact;
+  }
+
+  const [shorter, longer] = aWords.length <= bWords.length ? [aWords, bWords] : [bWords, aWords];
+  const used = new Set();
+  let matched = 0;
+  shorter.forEach(word => {
+    const index = longer.findIndex((other, i) => !used.has(i) && wordsMatch(word, other));
+    if (index !== -1) {
+      used.add(index);
+      matched += 1;
+    }
+  });
+
+  // A missing middle name costs a little; a conflicting one costs more
+  const words = matched / shorter.length - (longer.length - shorter.length) * 0.05;
+  return Math.max(compact, words);
+};
+
+// License numbers one character apart are usually a keypad typo
+const licensesClose = (a, b) => {
+  if (!a || !b || a.length < 6 || Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i += 1;
+      j += 1;
+      continue;
+    }
+    edits += 1;
+    if (edits > 1) return false;
+    if (a.length > b.length) i += 1;
+    else if (b.length > a.length) j += 1;
+    else { i += 1; j += 1; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+/**
+ * Compare two identities
+ * @returns {{confidence: number, reasons: string[]}|null} null when they are not likely the same person
+ */
+const compareIdentities = (a, b) => {
+  const name = nameSimilarity(a.normalized_name, b.normalized_name);
+  const samePhone = a.phones.some(phone => b.phones.includes(phone));
+  const samePlate = a.plates.some(plate => b.plates.includes(plate));
+  const closeLicense = licensesClose(a.license_id, b.license_id);
+
+  const supported = samePhone || samePlate || closeLicense;
+  if (name < SUPPORTED_NAME_THRESHOLD || (name < NAME_THRESHOLD && !supported)) return null;
+  // Two licensed profiles with the same name are different people unless something else ties them
+  if (a.license_id && b.license_id && !supported) return null;
+
+  const reasons = [];
+  if (name >= NAME_THRESHOLD) reasons.push('similar_name');
+  if (samePhone) reasons.push('same_phone');
+  if (samePlate) reasons.push('same_plate');
+  if (closeLicense) reasons.push('similar_license');
+
+  const confidence = Math.min(1, name * 0.6 + (samePhone ? 0.25 : 0) + (samePlate ? 0.15 : 0) + (closeLicense ? 0.1 : 0));
+  return { confidence: Math.round(confidence * 100) / 100, reasons };
+};
+
+const blockKeys = (identity) => {
+  const words = identity.normalized_name.split(' ').filter(Boolean);
+  const keys = [];
+  if (words.length > 0) {
+    keys.push(`name:${words.join('').slice(0, 3)}`);
+    keys.push(`first:${words[0]}`);
+  }
+  identity.phones.forEach(phone => keys.push(`phone:${phone}`));
+  identity.plates.forEach(plate => keys.push(`plate:${plate}`));
+  return keys;
+};
+
+const pairId = (a, b) => [a.key, b.key].sort().join('|');
+
+// What the admin screen shows for one side of a pair
+const identitySummary = (identity) => ({
+  key: identity.key,
+  kind: identity.kind,
+  violator_id: identity.violator_id,
+  name: identity.name,
+  license_number: identity.license_number,
+  phones: identity.phones,
+  plates: identity.plates,
+  violation_count: identity.violation_ids.length,
+  violation_ids: identity.kind === 'unlinked' ? identity.violation_ids : []
+});
+
+/**
+ * Build the identities to compare from the registry and the unlinked violations
+ * @returns {Promise<object[]>} Identities
+ */
+const loadIdentities = async () => {
+  const firebaseService = getFirebaseService();
+  const identities = new Map();
+
+  const violators = await firebaseService.findMany(VIOLATORS_COLLECTION, {}, { sortInMemory: false });
+  violators.filter(violator => !violator.merged_into).forEach(violator => {
+    identities.set(`violator:${violator.id}`, {
+      key: `violator:${violator.id}`,
+      kind: 'violator',
+      violator_id: violator.id,
+      license_id: violator.id,
+      license_number: violator.license_number,
+      name: violator.full_name || '',
+      normalized_name: normalizeName(violator.full_name),
+      phones: new Set([normalizePhone(violator.phone)]),
+      plates: new Set(),
+      violation_ids: []
+    });
+  });
+
+  let cursor = null;
+  do {
+    const page = await firebaseService.findPage('violations', {}, {
+      limit: SCAN_BATCH_SIZE,
+      cursor,
+      orderBy: { field: 'created_at', direction: 'asc' }
+    });
+
+    page.items.forEach(violation => {
+      let identity = violation.violator_id && identities.get(`violator:${violation.violator_id}`);
+      if (!identity) {
+        const normalized = normalizeName(violation.violator_name);
+        if (!normalized) return;
+        const key = `unlinked:${normalized}`;
+        if (!identities.has(key)) {
+          identities.set(key, {
+            key,
+            kind: 'unlinked',
+            violator_id: null,
+            license_id: null,
+            license_number: null,
+            name: violation.violator_name,
+            normalized_name: normalized,
+            phones: new Set(),
+            plates: new Set(),
+            violation_ids: []
+          });
+        }
+        identity = identities.get(key);
+      }
+      identity.phones.add(normalizePhone(violation.violator_phone));
+      identity.plates.add(normalizePlate(violation.vehicle_plate));
+      identity.violation_ids.push(violation.id);
+    });
+
+    cursor = page.hasMore ? page.nextCursor : null;
+  } while (cursor);
+
+  return Array.from(identities.values()).map(identity => ({
+    ...identity,
+    phones: Array.from(identity.phones).filter(Boolean),
+    plates: Array.from(identity.plates).filter(Boolean)
+  }));
+};
+
+/**
+ * Find likely duplicate identities and refresh the open candidates
+ * Open candidates that no longer match are removed; merged and dismissed ones are kept.
+ * @returns {Promise<object>} { success, identities, candidates, added, removed }
+ */
+const scanDuplicates = async () => {
+  const firebaseService = getFirebaseService();
+  const identities = await loadIdentities();
+
+  const blocks = new Map();
+  identities.forEach(identity => {
+    blockKeys(identity).forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(identity);
+    });
+  });
+
+  const found = new Map();
+  blocks.forEach(members => {
+    if (members.length < 2 || members.length > MAX_BLOCK_SIZE) return;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const id = pairId(members[i], members[j]);
+        if (found.has(id)) continue;
+        const match = compareIdentities(members[i], members[j]);
+        if (match) {
+          found.set(id, { identities: [members[i], members[j]], ...match });
+        }
+      }
+    }
+  });
+
+  const existing = await firebaseService.findMany(DUPLICATES_COLLECTION, {}, { sortInMemory: false });
+  const existingById = new Map(existing.map(candidate => [candidate.id, candidate]));
+
+  let added = 0;
+  await Promise.all(Array.from(found.entries()).map(([id, match]) => {
+    const previous = existingById.get(id);
+    if (previous && previous.status !== 'open') return null;
+    if (!previous) added += 1;
+    return firebaseService.runTransaction(async (tx) => {
+      tx.set(DUPLICATES_COLLECTION, id, {
+        identities: match.identities.map(identitySummary),
+        confidence: match.confidence,
+        reasons: match.reasons,
+        status: 'open'
+      });
+    });
+  }));
+
+  const stale = existing.filter(candidate => candidate.status === 'open' && !found.has(candidate.id));
+  await Promise.all(stale.map(candidate => firebaseService.delete(DUPLICATES_COLLECTION, candidate.id)));
+
+  return {
+    success: true,
+    identities: identities.length,
+    candidates: found.size,
+    added,
+    removed: stale.length
+  };
+};
+
+/**
+ * Candidates for the admin screen, most likely first
+ * @param {string} status - open, merged or dismissed
+ * @returns {Promise<object[]>} Candidates
+ */
+const getDuplicateCandidates = async (status = 'open') => {
+  const candidates = await getFirebaseService().findMany(DUPLICATES_COLLECTION, { status }, { sortInMemory: false });
+  return candidates.sort((a, b) => b.confidence - a.confidence);
+};
+
+const getOpenCandidate = async (id) => {
+  const candidate = await getFirebaseService().findById(DUPLICATES_COLLECTION, id);
+  if (!candidate) throw duplicateError('Duplicate candidate not found', 404);
+  if (candidate.status !== 'open') throw duplicateError(`This candidate was already ${candidate.status}`, 400);
+  return candidate;
+};
+
+/**
+ * Mark a candidate as not a duplicate so rescans leave it alone
+ * @param {string} id - Candidate id
+ * @param {string} userId - Admin dismissing it
+ * @returns {Promise<object>} The candidate before it was dismissed
+ */
+const dismissDuplicate = async (id, userId) => {
+  const candidate = await getOpenCandidate(id);
+  await getFirebaseService().update(DUPLICATES_COLLECTION, id, {
+    status: 'dismissed',
+    resolved_by: userId,
+    resolved_at: new Date()
+  });
+  return candidate;
+};
+
+/**
+ * Merge one side of a candidate into the other's registry profile
+ * The source's violations are moved to the target, details the target is
+ * missing are copied from the source, a source profile is kept with
+ * merged_into set, and the repeat-offender flags of the target's violations
+ * are recomputed. Other open candidates involving the source are removed;
+ * the next scan compares the merged profile again.
+ * @param {string} id - Candidate id
+ * @param {string} targetViolatorId - Violator id of the profile to keep
+ * @param {string} userId - Admin merging
+ * @returns {Promise<object>} { candidate, source, before, target, movedViolations, updatedFlags }
+ * @throws {Error} DUPLICATE_ERROR when the candidate is not open or the target is not one of its profiles
+ */
+const mergeDuplicate = async (id, targetViolatorId, userId) => {
+  const firebaseService = getFirebaseService();
+  const candidate = await getOpenCandidate(id);
+
+  const targetIdentity = candidate.identities.find(identity => identity.kind === 'violator'
+    && identity.violator_id === targetViolatorId);
+  if (!targetIdentity) {
+    throw duplicateError('The target must be a violator profile in this candidate', 400);
+  }
+  const source = candidate.identities.find(identity => identity !== targetIdentity);
+
+  const before = await firebaseService.findById(VIOLATORS_COLLECTION, targetViolatorId);
+  if (!before || before.merged_into) {
+    throw duplicateError('The target profile no longer exists', 400);
+  }
+
+  let violations;
+  let sourceDetails;
+  if (source.kind === 'violator') {
+    const sourceViolator = await firebaseService.findById(VIOLATORS_COLLECTION, source.violator_id);
+    if (!sourceViolator || sourceViolator.merged_into) {
+      throw duplicateError('The profile to merge no longer exists', 400);
+    }
+    violations = await firebaseService.findMany('violations', { violator_id: source.violator_id }, { sortInMemory: false });
+    sourceDetails = sourceViolator;
+  } else {
+    // Only the violations that were listed and are still unlinked
+    const byId = await firebaseService.findByIds('violations', source.violation_ids);
+    violations = Array.from(byId.values())
+      .filter(violation => !violation.violator_id)
+      .sort((a, b) => toDate(b.created_at) - toDate(a.created_at));
+    const latest = violations[0] || {};
+    sourceDetails = {};
+    Object.entries(CONTACT_FIELDS).forEach(([field, violationField]) => {
+      sourceDetails[field] = latest[violationField];
+    });
+  }
+
+  const missing = {};
+  Object.keys(CONTACT_FIELDS).forEach(field => {
+    if (!before[field] && sourceDetails[field]) {
+      missing[field] = sourceDetails[field];
+    }
+  });
+  const target = Object.keys(missing).length > 0
+    ? await firebaseService.update(VIOLATORS_COLLECTION, targetViolatorId, missing)
+    : before;
+
+  await Promise.all(violations.map(violation => firebaseService.update('violations', violation.id, {
+    violator_id: targetViolatorId
+  })));
+
+  if (source.kind === 'violator') {
+    await firebaseService.update(VIOLATORS_COLLECTION, source.violator_id, { merged_into: targetViolatorId });
+  }
+
+  const updatedFlags = await recomputeRepeatFlags(targetViolatorId);
+
+  await firebaseService.update(DUPLICATES_COLLECTION, id, {
+    status: 'merged',
+    merged_into: targetViolatorId,
+    resolved_by: userId,
+    resolved_at: new Date()
+  });
+
+  const others = await firebaseService.findMany(DUPLICATES_COLLECTION, { status: 'open' }, { sortInMemory: false });
+  await Promise.all(others
+    .filter(other => other.identities.some(identity => identity.key === source.key))
+    .map(other => firebaseService.delete(DUPLICATES_COLLECTION, other.id)));
+
+  return {
+    candidate,
+    source,
+    before,
+    target,
+    movedViolations: violations.length,
+    updatedFlags
+  };
+};
+
+module.exports = {
+  DUPLICATES_COLLECTION,
+  normalizeName,
+  nameSimilarity,
+  scanDuplicates,
+  getDuplicateCandidates,
+  dismissDuplicate,
+  mergeDuplicate
+};
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { getFirebaseService } = require('../config/database');
+
+/**
+ * Evidence photos attached to violations
+ *
+ * Photos are uploaded by admins and enforcers through the API and by
+ * apprehension devices through the device routes. The original is stored
+ * byte for byte (it is evidence, so it is never re-encoded) together with a
+ * small JPEG thumbnail for galleries. The violation keeps the photo metadata
+ * in its evidence_photos array; the files themselves live in the configured
+ * photo storage (PHOTO_STORAGE: local or firebase).
+ */
+
+// Accepted formats, checked against the file contents rather than the upload's MIME type
+const PHOTO_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+const MAX_PHOTO_SIZE_BYTES = (parseFloat(process.env.PHOTO_MAX_SIZE_MB) || 5) * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+const DEFAULT_PHOTO_SETTINGS = {
+  max_photos_per_violation: 5
+};
+
+const photoError = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'PHOTO_ERROR';
+  error.statusCode = statusCode;
+  return error;
+};
+
+const storages = {
+  local: () => new (require('./localPhotoStorage'))(),
+  firebase: () => new (require('./firebasePhotoStorage'))()
+};
+
+let storage;
+
+/**
+ * @returns {PhotoStorage} Active photo storage backend
+ */
+const getPhotoStorage = () => {
+  if (storage) return storage;
+
+  const name = (process.env.PHOTO_STORAGE || 'local').toLowerCase();
+  if (!storages[name]) {
+    throw new Error(`Unknown PHOTO_STORAGE '${name}'. Expected one of: ${Object.keys(storages).join(', ')}`);
+  }
+
+  storage = storages[name]();
+  console.log(`🖼️ Evidence photos are stored in ${storage.name} storage`);
+  return storage;
+};
+
+/**
+ * @returns {Promise<number>} Maximum photos per violation from settings
+ */
+const getMaxPhotosPerViolation = async () => {
+  const firebaseService = getFirebaseService();
+  const settings = await firebaseService.getSettings();
+  const stored = settings && settings.length > 0 ? settings[0] : {};
+  const max = parseInt(stored.max_photos_per_violation, 10);
+  return max > 0 ? max : DEFAULT_PHOTO_SETTINGS.max_photos_per_violation;
+};
+
+/**
+ * Check an uploaded file and build its thumbnail
+ * @param {object} file - Multer file ({ buffer, originalname, size })
+ * @returns {Promise<object>} { format, width, height, thumbnail }
+ * @throws {Error} PHOTO_ERROR (400) when the file is not a supported image
+ */
+const processUpload = async (file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw photoError(`${file.originalname || 'File'} is not a readable image`, 400);
+  }
+
+  const format = PHOTO_FORMATS[metadata.format];
+  if (!format) {
+    throw photoError(`${file.originalname || 'File'} must be a JPEG, PNG or WebP image`, 400);
+  }
+
+  // rotate() applies the EXIF orientation so phone photos are upright in the gallery
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+
+  return { format, width: metadata.width, height: metadata.height, thumbnail };
+};
+
+/**
+ * Store uploaded photos and attach them to a violation
+ * @param {string} violationId - Violation id
+ * @param {object[]} files - Multer files held in memory
+ * @param {object} uploader - { id, source: 'admin'|'enforcer'|'device' }
+ * @returns {Promise<object[]>} The new photo entries
+ * @throws {Error} PHOTO_ERROR with statusCode 400, 404 or 409
+ */
+const addPhotos = async (violationId, files, uploader) => {
+  const firebaseService = getFirebaseService();
+
+  if (!files || files.length === 0) {
+    throw photoError('No photos were uploaded', 400);
+  }
+
+  const violation = await firebaseService.findById('violations', violationId);
+  if (!violation) {
+    throw photoError('Violation not found', 404);
+  }
+
+  const maxPhotos = await getMaxPhotosPerViolation();
+  const checkLimit = (existing) => {
+    if (existing.length + files.length > maxPhotos) {
+      throw photoError(`A violation can have at most ${maxPhotos} photos (it has ${existing.length})`, 409);
+    }
+  };
+  checkLimit(violation.evidence_photos || []);
+
+  const processed = await Promise.all(files.map(processUpload));
+
+  const photoStorage = getPhotoStorage();
+  const photos = [];
+  const savedKeys = [];
+
+  try {
+    for (let index = 0; index < files.length; index += 1) {
+      const file = files[index];
+      const { format, width, height, thumbnail } = processed[index];
+      const photoId = uuidv4();
+      const key = `violations/${violationId}/${photoId}.${format.extension}`;
+      const thumbnailKey = `violations/${violationId}/${photoId}_thumb.jpg`;
+
+      await photoStorage.save(key, file.buffer, format.contentType);
+      savedKeys.push(key);
+      await photoStorage.save(thumbnailKey, thumbnail, 'image/jpeg');
+      savedKeys.push(thumbnailKey);
+
+      photos.push({
+        id: photoId,
+        key,
+        thumbnail_key: thumbnailKey,
+        content_type: format.contentType,
+        size: file.size,
+        width,
+        height,
+        sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        original_name: file.originalname || '',
+        uploaded_by: uploader.id,
+        source: uploader.source,
+        uploaded_at: new Date()
+      });
+    }
+
+    // Re-check the limit against concurrent uploads
+    await firebaseService.runTransaction(async (tx) => {
+      const current = await tx.get('violations', violationId);
+      if (!current) {
+        throw photoError('Violation not found', 404);
+      }
+      const existing = current.evidence_photos || [];
+      checkLimit(existing);
+      tx.update('violations', violationId, { evidence_photos: [...existing, ...photos] });
+    });
+  } catch (error) {
+    await Promise.all(savedKeys.map(key => photoStorage.remove(key).catch(() => {})));
+    throw error;
+  }
+
+  console.log(`🖼️ ${photos.length} photo(s) added to ${violation.violation_number} by ${uploader.source}`);
+  return photos;
+};
+
+/**
+ * @param {object} violation - Violation record
+ * @param {string} photoId - Photo id
+ * @returns {object|null} The photo entry
+ */
+const findPhoto = (violation, photoId) => (violation.evidence_photos || []).find(photo => photo.id === photoId) || null;
+
+/**
+ * Read a photo file
+ * @param {object} photo - Photo entry
+ * @param {boolean} thumbnail - Read the thumbnail instead of the original
+ * @returns {Promise<{buffer: Buffer, contentType: string}|null>}
+ */
+const readPhoto = async (photo, thumbnail = false) => {
+  const buffer = await getPhotoStorage().read(thumbnail ? photo.thumbnail_key : photo.key);
+  if (!buffer) return null;
+  return { buffer, contentType: thumbnail ? 'image/jpeg' : photo.content_type };
+};
+
+/**
+ * Detach a photo from its violation and delete its files
+ * @returns {Promise<object>} The removed photo entry
+ * @throws {Error} PHOTO_ERROR (404) when the violation or photo does not exist
+ */
+const deletePhoto = async (violationId, photoId) => {
+  const firebaseService = getFirebaseService();
+
+  const removed = await firebaseService.runTransaction(async (tx) => {
+    const violation = await tx.get('violations', violationId);
+    if (!violation) {
+      throw photoError('Violation not found', 404);
+    }
+    const photo = findPhoto(violation, photoId);
+    if (!photo) {
+      throw photoError('Photo not found', 404);
+    }
+    tx.update('violations', violationId, {
+      evidence_photos: violation.evidence_photos.filter(entry => entry.id !== photoId)
+    });
+    return photo;
+  });
+
+  const photoStorage = getPhotoStorage();
+  await Promise.all([photoStorage.remove(removed.key), photoStorage.remove(removed.thumbnail_key)]);
+  return removed;
+};
+
+// Files of a violation that is being deleted
+const deleteViolationPhotos = async (violation) => {
+  const photoStorage = getPhotoStorage();
+  await Promise.all((violation.evidence_photos || []).flatMap(photo => [
+    photoStorage.remove(photo.key),
+    photoStorage.remove(photo.thumbnail_key)
+  ]));
+};
+
+// Photo metadata as returned by the API (storage keys stay on the server)
+const toPhotoResponse = (photo) => {
+  const { key, thumbnail_key: thumbnailKey, ...rest } = photo;
+  return rest;
+};
+
+module.exports = {
+  PHOTO_FORMATS,
+  MAX_PHOTO_SIZE_BYTES,
+  DEFAULT_PHOTO_SETTINGS,
+  getPhotoStorage,
+  getMaxPhotosPerViolation,
+  addPhotos,
+  findPhoto,
+  readPhoto,
+  deletePhoto,
+  deleteViolationPhotos,
+  toPhotoResponse
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { PaymentGateway, gatewayError } = require('./paymentGateway');
+
+const FAKE_METHODS = ['gcash', 'maya', 'card'];
+
+/**
+ * Local stand-in for a hosted checkout, for development and offline testing
+ *
+ * The checkout "page" is served by this API (/api/online-payments/fake-checkout/:id).
+ * Completing it signs a webhook event exactly like a real provider would and
+ * POSTs it to our own webhook endpoint, so the whole flow, including signature
+ * checks and reconciliation, runs without network access.
+ */
+class FakePaymentGateway extends PaymentGateway {
+  constructor({ baseUrl }) {
+    // A random secret is enough when nobody outside this process signs webhooks
+    super({
+      name: 'fake',
+      webhookSecret: process.env.FAKE_GATEWAY_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex')
+    });
+    this.baseUrl = baseUrl;
+    this.intents = new Map();
+  }
+
+  async createPaymentIntent({ amount, description, reference, successUrl, cancelUrl }) {
+    const intentId = `fake_cs_${uuidv4().replace(/-/g, '')}`;
+    this.intents.set(intentId, { amount, description, reference, successUrl, cancelUrl });
+
+    return {
+      intent_id: intentId,
+      checkout_url: `${this.baseUrl}/api/online-payments/fake-checkout/${intentId}`
+    };
+  }
+
+  getIntent(intentId) {
+    return this.intents.get(intentId) || null;
+  }
+
+  /**
+   * Build a signed payment.paid delivery for a checkout
+   * @param {string} intentId - Fake checkout id
+   * @param {string} method - gcash, maya or card
+   * @returns {{rawBody: string, headers: object}}
+   */
+  buildPaidEvent(intentId, method) {
+    const intent = this.getIntent(intentId);
+    if (!intent) {
+      throw gatewayError('Checkout not found', 'GATEWAY_ERROR', 404);
+    }
+    if (!FAKE_METHODS.includes(method)) {
+      throw gatewayError(`Method must be one of: ${FAKE_METHODS.join(', ')}`, 'GATEWAY_ERROR', 400);
+    }
+
+    const rawBody = JSON.stringify({
+      id: `fake_evt_${uuidv4().replace(/-/g, '')}`,
+      type: 'payment.paid',
+      data: {
+        intent_id: intentId,
+        amount: intent.amount,
+        method,
+        payment_id: `fake_pay_${uuidv4().replace(/-/g, '')}`,
+        paid_at: new Date().toISOString()
+      }
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return {
+      rawBody,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-fake-signature': `t=${timestamp},v1=${this.computeSignature(timestamp, rawBody)}`
+      }
+    };
+  }
+
+  /**
+   * Pay a checkout: deliver its signed webhook to our own endpoint
+   * @returns {Promise<object>} Intent (for the redirect back to the app)
+   */
+  async completeCheckout(intentId, method) {
+    const { rawBody, headers } = this.buildPaidEvent(intentId, method);
+    await axios.post(`${this.baseUrl}/api/online-payments/webhook`, rawBody, { headers, timeout: 15000 });
+    return this.getIntent(intentId);
+  }
+
+  parseWebhook(rawBody, headers) {
+    this.verifySignature(headers['x-fake-signature'], rawBody, ['v1']);
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+    return {
+      id: event.id,
+      type: event.type,
+      intent_id: event.data.intent_id,
+      amount: Number(event.data.amount),
+      method: event.data.method,
+      reference: event.data.payment_id,
+      paid_at: new Date(event.data.paid_at)
+    };
+  }
+}
+
+module.exports = FakePaymentGateway;
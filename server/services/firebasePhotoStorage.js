@@ -0,0 +1,34 @@
+const admin = require('firebase-admin');
+const PhotoStorage = require('./photoStorage');
+
+/**
+ * Evidence photos in a Firebase Storage (Google Cloud Storage) bucket.
+ * Uses FIREBASE_STORAGE_BUCKET, or the project's default bucket. Files are
+ * private; they are only ever served through the API.
+ */
+class FirebasePhotoStorage extends PhotoStorage {
+  constructor() {
+    super({ name: 'firebase' });
+    this.bucket = admin.storage().bucket(process.env.FIREBASE_STORAGE_BUCKET || undefined);
+  }
+
+  async save(key, buffer, contentType) {
+    await this.bucket.file(key).save(buffer, { contentType, resumable: false });
+  }
+
+  async read(key) {
+    try {
+      const [contents] = await this.bucket.file(key).download();
+      return contents;
+    } catch (error) {
+      if (error.code === 404) return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await this.bucket.file(key).delete({ ignoreNotFound: true });
+  }
+}
+
+module.exports = FirebasePhotoStorage;
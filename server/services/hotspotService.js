@@ -0,0 +1,236 @@
+const { getFirebaseService } = require('../config/database');
+const { toManila, violationDateOf } = require('../utils/dateUtils');
+const { toLatLng } = require('../utils/geoUtils');
+
+/**
+ * Violation hotspots
+ *
+ * Violations are grouped by where they happened: violations with coordinates
+ * by grid cell, the rest by their location text after normalization, so that
+ * "Osmeña Blvd. cor. P. del Rosario St." and "P. Del Rosario Street &
+ * Osmena Boulevard" end up in the same group. Each hotspot is compared with
+ * the period of the same length just before the selected one.
+ */
+
+// Violations scanned per report; the response says when the range had more
+const MAX_HOTSPOT_VIOLATIONS = 20000;
+
+const DEFAULT_CELL_SIZE_METERS = 150;
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+// Changes within this many percent of the previous period count as steady
+const STEADY_TREND_PERCENT = 10;
+
+// Street abbreviations; 'st' and 'dr' are handled separately (Saint/Doctor before a name)
+const ABBREVIATIONS = {
+  str: 'street',
+  ave: 'avenue',
+  av: 'avenue',
+  blvd: 'boulevard',
+  rd: 'road',
+  hwy: 'highway',
+  brgy: 'barangay',
+  bgy: 'barangay',
+  ext: 'extension',
+  gen: 'general',
+  sto: 'santo',
+  sta: 'santa'
+};
+
+// Words and symbols that join the two streets of an intersection
+const INTERSECTION_SEPARATOR = /\s*(?:&|\/|\bcor\b\.?|\bcorner\b)\s*/;
+
+// Commas separate the street from the barangay or city ("Colon St, Cebu City")
+const normalizeStreet = (street) => street.split(/[,;]/).map(part => {
+  const words = part
+    .replace(/[.:'"()-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return words.map((word, index) => {
+    const isLast = index === words.length - 1;
+    if (word === 'st') return isLast ? 'street' : 'saint';
+    if (word === 'dr') return isLast ? 'drive' : 'doctor';
+    return ABBREVIATIONS[word] || word;
+  }).join(' ');
+}).filter(Boolean).join(' ');
+
+/**
+ * Canonical form of a free-text location used to group violations
+ * @param {string} location - Location as recorded
+ * @returns {string} Lowercase, accent-free, abbreviations expanded and the
+ *   streets of an intersection in alphabetical order; '' when empty
+ */
+const normalizeLocation = (location) => {
+  const text = String(location || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+
+  return text
+    .split(INTERSECTION_SEPARATOR)
+    .map(normalizeStreet)
+    .filter(Boolean)
+    .sort()
+    .join(' & ');
+};
+
+/**
+ * Grid cell of a coordinate; cells are roughly cellSize meters on each side
+ * @returns {string} Cell key
+ */
+const gridCellKey = ({ latitude, longitude }, cellSize) => {
+  const latitudeStep = cellSize / METERS_PER_DEGREE_LATITUDE;
+  const row = Math.floor(latitude / latitudeStep);
+  // Longitude degrees shrink toward the poles; use the row's center latitude so a row has one width
+  const rowLatitude = (row + 0.5) * latitudeStep;
+  const longitudeStep = cellSize / (METERS_PER_DEGREE_LATITUDE * Math.cos(rowLatitude * Math.PI / 180));
+  return `grid:${row}:${Math.floor(longitude / longitudeStep)}`;
+};
+
+const groupKeyOf = (violation, cellSize) => {
+  const coordinates = toLatLng(violation.geopoint);
+  if (coordinates) {
+    return { key: gridCellKey(coordinates, cellSize), method: 'grid', coordinates };
+  }
+  const normalized = normalizeLocation(violation.location);
+  return { key: `location:${normalized || 'unknown'}`, method: 'location', coordinates: null };
+};
+
+const mostCommon = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+const trendOf = (count, previousCount) => {
+  if (previousCount === 0) {
+    return { change_percent: null, trend: 'new' };
+  }
+  const changePercent = Math.round(((count - previousCount) / previousCount) * 100);
+  let trend = 'steady';
+  if (changePercent > STEADY_TREND_PERCENT) trend = 'rising';
+  if (changePercent < -STEADY_TREND_PERCENT) trend = 'falling';
+  return { change_percent: changePercent, trend };
+};
+
+/**
+ * Ranked violation hotspots for a date range
+ * @param {object} options
+ * @param {Date} options.start - Start of the range (inclusive)
+ * @param {Date} options.end - End of the range (inclusive)
+ * @param {number} [options.cellSize] - Grid cell size in meters for violations with coordinates
+ * @param {number} [options.limit] - Number of hotspots returned
+ * @returns {Promise<object>} { summary, hotspots }
+ */
+const getHotspots = async ({ start, end, cellSize = DEFAULT_CELL_SIZE_METERS, limit = 20 }) => {
+  const firebaseService = getFirebaseService();
+
+  // The comparison period has the same length and ends just before the range
+  const previousEnd = new Date(start.getTime() - 1);
+  const previousStart = new Date(start.getTime() - (end.getTime() - start.getTime() + 1));
+
+  const violations = await firebaseService.getViolations(
+    { violation_date: { '>=': previousStart, '<=': end } },
+    { orderBy: { field: 'violation_date', direction: 'desc' }, limit: MAX_HOTSPOT_VIOLATIONS + 1 }
+  );
+  const truncated = violations.length > MAX_HOTSPOT_VIOLATIONS;
+
+  const groups = new Map();
+  let currentTotal = 0;
+  let locatedByCoordinates = 0;
+
+  violations.slice(0, MAX_HOTSPOT_VIOLATIONS).forEach(violation => {
+    const violationDate = violationDateOf(violation);
+    if (!violationDate || isNaN(violationDate)) return;
+
+    const { key, method, coordinates } = groupKeyOf(violation, cellSize);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        method,
+        count: 0,
+        previous_count: 0,
+        total_fines: 0,
+        locations: {},
+        by_type: {},
+        by_hour: new Array(24).fill(0),
+        latitude_sum: 0,
+        longitude_sum: 0
+      });
+    }
+    const group = groups.get(key);
+
+    if (violationDate < start) {
+      group.previous_count += 1;
+      return;
+    }
+
+    currentTotal += 1;
+    group.count += 1;
+    group.total_fines += parseFloat(violation.fine_amount) || 0;
+
+    const location = (violation.location || '').trim() || 'Unknown';
+    group.locations[location] = (group.locations[location] || 0) + 1;
+
+    const type = violation.violation_type || 'Unknown';
+    group.by_type[type] = (group.by_type[type] || 0) + 1;
+
+    // Time of day of the apprehension itself, on the Manila clock
+    group.by_hour[toManila(violationDate).hour()] += 1;
+
+    if (coordinates) {
+      locatedByCoordinates += 1;
+      group.latitude_sum += coordinates.latitude;
+      group.longitude_sum += coordinates.longitude;
+    }
+  });
+
+  const hotspots = Array.from(groups.values())
+    .filter(group => group.count > 0)
+    .sort((a, b) => b.count - a.count || b.total_fines - a.total_fines)
+    .slice(0, limit)
+    .map((group, index) => {
+      const peakHour = group.by_hour.indexOf(Math.max(...group.by_hour));
+      return {
+        rank: index + 1,
+        key: group.key,
+        method: group.method,
+        label: mostCommon(group.locations),
+        locations: Object.entries(group.locations)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([location, count]) => ({ location, count })),
+        latitude: group.method === 'grid' ? group.latitude_sum / group.count : null,
+        longitude: group.method === 'grid' ? group.longitude_sum / group.count : null,
+        count: group.count,
+        share_percent: currentTotal > 0 ? Math.round((group.count / currentTotal) * 1000) / 10 : 0,
+        total_fines: group.total_fines,
+        by_type: Object.entries(group.by_type)
+          .sort((a, b) => b[1] - a[1])
+          .map(([violation_type, count]) => ({ violation_type, count })),
+        by_hour: group.by_hour,
+        peak_hour: peakHour,
+        previous_count: group.previous_count,
+        ...trendOf(group.count, group.previous_count)
+      };
+    });
+
+  return {
+    summary: {
+      start_date: start,
+      end_date: end,
+      previous_start_date: previousStart,
+      previous_end_date: previousEnd,
+      total_violations: currentTotal,
+      located_by_coordinates: locatedByCoordinates,
+      hotspot_count: Array.from(groups.values()).filter(group => group.count > 0).length,
+      cell_size_meters: cellSize,
+      truncated
+    },
+    hotspots
+  };
+};
+
+module.exports = {
+  DEFAULT_CELL_SIZE_METERS,
+  normalizeLocation,
+  getHotspots
+};
@@ -0,0 +1,44 @@
+const fs = require('fs/promises');
+const path = require('path');
+const PhotoStorage = require('./photoStorage');
+
+/**
+ * Evidence photos on the server's disk, under PHOTO_STORAGE_DIR
+ * (server/uploads by default). Keys map directly to relative paths.
+ */
+class LocalPhotoStorage extends PhotoStorage {
+  constructor() {
+    super({ name: 'local' });
+    this.rootDir = path.resolve(process.env.PHOTO_STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+  }
+
+  // Keys are generated by the photo service, but never let one escape the root
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid photo key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async read(key) {
+    try {
+      return await fs.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+module.exports = LocalPhotoStorage;
@@ -0,0 +1,212 @@
+const { getFirebaseService } = require('../config/database');
+const PaymongoGateway = require('./paymongoGateway');
+const FakePaymentGateway = require('./fakePaymentGateway');
+const { findViolationByReference } = require('./violationLookupService');
+const {
+  PAYMENT_INTENTS_COLLECTION,
+  PAYABLE_STATUSES,
+  getBalance,
+  recordPayment
+} = require('./paymentService');
+
+/**
+ * Online payments through a hosted checkout (GCash, Maya, card)
+ *
+ * A violator starts a checkout for their violation number and plate; we store
+ * a payment intent (doc id = the provider's checkout id) for the current
+ * balance. The provider's signed webhook then records the payment through
+ * paymentService like a cashier would, which issues the OR, marks the
+ * violation paid and sends the payment confirmation SMS.
+ *
+ * Payments that cannot be applied when the webhook arrives (the violation was
+ * paid at the counter or cancelled meanwhile, the amount exceeds the balance,
+ * or it is not the amount the checkout was started for) are kept on the
+ * intent as needs_review for manual refund.
+ */
+
+// Recorded as the cashier of payments made online
+const ONLINE_CASHIER = { id: 'system:online-payments' };
+
+// Gateways selectable through PAYMENT_GATEWAY; online payments are off unless one is set
+const gateways = {
+  paymongo: () => new PaymongoGateway(),
+  fake: () => new FakePaymentGateway({ baseUrl: getApiBaseUrl() })
+};
+
+let gateway;
+
+const getApiBaseUrl = () => process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const getClientBaseUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const roundAmount = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+const onlinePaymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'ONLINE_PAYMENT_ERROR';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @returns {PaymentGateway|null} Active gateway, or null when online payments are off
+ */
+const getPaymentGateway = () => {
+  if (gateway !== undefined) return gateway;
+
+  const name = (process.env.PAYMENT_GATEWAY || '').toLowerCase();
+
+  if (!name || name === 'none') {
+    gateway = null;
+  } else if (!gateways[name]) {
+    throw new Error(`Unknown PAYMENT_GATEWAY '${name}'. Expected one of: ${Object.keys(gateways).join(', ')}`);
+  } else if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    // Anyone can complete a fake checkout, which records a real OR without any money changing hands
+    throw new Error('PAYMENT_GATEWAY=fake is for local testing and cannot be used in production');
+  } else {
+    gateway = gateways[name]();
+    console.log(`💳 Online payments use the ${gateway.name} gateway`);
+  }
+
+  return gateway;
+};
+
+/**
+ * Start a hosted checkout for the current balance of a violation
+ * @param {object} params - { violation_number, vehicle_plate }
+ * @returns {Promise<object>} { intent_id, checkout_url, amount, gateway, violation_number }
+ */
+const createCheckout = async ({ violation_number: violationNumber, vehicle_plate: vehiclePlate }) => {
+  const activeGateway = getPaymentGateway();
+  if (!activeGateway) {
+    throw onlinePaymentError('Online payments are not available', 503);
+  }
+
+  const violation = await findViolationByReference(violationNumber, vehiclePlate);
+  if (!violation) {
+    // Same answer for a wrong number and a wrong plate
+    throw onlinePaymentError('No violation matches that violation number and plate', 404);
+  }
+
+  const balance = getBalance(violation);
+  if (!PAYABLE_STATUSES.includes(violation.status) || balance <= 0) {
+    throw onlinePaymentError(`Violation ${violation.violation_number} has nothing to pay online`, 409);
+  }
+
+  const returnUrl = `${getClientBaseUrl()}/pay?violation_number=${encodeURIComponent(violation.violation_number)}`;
+  const intent = await activeGateway.createPaymentIntent({
+    amount: balance,
+    description: `Traffic violation ${violation.violation_number}`,
+    reference: violation.violation_number,
+    successUrl: `${returnUrl}&status=success`,
+    cancelUrl: `${returnUrl}&status=cancelled`,
+    metadata: { violation_id: violation.id }
+  });
+
+  const firebaseService = getFirebaseService();
+  await firebaseService.runTransaction(async (tx) => {
+    tx.set(PAYMENT_INTENTS_COLLECTION, intent.intent_id, {
+      violation_id: violation.id,
+      violation_number: violation.violation_number,
+      gateway: activeGateway.name,
+      amount: balance,
+      status: 'awaiting_payment',
+      checkout_url: intent.checkout_url,
+      payment_id: null,
+      review_reason: null
+    });
+  });
+
+  console.log(`💳 Checkout ${intent.intent_id} started for ${violation.violation_number} (PHP${balance})`);
+
+  return {
+    intent_id: intent.intent_id,
+    checkout_url: intent.checkout_url,
+    amount: balance,
+    gateway: activeGateway.name,
+    violation_number: violation.violation_number
+  };
+};
+
+/**
+ * Apply a verified gateway event
+ * @param {object} event - Provider-neutral event from PaymentGateway.parseWebhook
+ * @returns {Promise<object>} { result: 'recorded'|'duplicate'|'needs_review'|'ignored', payment? }
+ */
+const processGatewayEvent = async (event) => {
+  if (event.type !== 'payment.paid') {
+    return { result: 'ignored' };
+  }
+
+  const firebaseService = getFirebaseService();
+  const intent = event.intent_id ? await firebaseService.findById(PAYMENT_INTENTS_COLLECTION, event.intent_id) : null;
+  if (!intent) {
+    console.warn(`⚠️ Payment event ${event.id} for unknown checkout ${event.intent_id}; ignored`);
+    return { result: 'ignored' };
+  }
+
+  // The checkout was started for the intent's amount; anything else is not ours to apply
+  if (roundAmount(event.amount) !== roundAmount(intent.amount)) {
+    const reason = `Paid PHP${event.amount} does not match the checkout amount of PHP${intent.amount}`;
+    await firebaseService.update(PAYMENT_INTENTS_COLLECTION, intent.id, {
+      status: 'needs_review',
+      review_reason: reason,
+      paid_amount: event.amount,
+      provider_reference: event.reference
+    });
+    console.error(`❌ Online payment for ${intent.violation_number} rejected: ${reason}`);
+    return { result: 'needs_review', intent_id: intent.id, reason };
+  }
+
+  try {
+    const { payment, duplicate } = await recordPayment(intent.violation_id, {
+      amount: event.amount,
+      method: event.method,
+      reference_number: event.reference,
+      notes: `Online payment via ${intent.gateway}`,
+      payment_intent_id: intent.id
+    }, ONLINE_CASHIER);
+
+    if (duplicate) {
+      console.log(`ℹ️ Payment event ${event.id} was already recorded as ${payment?.or_number}`);
+      return { result: 'duplicate', payment };
+    }
+
+    console.log(`✅ Online payment ${payment.or_number} recorded for ${intent.violation_number}`);
+    return { result: 'recorded', payment };
+  } catch (error) {
+    if (error.code !== 'PAYMENT_ERROR') throw error;
+
+    // The money was taken but cannot be applied; keep it for a manual refund
+    await firebaseService.update(PAYMENT_INTENTS_COLLECTION, intent.id, {
+      status: 'needs_review',
+      review_reason: error.message,
+      paid_amount: event.amount,
+      provider_reference: event.reference
+    });
+    console.error(`❌ Online payment for ${intent.violation_number} needs review: ${error.message}`);
+    return { result: 'needs_review', intent_id: intent.id, reason: error.message };
+  }
+};
+
+/**
+ * Verify and apply a webhook delivery
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {object} headers - Request headers
+ */
+const handleWebhook = async (rawBody, headers) => {
+  const activeGateway = getPaymentGateway();
+  if (!activeGateway) {
+    throw onlinePaymentError('Online payments are not available', 503);
+  }
+
+  const event = activeGateway.parseWebhook(rawBody, headers);
+  return processGatewayEvent(event);
+};
+
+module.exports = {
+  ONLINE_CASHIER,
+  getPaymentGateway,
+  createCheckout,
+  processGatewayEvent,
+  handleWebhook
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+/**
+ * Online payment gateway base class
+ *
+ * Every provider (PayMongo, the local fake) extends this class. A gateway
+ * creates a hosted checkout for an amount and turns its signed webhook
+ * deliveries into a provider-neutral event:
+ *
+ *   {
+ *     id,          // provider event id
+ *     type,        // 'payment.paid' or the provider's own type for events we ignore
+ *     intent_id,   // checkout / payment intent the event belongs to
+ *     amount,      // PHP (not centavos)
+ *     method,      // one of paymentService PAYMENT_METHODS
+ *     reference,   // provider payment id, stored as the payment reference number
+ *     paid_at
+ *   }
+ *
+ * Webhook signatures follow the PayMongo scheme: an HMAC-SHA256 of
+ * `${timestamp}.${rawBody}` with the webhook secret.
+ */
+
+// Reject webhook deliveries signed more than 5 minutes ago (replays)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const gatewayError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+class PaymentGateway {
+  /**
+   * @param {object} options - { name, webhookSecret }
+   */
+  constructor({ name, webhookSecret }) {
+    this.name = name;
+    this.webhookSecret = webhookSecret;
+  }
+
+  /**
+   * Create a hosted checkout
+   * @param {object} params - { amount (PHP), description, reference, successUrl, cancelUrl, metadata }
+   * @returns {Promise<{intent_id: string, checkout_url: string}>}
+   */
+  async createPaymentIntent(params) {
+    throw new Error(`${this.name} gateway does not implement createPaymentIntent`);
+  }
+
+  /**
+   * Verify a webhook delivery and normalize its payload
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {object} headers - Request headers (lower-cased names)
+   * @returns {object} Provider-neutral event
+   * @throws {Error} INVALID_WEBHOOK_SIGNATURE (401) when the signature does not match
+   */
+  parseWebhook(rawBody, headers) {
+    throw new Error(`${this.name} gateway does not implement parseWebhook`);
+  }
+
+  computeSignature(timestamp, rawBody) {
+    return crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody.toString('utf8')}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a signature header of the form t=<unix>,<scheme>=<hex>[,...]
+   * @param {string} header - Signature header value
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {string[]} schemes - Signature fields to accept (e.g. ['te', 'li'])
+   */
+  verifySignature(header, rawBody, schemes) {
+    if (!this.webhookSecret) {
+      throw gatewayError(`${this.name} webhook secret is not configured`, 'GATEWAY_NOT_CONFIGURED', 503);
+    }
+    if (!header || !rawBody) {
+      throw gatewayError('Missing webhook signature', 'INVALID_WEBHOOK_SIGNATURE', 401);
+    }
+
+    const parts = header.split(',').reduce((acc, part) => {
+      const [key, value] = part.split('=').map(item => item && item.trim());
+      if (key && value) acc[key] = value;
+      return acc;
+    }, {});
+
+    const timestamp = Number(parts.t);
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw gatewayError('Webhook signature has expired', 'INVALID_WEBHOOK_SIGNATURE', 401);
+    }
+
+    const expected = Buffer.from(this.computeSignature(parts.t, rawBody), 'hex');
+    const matches = schemes.some(scheme => {
+      const signature = Buffer.from(parts[scheme] || '', 'hex');
+      return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+    });
+
+    if (!matches) {
+      throw gatewayError('Invalid webhook signature', 'INVALID_WEBHOOK_SIGNATURE', 401);
+    }
+  }
+}
+
+module.exports = { PaymentGateway, gatewayError };
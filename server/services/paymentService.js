@@ -0,0 +1,320 @@
+const { getFirebaseService } = require('../config/database');
+const { recordViolationStats } = require('./statsService');
+const { getAmountDue } = require('./surchargeService');
+const { recordTransition, runStatusEffects } = require('./violationStatusService');
+
+/**
+ * Payments against violations
+ *
+ * Every payment and refund is a document in the payments collection with its
+ * own official receipt (OR) number, allocated from a single counter in the
+ * same transaction that records the payment, so numbers are sequential and
+ * never reused. Entries are never deleted: a mistaken payment is voided (it
+ * keeps its OR number) and money given back is a refund entry.
+ *
+ * The violation keeps a running amount_paid. It becomes paid when the balance
+ * (fine + surcharges - amount paid) reaches zero, and goes back to issued if a
+ * void or refund reopens the balance.
+ *
+ * Online checkouts (see onlinePaymentService) record their payment here too,
+ * closing their payment intent in the same transaction so a webhook delivered
+ * twice cannot record the payment twice.
+ */
+
+const PAYMENTS_COLLECTION = 'payments';
+const RECEIPT_COUNTERS_COLLECTION = 'receipt_counters';
+const RECEIPT_COUNTER_ID = 'OR';
+const PAYMENT_INTENTS_COLLECTION = 'payment_intents';
+const PAYMENT_METHODS = ['cash', 'gcash', 'maya', 'card', 'bank'];
+
+// Disputed violations are on hold until the dispute is decided; paid and
+// cancelled ones cannot take payments
+const PAYABLE_STATUSES = ['pending', 'issued'];
+
+const SYSTEM_ACTOR = { id: 'system:payments', role: 'system' };
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'PAYMENT_ERROR';
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatReceiptNumber = (sequence) => `OR-${String(sequence).padStart(7, '0')}`;
+
+/**
+ * @param {object} violation - Violation record
+ * @returns {number} Amount still owed
+ */
+const getBalance = (violation) => roundAmount(getAmountDue(violation) - (Number(violation.amount_paid) || 0));
+
+// Read the receipt counter; must run before any write in the transaction
+const readReceiptCounter = async (tx) => {
+  const counter = await tx.get(RECEIPT_COUNTERS_COLLECTION, RECEIPT_COUNTER_ID);
+  return counter ? counter.last_sequence : 0;
+};
+
+const writeReceiptCounter = (tx, lastSequence, sequence) => {
+  if (lastSequence > 0) {
+    tx.update(RECEIPT_COUNTERS_COLLECTION, RECEIPT_COUNTER_ID, { last_sequence: sequence });
+  } else {
+    tx.set(RECEIPT_COUNTERS_COLLECTION, RECEIPT_COUNTER_ID, { last_sequence: sequence });
+  }
+};
+
+/**
+ * Violation fields (and status transition) after amount_paid changes
+ * @returns {{updates: object, transition: object|null}}
+ */
+const settleViolation = (tx, violation, amountPaid, reason) => {
+  const balance = roundAmount(getAmountDue(violation) - amountPaid);
+  const updates = { amount_paid: amountPaid };
+  let transition = null;
+
+  if (balance <= 0 && PAYABLE_STATUSES.includes(violation.status)) {
+    transition = recordTransition(tx, violation, 'paid', { actor: SYSTEM_ACTOR, reason });
+    updates.status = 'paid';
+    updates.paid_at = new Date();
+  } else if (balance > 0 && violation.status === 'paid') {
+    transition = recordTransition(tx, violation, 'issued', { actor: SYSTEM_ACTOR, reason });
+    updates.status = 'issued';
+    updates.paid_at = null;
+  }
+
+  return { updates, transition };
+};
+
+// Stats and SMS for a committed payment change
+const afterPaymentChange = async (violationId, before, transition) => {
+  const firebaseService = getFirebaseService();
+  const violation = await firebaseService.findById('violations', violationId);
+  await recordViolationStats(before, violation);
+  runStatusEffects(transition, violation);
+  return violation;
+};
+
+/**
+ * Record a (possibly partial) payment
+ * @param {string} violationId - Violation id
+ * @param {object} data - { amount, method, reference_number, notes, payment_intent_id }
+ * @param {object} cashier - { id } of the user taking the payment
+ * @returns {Promise<{payment: object, violation: object, duplicate: boolean}>}
+ *   duplicate is true when the payment intent was already paid; nothing is recorded
+ * @throws {Error} PAYMENT_ERROR with statusCode 404, 409 or 400
+ */
+const recordPayment = async (violationId, data, cashier) => {
+  const firebaseService = getFirebaseService();
+  const amount = roundAmount(Number(data.amount));
+
+  const result = await firebaseService.runTransaction(async (tx) => {
+    const violation = await tx.get('violations', violationId);
+    const intent = data.payment_intent_id
+      ? await tx.get(PAYMENT_INTENTS_COLLECTION, data.payment_intent_id)
+      : null;
+    if (!violation) {
+      throw paymentError('Violation not found', 404);
+    }
+    if (intent && intent.status === 'paid') {
+      return { duplicate: true, paymentId: intent.payment_id };
+    }
+    if (!PAYABLE_STATUSES.includes(violation.status)) {
+      throw paymentError(`Cannot record a payment for a ${violation.status} violation`, 409);
+    }
+
+    const balance = getBalance(violation);
+    if (amount > balance) {
+      throw paymentError(`Payment of PHP${amount} exceeds the balance of PHP${balance}`, 400);
+    }
+
+    const lastSequence = await readReceiptCounter(tx);
+    const sequence = lastSequence + 1;
+    const orNumber = formatReceiptNumber(sequence);
+
+    const payment = {
+      violation_id: violationId,
+      violation_number: violation.violation_number,
+      type: 'payment',
+      status: 'posted',
+      amount,
+      method: data.method,
+      reference_number: data.reference_number || '',
+      notes: data.notes || '',
+      or_number: orNumber,
+      or_sequence: sequence,
+      cashier_id: cashier.id,
+      payment_intent_id: intent ? intent.id : null,
+      paid_at: new Date()
+    };
+
+    writeReceiptCounter(tx, lastSequence, sequence);
+    const paymentId = tx.create(PAYMENTS_COLLECTION, payment);
+    if (intent) {
+      tx.update(PAYMENT_INTENTS_COLLECTION, intent.id, {
+        status: 'paid',
+        payment_id: paymentId,
+        or_number: orNumber,
+        paid_at: new Date()
+      });
+    }
+
+    const amountPaid = roundAmount((Number(violation.amount_paid) || 0) + amount);
+    const { updates, transition } = settleViolation(tx, violation, amountPaid, `Paid in full (${orNumber})`);
+    tx.update('violations', violationId, updates);
+
+    return { before: violation, paymentId, transition };
+  });
+
+  if (result.duplicate) {
+    const payment = await firebaseService.findById(PAYMENTS_COLLECTION, result.paymentId);
+    const violation = await firebaseService.findById('violations', violationId);
+    return { payment, violation, duplicate: true };
+  }
+
+  const violation = await afterPaymentChange(violationId, result.before, result.transition);
+  const payment = await firebaseService.findById(PAYMENTS_COLLECTION, result.paymentId);
+  return { payment, violation, duplicate: false };
+};
+
+/**
+ * Void a posted payment (entered by mistake); the OR number stays used
+ * @param {string} violationId - Violation id
+ * @param {string} paymentId - Payment id
+ * @param {object} user - { id } of the user voiding it
+ * @param {string} reason - Why the payment is voided
+ * @returns {Promise<{payment: object, violation: object}>}
+ */
+const voidPayment = async (violationId, paymentId, user, reason) => {
+  const firebaseService = getFirebaseService();
+
+  const result = await firebaseService.runTransaction(async (tx) => {
+    const violation = await tx.get('violations', violationId);
+    const payment = await tx.get(PAYMENTS_COLLECTION, paymentId);
+    if (!violation || !payment || payment.violation_id !== violationId) {
+      throw paymentError('Payment not found', 404);
+    }
+    if (payment.status === 'voided') {
+      throw paymentError(`${payment.or_number} is already voided`, 409);
+    }
+    if (payment.type === 'payment' && (Number(payment.refunded_amount) || 0) > 0) {
+      throw paymentError(`${payment.or_number} has refunds; void the refunds first`, 409);
+    }
+
+    let refundedPayment = null;
+    if (payment.type === 'refund') {
+      refundedPayment = await tx.get(PAYMENTS_COLLECTION, payment.refund_of);
+    }
+
+    tx.update(PAYMENTS_COLLECTION, paymentId, {
+      status: 'voided',
+      voided_at: new Date(),
+      voided_by: user.id,
+      void_reason: reason
+    });
+
+    // A voided refund no longer counts against the original payment
+    if (refundedPayment) {
+      tx.update(PAYMENTS_COLLECTION, refundedPayment.id, {
+        refunded_amount: roundAmount((Number(refundedPayment.refunded_amount) || 0) - Math.abs(payment.amount))
+      });
+    }
+
+    // Refund entries carry a negative amount, so voiding one adds it back
+    const amountPaid = roundAmount((Number(violation.amount_paid) || 0) - payment.amount);
+    const { updates, transition } = settleViolation(tx, violation, amountPaid, `${payment.or_number} voided: ${reason}`);
+    tx.update('violations', violationId, updates);
+
+    return { before: violation, transition };
+  });
+
+  const violation = await afterPaymentChange(violationId, result.before, result.transition);
+  const payment = await firebaseService.findById(PAYMENTS_COLLECTION, paymentId);
+  return { payment, violation };
+};
+
+/**
+ * Refund part or all of a posted payment; the refund gets its own OR number
+ * @param {string} violationId - Violation id
+ * @param {string} paymentId - Payment being refunded
+ * @param {object} data - { amount, reason }
+ * @param {object} user - { id } of the user issuing the refund
+ * @returns {Promise<{refund: object, violation: object}>}
+ */
+const refundPayment = async (violationId, paymentId, data, user) => {
+  const firebaseService = getFirebaseService();
+  const amount = roundAmount(Number(data.amount));
+
+  const result = await firebaseService.runTransaction(async (tx) => {
+    const violation = await tx.get('violations', violationId);
+    const payment = await tx.get(PAYMENTS_COLLECTION, paymentId);
+    if (!violation || !payment || payment.violation_id !== violationId) {
+      throw paymentError('Payment not found', 404);
+    }
+    if (payment.type !== 'payment' || payment.status !== 'posted') {
+      throw paymentError(`${payment.or_number} cannot be refunded`, 409);
+    }
+
+    const refundable = roundAmount(payment.amount - (Number(payment.refunded_amount) || 0));
+    if (amount > refundable) {
+      throw paymentError(`Refund of PHP${amount} exceeds the refundable PHP${refundable} on ${payment.or_number}`, 400);
+    }
+
+    const lastSequence = await readReceiptCounter(tx);
+    const sequence = lastSequence + 1;
+    const orNumber = formatReceiptNumber(sequence);
+
+    writeReceiptCounter(tx, lastSequence, sequence);
+    const refundId = tx.create(PAYMENTS_COLLECTION, {
+      violation_id: violationId,
+      violation_number: violation.violation_number,
+      type: 'refund',
+      status: 'posted',
+      amount: -amount,
+      method: payment.method,
+      reference_number: '',
+      notes: data.reason,
+      refund_of: paymentId,
+      refund_of_or_number: payment.or_number,
+      or_number: orNumber,
+      or_sequence: sequence,
+      cashier_id: user.id,
+      paid_at: new Date()
+    });
+    tx.update(PAYMENTS_COLLECTION, paymentId, {
+      refunded_amount: roundAmount((Number(payment.refunded_amount) || 0) + amount)
+    });
+
+    const amountPaid = roundAmount((Number(violation.amount_paid) || 0) - amount);
+    const { updates, transition } = settleViolation(tx, violation, amountPaid, `Refund ${orNumber} of ${payment.or_number}: ${data.reason}`);
+    tx.update('violations', violationId, updates);
+
+    return { before: violation, refundId, transition };
+  });
+
+  const violation = await afterPaymentChange(violationId, result.before, result.transition);
+  const refund = await firebaseService.findById(PAYMENTS_COLLECTION, result.refundId);
+  return { refund, violation };
+};
+
+/**
+ * @param {string} violationId - Violation id
+ * @returns {Promise<object[]>} Payments and refunds in OR order
+ */
+const getPayments = async (violationId) => {
+  const firebaseService = getFirebaseService();
+  const payments = await firebaseService.findMany(PAYMENTS_COLLECTION, { violation_id: violationId }, { sortInMemory: false });
+  return payments.sort((a, b) => a.or_sequence - b.or_sequence);
+};
+
+module.exports = {
+  PAYMENTS_COLLECTION,
+  PAYMENT_INTENTS_COLLECTION,
+  PAYMENT_METHODS,
+  PAYABLE_STATUSES,
+  getBalance,
+  recordPayment,
+  voidPayment,
+  refundPayment,
+  getPayments
+};
@@ -0,0 +1,95 @@
+const axios = require('axios');
+const { PaymentGateway, gatewayError } = require('./paymentGateway');
+
+const PAYMONGO_API_URL = 'https://api.paymongo.com/v1';
+
+// PayMongo payment method names -> our payment methods
+const METHOD_MAP = {
+  gcash: 'gcash',
+  paymaya: 'maya',
+  card: 'card'
+};
+
+// PayMongo event types -> provider-neutral types. A failed attempt leaves the
+// checkout session open for another try, so only successful payments matter.
+const EVENT_TYPES = {
+  'checkout_session.payment.paid': 'payment.paid'
+};
+
+const toCentavos = (amount) => Math.round(Number(amount) * 100);
+const fromCentavos = (amount) => Math.round(Number(amount)) / 100;
+
+/**
+ * PayMongo hosted checkout (Checkout Sessions API)
+ *
+ * Needs PAYMONGO_SECRET_KEY for the API and PAYMONGO_WEBHOOK_SECRET for the
+ * webhook registered for checkout_session.payment.paid.
+ */
+class PaymongoGateway extends PaymentGateway {
+  constructor() {
+    super({ name: 'paymongo', webhookSecret: process.env.PAYMONGO_WEBHOOK_SECRET });
+    this.secretKey = process.env.PAYMONGO_SECRET_KEY;
+  }
+
+  async createPaymentIntent({ amount, description, reference, successUrl, cancelUrl, metadata = {} }) {
+    if (!this.secretKey) {
+      throw gatewayError('PayMongo secret key is not configured', 'GATEWAY_NOT_CONFIGURED', 503);
+    }
+
+    const response = await axios.post(`${PAYMONGO_API_URL}/checkout_sessions`, {
+      data: {
+        attributes: {
+          line_items: [{
+            name: description,
+            amount: toCentavos(amount),
+            currency: 'PHP',
+            quantity: 1
+          }],
+          payment_method_types: Object.keys(METHOD_MAP),
+          reference_number: reference,
+          description,
+          success_url: successUrl,
+          cancel_url: cancelUrl,
+          send_email_receipt: false,
+          show_description: true,
+          metadata
+        }
+      }
+    }, {
+      auth: { username: this.secretKey, password: '' },
+      timeout: 15000
+    });
+
+    const session = response.data.data;
+    return {
+      intent_id: session.id,
+      checkout_url: session.attributes.checkout_url
+    };
+  }
+
+  parseWebhook(rawBody, headers) {
+    // te = test mode signature, li = live mode signature
+    this.verifySignature(headers['paymongo-signature'], rawBody, ['te', 'li']);
+
+    const event = JSON.parse(rawBody.toString('utf8')).data;
+    const resource = event.attributes.data;
+    const type = EVENT_TYPES[event.attributes.type] || event.attributes.type;
+
+    if (type === 'payment.paid') {
+      const payment = (resource.attributes.payments || [])[0] || { attributes: {} };
+      return {
+        id: event.id,
+        type,
+        intent_id: resource.id,
+        amount: fromCentavos(payment.attributes.amount),
+        method: METHOD_MAP[resource.attributes.payment_method_used] || 'card',
+        reference: payment.id || resource.id,
+        paid_at: payment.attributes.paid_at ? new Date(payment.attributes.paid_at * 1000) : new Date()
+      };
+    }
+
+    return { id: event.id, type, intent_id: resource?.id || null };
+  }
+}
+
+module.exports = PaymongoGateway;
@@ -0,0 +1,47 @@
+/**
+ * Evidence photo storage adapter base class
+ *
+ * Photo files live outside the database; a violation only keeps the keys of
+ * its originals and thumbnails (e.g. "violations/<violationId>/<photoId>.jpg").
+ * Every backend (local disk, Firebase Storage) extends this class and stores
+ * and returns raw bytes by key, so the photo service never needs to know where
+ * the files are.
+ */
+class PhotoStorage {
+  /**
+   * @param {object} options - { name }
+   */
+  constructor({ name }) {
+    this.name = name;
+  }
+
+  /**
+   * Store a file, replacing any file with the same key
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer, contentType) {
+    throw new Error(`${this.name} photo storage does not implement save`);
+  }
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} File contents, or null if there is no such file
+   */
+  async read(key) {
+    throw new Error(`${this.name} photo storage does not implement read`);
+  }
+
+  /**
+   * Delete a file; deleting a missing file is not an error
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    throw new Error(`${this.name} photo storage does not implement remove`);
+  }
+}
+
+module.exports = PhotoStorage;
@@ -119,8 +119,7 @@ const sendSMS = async (phoneNumber, message, violationId = null) => {
 
 const getSMSLogs = async (filters = {}) => {
   try {
-    const { page = 1, limit = 10, status = '', phone_number = '' } = filters;
-    const offset = (page - 1) * limit;
+    const { limit = 10, cursor = '', status = '', phone_number = '' } = filters;
 
     const firebaseService = getFirebaseService();
 
@@ -135,10 +134,11 @@ const getSMSLogs = async (filters = {}) => {
       conditions.phone_number = phone_number;
     }
 
-    // Get SMS logs
-    const logs = await firebaseService.getSmsLogs(conditions, {
-      offset: offset,
-      limit: parseInt(limit)
+    // Get one page of SMS logs (newest first)
+    const page = await firebaseService.findPage('sms_logs', conditions, {
+      limit: parseInt(limit),
+      cursor: cursor || null,
+      orderBy: { field: 'created_at', direction: 'desc' }
     });
 
     // Get total count
@@ -147,10 +147,11 @@ const getSMSLogs = async (filters = {}) => {
     return {
       success: true,
       data: {
-        logs,
+        logs: page.items,
         pagination: {
-          current: parseInt(page),
-          total: Math.ceil(totalLogs / limit),
+          limit: parseInt(limit),
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore,
           totalRecords: totalLogs
         }
       }
@@ -158,7 +159,7 @@ const getSMSLogs = async (filters = {}) => {
 
   } catch (error) {
     console.error('Get SMS logs error:', error);
-    return { success: false, message: 'Failed to get SMS logs' };
+    return { success: false, message: error.code === 'INVALID_CURSOR' ? error.message : 'Failed to get SMS logs' };
   }
 };
 
@@ -0,0 +1,325 @@
+const { getFirebaseService } = require('../config/database');
+const { violationDateOf, toManila } = require('../utils/dateUtils');
+
+/**
+ * Pre-aggregated violation statistics
+ *
+ * One document per day (`day_YYYY-MM-DD`) and per month (`month_YYYY-MM`) in
+ * the violation_stats collection, bucketed by the violation's violation_date
+ * (when it was committed, not when it was recorded) in Philippine time:
+ *   {
+ *     period: 'day' | 'month',
+ *     period_key: '2024-05-17' | '2024-05',
+ *     totals: bucket,
+ *     by_status: { [status]: bucket },
+ *     by_type: { [violation_type]: bucket },
+ *     by_enforcer: { [enforcer_id]: bucket },
+ *     by_location: { [location]: bucket }
+ *   }
+ * where bucket = { count, fines, paid_count, paid_fines, surcharges, paid_surcharges }.
+ * fines are the original fine_amount; late-payment surcharges are counted separately.
+ *
+ * Counters are updated after every violation write. If an update fails the
+ * error is logged and the `meta_status` document is marked stale, which the
+ * dashboard reports until `npm run rebuild-stats` recomputes everything.
+ */
+
+const STATS_COLLECTION = 'violation_stats';
+const DIMENSIONS = ['by_status', 'by_type', 'by_enforcer', 'by_location'];
+const DAY_FORMAT = 'YYYY-MM-DD';
+const MONTH_FORMAT = 'YYYY-MM';
+const STATUS_DOC_ID = 'meta_status';
+
+const emptyBucket = () => ({ count: 0, fines: 0, paid_count: 0, paid_fines: 0, surcharges: 0, paid_surcharges: 0 });
+
+const emptyStats = (period, periodKey) => ({
+  period,
+  period_key: periodKey,
+  totals: emptyBucket(),
+  by_status: {},
+  by_type: {},
+  by_enforcer: {},
+  by_location: {}
+});
+
+const dayKey = (date) => toManila(date).format(DAY_FORMAT);
+const monthKey = (date) => toManila(date).format(MONTH_FORMAT);
+const statsDocId = (period, periodKey) => `${period}_${periodKey}`;
+
+/**
+ * Where a violation is counted and with which values
+ * @returns {object|null} null for violations without a date (nothing to count)
+ */
+const contributionOf = (violation) => {
+  const violationDate = violation ? violationDateOf(violation) : null;
+  if (!violationDate || isNaN(violationDate)) return null;
+
+  const dimensions = {
+    by_status: violation.status || 'pending',
+    by_type: violation.violation_type || 'Unknown',
+    by_location: violation.location || 'Unknown'
+  };
+  // Device captures have no enforcer; they only count toward the other dimensions
+  if (violation.enforcer_id) {
+    dimensions.by_enforcer = violation.enforcer_id;
+  }
+
+  return {
+    docIds: [statsDocId('day', dayKey(violationDate)), statsDocId('month', monthKey(violationDate))],
+    dimensions,
+    fine: parseFloat(violation.fine_amount) || 0,
+    surcharge: parseFloat(violation.surcharge_total) || 0,
+    paid: violation.status === 'paid'
+  };
+};
+
+const sameContribution = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const addToBucket = (bucket, contribution, sign) => {
+  bucket.count += sign;
+  bucket.fines += sign * contribution.fine;
+  bucket.surcharges = (bucket.surcharges || 0) + sign * contribution.surcharge;
+  if (contribution.paid) {
+    bucket.paid_count += sign;
+    bucket.paid_fines += sign * contribution.fine;
+    bucket.paid_surcharges = (bucket.paid_surcharges || 0) + sign * contribution.surcharge;
+  }
+};
+
+// Add (sign = 1) or remove (sign = -1) a violation's contribution to a stats document
+const applyContribution = (stats, contribution, sign) => {
+  addToBucket(stats.totals, contribution, sign);
+
+  Object.entries(contribution.dimensions).forEach(([dimension, key]) => {
+    if (!stats[dimension][key]) {
+      stats[dimension][key] = emptyBucket();
+    }
+    addToBucket(stats[dimension][key], contribution, sign);
+    if (stats[dimension][key].count <= 0) {
+      delete stats[dimension][key];
+    }
+  });
+};
+
+// Keep only the stored fields (drops id and timestamps returned by the backend)
+const toStatsFields = (doc, period, periodKey) => {
+  const stats = emptyStats(period, periodKey);
+  if (!doc) return stats;
+
+  stats.totals = { ...stats.totals, ...doc.totals };
+  DIMENSIONS.forEach(dimension => {
+    stats[dimension] = { ...(doc[dimension] || {}) };
+  });
+  return stats;
+};
+
+// Record that the counters missed a write; rebuildViolationStats removes the marker
+const markStatsStale = async (violation, error) => {
+  try {
+    const firebaseService = getFirebaseService();
+    await firebaseService.runTransaction(async (tx) => {
+      const current = await tx.get(STATS_COLLECTION, STATUS_DOC_ID);
+      tx.set(STATS_COLLECTION, STATUS_DOC_ID, {
+        period: 'meta',
+        stale: true,
+        stale_since: current?.stale_since || new Date(),
+        failed_writes: (Number(current?.failed_writes) || 0) + 1,
+        last_violation: violation?.violation_number || violation?.id || null,
+        last_error: error.message
+      });
+    });
+  } catch (markError) {
+    console.error('❌ Failed to mark violation stats as stale:', markError);
+  }
+};
+
+/**
+ * Update the counters for a violation write
+ * @param {object|null} before - Violation before the write (null when created)
+ * @param {object|null} after - Violation after the write (null when deleted)
+ */
+const recordViolationStats = async (before, after) => {
+  try {
+    const removed = contributionOf(before);
+    const added = contributionOf(after);
+
+    if (sameContribution(removed, added)) {
+      return;
+    }
+
+    const firebaseService = getFirebaseService();
+    await firebaseService.runTransaction(async (tx) => {
+      const docIds = [...new Set([...(removed ? removed.docIds : []), ...(added ? added.docIds : [])])];
+
+      // Read everything first (Firestore requires reads before writes)
+      const docs = {};
+      for (const docId of docIds) {
+        const [period, periodKey] = docId.split('_');
+        docs[docId] = toStatsFields(await tx.get(STATS_COLLECTION, docId), period, periodKey);
+      }
+
+      if (removed) {
+        removed.docIds.forEach(docId => applyContribution(docs[docId], removed, -1));
+      }
+      if (added) {
+        added.docIds.forEach(docId => applyContribution(docs[docId], added, 1));
+      }
+
+      docIds.forEach(docId => tx.set(STATS_COLLECTION, docId, docs[docId]));
+    });
+  } catch (error) {
+    const violation = after || before;
+    console.error(`❌ Failed to update stats for violation ${violation?.violation_number || violation?.id} (run "npm run rebuild-stats" to resync):`, error);
+    await markStatsStale(violation, error);
+  }
+};
+
+/**
+ * Whether the counters have missed a write since the last rebuild
+ * @returns {Promise<object>} { stale, stale_since, failed_writes, last_violation, last_error }
+ */
+const getStatsStatus = async () => {
+  const firebaseService = getFirebaseService();
+  const doc = await firebaseService.findById(STATS_COLLECTION, STATUS_DOC_ID);
+  if (!doc || !doc.stale) {
+    return { stale: false };
+  }
+  return {
+    stale: true,
+    stale_since: doc.stale_since,
+    failed_writes: doc.failed_writes,
+    last_violation: doc.last_violation,
+    last_error: doc.last_error
+  };
+};
+
+/**
+ * Merge several stats documents into one
+ * @param {object[]} docs - Stats documents
+ * @returns {object} Summed totals and dimension buckets
+ */
+const mergeStats = (docs) => {
+  const merged = emptyStats(null, null);
+
+  docs.forEach(doc => {
+    Object.keys(merged.totals).forEach(field => {
+      merged.totals[field] += doc.totals?.[field] || 0;
+    });
+
+    DIMENSIONS.forEach(dimension => {
+      Object.entries(doc[dimension] || {}).forEach(([key, bucket]) => {
+        if (!merged[dimension][key]) {
+          merged[dimension][key] = emptyBucket();
+        }
+        Object.keys(bucket).forEach(field => {
+          merged[dimension][key][field] += bucket[field] || 0;
+        });
+      });
+    });
+  });
+
+  return merged;
+};
+
+/**
+ * Stats documents for a range of days or months (inclusive)
+ * @param {string} period - 'day' or 'month'
+ * @param {Date|string} start - Start of the range (null for no lower bound)
+ * @param {Date|string} end - End of the range (null for no upper bound)
+ * @returns {Promise<object[]>} Documents ordered by period_key
+ */
+const getStatsRange = async (period, start = null, end = null) => {
+  const firebaseService = getFirebaseService();
+  const periodKey = period === 'day' ? dayKey : monthKey;
+
+  return firebaseService.findMany(STATS_COLLECTION, {
+    period,
+    period_key: {
+      '>=': start ? periodKey(start) : null,
+      '<=': end ? periodKey(end) : null
+    }
+  }, {
+    orderBy: { field: 'period_key', direction: 'asc' }
+  });
+};
+
+/**
+ * Stats for a single day or month
+ * @param {string} period - 'day' or 'month'
+ * @param {Date|string} date - Any date inside the period
+ * @returns {Promise<object>} Stats document (zeroed when nothing was recorded)
+ */
+const getStatsFor = async (period, date) => {
+  const firebaseService = getFirebaseService();
+  const periodKey = period === 'day' ? dayKey(date) : monthKey(date);
+  const doc = await firebaseService.findById(STATS_COLLECTION, statsDocId(period, periodKey));
+  return toStatsFields(doc, period, periodKey);
+};
+
+// All-time stats are the sum of the monthly documents
+const getAllTimeStats = async () => mergeStats(await getStatsRange('month'));
+
+/**
+ * Recompute every stats document from the violations collection
+ * @returns {Promise<{violations: number, documents: number}>}
+ */
+const rebuildViolationStats = async ({ batchSize = 500 } = {}) => {
+  const firebaseService = getFirebaseService();
+  const docs = {};
+  let processed = 0;
+  let cursor = null;
+
+  do {
+    const page = await firebaseService.findPage('violations', {}, { limit: batchSize, cursor });
+
+    page.items.forEach(violation => {
+      const contribution = contributionOf(violation);
+      if (!contribution) return;
+
+      contribution.docIds.forEach(docId => {
+        if (!docs[docId]) {
+          const [period, periodKey] = docId.split('_');
+          docs[docId] = emptyStats(period, periodKey);
+        }
+        applyContribution(docs[docId], contribution, 1);
+      });
+    });
+
+    processed += page.items.length;
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  // Replace the existing documents; stale periods with no violations left and
+  // the stale marker are removed
+  const existing = await firebaseService.findMany(STATS_COLLECTION);
+  const writes = [
+    ...existing.filter(doc => !docs[doc.id]).map(doc => ({ id: doc.id, data: null })),
+    ...Object.entries(docs).map(([id, data]) => ({ id, data }))
+  ];
+
+  // Firestore caps a transaction at 500 writes
+  for (let i = 0; i < writes.length; i += batchSize) {
+    await firebaseService.runTransaction(async (tx) => {
+      writes.slice(i, i + batchSize).forEach(({ id, data }) => {
+        if (data) {
+          tx.set(STATS_COLLECTION, id, data);
+        } else {
+          tx.delete(STATS_COLLECTION, id);
+        }
+      });
+    });
+  }
+
+  return { violations: processed, documents: Object.keys(docs).length };
+};
+
+module.exports = {
+  STATS_COLLECTION,
+  recordViolationStats,
+  rebuildViolationStats,
+  getStatsStatus,
+  mergeStats,
+  getStatsRange,
+  getStatsFor,
+  getAllTimeStats
+};
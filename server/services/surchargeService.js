@@ -0,0 +1,259 @@
+const { getFirebaseService } = require('../config/database');
+const { toDate, toManila } = require('../utils/dateUtils');
+const { recordViolationStats } = require('./statsService');
+
+/**
+ * Late-payment surcharges
+ *
+ * The policy lives in system_settings (late_surcharge_* fields). A daily job
+ * adds one line item per elapsed period to the violation's surcharges
+ * subcollection (violations/{id}/surcharges, doc id `period_N`) and keeps a
+ * running surcharge_total on the violation. fine_amount is never changed; the
+ * amount due is fine_amount + surcharge_total.
+ */
+
+const SURCHARGE_TYPES = ['flat', 'percentage'];
+const SURCHARGE_FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+
+// Only unpaid violations accrue; disputed violations wait for adjudication
+const ACCRUING_STATUSES = ['pending', 'issued'];
+
+const DEFAULT_SURCHARGE_POLICY = {
+  late_surcharge_enabled: false,
+  late_surcharge_type: 'percentage',
+  late_surcharge_amount: 0,
+  late_surcharge_frequency: 'once',
+  late_surcharge_cap: 0
+};
+
+const surchargesCollection = (violationId) => `violations/${violationId}/surcharges`;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * @returns {Promise<object>} Surcharge policy from system settings, with defaults
+ */
+const getSurchargePolicy = async () => {
+  const firebaseService = getFirebaseService();
+  const settings = await firebaseService.getSettings();
+  const stored = settings && settings.length > 0 ? settings[0] : {};
+
+  const policy = { ...DEFAULT_SURCHARGE_POLICY };
+  Object.keys(policy).forEach(field => {
+    if (stored[field] !== undefined && stored[field] !== null && stored[field] !== '') {
+      policy[field] = stored[field];
+    }
+  });
+
+  return {
+    enabled: policy.late_surcharge_enabled === true || policy.late_surcharge_enabled === 'true',
+    type: policy.late_surcharge_type,
+    amount: Number(policy.late_surcharge_amount) || 0,
+    frequency: policy.late_surcharge_frequency,
+    cap: Number(policy.late_surcharge_cap) || 0
+  };
+};
+
+/**
+ * Number of surcharge periods that have started since the due date
+ * @param {object} policy - Surcharge policy
+ * @param {Date} dueDate - Violation due date
+ * @param {Date} asOf - Date the surcharges are computed for
+ * @returns {number} 0 while not yet overdue
+ */
+const periodsElapsed = (policy, dueDate, asOf = new Date()) => {
+  // Days are counted in Manila, where due dates end and the job runs
+  const due = toManila(dueDate).startOf('day');
+  const today = toManila(asOf).startOf('day');
+  const daysOverdue = today.diff(due, 'days');
+  if (daysOverdue <= 0) return 0;
+
+  switch (policy.frequency) {
+    case 'daily':
+      return daysOverdue;
+    case 'weekly':
+      return Math.ceil(daysOverdue / 7);
+    case 'monthly':
+      // Day 1 overdue starts the first month, one month after the due date the second
+      return today.clone().subtract(1, 'day').diff(due, 'months') + 1;
+    default:
+      return 1;
+  }
+};
+
+/**
+ * Surcharge for one period
+ * @param {object} policy - Surcharge policy
+ * @param {number} fineAmount - Original fine
+ * @returns {number} Amount in PHP
+ */
+const surchargePerPeriod = (policy, fineAmount) => {
+  if (policy.type === 'flat') return roundAmount(policy.amount);
+  return roundAmount((Number(fineAmount) || 0) * policy.amount / 100);
+};
+
+/**
+ * @param {object} violation - Violation record
+ * @returns {number} Fine plus accrued surcharges
+ */
+const getAmountDue = (violation) => {
+  return roundAmount((Number(violation.fine_amount) || 0) + (Number(violation.surcharge_total) || 0));
+};
+
+// Add amount_due, amount_paid and balance to each violation for API responses
+const withAmountDue = (violations) => violations.map(violation => {
+  const amountDue = getAmountDue(violation);
+  const amountPaid = Number(violation.amount_paid) || 0;
+  return {
+    ...violation,
+    surcharge_total: Number(violation.surcharge_total) || 0,
+    amount_due: amountDue,
+    amount_paid: amountPaid,
+    balance: roundAmount(amountDue - amountPaid)
+  };
+});
+
+/**
+ * Add the line items for any periods that elapsed since the last run
+ * @param {string} violationId - Violation id
+ * @param {object} policy - Surcharge policy
+ * @param {Date} asOf - Date the surcharges are computed for
+ * @returns {Promise<object[]>} Line items added (empty when nothing was due)
+ */
+const accrueSurcharges = async (violationId, policy, asOf = new Date()) => {
+  const firebaseService = getFirebaseService();
+
+  const result = await firebaseService.runTransaction(async (tx) => {
+    const violation = await tx.get('violations', violationId);
+    if (!violation || !ACCRUING_STATUSES.includes(violation.status) || !violation.due_date) {
+      return null;
+    }
+
+    const targetPeriods = periodsElapsed(policy, toDate(violation.due_date), asOf);
+    const accruedPeriods = Number(violation.surcharge_periods) || 0;
+    if (targetPeriods <= accruedPeriods) {
+      return null;
+    }
+
+    const perPeriod = surchargePerPeriod(policy, violation.fine_amount);
+    let total = Number(violation.surcharge_total) || 0;
+    const added = [];
+
+    for (let period = accruedPeriods + 1; period <= targetPeriods; period++) {
+      const remaining = policy.cap > 0 ? roundAmount(policy.cap - total) : perPeriod;
+      const amount = Math.min(perPeriod, remaining);
+      if (amount <= 0) break;
+
+      const lineItem = {
+        period,
+        amount,
+        policy_type: policy.type,
+        policy_amount: policy.amount,
+        frequency: policy.frequency,
+        description: policy.frequency === 'once'
+          ? 'Late payment surcharge'
+          : `Late payment surcharge (${policy.frequency} period ${period})`,
+        accrued_on: toManila(asOf).format('YYYY-MM-DD')
+      };
+      tx.set(surchargesCollection(violationId), `period_${period}`, lineItem);
+      added.push(lineItem);
+      total = roundAmount(total + amount);
+    }
+
+    // Periods past the cap are still marked as processed so they are not retried
+    tx.update('violations', violationId, {
+      surcharge_total: total,
+      surcharge_periods: targetPeriods
+    });
+
+    return { before: violation, added };
+  });
+
+  if (!result) return [];
+
+  if (result.added.length > 0) {
+    const after = await firebaseService.findById('violations', violationId);
+    await recordViolationStats(result.before, after);
+  }
+
+  return result.added;
+};
+
+/**
+ * Daily job: accrue surcharges on every overdue, unpaid violation
+ * @param {object} options - { asOf, batchSize }
+ * @returns {Promise<object>} Summary of the run
+ */
+const applyLateSurcharges = async ({ asOf = new Date(), batchSize = 500 } = {}) => {
+  const policy = await getSurchargePolicy();
+  if (!policy.enabled || policy.amount <= 0) {
+    console.log('⏭️  Late payment surcharges are disabled; nothing to do');
+    return { success: true, enabled: false, violations: 0, lineItems: 0 };
+  }
+
+  const firebaseService = getFirebaseService();
+  const startOfDay = toManila(asOf).startOf('day').toDate();
+  let violationsSurcharged = 0;
+  let lineItems = 0;
+  let failures = 0;
+
+  for (const status of ACCRUING_STATUSES) {
+    let cursor = null;
+    do {
+      const page = await firebaseService.findPage('violations', { status }, { limit: batchSize, cursor });
+
+      for (const violation of page.items) {
+        const dueDate = toDate(violation.due_date);
+        if (!dueDate || dueDate >= startOfDay) continue;
+
+        try {
+          const added = await accrueSurcharges(violation.id, policy, asOf);
+          if (added.length > 0) {
+            violationsSurcharged++;
+            lineItems += added.length;
+          }
+        } catch (error) {
+          failures++;
+          console.error(`❌ Error applying surcharge to violation ${violation.violation_number}:`, error.message);
+        }
+      }
+
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  console.log(`💸 Late payment surcharges applied to ${violationsSurcharged} violations (${lineItems} line items)`);
+  return { success: failures === 0, enabled: true, violations: violationsSurcharged, lineItems, failures };
+};
+
+/**
+ * @param {string} violationId - Violation id
+ * @returns {Promise<object[]>} Surcharge line items, oldest period first
+ */
+const getSurcharges = async (violationId) => {
+  const firebaseService = getFirebaseService();
+  const items = await firebaseService.findMany(surchargesCollection(violationId), {}, { sortInMemory: false });
+  return items.sort((a, b) => a.period - b.period);
+};
+
+// Firestore keeps subcollections when the parent is deleted, so remove the line items explicitly
+const deleteSurcharges = async (violationId) => {
+  const firebaseService = getFirebaseService();
+  const items = await firebaseService.findMany(surchargesCollection(violationId), {}, { sortInMemory: false });
+  await Promise.all(items.map(item => firebaseService.delete(surchargesCollection(violationId), item.id)));
+};
+
+module.exports = {
+  SURCHARGE_TYPES,
+  SURCHARGE_FREQUENCIES,
+  DEFAULT_SURCHARGE_POLICY,
+  getSurchargePolicy,
+  periodsElapsed,
+  surchargePerPeriod,
+  getAmountDue,
+  withAmountDue,
+  accrueSurcharges,
+  applyLateSurcharges,
+  getSurcharges,
+  deleteSurcharges
+};
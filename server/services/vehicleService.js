@@ -0,0 +1,182 @@
+const { getFirebaseService } = require('../config/database');
+const { withAmountDue } = require('./surchargeService');
+const { VIOLATORS_COLLECTION } = require('./violatorService');
+
+/**
+ * Vehicle registry
+ *
+ * One document per plate in the vehicles collection, keyed by the plate
+ * number with spaces, dashes and case removed ("ABC 1234" and "abc-1234" are
+ * the same vehicle):
+ *   { plate_number, brand, model, variant, color, owner_id, created_at, updated_at }
+ * owner_id is the registered owner's violator id; it is set by an admin since
+ * the driver on a ticket is not necessarily the owner.
+ *
+ * Violations reference the vehicle through vehicle_id. When a violation is
+ * recorded, details missing from the ticket are filled in from the registry
+ * (so a device only needs the plate) and details missing from the registry are
+ * taken from the ticket. Details already in the registry are not overwritten by
+ * tickets, which are typed on a keypad and often inconsistent; admins correct
+ * them on the vehicle page.
+ */
+
+const VEHICLES_COLLECTION = 'vehicles';
+
+// Registry field -> violation field
+const VEHICLE_FIELDS = {
+  brand: 'vehicle_brand',
+  model: 'vehicle_model',
+  variant: 'vehicle_variant',
+  color: 'vehicle_color'
+};
+
+const vehicleError = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'VEHICLE_ERROR';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * @param {string} plate - Plate number as written
+ * @returns {string|null} Vehicle id, or null for a blank plate
+ */
+const vehicleIdFor = (plate) => {
+  const id = String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return id || null;
+};
+
+/**
+ * Find or register the vehicle of a new violation
+ * @param {object} data - Violation fields (vehicle_plate, vehicle_brand, vehicle_model, vehicle_variant, vehicle_color)
+ * @returns {Promise<object>} vehicle_id and the vehicle_* fields to store on the
+ *   violation, with blanks filled in from the registry
+ */
+const linkVehicle = async (data) => {
+  const fields = {
+    vehicle_id: vehicleIdFor(data.vehicle_plate),
+    vehicle_plate: (data.vehicle_plate || '').trim().toUpperCase()
+  };
+  Object.values(VEHICLE_FIELDS).forEach(violationField => {
+    fields[violationField] = (data[violationField] || '').trim();
+  });
+  if (!fields.vehicle_id) return fields;
+
+  const firebaseService = getFirebaseService();
+  await firebaseService.runTransaction(async (tx) => {
+    const existing = await tx.get(VEHICLES_COLLECTION, fields.vehicle_id);
+
+    if (!existing) {
+      const vehicle = { plate_number: fields.vehicle_plate, owner_id: null };
+      Object.entries(VEHICLE_FIELDS).forEach(([field, violationField]) => {
+        vehicle[field] = fields[violationField];
+      });
+      tx.set(VEHICLES_COLLECTION, fields.vehicle_id, vehicle);
+      return;
+    }
+
+    const missing = {};
+    Object.entries(VEHICLE_FIELDS).forEach(([field, violationField]) => {
+      if (existing[field] && !fields[violationField]) {
+        fields[violationField] = existing[field];
+      } else if (!existing[field] && fields[violationField]) {
+        missing[field] = fields[violationField];
+      }
+    });
+    if (Object.keys(missing).length > 0) {
+      tx.update(VEHICLES_COLLECTION, fields.vehicle_id, missing);
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Vehicle details for a plate, used to pre-fill a ticket
+ * @param {string} plate - Plate number in any format
+ * @returns {Promise<object|null>} The vehicle, or null when the plate is not registered
+ */
+const lookupVehicle = async (plate) => {
+  const id = vehicleIdFor(plate);
+  if (!id) return null;
+  return getFirebaseService().findById(VEHICLES_COLLECTION, id);
+};
+
+/**
+ * Search the registry by plate, make or model
+ * @returns {Promise<object>} Page of vehicles ({ items, nextCursor, hasMore })
+ */
+const searchVehicles = async ({ search = '', limit = 20, cursor = null } = {}) => {
+  const firebaseService = getFirebaseService();
+  const term = search.trim().toLowerCase();
+  const plateTerm = vehicleIdFor(search);
+
+  return firebaseService.findPage(VEHICLES_COLLECTION, {}, {
+    limit,
+    cursor,
+    orderBy: { field: 'plate_number', direction: 'asc' },
+    filter: term
+      ? (vehicle) => (!!plateTerm && vehicleIdFor(vehicle.plate_number).includes(plateTerm))
+        || `${vehicle.brand || ''} ${vehicle.model || ''}`.toLowerCase().includes(term)
+      : null
+  });
+};
+
+/**
+ * A vehicle with its owner and violation history
+ * @param {string} id - Vehicle id
+ * @returns {Promise<object|null>} { vehicle, owner, violations } or null when not found
+ */
+const getVehicleProfile = async (id) => {
+  const firebaseService = getFirebaseService();
+  const vehicle = await firebaseService.findById(VEHICLES_COLLECTION, id);
+  if (!vehicle) return null;
+
+  const [owner, violations] = await Promise.all([
+    vehicle.owner_id ? firebaseService.findById(VIOLATORS_COLLECTION, vehicle.owner_id) : null,
+    firebaseService.findMany('violations', { vehicle_id: id })
+  ]);
+
+  return { vehicle, owner, violations: withAmountDue(violations) };
+};
+
+/**
+ * Correct a vehicle's details or set its owner
+ * @param {string} id - Vehicle id
+ * @param {object} changes - Any of brand, model, variant, color, owner_id (null clears the owner)
+ * @returns {Promise<{before: object, vehicle: object}|null>} null when not found
+ * @throws {Error} VEHICLE_ERROR (400) when the owner is not in the violator registry
+ */
+const updateVehicle = async (id, changes) => {
+  const firebaseService = getFirebaseService();
+  const before = await firebaseService.findById(VEHICLES_COLLECTION, id);
+  if (!before) return null;
+
+  const updates = {};
+  Object.keys(VEHICLE_FIELDS).forEach(field => {
+    if (changes[field] !== undefined) {
+      updates[field] = changes[field];
+    }
+  });
+
+  if (changes.owner_id !== undefined) {
+    if (changes.owner_id && !(await firebaseService.findById(VIOLATORS_COLLECTION, changes.owner_id))) {
+      throw vehicleError('Owner must be a registered violator', 400);
+    }
+    updates.owner_id = changes.owner_id || null;
+  }
+
+  const vehicle = await firebaseService.update(VEHICLES_COLLECTION, id, updates);
+  return { before, vehicle };
+};
+
+module.exports = {
+  VEHICLES_COLLECTION,
+  VEHICLE_FIELDS,
+  vehicleIdFor,
+  linkVehicle,
+  lookupVehicle,
+  searchVehicles,
+  getVehicleProfile,
+  updateVehicle
+};
@@ -0,0 +1,144 @@
+const { getFirebaseService } = require('../config/database');
+const { sendSMS } = require('./smsService');
+const { recordViolationStats } = require('./statsService');
+const { getSurcharges, deleteSurcharges } = require('./surchargeService');
+const { PAYMENTS_COLLECTION, getPayments } = require('./paymentService');
+const { deleteDisputes } = require('./disputeService');
+const { deleteViolationPhotos } = require('./evidencePhotoService');
+const {
+  updateViolation,
+  violationNoticeMessage,
+  deleteStatusHistory
+} = require('./violationStatusService');
+
+/**
+ * Bulk actions on violations
+ *
+ * An action is applied to each selected violation on its own, one after the
+ * other, with the same rules as the single-violation endpoints (status
+ * transitions, no deleting violations with payments) plus one of its own: a
+ * violation with money paid on it is not cancelled. One violation failing
+ * does not stop the others; each gets a result of its own:
+ *   { id, violation_number, success, error, before, violation }
+ * before is the violation as it was, for the audit log.
+ */
+
+const BULK_ACTIONS = ['status', 'cancel', 'send_sms', 'delete', 'print'];
+
+const MAX_BULK_VIOLATIONS = 100;
+
+const bulkError = (message) => {
+  const error = new Error(message);
+  error.code = 'BULK_ITEM_ERROR';
+  return error;
+};
+
+const changeStatus = async (violation, { status, reason, actor }) => {
+  if (violation.status === status) {
+    throw bulkError(`Already ${status}`);
+  }
+
+  const result = await updateViolation(violation.id, { status }, { actor, reason });
+  await recordViolationStats(violation, result.violation);
+  return result.violation;
+};
+
+const ACTION_HANDLERS = {
+  status: changeStatus,
+
+  cancel: (violation, options) => {
+    // Money taken on a partly paid violation has to be given back before it is cancelled
+    const amountPaid = Number(violation.amount_paid) || 0;
+    if (amountPaid > 0) {
+      throw bulkError(`Has PHP${amountPaid} in recorded payments; refund or void them first`);
+    }
+    return changeStatus(violation, { ...options, status: 'cancelled' });
+  },
+
+  send_sms: async (violation) => {
+    if (!violation.violator_phone) {
+      throw bulkError('No phone number on record');
+    }
+
+    const result = await sendSMS(violation.violator_phone, violationNoticeMessage(violation), violation.id);
+    if (!result.success) {
+      throw bulkError(result.message || 'Failed to send SMS');
+    }
+    return violation;
+  },
+
+  delete: async (violation) => {
+    // Official receipts must stay traceable to their violation
+    const firebaseService = getFirebaseService();
+    const paymentCount = await firebaseService.count(PAYMENTS_COLLECTION, { violation_id: violation.id });
+    if (paymentCount > 0) {
+      throw bulkError('Has recorded payments; cancel it instead');
+    }
+
+    await firebaseService.deleteViolation(violation.id);
+    await recordViolationStats(violation, null);
+    await deleteStatusHistory(violation.id);
+    await deleteSurcharges(violation.id);
+    await deleteDisputes(violation.id);
+    await deleteViolationPhotos(violation);
+    return null;
+  },
+
+  // Receipts show the surcharge line items and payments, as on the single receipt
+  print: async (violation) => ({
+    ...violation,
+    surcharges: await getSurcharges(violation.id),
+    payments: await getPayments(violation.id)
+  })
+};
+
+/**
+ * Apply an action to several violations
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {string[]} ids - Violation ids (duplicates are ignored)
+ * @param {object} options
+ * @param {object} options.actor - { id, role }
+ * @param {string} options.status - Target status (status action)
+ * @param {string} options.reason - Recorded in the status history (required to cancel)
+ * @returns {Promise<object[]>} One result per id, in the order given
+ */
+const runBulkAction = async (action, ids, { actor, status = null, reason = null }) => {
+  const firebaseService = getFirebaseService();
+  const uniqueIds = [...new Set(ids)];
+  const violations = await firebaseService.findByIds('violations', uniqueIds);
+  const handler = ACTION_HANDLERS[action];
+
+  const results = [];
+  for (const id of uniqueIds) {
+    const violation = violations.get(id);
+    if (!violation) {
+      results.push({ id, violation_number: null, success: false, error: 'Violation not found' });
+      continue;
+    }
+
+    try {
+      const updated = await handler(violation, { status, reason, actor });
+      results.push({ id, violation_number: violation.violation_number, success: true, before: violation, violation: updated });
+    } catch (error) {
+      // Rule violations are reported as they are; anything else is unexpected
+      const expected = error.code === 'BULK_ITEM_ERROR' || error.code === 'INVALID_STATUS_TRANSITION';
+      if (!expected) {
+        console.error(`Bulk ${action} error for violation ${violation.violation_number}:`, error);
+      }
+      results.push({
+        id,
+        violation_number: violation.violation_number,
+        success: false,
+        error: expected ? error.message : `Failed to ${action.replace('_', ' ')}`
+      });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_VIOLATIONS,
+  runBulkAction
+};
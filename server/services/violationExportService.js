@@ -0,0 +1,293 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { getFirebaseService } = require('../config/database');
+const { toDate, violationDateOf } = require('../utils/dateUtils');
+
+/**
+ * Violation exports
+ *
+ * Violations are read in batches in list order (newest first) and written to
+ * the response as each batch arrives, so the whole set is never held in
+ * memory and the download starts right away. Each format has a writer with
+ * the same three steps: start (headers), addRows, finish.
+ */
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const EXPORT_BATCH_SIZE = 200;
+
+const TIMEZONE = 'Asia/Manila';
+
+const formatDateTime = (value) => {
+  const date = toDate(value);
+  if (!date) return '';
+  // en-CA gives year-month-day, which sorts as text
+  return date.toLocaleString('en-CA', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).replace(',', '');
+};
+
+const toAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// The PDF font has no peso sign
+const formatPesos = (value) => `P${toAmount(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// pdfWidth is in points on a landscape A4 page; columns without one are left out of the PDF
+const EXPORT_COLUMNS = [
+  { header: 'Violation #', value: v => v.violation_number, width: 22, pdfWidth: 85 },
+  { header: 'Date', value: v => formatDateTime(violationDateOf(v)), width: 18, pdfWidth: 70 },
+  { header: 'Violator', value: v => v.violator_name, width: 26, pdfWidth: 90 },
+  { header: 'License', value: v => v.violator_license, width: 18 },
+  { header: 'Plate', value: v => v.vehicle_plate, width: 12, pdfWidth: 55 },
+  { header: 'Vehicle', value: v => [v.vehicle_brand, v.vehicle_model, v.vehicle_color].filter(Boolean).join(' '), width: 24 },
+  { header: 'Type', value: v => v.violation_type, width: 30, pdfWidth: 100 },
+  { header: 'Fine', value: v => v.fine_amount, amount: true, width: 12, pdfWidth: 55 },
+  { header: 'Amount Due', value: v => v.amount_due, amount: true, width: 12 },
+  { header: 'Balance', value: v => v.status === 'cancelled' ? 0 : v.balance, amount: true, width: 12, pdfWidth: 55 },
+  { header: 'Status', value: v => v.status, width: 12, pdfWidth: 50 },
+  { header: 'Enforcer', value: v => v.enforcer_name, width: 22, pdfWidth: 85 },
+  { header: 'Badge', value: v => v.enforcer_badge, width: 12 },
+  { header: 'Location', value: v => v.location, width: 36, pdfWidth: 137 }
+];
+
+const PDF_COLUMNS = EXPORT_COLUMNS.filter(column => column.pdfWidth);
+
+// Resolves once the response can take more data, or has gone away
+const waitForDrain = (stream) => new Promise(resolve => {
+  // A closed response never drains, and its close event has already fired
+  if (stream.destroyed) {
+    resolve();
+    return;
+  }
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+// Cells starting with these are run as formulas by spreadsheet programs
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (cells) => `${cells.map(toCsvCell).join(',')}\r\n`;
+
+const createCsvWriter = (res) => {
+  const write = async (text) => {
+    if (!res.write(text)) await waitForDrain(res);
+  };
+
+  return {
+    // The byte order mark makes Excel read the file as UTF-8 (ñ in names)
+    start: () => write(`\uFEFF${toCsvLine(EXPORT_COLUMNS.map(column => column.header))}`),
+    addRows: (violations) => write(violations.map(violation => toCsvLine(EXPORT_COLUMNS.map(column => {
+      const value = column.value(violation);
+      return column.amount ? toAmount(value).toFixed(2) : value;
+    }))).join('')),
+    finish: async () => res.end()
+  };
+};
+
+const createXlsxWriter = (res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Violations', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  return {
+    start: async () => {
+      sheet.columns = EXPORT_COLUMNS.map((column, index) => ({
+        header: column.header,
+        key: String(index),
+        width: column.width,
+        ...(column.amount && { style: { numFmt: '#,##0.00' } })
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+    },
+    addRows: async (violations) => {
+      violations.forEach(violation => {
+        sheet.addRow(EXPORT_COLUMNS.map(column => {
+          const value = column.value(violation);
+          return column.amount ? toAmount(value) : (value === undefined || value === null ? '' : String(value));
+        })).commit();
+      });
+    },
+    finish: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+const createPdfWriter = (res, { title, subtitle }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const cellPadding = 3;
+
+  const rowHeight = (cells) => Math.max(...cells.map((text, index) =>
+    doc.heightOfString(text, { width: PDF_COLUMNS[index].pdfWidth - cellPadding * 2 })
+  )) + cellPadding * 2;
+
+  const drawRow = (cells, { header = false } = {}) => {
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+    const height = rowHeight(cells);
+    const top = doc.y;
+    const width = PDF_COLUMNS.reduce((sum, column) => sum + column.pdfWidth, 0);
+
+    if (header) {
+      doc.rect(left, top, width, height).fill('#16a085');
+    }
+
+    let x = left;
+    cells.forEach((text, index) => {
+      doc.fillColor(header ? '#ffffff' : '#111827')
+        .text(text, x + cellPadding, top + cellPadding, { width: PDF_COLUMNS[index].pdfWidth - cellPadding * 2 });
+      x += PDF_COLUMNS[index].pdfWidth;
+    });
+
+    doc.moveTo(left, top + height).lineTo(left + width, top + height).lineWidth(0.5).strokeColor('#d1d5db').stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  const headerCells = PDF_COLUMNS.map(column => column.header);
+
+  return {
+    start: async () => {
+      doc.font('Helvetica-Bold').fontSize(16).fillColor('#111827').text(title);
+      doc.font('Helvetica').fontSize(9).fillColor('#4b5563').text(subtitle).moveDown(0.5);
+      drawRow(headerCells, { header: true });
+    },
+    addRows: async (violations) => {
+      violations.forEach(violation => {
+        const cells = PDF_COLUMNS.map(column => {
+          const value = column.value(violation);
+          if (column.amount) return formatPesos(value);
+          return value === undefined || value === null ? '' : String(value);
+        });
+
+        doc.font('Helvetica').fontSize(7);
+        if (doc.y + rowHeight(cells) > bottom()) {
+          doc.addPage();
+          drawRow(headerCells, { header: true });
+        }
+        drawRow(cells);
+      });
+    },
+    finish: async () => {
+      doc.end();
+    }
+  };
+};
+
+/**
+ * Download name, e.g. violations_export_2025-01-31_paid_2025-01-01_to_2025-01-31.csv
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {object} filters - Applied list filters
+ * @returns {string} File name
+ */
+const exportFilename = (format, filters = {}) => {
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+  let filename = `violations_export_${today}`;
+  if (filters.status) filename += `_${filters.status}`;
+  if (filters.start_date && filters.end_date) {
+    filename += `_${filters.start_date}_to_${filters.end_date}`;
+  }
+  return `${filename.replace(/[^A-Za-z0-9_-]/g, '')}.${EXPORT_FORMATS[format].extension}`;
+};
+
+const describeFilters = (filters) => {
+  let text = `Generated on: ${new Date().toLocaleString('en-US', { timeZone: TIMEZONE })}`;
+  if (filters.status) text += ` | Status: ${filters.status}`;
+  if (filters.start_date || filters.end_date) {
+    text += ` | Period: ${filters.start_date || 'start'} to ${filters.end_date || 'today'}`;
+  }
+  if (filters.search) text += ` | Search: ${filters.search}`;
+  if (filters.violation_type) text += ` | Type: ${filters.violation_type}`;
+  if (filters.violator_name) text += ` | Violator: ${filters.violator_name}`;
+  if (filters.repeat_offender) text += ` | Repeat offenders: ${filters.repeat_offender === 'true' ? 'only' : 'excluded'}`;
+  return text;
+};
+
+/**
+ * Stream every violation matching the list filters to the response
+ * @param {object} res - Express response (headers are set here)
+ * @param {object} options
+ * @param {string} options.format - Key of EXPORT_FORMATS
+ * @param {object} options.conditions - Storage conditions (see buildViolationQuery)
+ * @param {function|null} options.filter - In-memory predicate for text filters
+ * @param {object} [options.orderBy] - Sort order (see buildViolationQuery)
+ * @param {object} options.filters - Applied filters, for the file name and PDF heading
+ * @param {function} options.enrich - async (violations) => violations with enforcer and balance fields
+ * @returns {Promise<object>} { rows, aborted } aborted when the client went away before the end
+ */
+const streamViolationsExport = async (res, { format, conditions, filter, orderBy = { field: 'created_at', direction: 'desc' }, filters = {}, enrich }) => {
+  const firebaseService = getFirebaseService();
+
+  // The close event can still be queued when the next batch is read
+  let closed = false;
+  res.on('close', () => {
+    if (!res.writableFinished) closed = true;
+  });
+  const isClosed = () => closed || res.destroyed;
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(format, filters)}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const writer = format === 'xlsx'
+    ? createXlsxWriter(res)
+    : format === 'pdf'
+      ? createPdfWriter(res, { title: 'Traffic Violations Report', subtitle: describeFilters(filters) })
+      : createCsvWriter(res);
+
+  await writer.start();
+
+  let rows = 0;
+  let cursor = null;
+  do {
+    const page = await firebaseService.findPage('violations', conditions, {
+      limit: EXPORT_BATCH_SIZE,
+      cursor,
+      orderBy,
+      filter
+    });
+
+    if (page.items.length > 0) {
+      await writer.addRows(await enrich(page.items));
+      rows += page.items.length;
+    }
+    cursor = page.hasMore ? page.nextCursor : null;
+  } while (cursor && !isClosed());
+
+  if (isClosed()) {
+    return { rows, aborted: true };
+  }
+
+  await writer.finish();
+  return { rows, aborted: false };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamViolationsExport
+};
@@ -0,0 +1,544 @@
+const moment = require('moment');
+const { getFirebaseService } = require('../config/database');
+const { toGeoPoint } = require('../utils/geoUtils');
+const { generateViolationNumber } = require('../utils/violationNumberGenerator');
+const { getViolationTypes, findTypeInEffect, countPriorOffenses, violationTypeFields } = require('./violationTypeService');
+const { linkViolator, repeatOffenderFields, recomputeRepeatFlags } = require('./violatorService');
+const { linkVehicle } = require('./vehicleService');
+const { recordViolationStats } = require('./statsService');
+const { recordInitialStatus, deleteStatusHistory } = require('./violationStatusService');
+const { deleteSurcharges } = require('./surchargeService');
+const { deleteDisputes } = require('./disputeService');
+const { deleteViolationPhotos } = require('./evidencePhotoService');
+const { PAYMENTS_COLLECTION } = require('./paymentService');
+const { computeDueDate } = require('./dueDateService');
+const { MANILA_UTC_OFFSET_MINUTES, toManila } = require('../utils/dateUtils');
+
+/**
+ * Bulk import of paper tickets and legacy spreadsheets
+ *
+ * An admin uploads a CSV and maps its columns to violation fields. A dry run
+ * checks every row and lists the problems by row number (spreadsheet rows,
+ * the header being row 1). Committing records the rows oldest first as
+ * POST /api/violations would: violation numbers from the ticket's day,
+ * fines from the schedule in effect on that day, and repeat-offender flags
+ * from the violations already on record. The licenses involved then have
+ * their flags recomputed in date order, since older tickets may now come
+ * before ones already in the system.
+ *
+ * Each upload is a document in import_batches, and every violation it
+ * created carries import_batch_id, so the batch can be rolled back as long
+ * as none of its violations has a payment recorded against it.
+ */
+
+const IMPORT_BATCHES_COLLECTION = 'import_batches';
+
+const MAX_IMPORT_ROWS = 2000;
+const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+
+// Row errors returned by a dry run; the summary still counts every row
+const MAX_REPORTED_ERRORS = 500;
+const PREVIEW_ROWS = 10;
+
+// Outcomes a paper record can carry; paid tickets predate OR numbers, so no payment is recorded
+const IMPORT_STATUSES = ['pending', 'paid', 'cancelled'];
+
+const IMPORT_FIELDS = [
+  { field: 'ticket_number', label: 'Ticket Number', aliases: ['ticket', 'ticket no', 'citation', 'citation no', 'citation number', 'tct no'] },
+  { field: 'captured_at', label: 'Date of Apprehension', required: true, aliases: ['date', 'date time', 'datetime', 'violation date', 'apprehension date', 'date apprehended'] },
+  { field: 'violator_name', label: 'Violator Name', required: true, aliases: ['name', 'violator', 'driver', 'driver name'] },
+  { field: 'violator_license', label: 'License Number', aliases: ['license', 'license no', 'drivers license', 'driver license'] },
+  { field: 'violator_phone', label: 'Phone', aliases: ['phone', 'mobile', 'contact', 'contact no', 'contact number'] },
+  { field: 'violator_address', label: 'Address', aliases: ['address'] },
+  { field: 'vehicle_plate', label: 'Plate Number', aliases: ['plate', 'plate no', 'plate number'] },
+  { field: 'vehicle_brand', label: 'Make', aliases: ['make', 'brand'] },
+  { field: 'vehicle_model', label: 'Model', aliases: ['model'] },
+  { field: 'vehicle_color', label: 'Color', aliases: ['color', 'colour'] },
+  { field: 'violation_type', label: 'Violation Type (code or name)', required: true, aliases: ['violation', 'violation code', 'type', 'code', 'offense'] },
+  { field: 'location', label: 'Location', required: true, aliases: ['place', 'place of apprehension', 'place of violation'] },
+  { field: 'latitude', label: 'Latitude', aliases: ['lat'] },
+  { field: 'longitude', label: 'Longitude', aliases: ['lng', 'lon', 'long'] },
+  { field: 'enforcer_badge', label: 'Enforcer Badge Number', aliases: ['badge', 'badge no', 'badge number', 'enforcer'] },
+  { field: 'status', label: 'Status (pending, paid, cancelled)', aliases: [] },
+  { field: 'notes', label: 'Notes', aliases: ['remarks'] }
+];
+
+// Dates as they appear in spreadsheets, read as Philippine time
+const DATE_FORMATS = [
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm',
+  'YYYY-MM-DDTHH:mm:ss',
+  'YYYY-MM-DDTHH:mm',
+  'YYYY-MM-DD',
+  // Strict parsing needs separate formats for 03/07/2024 and 3/7/2024
+  'MM/DD/YYYY HH:mm:ss',
+  'MM/DD/YYYY HH:mm',
+  'MM/DD/YYYY hh:mm A',
+  'MM/DD/YYYY',
+  'M/D/YYYY H:mm:ss',
+  'M/D/YYYY H:mm',
+  'M/D/YYYY h:mm A',
+  'M/D/YYYY'
+];
+
+const importError = (message, statusCode, details = {}) => {
+  const error = new Error(message);
+  error.code = 'IMPORT_ERROR';
+  error.statusCode = statusCode;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - File contents
+ * @returns {string[][]} Records, blank lines included so indexes match spreadsheet rows
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw importError('The file has a quoted value that is never closed', 400);
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Guess which column holds each field from the header names
+ * @param {string[]} headers - Header row
+ * @returns {object} Field -> header
+ */
+const suggestMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  IMPORT_FIELDS.forEach(({ field, aliases }) => {
+    const names = [normalizeHeader(field), ...aliases];
+    const header = headers.find(candidate => !used.has(candidate) && names.includes(normalizeHeader(candidate)));
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * @param {object} mapping - Field -> header, as sent by the client
+ * @param {string[]} headers - Header row
+ * @returns {string[]} Problems with the mapping (empty when usable)
+ */
+const checkMapping = (mapping, headers) => {
+  const problems = [];
+  const known = IMPORT_FIELDS.map(({ field }) => field);
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!known.includes(field)) {
+      problems.push(`Unknown field "${field}"`);
+    } else if (!headers.includes(header)) {
+      problems.push(`Column "${header}" mapped to ${field} is not in the file`);
+    }
+  });
+
+  IMPORT_FIELDS.filter(({ required }) => required).forEach(({ field, label }) => {
+    if (!mapping[field]) problems.push(`Choose the column for ${label}`);
+  });
+
+  return problems;
+};
+
+const parseTicketDate = (text) => {
+  const parsed = moment.utc(text, DATE_FORMATS, true);
+  return parsed.isValid() ? parsed.utcOffset(MANILA_UTC_OFFSET_MINUTES, true).toDate() : null;
+};
+
+const parseCoordinate = (text, min, max) => {
+  if (!/^-?\d+(\.\d+)?$/.test(text)) return NaN;
+  const value = Number(text);
+  return value >= min && value <= max ? value : NaN;
+};
+
+/**
+ * Read the upload and check every row
+ * @param {Buffer} buffer - CSV file
+ * @param {object|null} mapping - Field -> header (null to use the suggested mapping)
+ * @returns {Promise<object>} { headers, mapping, mappingErrors, rows: [{ row, values, errors }] }
+ */
+const readImport = async (buffer, mapping) => {
+  const records = parseCsv(buffer.toString('utf8'));
+  const headers = (records[0] || []).map(header => header.trim());
+  if (headers.filter(Boolean).length === 0) {
+    throw importError('The file is empty or has no header row', 400);
+  }
+
+  const dataRecords = records.slice(1)
+    .map((cells, index) => ({ row: index + 2, cells }))
+    .filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+  if (dataRecords.length > MAX_IMPORT_ROWS) {
+    throw importError(`A file can have at most ${MAX_IMPORT_ROWS} rows; split it into smaller files`, 400);
+  }
+
+  const usedMapping = mapping || suggestMapping(headers);
+  const mappingErrors = checkMapping(usedMapping, headers);
+  if (mappingErrors.length > 0) {
+    return { headers, mapping: usedMapping, mappingErrors, rows: [] };
+  }
+
+  const firebaseService = getFirebaseService();
+  const columnOf = {};
+  Object.entries(usedMapping).forEach(([field, header]) => {
+    columnOf[field] = headers.indexOf(header);
+  });
+  const cell = (cells, field) => (columnOf[field] === undefined ? '' : String(cells[columnOf[field]] || '').trim());
+
+  const rows = dataRecords.map(({ row, cells }) => {
+    const values = {};
+    IMPORT_FIELDS.forEach(({ field }) => {
+      values[field] = cell(cells, field);
+    });
+    return { row, values, errors: [] };
+  });
+
+  // Lookups shared by every row
+  const types = await getViolationTypes();
+
+  const badges = [...new Set(rows.map(({ values }) => values.enforcer_badge).filter(Boolean))];
+  const enforcers = new Map(await Promise.all(badges.map(async badge =>
+    [badge, await firebaseService.findUserByBadgeNumber(badge)]
+  )));
+
+  const ticketNumbers = [...new Set(rows.map(({ values }) => values.ticket_number).filter(Boolean))];
+  const imported = new Map(await Promise.all(ticketNumbers.map(async number =>
+    [number, await firebaseService.findOne('violations', 'paper_ticket_number', number)]
+  )));
+  const firstRowOfTicket = new Map();
+
+  const now = new Date();
+  rows.forEach(({ row, values, errors }) => {
+    IMPORT_FIELDS.filter(({ required }) => required).forEach(({ field, label }) => {
+      if (!values[field]) errors.push(`${label} is required`);
+    });
+
+    if (values.captured_at) {
+      values.captured_at = parseTicketDate(values.captured_at) || values.captured_at;
+      if (!(values.captured_at instanceof Date)) {
+        errors.push(`Date "${values.captured_at}" is not recognized; use YYYY-MM-DD or MM/DD/YYYY, optionally with the time`);
+      } else if (values.captured_at > now) {
+        errors.push('Date of apprehension is in the future');
+      }
+    }
+
+    if (values.violation_type && values.captured_at instanceof Date) {
+      const type = findTypeInEffect(types, values.violation_type, values.captured_at);
+      if (type) {
+        values.type = type;
+      } else {
+        errors.push(`Violation type "${values.violation_type}" is unknown or was not in effect on ${toManila(values.captured_at).format('YYYY-MM-DD')}`);
+      }
+    }
+
+    if (values.latitude || values.longitude) {
+      const latitude = parseCoordinate(values.latitude, -90, 90);
+      const longitude = parseCoordinate(values.longitude, -180, 180);
+      if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+        errors.push('Latitude and longitude must both be decimal degrees (latitude -90 to 90, longitude -180 to 180)');
+      } else {
+        values.latitude = latitude;
+        values.longitude = longitude;
+      }
+    }
+
+    if (values.enforcer_badge) {
+      values.enforcer = enforcers.get(values.enforcer_badge);
+      if (!values.enforcer) errors.push(`No user has badge number "${values.enforcer_badge}"`);
+    }
+
+    values.status = values.status.toLowerCase() || 'pending';
+    if (!IMPORT_STATUSES.includes(values.status)) {
+      errors.push(`Status must be one of: ${IMPORT_STATUSES.join(', ')}`);
+    }
+
+    if (values.ticket_number) {
+      const existing = imported.get(values.ticket_number);
+      if (existing) {
+        errors.push(`Ticket ${values.ticket_number} was already imported as ${existing.violation_number}`);
+      } else if (firstRowOfTicket.has(values.ticket_number)) {
+        errors.push(`Ticket ${values.ticket_number} is also on row ${firstRowOfTicket.get(values.ticket_number)}`);
+      } else {
+        firstRowOfTicket.set(values.ticket_number, row);
+      }
+    }
+  });
+
+  return { headers, mapping: usedMapping, mappingErrors: [], rows };
+};
+
+// What the dry run shows for a row that would be imported
+const previewRow = ({ row, values }) => {
+  const typeFields = violationTypeFields(values.type);
+  return {
+    row,
+    ticket_number: values.ticket_number || null,
+    captured_at: values.captured_at,
+    violator_name: values.violator_name,
+    violator_license: values.violator_license,
+    vehicle_plate: values.vehicle_plate,
+    violation_type: typeFields.violation_type,
+    violation_type_code: typeFields.violation_type_code,
+    location: values.location,
+    enforcer_name: values.enforcer ? values.enforcer.full_name : null,
+    status: values.status
+  };
+};
+
+const toReport = ({ headers, mapping, mappingErrors, rows }) => {
+  const invalid = rows.filter(({ errors }) => errors.length > 0);
+  const valid = rows.filter(({ errors }) => errors.length === 0);
+
+  return {
+    headers,
+    mapping,
+    mapping_errors: mappingErrors,
+    fields: IMPORT_FIELDS.map(({ field, label, required }) => ({ field, label, required: !!required })),
+    summary: {
+      total_rows: rows.length,
+      valid_rows: valid.length,
+      invalid_rows: invalid.length
+    },
+    errors: invalid.slice(0, MAX_REPORTED_ERRORS).map(({ row, errors }) => ({ row, errors })),
+    preview: valid.slice(0, PREVIEW_ROWS).map(previewRow)
+  };
+};
+
+/**
+ * Dry run: check the file and mapping without recording anything
+ * @param {Buffer} buffer - CSV file
+ * @param {object|null} mapping - Field -> header (null to suggest one from the headers)
+ * @returns {Promise<object>} Report with per-row errors and a preview of the rows that would be imported
+ */
+const validateImport = async (buffer, mapping = null) => toReport(await readImport(buffer, mapping));
+
+/**
+ * Record the rows of a file as violations, tracked as one batch
+ * @param {Buffer} buffer - CSV file
+ * @param {object} options
+ * @param {object} options.mapping - Field -> header
+ * @param {string} options.fileName - Uploaded file name, for the batch list
+ * @param {boolean} options.skipInvalid - Import the valid rows even when others have errors
+ * @param {object} options.user - Admin running the import ({ id, role })
+ * @returns {Promise<object>} The completed batch
+ */
+const commitImport = async (buffer, { mapping, fileName, skipInvalid = false, user }) => {
+  const result = await readImport(buffer, mapping);
+  const report = toReport(result);
+
+  if (report.mapping_errors.length > 0) {
+    throw importError(report.mapping_errors[0], 400, { report });
+  }
+  if (report.summary.invalid_rows > 0 && !skipInvalid) {
+    throw importError(`${report.summary.invalid_rows} row(s) have errors; fix them or import only the valid rows`, 400, { report });
+  }
+
+  // Oldest first, so offense numbers and repeat flags build up in the order the tickets were issued
+  const rows = result.rows
+    .filter(({ errors }) => errors.length === 0)
+    .sort((a, b) => a.values.captured_at - b.values.captured_at);
+  if (rows.length === 0) {
+    throw importError('The file has no rows to import', 400, { report });
+  }
+
+  const firebaseService = getFirebaseService();
+  const batch = await firebaseService.create(IMPORT_BATCHES_COLLECTION, {
+    file_name: fileName || 'import.csv',
+    status: 'importing',
+    mapping: result.mapping,
+    total_rows: report.summary.total_rows,
+    skipped_rows: report.summary.invalid_rows,
+    imported_rows: 0,
+    user_id: user.id
+  });
+
+  const violatorIds = new Set();
+  let imported = 0;
+
+  try {
+    for (const { values } of rows) {
+      const violatorId = await linkViolator(values);
+      const offenseNumber = await countPriorOffenses(values.type, violatorId, values.captured_at, { earlierOnly: true }) + 1;
+      const typeFields = violationTypeFields(values.type, offenseNumber);
+
+      const violation = await firebaseService.createViolation({
+        violation_number: await generateViolationNumber(values.captured_at),
+        enforcer_id: values.enforcer ? values.enforcer.id : user.id,
+        violator_name: values.violator_name,
+        violator_license: values.violator_license,
+        violator_phone: values.violator_phone,
+        violator_address: values.violator_address,
+        violator_id: violatorId,
+        ...await linkVehicle(values),
+        ...typeFields,
+        violation_description: '',
+        location: values.location,
+        geopoint: toGeoPoint(firebaseService, values),
+        status: values.status,
+        notes: values.notes,
+        // Same compliance period as tickets recorded on the spot, counted from the apprehension
+        due_date: await computeDueDate(values.captured_at),
+        ...await repeatOffenderFields(violatorId),
+        captured_at: values.captured_at,
+        violation_date: values.captured_at,
+        // Settled on paper; there is no receipt to record as a payment
+        ...(values.status === 'paid' && { amount_paid: typeFields.fine_amount }),
+        paper_ticket_number: values.ticket_number || null,
+        import_batch_id: batch.id
+      });
+
+      await recordViolationStats(null, violation);
+      await recordInitialStatus(violation, { id: user.id, role: user.role });
+      if (violation.violator_id) violatorIds.add(violation.violator_id);
+      imported++;
+    }
+  } catch (error) {
+    console.error(`Import batch ${batch.id} stopped after ${imported} row(s):`, error);
+    const failed = await firebaseService.update(IMPORT_BATCHES_COLLECTION, batch.id, {
+      status: 'failed',
+      imported_rows: imported,
+      error: error.message
+    });
+    throw importError(
+      `The import stopped after ${imported} of ${rows.length} row(s); roll back the batch before trying again`,
+      500,
+      { batch: failed }
+    );
+  }
+
+  for (const violatorId of violatorIds) {
+    await recomputeRepeatFlags(violatorId);
+  }
+
+  return firebaseService.update(IMPORT_BATCHES_COLLECTION, batch.id, {
+    status: 'completed',
+    imported_rows: imported,
+    completed_at: new Date()
+  });
+};
+
+/**
+ * Delete every violation a batch created
+ * @param {string} batchId - Import batch id
+ * @param {object} user - Admin rolling back ({ id })
+ * @returns {Promise<object>} { batch, removed }
+ */
+const rollbackImport = async (batchId, user) => {
+  const firebaseService = getFirebaseService();
+
+  const batch = await firebaseService.findById(IMPORT_BATCHES_COLLECTION, batchId);
+  if (!batch) {
+    throw importError('Import batch not found', 404);
+  }
+  if (batch.status === 'rolled_back') {
+    throw importError('This import was already rolled back', 409);
+  }
+  if (batch.status === 'importing') {
+    throw importError('This import is still running', 409);
+  }
+
+  const violations = await firebaseService.findMany('violations', { import_batch_id: batchId }, { sortInMemory: false });
+
+  // Official receipts must stay traceable to their violation
+  const paymentCounts = await Promise.all(violations.map(violation =>
+    firebaseService.count(PAYMENTS_COLLECTION, { violation_id: violation.id })
+  ));
+  const withPayments = violations.filter((violation, index) => paymentCounts[index] > 0);
+  if (withPayments.length > 0) {
+    const numbers = withPayments.slice(0, 5).map(violation => violation.violation_number).join(', ');
+    throw importError(
+      `${withPayments.length} imported violation(s) have recorded payments (${numbers}${withPayments.length > 5 ? ', ...' : ''}); void the payments or cancel the violations instead`,
+      409
+    );
+  }
+
+  const violatorIds = new Set();
+  for (const violation of violations) {
+    await firebaseService.deleteViolation(violation.id);
+    await recordViolationStats(violation, null);
+    await deleteStatusHistory(violation.id);
+    await deleteSurcharges(violation.id);
+    await deleteDisputes(violation.id);
+    await deleteViolationPhotos(violation);
+    if (violation.violator_id) violatorIds.add(violation.violator_id);
+  }
+
+  for (const violatorId of violatorIds) {
+    await recomputeRepeatFlags(violatorId);
+  }
+
+  const updated = await firebaseService.update(IMPORT_BATCHES_COLLECTION, batchId, {
+    status: 'rolled_back',
+    removed_rows: violations.length,
+    rolled_back_at: new Date(),
+    rolled_back_by: user.id
+  });
+
+  return { batch: updated, removed: violations.length };
+};
+
+/**
+ * @returns {Promise<object[]>} Recent import batches, newest first
+ */
+const getImportBatches = async () => {
+  const firebaseService = getFirebaseService();
+  return firebaseService.findMany(IMPORT_BATCHES_COLLECTION, {}, {
+    orderBy: { field: 'created_at', direction: 'desc' },
+    limit: 50
+  });
+};
+
+module.exports = {
+  IMPORT_BATCHES_COLLECTION,
+  MAX_IMPORT_FILE_BYTES,
+  validateImport,
+  commitImport,
+  rollbackImport,
+  getImportBatches
+};
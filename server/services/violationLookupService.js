@@ -0,0 +1,82 @@
+const { getFirebaseService } = require('../config/database');
+const { toDate, violationDateOf } = require('../utils/dateUtils');
+const { withAmountDue, getSurcharges } = require('./surchargeService');
+const { getDisputeDeadlineDays, checkDisputable, getViolationDispute } = require('./disputeService');
+
+/**
+ * Motorist-facing violation lookup
+ *
+ * Motorists identify a ticket with the violation number from the SMS plus
+ * the plate of the apprehended vehicle. Both must match; a wrong plate looks
+ * exactly like an unknown number so the endpoint cannot be used to probe for
+ * violation numbers. Only the fields in toPublicViolation ever leave the
+ * server: no names, phone numbers, licenses or enforcer details.
+ */
+
+// Plates are compared without spaces, dashes or case ("ABC-1234" == "abc 1234")
+const normalizePlate = (plate) => String(plate || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+
+/**
+ * Find a violation by its number, only if the plate matches too
+ * @param {string} violationNumber - Violation number on the ticket
+ * @param {string} vehiclePlate - Plate of the apprehended vehicle
+ * @returns {Promise<object|null>}
+ */
+const findViolationByReference = async (violationNumber, vehiclePlate) => {
+  const firebaseService = getFirebaseService();
+  const violation = await firebaseService.findViolationByNumber(String(violationNumber).trim().toUpperCase());
+
+  if (!violation || !violation.vehicle_plate || normalizePlate(violation.vehicle_plate) !== normalizePlate(vehiclePlate)) {
+    return null;
+  }
+  return violation;
+};
+
+const toIsoDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+};
+
+/**
+ * The violation as a motorist may see it
+ * @param {object} violation - Violation record
+ * @returns {Promise<object>}
+ */
+const toPublicViolation = async (violation) => {
+  const [withTotals] = withAmountDue([violation]);
+  const surcharges = await getSurcharges(violation.id);
+  const dispute = violation.dispute_id ? await getViolationDispute(violation.id) : null;
+  const disputable = checkDisputable(violation, await getDisputeDeadlineDays());
+
+  return {
+    violation_number: violation.violation_number,
+    violation_type: violation.violation_type,
+    offense_tier_label: violation.offense_tier_label || null,
+    location: violation.location,
+    vehicle_plate: violation.vehicle_plate,
+    violation_date: toIsoDate(violationDateOf(violation)),
+    due_date: toIsoDate(violation.due_date),
+    status: violation.status,
+    fine_amount: withTotals.fine_amount,
+    surcharges: surcharges.map(item => ({ description: item.description, amount: item.amount })),
+    surcharge_total: withTotals.surcharge_total,
+    amount_due: withTotals.amount_due,
+    amount_paid: withTotals.amount_paid,
+    balance: withTotals.balance,
+    paid_at: toIsoDate(violation.paid_at),
+    can_dispute: disputable.allowed,
+    dispute_deadline: disputable.deadline ? disputable.deadline.toISOString() : null,
+    dispute: dispute && {
+      status: dispute.status,
+      outcome: dispute.outcome,
+      submitted_at: toIsoDate(dispute.created_at),
+      decided_at: toIsoDate(dispute.decided_at)
+    }
+  };
+};
+
+module.exports = {
+  normalizePlate,
+  findViolationByReference,
+  toPublicViolation
+};
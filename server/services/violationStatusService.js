@@ -0,0 +1,247 @@
+const { getFirebaseService } = require('../config/database');
+const { sendSMS } = require('./smsService');
+
+/**
+ * Violation status state machine
+ *
+ * Every status change goes through updateViolation(), which checks the
+ * transition table below, writes the violation and a status_history entry
+ * (subcollection violations/{id}/status_history) in one transaction, and then
+ * runs the side effects registered for the new status.
+ */
+
+const VIOLATION_STATUSES = ['pending', 'issued', 'paid', 'disputed', 'cancelled'];
+
+// from -> to -> roles allowed to make the change ('system' covers automated jobs and payment callbacks).
+// Only the payments service moves a violation to or from paid: it is paid once the
+// balance reaches zero and reopened when a payment is voided or refunded. Likewise
+// only the dispute service moves violations into and out of disputed (including to
+// paid when a reduced fine is already covered).
+const STATUS_TRANSITIONS = {
+  pending: {
+    issued: ['enforcer', 'admin'],
+    paid: ['system'],
+    disputed: ['system'],
+    cancelled: ['enforcer', 'admin']
+  },
+  issued: {
+    paid: ['system'],
+    disputed: ['system'],
+    cancelled: ['admin']
+  },
+  disputed: {
+    issued: ['system'],
+    paid: ['system'],
+    cancelled: ['system']
+  },
+  paid: {
+    issued: ['system']
+  },
+  cancelled: {}
+};
+
+const statusHistoryCollection = (violationId) => `violations/${violationId}/status_history`;
+
+const statusTransitionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'INVALID_STATUS_TRANSITION';
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Statuses a role may move a violation to from its current status
+ * @param {string} status - Current status
+ * @param {string} role - Actor role ('admin', 'enforcer' or 'system')
+ * @returns {string[]} Allowed target statuses
+ */
+const getAllowedTransitions = (status, role) => {
+  const transitions = STATUS_TRANSITIONS[status] || {};
+  return Object.keys(transitions).filter(target => transitions[target].includes(role));
+};
+
+/**
+ * Throw an INVALID_STATUS_TRANSITION error unless the change is allowed
+ */
+const assertTransition = (from, to, role) => {
+  const transitions = STATUS_TRANSITIONS[from] || {};
+
+  if (!transitions[to]) {
+    const allowed = Object.keys(transitions);
+    throw statusTransitionError(
+      `Cannot change status from ${from} to ${to}` +
+        (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ` (${from} is final)`),
+      409
+    );
+  }
+
+  if (!transitions[to].includes(role)) {
+    throw statusTransitionError(`Your role (${role}) cannot change status from ${from} to ${to}`, 403);
+  }
+};
+
+const formatDueDate = (dueDate) => {
+  if (!dueDate) return '';
+  const date = dueDate.toDate ? dueDate.toDate() : new Date(dueDate);
+  // Due dates end at midnight in Manila, whatever the server's timezone
+  return date.toLocaleDateString('en-US', { timeZone: 'Asia/Manila' });
+};
+
+// SMS sent in the background; failures are logged and never block the status change
+const notifyViolator = (violation, message, label) => {
+  if (!violation.violator_phone) return;
+
+  sendSMS(violation.violator_phone, message, violation.id)
+    .then(result => {
+      if (result.success) {
+        console.log(`✅ ${label} SMS sent for violation ${violation.violation_number}`);
+      } else {
+        console.log(`❌ Failed to send ${label} SMS for violation ${violation.violation_number}: ${result.message}`);
+      }
+    })
+    .catch(error => {
+      console.error(`❌ Error sending ${label} SMS for violation ${violation.violation_number}:`, error.message);
+    });
+};
+
+// Text of the notice sent when a violation is issued (also sent again on request)
+const violationNoticeMessage = (violation) => {
+  const dueDateStr = formatDueDate(violation.due_date);
+  return `e-Traffic Notice: Violation ${violation.violation_type}, Plate: ${violation.vehicle_plate}, Fine: PHP${violation.fine_amount}${dueDateStr ? `, Due: ${dueDateStr}` : ''}. Please settle. Ref: ${violation.violation_number}`;
+};
+
+// Side effects run after a violation enters a status, given the status it left
+const STATUS_EFFECTS = {
+  issued: (violation, from) => {
+    // Only a newly issued violation gets the notice; reopening a paid one after a
+    // refund or void, or upholding a dispute, is not a new violation
+    if (from !== 'pending') return;
+    notifyViolator(violation, violationNoticeMessage(violation), 'Violation notice');
+  },
+  paid: (violation) => {
+    // Surcharges and reduced fines make the amount paid differ from the fine
+    const amountPaid = Number(violation.amount_paid) || violation.fine_amount;
+    const message = `e-Traffic: Payment Confirmed. Violation: ${violation.violation_type}, Plate: ${violation.vehicle_plate}, Paid: PHP${amountPaid}. Ref: ${violation.violation_number}`;
+    notifyViolator(violation, message, 'Payment confirmation');
+  }
+};
+
+/**
+ * Check a status change and record its history entry inside a transaction
+ * The caller writes the new status itself (together with its other changes).
+ * @param {object} tx - Storage transaction handle
+ * @param {object} violation - Violation as read in the transaction
+ * @param {string} to - Target status
+ * @param {object} options - { actor: { id, role }, reason }
+ * @returns {{from: string, to: string}} The transition
+ */
+const recordTransition = (tx, violation, to, { actor, reason = null }) => {
+  assertTransition(violation.status, to, actor.role);
+
+  tx.create(statusHistoryCollection(violation.id), {
+    from_status: violation.status,
+    to_status: to,
+    user_id: actor.id,
+    user_role: actor.role,
+    reason: reason || null
+  });
+
+  return { from: violation.status, to };
+};
+
+/**
+ * Run the side effects for a committed transition (SMS notices)
+ * @param {object|null} transition - { from, to }
+ * @param {object} violation - Violation after the change
+ */
+const runStatusEffects = (transition, violation) => {
+  if (transition && STATUS_EFFECTS[transition.to]) {
+    STATUS_EFFECTS[transition.to](violation, transition.from);
+  }
+};
+
+/**
+ * Update a violation, enforcing the status transition table
+ * @param {string} id - Violation id
+ * @param {object} updates - Fields to change (may include status)
+ * @param {object} options - { actor: { id, role }, reason }
+ * @returns {Promise<{before: object, violation: object, transition: object|null}|null>} null when not found
+ */
+const updateViolation = async (id, updates, { actor, reason = null } = {}) => {
+  const firebaseService = getFirebaseService();
+
+  const result = await firebaseService.runTransaction(async (tx) => {
+    const current = await tx.get('violations', id);
+    if (!current) return null;
+
+    const transition = updates.status && updates.status !== current.status
+      ? recordTransition(tx, current, updates.status, { actor, reason })
+      : null;
+
+    tx.update('violations', id, updates);
+
+    return { before: current, transition };
+  });
+
+  if (!result) return null;
+
+  const violation = await firebaseService.findById('violations', id);
+
+  runStatusEffects(result.transition, violation);
+
+  return { ...result, violation };
+};
+
+/**
+ * Record the status a violation was created with
+ * @param {object} violation - Newly created violation
+ * @param {object} actor - { id, role }
+ */
+const recordInitialStatus = async (violation, actor) => {
+  try {
+    const firebaseService = getFirebaseService();
+    await firebaseService.create(statusHistoryCollection(violation.id), {
+      from_status: null,
+      to_status: violation.status,
+      user_id: actor.id,
+      user_role: actor.role,
+      reason: 'Violation recorded'
+    });
+  } catch (error) {
+    console.error(`Error recording initial status for violation ${violation.violation_number}:`, error);
+  }
+};
+
+/**
+ * @param {string} violationId - Violation id
+ * @returns {Promise<object[]>} History entries, oldest first
+ */
+const getStatusHistory = async (violationId) => {
+  const firebaseService = getFirebaseService();
+  return firebaseService.findMany(statusHistoryCollection(violationId), {}, {
+    orderBy: { field: 'created_at', direction: 'asc' }
+  });
+};
+
+// Firestore keeps subcollections when the parent is deleted, so remove the history explicitly
+const deleteStatusHistory = async (violationId) => {
+  const firebaseService = getFirebaseService();
+  const entries = await firebaseService.findMany(statusHistoryCollection(violationId));
+  await Promise.all(entries.map(entry => firebaseService.delete(statusHistoryCollection(violationId), entry.id)));
+};
+
+module.exports = {
+  VIOLATION_STATUSES,
+  STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  assertTransition,
+  recordTransition,
+  runStatusEffects,
+  notifyViolator,
+  violationNoticeMessage,
+  formatDueDate,
+  updateViolation,
+  recordInitialStatus,
+  getStatusHistory,
+  deleteStatusHistory
+};
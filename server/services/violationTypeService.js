@@ -0,0 +1,241 @@
+const moment = require('moment');
+const { getFirebaseService } = require('../config/database');
+const { toManila, violationDateOf } = require('../utils/dateUtils');
+
+/**
+ * Violation type catalog (ordinance-based fine schedule)
+ *
+ * Each violation_types document is one schedule entry:
+ *   { code, name, ordinance_reference, description, base_fine,
+ *     effective_from: 'YYYY-MM-DD', effective_to: 'YYYY-MM-DD' | null,
+ *     offense_tiers: [{ offense: 1, fine: 500 }, { offense: 2, fine: 1000 }, { offense: 3, fine: 2000 }],
+ *     lookback_days: 365 | null, demerit_points: 3 }
+ * A code may have several entries when an ordinance amends the fine, as long
+ * as their effective date ranges do not overlap.
+ *
+ * offense_tiers escalate the fine for repeat offenses of the same code by the
+ * same violator; the highest tier also covers every later offense. Only
+ * offenses within lookback_days count (null counts them all). Without tiers
+ * every offense is fined base_fine.
+ *
+ * demerit_points count against the license on every offense, whatever the
+ * tier (see demeritService).
+ */
+
+const VIOLATION_TYPES_COLLECTION = 'violation_types';
+const CODE_PATTERN = /^[A-Z0-9_-]{2,20}$/;
+
+// Effective dates are calendar days in Philippine time
+const toDateKey = (date) => toManila(date).format('YYYY-MM-DD');
+
+const violationTypeError = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'VIOLATION_TYPE_ERROR';
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * @param {object} type - Catalog entry
+ * @param {Date|string} date - Date to check (defaults to today)
+ * @returns {boolean} Whether the entry applies on that date
+ */
+const isInEffect = (type, date = new Date()) => {
+  const dateKey = toDateKey(date);
+  return type.effective_from <= dateKey && (!type.effective_to || dateKey <= type.effective_to);
+};
+
+// Date ranges are inclusive; a missing end date means open-ended
+const rangesOverlap = (a, b) => {
+  return a.effective_from <= (b.effective_to || '9999-12-31') &&
+    b.effective_from <= (a.effective_to || '9999-12-31');
+};
+
+/**
+ * @returns {Promise<object[]>} Every catalog entry, by code and newest schedule first
+ */
+const getViolationTypes = async () => {
+  const firebaseService = getFirebaseService();
+  const types = await firebaseService.findMany(VIOLATION_TYPES_COLLECTION, {}, { sortInMemory: false });
+
+  return types.sort((a, b) => a.code.localeCompare(b.code) || b.effective_from.localeCompare(a.effective_from));
+};
+
+/**
+ * Find the catalog entry in effect for a type code (or, for older devices, its name)
+ * @param {string} codeOrName - Violation type code or name (case-insensitive)
+ * @param {Date} date - Date of the violation
+ * @returns {Promise<object|null>} Catalog entry or null when unknown or not in effect
+ */
+const resolveViolationType = async (codeOrName, date = new Date()) => {
+  if (!normalizeCode(codeOrName)) return null;
+  return findTypeInEffect(await getViolationTypes(), codeOrName, date);
+};
+
+/**
+ * Type for a new ticket. Fines only come from the catalog, so tickets are
+ * refused (503) until it has its first entry (see `npm run seed-violation-types`).
+ * @param {object} ticket - { violation_type_code, violation_type }
+ * @returns {Promise<object|null>} Catalog entry, null when unknown or not in effect
+ */
+const resolveTicketType = async ({ violation_type_code: code, violation_type: name }) => {
+  const types = await getViolationTypes();
+  if (types.length === 0) {
+    throw violationTypeError('No violation types are set up yet; an admin must add them under Violation Types before tickets can be recorded', 503);
+  }
+  return findTypeInEffect(types, code || name);
+};
+
+/**
+ * Same as resolveViolationType, against a catalog already loaded with getViolationTypes
+ * (for callers resolving many violations at once)
+ * @param {object[]} types - Catalog entries
+ * @param {string} codeOrName - Violation type code or name (case-insensitive)
+ * @param {Date} date - Date of the violation
+ * @returns {object|null} Catalog entry or null when unknown or not in effect
+ */
+const findTypeInEffect = (types, codeOrName, date = new Date()) => {
+  const key = normalizeCode(codeOrName);
+  if (!key) return null;
+
+  const matches = types.filter(type => type.code === key || type.name.trim().toUpperCase() === key);
+  return matches.find(type => isInEffect(type, date)) || null;
+};
+
+/**
+ * Find another entry for the same code whose date range overlaps
+ * @returns {Promise<object|null>} The conflicting entry, if any
+ */
+const findOverlappingType = async ({ code, effective_from, effective_to }, excludeId = null) => {
+  const firebaseService = getFirebaseService();
+  const sameCode = await firebaseService.findMany(VIOLATION_TYPES_COLLECTION, { code }, { sortInMemory: false });
+
+  return sameCode.find(type =>
+    type.id !== excludeId && rangesOverlap(type, { effective_from, effective_to })
+  ) || null;
+};
+
+const ordinal = (n) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+/**
+ * Validate and sort an offense tier list
+ * @param {Array} tiers - [{ offense, fine }]
+ * @returns {Array} Tiers sorted by offense
+ * @throws {Error} When offenses are not 1, 2, 3... or a fine is negative
+ */
+const normalizeOffenseTiers = (tiers) => {
+  if (!Array.isArray(tiers)) {
+    throw new Error('Offense tiers must be a list');
+  }
+
+  const sorted = tiers
+    .map(tier => ({ offense: Number(tier.offense), fine: Number(tier.fine) }))
+    .sort((a, b) => a.offense - b.offense);
+
+  sorted.forEach((tier, index) => {
+    if (tier.offense !== index + 1) {
+      throw new Error('Offense tiers must be numbered 1, 2, 3... without gaps');
+    }
+    if (!Number.isFinite(tier.fine) || tier.fine < 0) {
+      throw new Error(`Fine for the ${ordinal(tier.offense)} offense must be a positive number`);
+    }
+  });
+
+  return sorted;
+};
+
+/**
+ * Count earlier offenses of this type by a violator within the type's look-back window
+ * @param {object} type - Catalog entry
+ * @param {string|null} violatorId - Violator id from linkViolator (follows merged profiles)
+ * @param {Date} date - Date of the new violation
+ * @param {object} options - { earlierOnly } to leave out offenses committed after date
+ *   (for back-dated tickets; new tickets count everything on record)
+ * @returns {Promise<number>} Number of earlier, non-cancelled offenses
+ */
+const countPriorOffenses = async (type, violatorId, date = new Date(), { earlierOnly = false } = {}) => {
+  // Free-text types from before the catalog have no code to count by
+  if (!violatorId || !type.code) return 0;
+
+  const firebaseService = getFirebaseService();
+  const previous = await firebaseService.findMany('violations', {
+    violator_id: violatorId,
+    violation_type_code: type.code
+  }, { sortInMemory: false });
+
+  const since = type.lookback_days
+    ? moment(date).subtract(type.lookback_days, 'days').toDate()
+    : null;
+
+  return previous.filter(violation => {
+    if (violation.status === 'cancelled') return false;
+    // When the offense was committed; imported paper tickets are recorded long after
+    const committedAt = violationDateOf(violation);
+    if (earlierOnly && committedAt >= date) return false;
+    return !since || committedAt >= since;
+  }).length;
+};
+
+/**
+ * Fine owed for a violation of this type
+ * @param {object} type - Catalog entry
+ * @param {number} offenseNumber - 1 for a first offense, 2 for the second...
+ * @returns {{fine: number, tier: number|null}} Fine in PHP and the tier applied (null without tiers)
+ */
+const calculateFine = (type, offenseNumber = 1) => {
+  const tiers = Array.isArray(type.offense_tiers) ? type.offense_tiers : [];
+  if (tiers.length === 0) {
+    return { fine: Number(type.base_fine) || 0, tier: null };
+  }
+
+  const applicable = tiers.filter(tier => tier.offense <= offenseNumber);
+  const tier = applicable.length > 0 ? applicable[applicable.length - 1] : tiers[0];
+  return { fine: Number(tier.fine) || 0, tier: tier.offense };
+};
+
+/**
+ * Fields copied onto a violation so it keeps the schedule (and tier) it was issued under
+ * @param {object} type - Catalog entry
+ * @param {number} offenseNumber - Offense count for this license, including this one
+ * @returns {object} Violation fields
+ */
+const violationTypeFields = (type, offenseNumber = 1) => {
+  const { fine, tier } = calculateFine(type, offenseNumber);
+  const isLastTier = tier !== null && tier === type.offense_tiers[type.offense_tiers.length - 1].offense;
+
+  return {
+    violation_type: type.name,
+    violation_type_code: type.code,
+    violation_type_id: type.id,
+    ordinance_reference: type.ordinance_reference || '',
+    offense_number: offenseNumber,
+    offense_tier: tier,
+    offense_tier_label: tier === null
+      ? null
+      : `${ordinal(tier)}${isLastTier && tier > 1 ? '+' : ''} offense`,
+    fine_amount: fine,
+    demerit_points: Number(type.demerit_points) || 0
+  };
+};
+
+module.exports = {
+  VIOLATION_TYPES_COLLECTION,
+  CODE_PATTERN,
+  normalizeCode,
+  isInEffect,
+  getViolationTypes,
+  resolveViolationType,
+  resolveTicketType,
+  findTypeInEffect,
+  findOverlappingType,
+  normalizeOffenseTiers,
+  countPriorOffenses,
+  calculateFine,
+  violationTypeFields
+};
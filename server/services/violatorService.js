@@ -0,0 +1,219 @@
+const { getFirebaseService } = require('../config/database');
+const { withAmountDue } = require('./surchargeService');
+const { toDate } = require('../utils/dateUtils');
+
+/**
+ * Violator registry
+ *
+ * One document per person in the violators collection, keyed by driver's
+ * license number with spaces, dashes and case removed (so "N01-12-345678"
+ * and "n0112345678" are the same person):
+ *   { license_number, full_name, phone, address, created_at, updated_at }
+ * Violations reference it through violator_id. Violations recorded without a
+ * license have no violator and keep only their violator_* strings.
+ *
+ * A violation keeps the details written on its ticket. Later apprehensions
+ * only fill in details the profile is missing; edits made on the profile are
+ * copied to the person's unsettled violations, which is where SMS notices and
+ * reminders read the phone number from.
+ *
+ * A profile merged into another as a duplicate keeps its document with
+ * merged_into set, so later tickets under its license go to the surviving
+ * profile.
+ */
+
+const VIOLATORS_COLLECTION = 'violators';
+
+// Violations that still lead to notices get profile edits; settled ones keep what was recorded
+const UNSETTLED_STATUSES = ['pending', 'issued', 'disputed'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Profile field -> violation field
+const CONTACT_FIELDS = {
+  full_name: 'violator_name',
+  phone: 'violator_phone',
+  address: 'violator_address'
+};
+
+/**
+ * @param {string} license - License number as written
+ * @returns {string|null} Violator id, or null for a blank license
+ */
+const violatorIdFor = (license) => {
+  const id = String(license || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return id || null;
+};
+
+/**
+ * Find or register the violator of a new violation
+ * @param {object} data - Violation fields (violator_license, violator_name, violator_phone, violator_address)
+ * @returns {Promise<string|null>} Violator id (the surviving profile for a merged license),
+ *   or null when no license was recorded
+ */
+const linkViolator = async (data) => {
+  let id = violatorIdFor(data.violator_license);
+  if (!id) return null;
+
+  const firebaseService = getFirebaseService();
+  await firebaseService.runTransaction(async (tx) => {
+    let existing = await tx.get(VIOLATORS_COLLECTION, id);
+    if (existing && existing.merged_into) {
+      id = existing.merged_into;
+      existing = await tx.get(VIOLATORS_COLLECTION, id);
+    }
+
+    if (!existing) {
+      tx.set(VIOLATORS_COLLECTION, id, {
+        license_number: String(data.violator_license).trim().toUpperCase(),
+        full_name: data.violator_name || '',
+        phone: data.violator_phone || '',
+        address: data.violator_address || ''
+      });
+      return;
+    }
+
+    const missing = {};
+    Object.entries(CONTACT_FIELDS).forEach(([field, violationField]) => {
+      if (!existing[field] && data[violationField]) {
+        missing[field] = data[violationField];
+      }
+    });
+    if (Object.keys(missing).length > 0) {
+      tx.update(VIOLATORS_COLLECTION, id, missing);
+    }
+  });
+
+  return id;
+};
+
+/**
+ * Search the registry by name or license number
+ * @returns {Promise<object>} Page of violators ({ items, nextCursor, hasMore })
+ */
+const searchViolators = async ({ search = '', limit = 20, cursor = null } = {}) => {
+  const firebaseService = getFirebaseService();
+  const term = search.trim().toLowerCase();
+  const licenseTerm = violatorIdFor(search);
+
+  return firebaseService.findPage(VIOLATORS_COLLECTION, {}, {
+    limit,
+    cursor,
+    orderBy: { field: 'full_name', direction: 'asc' },
+    filter: (violator) => !violator.merged_into && (!term
+      || (violator.full_name || '').toLowerCase().includes(term)
+      || (!!licenseTerm && violatorIdFor(violator.license_number).includes(licenseTerm)))
+  });
+};
+
+/**
+ * A violator with their violation history and what they owe
+ * @param {string} id - Violator id
+ * @returns {Promise<object|null>} { violator, violations, summary } or null when not found
+ */
+const getViolatorProfile = async (id) => {
+  const firebaseService = getFirebaseService();
+  const violator = await firebaseService.findById(VIOLATORS_COLLECTION, id);
+  if (!violator) return null;
+
+  const violations = withAmountDue(await firebaseService.findMany('violations', { violator_id: id }));
+  const unsettled = violations.filter(violation => UNSETTLED_STATUSES.includes(violation.status));
+
+  return {
+    violator,
+    violations,
+    summary: {
+      total_violations: violations.length,
+      unsettled_violations: unsettled.length,
+      paid_violations: violations.filter(violation => violation.status === 'paid').length,
+      total_fines: roundAmount(violations.reduce((sum, violation) => sum + (parseFloat(violation.fine_amount) || 0), 0)),
+      total_paid: roundAmount(violations.reduce((sum, violation) => sum + violation.amount_paid, 0)),
+      outstanding_balance: roundAmount(unsettled.reduce((sum, violation) => sum + Math.max(violation.balance, 0), 0))
+    }
+  };
+};
+
+/**
+ * Update a violator's contact details and copy them to their unsettled violations
+ * @param {string} id - Violator id
+ * @param {object} changes - Any of full_name, phone, address
+ * @returns {Promise<{before: object, violator: object, updatedViolations: number}|null>} null when not found
+ */
+const updateViolator = async (id, changes) => {
+  const firebaseService = getFirebaseService();
+  const before = await firebaseService.findById(VIOLATORS_COLLECTION, id);
+  if (!before) return null;
+
+  const updates = {};
+  Object.keys(CONTACT_FIELDS).forEach(field => {
+    if (changes[field] !== undefined) {
+      updates[field] = changes[field];
+    }
+  });
+
+  const violator = await firebaseService.update(VIOLATORS_COLLECTION, id, updates);
+
+  const violationUpdates = {};
+  Object.entries(updates).forEach(([field, value]) => {
+    violationUpdates[CONTACT_FIELDS[field]] = value;
+  });
+
+  const violations = await firebaseService.findMany('violations', { violator_id: id }, { sortInMemory: false });
+  const unsettled = violations.filter(violation => UNSETTLED_STATUSES.includes(violation.status));
+  await Promise.all(unsettled.map(violation => firebaseService.update('violations', violation.id, violationUpdates)));
+
+  return { before, violator, updatedViolations: unsettled.length };
+};
+
+/**
+ * Repeat-offender flags for a new violation: every violation already linked to
+ * the violator counts, as in recomputeRepeatFlags
+ * @param {string|null} violatorId - Violator id from linkViolator (follows merged profiles)
+ * @returns {Promise<object>} { is_repeat_offender, previous_violations_count }
+ */
+const repeatOffenderFields = async (violatorId) => {
+  if (!violatorId) {
+    return { is_repeat_offender: false, previous_violations_count: 0 };
+  }
+
+  const firebaseService = getFirebaseService();
+  const count = await firebaseService.count('violations', { violator_id: violatorId });
+
+  return { is_repeat_offender: count > 0, previous_violations_count: count };
+};
+
+/**
+ * Recompute is_repeat_offender and previous_violations_count on a violator's
+ * violations in the order they were committed, e.g. after duplicates were merged
+ * @param {string} id - Violator id
+ * @returns {Promise<number>} Number of violations whose flags changed
+ */
+const recomputeRepeatFlags = async (id) => {
+  const firebaseService = getFirebaseService();
+  const violations = await firebaseService.findMany('violations', { violator_id: id }, { sortInMemory: false });
+  violations.sort((a, b) => toDate(a.captured_at || a.created_at) - toDate(b.captured_at || b.created_at));
+
+  const changed = violations
+    .map((violation, index) => ({ violation, previous: index }))
+    .filter(({ violation, previous }) => violation.previous_violations_count !== previous
+      || violation.is_repeat_offender !== previous > 0);
+
+  await Promise.all(changed.map(({ violation, previous }) => firebaseService.update('violations', violation.id, {
+    is_repeat_offender: previous > 0,
+    previous_violations_count: previous
+  })));
+
+  return changed.length;
+};
+
+module.exports = {
+  VIOLATORS_COLLECTION,
+  CONTACT_FIELDS,
+  violatorIdFor,
+  linkViolator,
+  searchViolators,
+  getViolatorProfile,
+  updateViolator,
+  repeatOffenderFields,
+  recomputeRepeatFlags
+};
@@ -0,0 +1,143 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { ADMIN, connectDB, getFirebaseService, createViolation, startApp } = require('./helpers');
+const { signCitation, verifyCitation, renderCitationPdf } = require('../services/citationService');
+const { withAmountDue } = require('../services/surchargeService');
+const { recordPayment } = require('../services/paymentService');
+const publicRoutes = require('../routes/public');
+
+process.env.CITATION_SIGNING_SECRET = 'citation-test-secret';
+
+before(async () => {
+  await connectDB();
+});
+
+const signed = (violation) => signCitation(withAmountDue([violation])[0]);
+
+test('a verified citation shows when the violation was committed, not when it was entered', async () => {
+  const violation = await createViolation({
+    captured_at: new Date('2024-03-07T06:30:00Z'),
+    violation_date: new Date('2024-03-07T06:30:00Z')
+  });
+
+  const result = await verifyCitation(signed(violation));
+  assert.equal(result.violation.violation_date, '2024-03-07T06:30:00.000Z');
+});
+
+// Replace the payload of a token, keeping its signature
+const withPayload = (token, changes) => {
+  const [encoded, signature] = token.split('.');
+  const payload = { ...JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8')), ...changes };
+  return `${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${signature}`;
+};
+
+test('a citation signed by this server verifies as authentic and current', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 1000, surcharge_total: 100 });
+  const issuedAt = new Date('2024-03-07T06:30:00Z');
+
+  const result = await verifyCitation(signCitation(withAmountDue([violation])[0], issuedAt));
+  assert.equal(result.authentic, true);
+  assert.equal(result.current, true);
+  assert.deepEqual(result.changes, []);
+  assert.deepEqual(result.document, {
+    violation_number: violation.violation_number,
+    status: 'issued',
+    amount_due: 1100,
+    amount_paid: 0,
+    issued_at: '2024-03-07T06:30:00.000Z'
+  });
+  assert.equal(result.violation.balance, 1100);
+  // Only what is needed to compare with the paper
+  assert.equal(result.violation.violator_name, undefined);
+  assert.equal(result.violation.violator_license, undefined);
+});
+
+test('altered, re-signed or malformed codes are refused', async () => {
+  const violation = await createViolation({ status: 'issued' });
+  const token = signed(violation);
+  const [encoded] = token.split('.');
+
+  const forged = crypto.createHmac('sha256', 'some-other-secret').update(encoded).digest('base64url');
+  const refusals = [
+    withPayload(token, { s: 'paid' }),
+    withPayload(token, { d: 0 }),
+    `${encoded}.${forged}`,
+    `${encoded}.${forged.slice(0, 10)}`,
+    `${token}.extra`,
+    encoded,
+    '',
+    'not-a-token'
+  ];
+  for (const candidate of refusals) {
+    await assert.rejects(verifyCitation(candidate), { code: 'CITATION_ERROR', statusCode: 400 }, candidate);
+  }
+
+  // After the secret is rotated, earlier codes fail and a signed payload that is not JSON is still refused
+  process.env.CITATION_SIGNING_SECRET = 'some-other-secret';
+  try {
+    const garbage = Buffer.from('not json').toString('base64url');
+    const signedGarbage = `${garbage}.${crypto.createHmac('sha256', 'some-other-secret').update(garbage).digest('base64url')}`;
+    await assert.rejects(verifyCitation(token), { message: 'This code was not issued by the e-Traffic System' });
+    await assert.rejects(verifyCitation(signedGarbage), { message: 'This is not an e-Traffic verification code' });
+  } finally {
+    process.env.CITATION_SIGNING_SECRET = 'citation-test-secret';
+  }
+});
+
+test('a genuine citation is no longer current once the violation changes', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 1000 });
+  const token = signed(violation);
+
+  await recordPayment(violation.id, { amount: 1000, method: 'cash' }, ADMIN);
+  const paid = await verifyCitation(token);
+  assert.equal(paid.authentic, true);
+  assert.equal(paid.current, false);
+  assert.deepEqual(paid.changes, ['status', 'amount_paid']);
+  assert.equal(paid.violation.status, 'paid');
+
+  const removed = await createViolation({ status: 'issued' });
+  const removedToken = signed(removed);
+  await getFirebaseService().deleteViolation(removed.id);
+  const gone = await verifyCitation(removedToken);
+  assert.deepEqual([gone.authentic, gone.current, gone.changes, gone.violation], [true, false, ['violation_removed'], null]);
+});
+
+test('citations cannot be signed or checked without a signing secret', async () => {
+  const violation = await createViolation();
+  const token = signed(violation);
+
+  delete process.env.CITATION_SIGNING_SECRET;
+  try {
+    assert.throws(() => signed(violation), { code: 'CITATION_ERROR', statusCode: 503 });
+    await assert.rejects(verifyCitation(token), { code: 'CITATION_ERROR', statusCode: 503 });
+  } finally {
+    process.env.CITATION_SIGNING_SECRET = 'citation-test-secret';
+  }
+});
+
+test('the printed PDF carries a code that the public endpoint verifies', async () => {
+  const violation = await createViolation({ status: 'issued' });
+  const res = new PassThrough();
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => res.on('end', resolve));
+
+  const { token } = await renderCitationPdf(res, { ...violation, enforcer_name: 'Test Enforcer' }, { verifyBaseUrl: 'https://etraffic.example/' });
+  await ended;
+  assert.equal(Buffer.concat(chunks).subarray(0, 5).toString(), '%PDF-');
+
+  const app = await startApp('/api/public', publicRoutes);
+  try {
+    const valid = await app.request('GET', `/api/public/verify/${token}`);
+    assert.equal(valid.status, 200);
+    assert.equal(valid.body.data.current, true);
+    assert.equal(valid.body.data.document.violation_number, violation.violation_number);
+
+    const altered = await app.request('GET', `/api/public/verify/${withPayload(token, { p: 500 })}`);
+    assert.deepEqual(altered, { status: 400, body: { success: false, error: 'This code was not issued by the e-Traffic System' } });
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,157 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, getFirebaseService, createViolation, createViolationType } = require('./helpers');
+const {
+  DEFAULT_DEMERIT_SETTINGS,
+  getDemeritPolicy,
+  getTypePoints,
+  calculateStanding,
+  getDemeritStanding,
+  checkNewViolation,
+  getSuspensionCandidates
+} = require('../services/demeritService');
+
+before(async () => {
+  await connectDB();
+});
+
+const POLICY = {
+  expiryDays: DEFAULT_DEMERIT_SETTINGS.demerit_expiry_days,
+  thresholds: [{ flag: 'warning', points: 6 }, { flag: 'suspension', points: 10 }, { flag: 'revocation', points: 20 }]
+};
+
+test('points expire from the date the violation was committed, not when it was entered', () => {
+  const asOf = new Date('2024-06-01T00:00:00Z');
+  // A paper ticket from 2022, imported last week
+  const imported = {
+    status: 'issued',
+    demerit_points: 8,
+    violation_date: new Date('2022-05-01T00:00:00Z'),
+    captured_at: new Date('2022-05-01T00:00:00Z'),
+    created_at: new Date('2024-05-25T00:00:00Z')
+  };
+  // Recorded before violation_date existed
+  const legacy = { status: 'issued', demerit_points: 3, created_at: new Date('2024-05-20T00:00:00Z') };
+
+  const standing = calculateStanding([imported, legacy], POLICY, new Map(), asOf);
+  assert.equal(standing.points, 3);
+  assert.equal(standing.flag, null);
+});
+
+test('each threshold flags the license once its points reach it', () => {
+  const asOf = new Date('2024-06-01T00:00:00Z');
+  const ticket = (points) => ({ status: 'issued', demerit_points: points, violation_date: new Date('2024-05-01T00:00:00Z') });
+  const standingOf = (...points) => calculateStanding(points.map(ticket), POLICY, new Map(), asOf);
+
+  assert.deepEqual(standingOf(5), {
+    points: 5,
+    flag: null,
+    threshold: null,
+    next_threshold: 6,
+    points_to_next: 1,
+    next_expiry: new Date('2025-05-01T00:00:00Z')
+  });
+  assert.equal(standingOf(3, 3).flag, 'warning');
+  assert.equal(standingOf(5, 5).flag, 'suspension');
+  assert.equal(standingOf(5, 5).points_to_next, 10);
+
+  const revoked = standingOf(10, 10, 1);
+  assert.equal(revoked.flag, 'revocation');
+  assert.equal(revoked.threshold, 20);
+  assert.equal(revoked.next_threshold, null);
+  assert.equal(revoked.points_to_next, null);
+});
+
+test('cancelled violations and points past the expiry window do not count', () => {
+  const asOf = new Date('2024-06-01T00:00:00Z');
+  const violations = [
+    { status: 'cancelled', demerit_points: 10, violation_date: new Date('2024-05-01T00:00:00Z') },
+    // Exactly 365 days old: expired
+    { status: 'paid', demerit_points: 4, violation_date: new Date('2023-06-02T00:00:00Z') },
+    { status: 'paid', demerit_points: 4, violation_date: new Date('2023-06-02T00:00:01Z') },
+    { status: 'issued', demerit_points: 2, violation_date: new Date('2024-01-10T00:00:00Z') }
+  ];
+
+  const standing = calculateStanding(violations, POLICY, new Map(), asOf);
+  assert.equal(standing.points, 6);
+  assert.equal(standing.flag, 'warning');
+  assert.equal(standing.next_expiry.toISOString(), '2024-06-01T00:00:01.000Z');
+  assert.equal(calculateStanding([], POLICY, new Map(), asOf).next_expiry, null);
+});
+
+test('violations recorded before types carried points count their type\'s current points', async () => {
+  const type = await createViolationType({ code: 'DP', name: 'Demerit Type', demerit_points: 4 });
+  const typePoints = await getTypePoints();
+  assert.equal(typePoints.get(type.id), 4);
+
+  const asOf = new Date('2024-06-01T00:00:00Z');
+  const date = new Date('2024-05-01T00:00:00Z');
+  const standing = calculateStanding([
+    { status: 'issued', violation_type_id: type.id, violation_date: date },
+    { status: 'issued', violation_type_id: type.id, demerit_points: 0, violation_date: date }
+  ], POLICY, typePoints, asOf);
+  assert.equal(standing.points, 4);
+});
+
+test('the thresholds come from the settings and a threshold of 0 is off', async () => {
+  const service = getFirebaseService();
+  const [settings] = await service.getSettings();
+  await service.update('system_settings', settings.id, {
+    demerit_expiry_days: '730',
+    demerit_warning_points: 0,
+    demerit_suspension_points: 8,
+    demerit_revocation_points: ''
+  });
+
+  try {
+    assert.deepEqual(await getDemeritPolicy(), {
+      expiryDays: 730,
+      thresholds: [{ flag: 'suspension', points: 8 }, { flag: 'revocation', points: 20 }]
+    });
+  } finally {
+    await service.update('system_settings', settings.id, DEFAULT_DEMERIT_SETTINGS);
+  }
+});
+
+test('a new violation reports whether it crossed a threshold', async () => {
+  const now = new Date();
+  await createViolation({ violator_id: 'V-DEM', demerit_points: 4, violation_date: now });
+  const second = await createViolation({ violator_id: 'V-DEM', demerit_points: 3, violation_date: now });
+
+  const crossed = await checkNewViolation(second);
+  assert.equal(crossed.points, 7);
+  assert.equal(crossed.flag, 'warning');
+  assert.equal(crossed.newly_flagged, true);
+  assert.equal(crossed.notice, 'WARNING: 7 demerit points');
+
+  const third = await createViolation({ violator_id: 'V-DEM', demerit_points: 1, violation_date: now });
+  const still = await checkNewViolation(third);
+  assert.equal(still.flag, 'warning');
+  assert.equal(still.newly_flagged, false);
+
+  assert.equal((await getDemeritStanding('V-DEM')).points, 8);
+  assert.equal(await checkNewViolation({ id: 'x', violator_id: null }), null);
+});
+
+test('suspension candidates are the flagged licenses, most points first', async () => {
+  const service = getFirebaseService();
+  const heavy = await service.create('violators', { full_name: 'Pedro Penduko', license_number: 'P01-00-000001', phone: '09170000001' });
+  const now = new Date();
+
+  await createViolation({ violator_id: heavy.id, demerit_points: 12, violation_date: now });
+  await createViolation({ violator_id: heavy.id, demerit_points: 9, violation_date: now });
+  await createViolation({ violator_id: 'V-SUS', violator_name: 'Ana Reyes', demerit_points: 10, violation_date: now });
+  await createViolation({ violator_id: null, demerit_points: 50, violation_date: now });
+
+  const { candidates } = await getSuspensionCandidates();
+  const mine = candidates.filter(candidate => [heavy.id, 'V-SUS'].includes(candidate.violator_id));
+  assert.deepEqual(mine.map(candidate => [candidate.full_name, candidate.points, candidate.flag]), [
+    ['Pedro Penduko', 21, 'revocation'],
+    ['Ana Reyes', 10, 'suspension']
+  ]);
+  assert.equal(mine[0].license_number, 'P01-00-000001');
+  assert.equal(mine[0].total_violations, 2);
+  // V-DEM above only reached a warning
+  assert.equal(candidates.some(candidate => candidate.violator_id === 'V-DEM'), false);
+  assert.ok((await getSuspensionCandidates({ minFlag: 'warning' })).candidates.some(candidate => candidate.violator_id === 'V-DEM'));
+});
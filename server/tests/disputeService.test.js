@@ -0,0 +1,126 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, connectDB, getFirebaseService, createViolation, smsFor } = require('./helpers');
+const {
+  checkDisputable,
+  fileDispute,
+  decideDispute,
+  getViolationDispute
+} = require('../services/disputeService');
+const { getStatusHistory } = require('../services/violationStatusService');
+
+before(async () => {
+  await connectDB();
+});
+
+// Due at 11:59 PM on Tuesday, March 12 in Manila
+const DUE = new Date('2024-03-12T15:59:59.999Z');
+
+test('the dispute deadline ends at midnight in Manila, whatever the server timezone', () => {
+  const violation = { status: 'issued', due_date: DUE };
+
+  // 11:30 PM on March 15 and 12:05 AM on March 16 in Manila (both March 15 in UTC)
+  const open = checkDisputable(violation, 3, new Date('2024-03-15T15:30:00Z'));
+  assert.equal(open.allowed, true);
+  assert.equal(open.deadline.toISOString(), '2024-03-15T15:59:59.999Z');
+  assert.equal(checkDisputable(violation, 3, new Date('2024-03-15T16:05:00Z')).allowed, false);
+
+  // With no grace days the deadline is the end of the due date itself
+  assert.equal(checkDisputable(violation, 0, new Date('2024-03-12T15:30:00Z')).allowed, true);
+  assert.match(checkDisputable(violation, 0, new Date('2024-03-12T16:05:00Z')).reason, /deadline to dispute this violation passed/);
+});
+
+test('only open violations can be disputed, and only once', () => {
+  const asOf = new Date('2024-03-10T00:00:00Z');
+
+  assert.equal(checkDisputable({ status: 'pending', due_date: DUE }, 0, asOf).allowed, true);
+  assert.equal(checkDisputable({ status: 'paid', due_date: DUE }, 0, asOf).reason, 'A paid violation cannot be disputed');
+  assert.equal(checkDisputable({ status: 'issued', due_date: DUE, dispute_id: 'd1' }, 0, asOf).reason, 'This violation has already been disputed');
+
+  const noDueDate = checkDisputable({ status: 'issued', due_date: null }, 0, new Date('2099-01-01T00:00:00Z'));
+  assert.equal(noDueDate.allowed, true);
+  assert.equal(noDueDate.deadline, null);
+});
+
+test('filing moves the violation to disputed and a second filing is refused', async () => {
+  const violation = await createViolation({ status: 'issued' });
+
+  const dispute = await fileDispute(violation.id, { reason: 'Wrong plate', evidence: ['a', 'b', 'c', 'd', 'e', 'f'] }, { source: 'portal' });
+  assert.equal(dispute.status, 'open');
+  assert.equal(dispute.previous_status, 'issued');
+  assert.equal(dispute.evidence.length, 5);
+  assert.equal((await getViolationDispute(violation.id)).id, dispute.id);
+
+  const disputed = await getFirebaseService().findById('violations', violation.id);
+  assert.equal(disputed.status, 'disputed');
+  assert.equal(disputed.dispute_id, dispute.id);
+  const [history] = await getStatusHistory(violation.id);
+  assert.equal(history.to_status, 'disputed');
+  assert.equal(history.user_id, 'system:portal');
+  assert.match(smsFor(violation)[0].message, /dispute for Ref .* was received/);
+
+  await assert.rejects(
+    fileDispute(violation.id, { reason: 'Again' }, { source: 'portal' }),
+    { code: 'DISPUTE_ERROR', statusCode: 409 }
+  );
+  await assert.rejects(
+    fileDispute('missing', { reason: 'Nothing' }, { source: 'admin', user: ADMIN }),
+    { code: 'DISPUTE_ERROR', statusCode: 404 }
+  );
+});
+
+test('a dispute filed after the deadline is refused', async () => {
+  const violation = await createViolation({ status: 'issued', due_date: DUE });
+
+  await assert.rejects(
+    fileDispute(violation.id, { reason: 'Too late' }, { source: 'portal' }),
+    { code: 'DISPUTE_ERROR', statusCode: 409 }
+  );
+  assert.equal((await getFirebaseService().findById('violations', violation.id)).status, 'issued');
+});
+
+test('an upheld dispute reissues the fine with a fresh due date once the old one has passed', async () => {
+  const violation = await createViolation({ status: 'issued' });
+  const dispute = await fileDispute(violation.id, { reason: 'Not me' }, { source: 'admin', user: ADMIN });
+  // The due date passes while the dispute is open
+  await getFirebaseService().update('violations', violation.id, { due_date: DUE });
+
+  const result = await decideDispute(dispute.id, { outcome: 'upheld', decision_notes: 'Photo is clear' }, ADMIN);
+  assert.equal(result.violation.status, 'issued');
+  assert.equal(result.violation.fine_amount, 500);
+  assert.ok(result.violation.due_date > new Date());
+  assert.equal(result.dispute.status, 'decided');
+  assert.equal(result.dispute.decided_by, ADMIN.id);
+
+  await assert.rejects(
+    decideDispute(dispute.id, { outcome: 'dismissed' }, ADMIN),
+    { code: 'DISPUTE_ERROR', statusCode: 409 }
+  );
+});
+
+test('a reduced fine must be lower, and marks the violation paid when already covered', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 1000, amount_paid: 600 });
+  const dispute = await fileDispute(violation.id, { reason: 'Too high' }, { source: 'portal' });
+
+  await assert.rejects(
+    decideDispute(dispute.id, { outcome: 'reduced', reduced_fine: 1000 }, ADMIN),
+    { code: 'DISPUTE_ERROR', statusCode: 400 }
+  );
+
+  const result = await decideDispute(dispute.id, { outcome: 'reduced', reduced_fine: 600 }, ADMIN);
+  assert.equal(result.violation.status, 'paid');
+  assert.equal(result.violation.fine_amount, 600);
+  assert.ok(result.violation.paid_at);
+  assert.equal(result.dispute.original_fine, 1000);
+  assert.equal(result.dispute.reduced_fine, 600);
+  assert.match(smsFor(violation).at(-1).message, /already covered by your payments/);
+});
+
+test('a dismissed dispute cancels the violation', async () => {
+  const violation = await createViolation({ status: 'pending' });
+  const dispute = await fileDispute(violation.id, { reason: 'Sign was covered' }, { source: 'portal' });
+
+  const result = await decideDispute(dispute.id, { outcome: 'dismissed' }, ADMIN);
+  assert.equal(result.violation.status, 'cancelled');
+  assert.match(smsFor(violation).at(-1).message, /was granted/);
+});
@@ -0,0 +1,140 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, getFirebaseService, createViolation, smsFor } = require('./helpers');
+const {
+  HOLIDAYS_COLLECTION,
+  getCompliancePolicy,
+  getHolidays,
+  holidayMatcher,
+  calculateDueDate,
+  computeDueDate,
+  recomputeDueDates
+} = require('../services/dueDateService');
+const { toManila } = require('../utils/dateUtils');
+
+before(async () => {
+  await connectDB();
+});
+
+const dueDay = async (violation) =>
+  toManila((await getFirebaseService().findById('violations', violation.id)).due_date).format('YYYY-MM-DD');
+
+test('a recompute counts from when the violation was committed and texts nobody by default', async () => {
+  // Thursday 2:30 PM in Manila, entered today
+  const violation = await createViolation({
+    violation_date: new Date('2024-03-07T06:30:00Z'),
+    due_date: new Date('2030-01-01T00:00:00Z')
+  });
+
+  const result = await recomputeDueDates();
+
+  assert.equal(await dueDay(violation), '2024-03-12');
+  assert.equal(result.notified, 0);
+  assert.equal(smsFor(violation).length, 0);
+});
+
+test('with notify only violators of tickets recorded in the field are texted', async () => {
+  const fieldTicket = await createViolation({
+    violation_date: new Date('2024-04-01T01:00:00Z'),
+    due_date: new Date('2030-01-01T00:00:00Z')
+  });
+  const paperTicket = await createViolation({
+    violation_date: new Date('2024-04-01T01:00:00Z'),
+    due_date: new Date('2030-01-01T00:00:00Z'),
+    import_batch_id: 'batch-1'
+  });
+
+  const result = await recomputeDueDates({ notify: true });
+
+  assert.equal(await dueDay(fieldTicket), '2024-04-04');
+  assert.equal(await dueDay(paperTicket), '2024-04-04');
+  assert.equal(result.notified, 1);
+  assert.equal(smsFor(fieldTicket).length, 1);
+  assert.equal(smsFor(paperTicket).length, 0);
+});
+
+const WORKING_DAYS = { periodDays: 3, workingDays: true };
+const CALENDAR_DAYS = { periodDays: 3, workingDays: false };
+
+const due = (from, policy, holidays = []) => toManila(calculateDueDate(new Date(from), policy, holidayMatcher(holidays)));
+
+test('working days skip weekends and the period ends at 11:59 PM in Manila', () => {
+  // Friday: Monday, Tuesday, Wednesday
+  const dueDate = calculateDueDate(new Date('2024-03-08T02:00:00Z'), WORKING_DAYS);
+  assert.equal(dueDate.toISOString(), '2024-03-13T15:59:59.999Z');
+  // Saturday and Sunday count the same as Friday
+  assert.equal(due('2024-03-09T02:00:00Z', WORKING_DAYS).format('YYYY-MM-DD'), '2024-03-13');
+  assert.equal(due('2024-03-10T02:00:00Z', WORKING_DAYS).format('YYYY-MM-DD'), '2024-03-13');
+});
+
+test('the period counts from the day in Manila, whatever the server timezone', () => {
+  // 11:30 PM Thursday and 12:30 AM Friday in Manila, both Thursday in UTC
+  assert.equal(due('2024-03-07T15:30:00Z', WORKING_DAYS).format('YYYY-MM-DD'), '2024-03-12');
+  assert.equal(due('2024-03-07T16:30:00Z', WORKING_DAYS).format('YYYY-MM-DD'), '2024-03-13');
+});
+
+test('holidays are skipped, and recurring ones every year', () => {
+  const holidays = [
+    { date: '2024-03-28', name: 'Maundy Thursday', recurring: false },
+    { date: '2024-03-29', name: 'Good Friday', recurring: false },
+    { date: '2000-04-09', name: 'Araw ng Kagitingan', recurring: true }
+  ];
+
+  // Wednesday before Holy Week: Monday April 1, Tuesday, Wednesday
+  assert.equal(due('2024-03-27T02:00:00Z', WORKING_DAYS, holidays).format('YYYY-MM-DD'), '2024-04-03');
+  // Friday April 4, 2025: Monday, Tuesday, then Thursday after the April 9 holiday
+  assert.equal(due('2025-04-04T02:00:00Z', WORKING_DAYS, holidays).format('YYYY-MM-DD'), '2025-04-10');
+  // One-off holidays do not come back the next year
+  assert.equal(due('2025-03-26T02:00:00Z', WORKING_DAYS, holidays).format('YYYY-MM-DD'), '2025-03-31');
+});
+
+test('calendar days count every day but never end on a weekend or holiday', () => {
+  // Wednesday + 3 is Saturday, moved to Monday
+  assert.equal(due('2024-03-06T02:00:00Z', CALENDAR_DAYS).format('YYYY-MM-DD'), '2024-03-11');
+  // Monday + 3 is Thursday
+  assert.equal(due('2024-03-04T02:00:00Z', CALENDAR_DAYS).format('YYYY-MM-DD'), '2024-03-07');
+  // Monday + 3 is Maundy Thursday, then Good Friday and the weekend
+  const holidays = [{ date: '2024-03-28', recurring: false }, { date: '2024-03-29', recurring: false }];
+  assert.equal(due('2024-03-25T02:00:00Z', CALENDAR_DAYS, holidays).format('YYYY-MM-DD'), '2024-04-01');
+});
+
+test('the policy comes from the settings, with defaults for missing or invalid values', async () => {
+  const service = getFirebaseService();
+  const [settings] = await service.getSettings();
+
+  try {
+    await service.update('system_settings', settings.id, { compliance_period_days: '5', compliance_working_days: 'false' });
+    assert.deepEqual(await getCompliancePolicy(), { periodDays: 5, workingDays: false });
+
+    await service.update('system_settings', settings.id, { compliance_period_days: 2.5, compliance_working_days: '' });
+    assert.deepEqual(await getCompliancePolicy(), { periodDays: 3, workingDays: true });
+  } finally {
+    await service.update('system_settings', settings.id, { compliance_period_days: 3, compliance_working_days: true });
+  }
+});
+
+test('new tickets and recomputes use the holidays on record', async () => {
+  const service = getFirebaseService();
+  await service.create(HOLIDAYS_COLLECTION, { date: '2026-06-12', name: 'Independence Day', recurring: true });
+  await service.create(HOLIDAYS_COLLECTION, { date: '2026-06-15', name: 'Special Holiday', recurring: false });
+
+  assert.deepEqual((await getHolidays({ year: 2027 })).map(holiday => holiday.name), ['Independence Day']);
+  assert.deepEqual((await getHolidays({ year: 2026 })).map(holiday => holiday.name), ['Independence Day', 'Special Holiday']);
+
+  // Thursday June 11, 2026: Friday 12 and Monday 15 are holidays
+  const dueDate = await computeDueDate(new Date('2026-06-11T02:00:00Z'));
+  assert.equal(toManila(dueDate).format('YYYY-MM-DD'), '2026-06-18');
+
+  const open = await createViolation({ violation_date: new Date('2026-06-11T02:00:00Z'), due_date: new Date('2026-06-16T15:59:59.999Z') });
+  const disputed = await createViolation({ status: 'issued', dispute_id: 'd1', violation_date: new Date('2026-06-11T02:00:00Z'), due_date: new Date('2026-06-16T15:59:59.999Z') });
+  const surcharged = await createViolation({ surcharge_total: 50, violation_date: new Date('2026-06-11T02:00:00Z'), due_date: new Date('2026-06-16T15:59:59.999Z') });
+
+  const preview = await recomputeDueDates({ dryRun: true });
+  assert.ok(preview.samples.some(sample => sample.id === open.id && sample.to === '2026-06-18T15:59:59.999Z'));
+  assert.equal(await dueDay(open), '2026-06-16');
+
+  await recomputeDueDates();
+  assert.equal(await dueDay(open), '2026-06-18');
+  assert.equal(await dueDay(disputed), '2026-06-16');
+  assert.equal(await dueDay(surcharged), '2026-06-16');
+});
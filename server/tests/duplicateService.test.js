@@ -0,0 +1,125 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, getFirebaseService, createViolation, createViolationType, recordViolation } = require('./helpers');
+const {
+  scanDuplicates,
+  getDuplicateCandidates,
+  dismissDuplicate,
+  mergeDuplicate
+} = require('../services/duplicateService');
+const { VIOLATORS_COLLECTION } = require('../services/violatorService');
+const { countPriorOffenses } = require('../services/violationTypeService');
+
+const ADMIN_ID = 'test-admin';
+
+let helmet;
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+// The open candidate pairing the two identity keys
+const findCandidate = async (keyA, keyB) => {
+  const candidates = await getDuplicateCandidates('open');
+  return candidates.find(candidate => {
+    const keys = candidate.identities.map(identity => identity.key);
+    return keys.includes(keyA) && keys.includes(keyB);
+  });
+};
+
+before(async () => {
+  await connectDB();
+  helmet = await createViolationType({
+    code: 'NH',
+    name: 'No Helmet',
+    base_fine: 500,
+    offense_tiers: [{ offense: 1, fine: 500 }, { offense: 2, fine: 1000 }, { offense: 3, fine: 1500 }]
+  });
+});
+
+test('merging a mistyped license makes its offenses count for the surviving profile', async () => {
+  const person = { violator_name: 'Andres Bonifacio', violator_phone: '09170000001' };
+  const first = await recordViolation(helmet, { ...person, violator_license: 'E01-12-345678', captured_at: daysAgo(30) });
+  const typo = await recordViolation(helmet, { ...person, violator_license: 'E01-12-345679', captured_at: daysAgo(10) });
+
+  // Different license ids, so each looks like a first offense
+  assert.equal(first.offense_number, 1);
+  assert.equal(typo.offense_number, 1);
+  assert.equal(typo.is_repeat_offender, false);
+
+  await scanDuplicates();
+  const candidate = await findCandidate('violator:E0112345678', 'violator:E0112345679');
+  assert.ok(candidate, 'the two profiles are a duplicate candidate');
+  assert.ok(candidate.reasons.includes('similar_license'));
+  assert.ok(candidate.reasons.includes('same_phone'));
+
+  const result = await mergeDuplicate(candidate.id, 'E0112345678', ADMIN_ID);
+  assert.equal(result.movedViolations, 1);
+  assert.equal(result.updatedFlags, 1);
+
+  const firebaseService = getFirebaseService();
+  const source = await firebaseService.findById(VIOLATORS_COLLECTION, 'E0112345679');
+  assert.equal(source.merged_into, 'E0112345678');
+
+  const moved = await firebaseService.findById('violations', typo.id);
+  assert.equal(moved.violator_id, 'E0112345678');
+  assert.equal(moved.is_repeat_offender, true);
+  assert.equal(moved.previous_violations_count, 1);
+
+  assert.equal(await countPriorOffenses(helmet, 'E0112345678'), 2);
+
+  // A new ticket under the mistyped license lands on the surviving profile as the third offense
+  const third = await recordViolation(helmet, { ...person, violator_license: 'E01-12-345679' });
+  assert.equal(third.violator_id, 'E0112345678');
+  assert.equal(third.offense_number, 3);
+  assert.equal(third.fine_amount, 1500);
+  assert.equal(third.previous_violations_count, 2);
+});
+
+test('merging violations recorded without a license links them to the profile', async () => {
+  const person = { violator_name: 'Gabriela Silang', violator_phone: '09170000002' };
+  const licensed = await recordViolation(helmet, { ...person, violator_license: 'F01-12-345678', captured_at: daysAgo(5) });
+  const unlinked = await createViolation({
+    ...person,
+    violator_license: '',
+    violator_id: null,
+    violation_type_code: 'NH',
+    captured_at: daysAgo(40)
+  });
+
+  await scanDuplicates();
+  const candidate = await findCandidate('violator:F0112345678', 'unlinked:gabriela silang');
+  assert.ok(candidate, 'the unlinked violations are a duplicate candidate');
+
+  const result = await mergeDuplicate(candidate.id, 'F0112345678', ADMIN_ID);
+  assert.equal(result.movedViolations, 1);
+
+  const firebaseService = getFirebaseService();
+  const moved = await firebaseService.findById('violations', unlinked.id);
+  assert.equal(moved.violator_id, 'F0112345678');
+
+  // The unlinked ticket came first, so the licensed one is now the repeat
+  const later = await firebaseService.findById('violations', licensed.id);
+  assert.equal(later.previous_violations_count, 1);
+  assert.equal(later.is_repeat_offender, true);
+  assert.equal(await countPriorOffenses(helmet, 'F0112345678'), 2);
+});
+
+test('a merge needs an open candidate and one of its profiles as the target', async () => {
+  const person = { violator_name: 'Apolinario Mabini', violator_phone: '09170000003' };
+  await recordViolation(helmet, { ...person, violator_license: 'G01-12-345678' });
+  await recordViolation(helmet, { ...person, violator_license: 'G01-12-345670' });
+
+  await scanDuplicates();
+  const candidate = await findCandidate('violator:G0112345678', 'violator:G0112345670');
+  assert.ok(candidate);
+
+  await assert.rejects(mergeDuplicate(candidate.id, 'E0112345678', ADMIN_ID), { code: 'DUPLICATE_ERROR', statusCode: 400 });
+  await assert.rejects(mergeDuplicate('missing', 'G0112345678', ADMIN_ID), { code: 'DUPLICATE_ERROR', statusCode: 404 });
+
+  await dismissDuplicate(candidate.id, ADMIN_ID);
+  await assert.rejects(mergeDuplicate(candidate.id, 'G0112345678', ADMIN_ID), { code: 'DUPLICATE_ERROR', statusCode: 400 });
+
+  // Dismissed pairs stay dismissed on the next scan, and their offenses stay apart
+  await scanDuplicates();
+  assert.equal(await findCandidate('violator:G0112345678', 'violator:G0112345670'), undefined);
+  assert.equal(await countPriorOffenses(helmet, 'G0112345678'), 1);
+});
@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { connectDB, getFirebaseService, createViolation } = require('./helpers');
+const LocalPhotoStorage = require('../services/localPhotoStorage');
+
+// Photos go to a throwaway directory, removed after the tests
+process.env.PHOTO_STORAGE = 'local';
+process.env.PHOTO_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'etraffic-photos-'));
+
+const {
+  getPhotoStorage,
+  addPhotos,
+  readPhoto,
+  deletePhoto,
+  toPhotoResponse
+} = require('../services/evidencePhotoService');
+
+const ENFORCER_UPLOAD = { id: 'test-enforcer', source: 'enforcer' };
+
+const photoFile = async (format = 'png', width = 800, height = 600) => ({
+  buffer: await sharp({ create: { width, height, channels: 3, background: '#c0392b' } })[format]().toBuffer(),
+  originalname: `photo.${format}`,
+  get size() { return this.buffer.length; }
+});
+
+before(async () => {
+  await connectDB();
+});
+
+after(() => {
+  fs.rmSync(process.env.PHOTO_STORAGE_DIR, { recursive: true, force: true });
+});
+
+test('the original is stored byte for byte next to a small JPEG thumbnail', async () => {
+  const violation = await createViolation();
+  const file = await photoFile('png');
+
+  const [photo] = await addPhotos(violation.id, [file], ENFORCER_UPLOAD);
+  assert.equal(photo.content_type, 'image/png');
+  assert.equal(photo.width, 800);
+  assert.equal(photo.height, 600);
+  assert.equal(photo.sha256, crypto.createHash('sha256').update(file.buffer).digest('hex'));
+  assert.equal(photo.source, 'enforcer');
+
+  const original = await readPhoto(photo);
+  assert.ok(original.buffer.equals(file.buffer));
+
+  const thumbnail = await readPhoto(photo, true);
+  assert.equal(thumbnail.contentType, 'image/jpeg');
+  const thumbnailSize = await sharp(thumbnail.buffer).metadata();
+  assert.equal(thumbnailSize.format, 'jpeg');
+  assert.equal(thumbnailSize.width, 320);
+  assert.equal(thumbnailSize.height, 240);
+
+  const stored = await getFirebaseService().findById('violations', violation.id);
+  assert.deepEqual(stored.evidence_photos.map(entry => entry.id), [photo.id]);
+
+  // Storage keys never leave the server
+  const response = toPhotoResponse(photo);
+  assert.equal(response.key, undefined);
+  assert.equal(response.thumbnail_key, undefined);
+  assert.equal(response.id, photo.id);
+});
+
+test('files that are not JPEG, PNG or WebP images are refused and nothing is stored', async () => {
+  const violation = await createViolation();
+  const text = { buffer: Buffer.from('not an image'), originalname: 'notes.txt', size: 12 };
+  const gif = { ...await photoFile('gif', 10, 10), originalname: 'anim.gif' };
+
+  await assert.rejects(addPhotos(violation.id, [text], ENFORCER_UPLOAD), { code: 'PHOTO_ERROR', statusCode: 400, message: 'notes.txt is not a readable image' });
+  await assert.rejects(addPhotos(violation.id, [gif], ENFORCER_UPLOAD), { code: 'PHOTO_ERROR', statusCode: 400, message: 'anim.gif must be a JPEG, PNG or WebP image' });
+  await assert.rejects(addPhotos(violation.id, [], ENFORCER_UPLOAD), { code: 'PHOTO_ERROR', statusCode: 400 });
+  await assert.rejects(addPhotos('missing', [await photoFile()], ENFORCER_UPLOAD), { code: 'PHOTO_ERROR', statusCode: 404 });
+
+  assert.equal(fs.existsSync(path.join(process.env.PHOTO_STORAGE_DIR, 'violations', violation.id)), false);
+});
+
+test('the per-violation limit comes from the settings and counts photos already attached', async () => {
+  const service = getFirebaseService();
+  const [settings] = await service.getSettings();
+  await service.update('system_settings', settings.id, { max_photos_per_violation: 2 });
+
+  try {
+    const violation = await createViolation();
+    await addPhotos(violation.id, [await photoFile('jpeg')], ENFORCER_UPLOAD);
+
+    await assert.rejects(
+      addPhotos(violation.id, [await photoFile('webp'), await photoFile('webp')], ENFORCER_UPLOAD),
+      { code: 'PHOTO_ERROR', statusCode: 409, message: 'A violation can have at most 2 photos (it has 1)' }
+    );
+    assert.equal((await addPhotos(violation.id, [await photoFile('webp')], ENFORCER_UPLOAD)).length, 1);
+  } finally {
+    await service.update('system_settings', settings.id, { max_photos_per_violation: 5 });
+  }
+});
+
+test('deleting a photo detaches it and removes both files', async () => {
+  const violation = await createViolation();
+  const [kept, removed] = await addPhotos(violation.id, [await photoFile(), await photoFile()], ENFORCER_UPLOAD);
+
+  await deletePhoto(violation.id, removed.id);
+
+  const stored = await getFirebaseService().findById('violations', violation.id);
+  assert.deepEqual(stored.evidence_photos.map(entry => entry.id), [kept.id]);
+  assert.equal(await readPhoto(removed), null);
+  assert.equal(await readPhoto(removed, true), null);
+  assert.ok(await readPhoto(kept));
+
+  await assert.rejects(deletePhoto(violation.id, removed.id), { code: 'PHOTO_ERROR', statusCode: 404 });
+});
+
+test('local storage keys cannot point outside the photo directory', async () => {
+  assert.ok(getPhotoStorage() instanceof LocalPhotoStorage);
+  await assert.rejects(getPhotoStorage().read('../../etc/passwd'), /Invalid photo key/);
+  await assert.rejects(getPhotoStorage().save('../escape.jpg', Buffer.from('x')), /Invalid photo key/);
+});
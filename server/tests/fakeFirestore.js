@@ -0,0 +1,133 @@
+// A small stand-in for the Firestore client, enough to run FirebaseService
+// queries without credentials or the emulator: where (==, !=, <, <=, >, >=, in),
+// orderBy (ties broken by document id, like Firestore), startAfter a document,
+// offset, limit, count() and single-document get/set/update/delete.
+const { admin } = require('../config/firebase');
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toDate === 'function') return value.toDate().getTime();
+  return value;
+};
+
+const compare = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+const matches = (fieldValue, operator, value) => {
+  if (fieldValue === undefined) return false;
+  switch (operator) {
+    case '==': return compare(fieldValue, value) === 0;
+    case '!=': return compare(fieldValue, value) !== 0;
+    case '<': return compare(fieldValue, value) < 0;
+    case '<=': return compare(fieldValue, value) <= 0;
+    case '>': return compare(fieldValue, value) > 0;
+    case '>=': return compare(fieldValue, value) >= 0;
+    case 'in': return value.some(option => compare(fieldValue, option) === 0);
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+// Server timestamps become the time of the write
+const resolveSentinels = (data) => Object.fromEntries(Object.entries(data).map(([key, value]) =>
+  [key, value instanceof admin.firestore.FieldValue ? new Date() : value]
+));
+
+const snapshotOf = (id, data) => ({
+  id,
+  exists: data !== undefined,
+  data: () => (data === undefined ? undefined : { ...data })
+});
+
+class FakeQuery {
+  constructor(documents, state = { wheres: [], order: null, after: null, offset: 0, limit: null }) {
+    this.documents = documents;
+    this.state = state;
+  }
+
+  with(changes) {
+    return new FakeQuery(this.documents, { ...this.state, ...changes });
+  }
+
+  where(field, operator, value) {
+    return this.with({ wheres: [...this.state.wheres, [field, operator, value]] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.with({ order: { field, direction } });
+  }
+
+  startAfter(snapshot) {
+    return this.with({ after: snapshot });
+  }
+
+  offset(offset) {
+    return this.with({ offset });
+  }
+
+  limit(limit) {
+    return this.with({ limit });
+  }
+
+  run() {
+    const { wheres, order, after, offset, limit } = this.state;
+    let rows = [...this.documents.entries()]
+      .filter(([, data]) => wheres.every(([field, operator, value]) => matches(data[field], operator, value)));
+
+    if (order) {
+      const sign = order.direction === 'desc' ? -1 : 1;
+      const byOrder = ([idA, a], [idB, b]) => sign * (compare(a[order.field], b[order.field]) || compare(idA, idB));
+      // Ordering by a field leaves out documents without it
+      rows = rows.filter(([, data]) => data[order.field] !== undefined).sort(byOrder);
+      if (after) {
+        const position = [after.id, after.data()];
+        rows = rows.filter(row => byOrder(row, position) > 0);
+      }
+    }
+
+    rows = rows.slice(offset);
+    if (limit !== null) rows = rows.slice(0, limit);
+    return rows;
+  }
+
+  async get() {
+    const docs = this.run().map(([id, data]) => snapshotOf(id, data));
+    return { docs, empty: docs.length === 0, size: docs.length, forEach: (callback) => docs.forEach(callback) };
+  }
+
+  count() {
+    return { get: async () => ({ data: () => ({ count: this.run().length }) }) };
+  }
+}
+
+class FakeCollection extends FakeQuery {
+  doc(id = `doc${this.documents.size + 1}-${Math.random().toString(36).slice(2, 8)}`) {
+    const documents = this.documents;
+    return {
+      id,
+      get: async () => snapshotOf(id, documents.get(id)),
+      set: async (data) => { documents.set(id, resolveSentinels(data)); },
+      update: async (data) => {
+        if (!documents.has(id)) throw new Error(`No document to update: ${id}`);
+        documents.set(id, { ...documents.get(id), ...resolveSentinels(data) });
+      },
+      delete: async () => { documents.delete(id); }
+    };
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Map());
+    return new FakeCollection(this.collections.get(name));
+  }
+}
+
+module.exports = { FakeFirestore };
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validationResult } = require('express-validator');
+const MemoryService = require('../config/memoryService');
+const { coordinateValidators, toGeoPoint, toLatLng } = require('../utils/geoUtils');
+
+// Run the validators on a request body; returns the error messages and the sanitized body
+const validate = async (body) => {
+  const req = { body };
+  for (const validator of coordinateValidators) {
+    await validator.run(req);
+  }
+  return { errors: validationResult(req).array().map(error => error.msg), body: req.body };
+};
+
+test('coordinates are optional but must be in range and sent together', async () => {
+  assert.deepEqual((await validate({})).errors, []);
+  assert.deepEqual((await validate({ latitude: null, longitude: null })).errors, []);
+
+  const valid = await validate({ latitude: '10.2931', longitude: '123.9011' });
+  assert.deepEqual(valid.errors, []);
+  assert.equal(valid.body.latitude, 10.2931);
+
+  assert.deepEqual((await validate({ latitude: 91, longitude: 0 })).errors, ['Latitude must be between -90 and 90']);
+  assert.deepEqual((await validate({ latitude: 0, longitude: -181 })).errors, ['Longitude must be between -180 and 180']);
+  assert.deepEqual((await validate({ latitude: 10.29 })).errors, ['Latitude and longitude must be sent together']);
+  assert.deepEqual((await validate({ longitude: 123.9 })).errors, ['Latitude and longitude must be sent together']);
+});
+
+test('a geopoint is stored only for a real fix', () => {
+  const storage = new MemoryService();
+
+  assert.deepEqual(toGeoPoint(storage, { latitude: 10.2931, longitude: 123.9011 }), { latitude: 10.2931, longitude: 123.9011 });
+  // 0,0 is what GPS modules report before they have a fix
+  assert.equal(toGeoPoint(storage, { latitude: 0, longitude: 0 }), null);
+  assert.equal(toGeoPoint(storage, { latitude: undefined, longitude: undefined }), null);
+});
+
+test('stored geopoints read back as numbers in every form', () => {
+  assert.deepEqual(toLatLng({ latitude: 10.2931, longitude: 123.9011 }), { latitude: 10.2931, longitude: 123.9011 });
+  // A Firestore GeoPoint once serialized to JSON
+  assert.deepEqual(toLatLng({ _latitude: 10.2931, _longitude: 123.9011 }), { latitude: 10.2931, longitude: 123.9011 });
+  assert.equal(toLatLng({ latitude: '10.2931', longitude: '123.9011' }), null);
+  assert.equal(toLatLng(null), null);
+});
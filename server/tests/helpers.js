@@ -0,0 +1,141 @@
+// Shared setup for the service tests: the in-memory backend and a captured SMS outbox.
+// Require this before any service so the SMS stub is the one they pick up.
+process.env.DB_BACKEND = 'memory';
+
+const smsService = require('../services/smsService');
+
+// Services destructure sendSMS when they load, so it is swapped in first
+const sentSms = [];
+smsService.sendSMS = async (phoneNumber, message, violationId = null) => {
+  sentSms.push({ phoneNumber, message, violationId });
+  return { success: true };
+};
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { connectDB, getFirebaseService } = require('../config/database');
+const { linkViolator, repeatOffenderFields } = require('../services/violatorService');
+const {
+  VIOLATION_TYPES_COLLECTION,
+  countPriorOffenses,
+  violationTypeFields
+} = require('../services/violationTypeService');
+
+const ADMIN = { id: 'test-admin', role: 'admin' };
+const ENFORCER = { id: 'test-enforcer', role: 'enforcer' };
+
+let sequence = 0;
+
+/**
+ * Store a violation with sensible defaults
+ * @param {object} fields - Fields to override
+ * @returns {Promise<object>} The stored violation
+ */
+const createViolation = async (fields = {}) => {
+  sequence += 1;
+  return getFirebaseService().createViolation({
+    violation_number: `VIO-TEST-${String(sequence).padStart(4, '0')}`,
+    violator_name: 'Juan Dela Cruz',
+    violator_license: `T01-00-${String(sequence).padStart(6, '0')}`,
+    violator_phone: '09171234567',
+    vehicle_plate: `TST${sequence}`,
+    violation_type: 'No Helmet',
+    fine_amount: 500,
+    surcharge_total: 0,
+    status: 'pending',
+    due_date: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+    ...fields
+  });
+};
+
+/**
+ * Add a violation type to the catalog, in effect since 2000
+ * @param {object} fields - Fields to override (code, name, base_fine, offense_tiers...)
+ * @returns {Promise<object>} The catalog entry
+ */
+const createViolationType = async (fields = {}) => getFirebaseService().create(VIOLATION_TYPES_COLLECTION, {
+  code: 'NH',
+  name: 'No Helmet',
+  ordinance_reference: 'Test Ordinance',
+  description: '',
+  base_fine: 500,
+  effective_from: '2000-01-01',
+  effective_to: null,
+  offense_tiers: [],
+  lookback_days: null,
+  demerit_points: 0,
+  ...fields
+});
+
+/**
+ * Record a violation of a catalog type the way POST /api/violations does:
+ * link the violator first, then number the offense and set the repeat flags by violator id
+ * @param {object} type - Catalog entry
+ * @param {object} fields - Violator and other fields
+ * @returns {Promise<object>} The stored violation
+ */
+const recordViolation = async (type, fields = {}) => {
+  const violatorId = await linkViolator(fields);
+  const offenseNumber = await countPriorOffenses(type, violatorId) + 1;
+
+  return createViolation({
+    ...fields,
+    violator_id: violatorId,
+    ...violationTypeFields(type, offenseNumber),
+    ...await repeatOffenderFields(violatorId)
+  });
+};
+
+/**
+ * Serve a router on a free port, signed in as a new active user
+ * @param {string} mountPath - Path the router is mounted on, e.g. '/api/violations'
+ * @param {object} router - Express router
+ * @param {string} role - Role of the signed-in user
+ * @returns {Promise<object>} { user, request(method, path, body), close() } request resolves to { status, body }
+ */
+const startApp = async (mountPath, router, role = 'admin') => {
+  const user = await getFirebaseService().create('users', {
+    username: `test-${role}-${Date.now()}`,
+    full_name: `Test ${role}`,
+    role,
+    is_active: true
+  });
+  const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET);
+
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return { user, request, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+// Messages texted to a violation's violator since the test started
+const smsFor = (violation) => sentSms.filter(sms => sms.violationId === violation.id);
+
+module.exports = {
+  ADMIN,
+  ENFORCER,
+  connectDB,
+  getFirebaseService,
+  createViolation,
+  createViolationType,
+  recordViolation,
+  startApp,
+  smsFor,
+  sentSms
+};
@@ -0,0 +1,83 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, createViolation } = require('./helpers');
+const { normalizeLocation, getHotspots } = require('../services/hotspotService');
+
+before(async () => {
+  await connectDB();
+});
+
+test('the peak hour is read on the Manila clock, whatever the server timezone', async () => {
+  // 8:15 AM on March 7 in Manila
+  await createViolation({ location: 'Colon St.', violation_date: new Date('2024-03-07T00:15:00Z') });
+
+  const { hotspots } = await getHotspots({ start: new Date('2024-03-06T16:00:00Z'), end: new Date('2024-03-07T15:59:59.999Z') });
+  assert.equal(hotspots[0].peak_hour, 8);
+  assert.equal(hotspots[0].by_hour[8], 1);
+});
+
+test('locations are normalized the same however they are written', () => {
+  const forms = [
+    'Osmeña Blvd. cor. P. del Rosario St.',
+    'P. Del Rosario Street & Osmena Boulevard',
+    'p del rosario st / osmena blvd',
+    'OSMEÑA BOULEVARD corner P. DEL ROSARIO STREET'
+  ];
+  assert.deepEqual(new Set(forms.map(normalizeLocation)), new Set(['osmena boulevard & p del rosario street']));
+
+  // St. and Dr. before a name are Saint and Doctor
+  assert.equal(normalizeLocation('Dr. P. Ocampo St., Brgy. Sto. Niño'), 'doctor p ocampo street barangay santo nino');
+  assert.equal(normalizeLocation('St. Jude Ave'), 'saint jude avenue');
+  assert.equal(normalizeLocation('  '), '');
+  assert.equal(normalizeLocation(null), '');
+});
+
+test('hotspots group by grid cell or location and compare with the period before', async () => {
+  const day = (date, hour = 2) => new Date(`${date}T0${hour}:00:00Z`);
+  const atCarbon = { latitude: 10.29300, longitude: 123.90100 };
+  const nearCarbon = { latitude: 10.29310, longitude: 123.90110 };
+
+  // Current period: April 8 to 14; previous period: April 1 to 7
+  await createViolation({ location: 'Carbon Market', geopoint: atCarbon, violation_date: day('2024-04-08'), fine_amount: 500 });
+  await createViolation({ location: 'Near Carbon', geopoint: nearCarbon, violation_date: day('2024-04-09'), fine_amount: 500 });
+  await createViolation({ location: 'Carbon Market', geopoint: atCarbon, violation_date: day('2024-04-10'), fine_amount: 1000, violation_type: 'Reckless Driving' });
+  await createViolation({ location: 'Colon St., Cebu City', violation_date: day('2024-04-11') });
+  await createViolation({ location: 'colon street, cebu city', violation_date: day('2024-04-12') });
+  await createViolation({ location: 'Colon St., Cebu City', violation_date: day('2024-04-03') });
+  await createViolation({ location: 'Colon St., Cebu City', violation_date: day('2024-04-04') });
+  await createViolation({ location: 'Colon St., Cebu City', violation_date: day('2024-04-05') });
+  await createViolation({ location: 'Mango Ave.', violation_date: day('2024-04-05') });
+
+  const { summary, hotspots } = await getHotspots({
+    start: new Date('2024-04-07T16:00:00Z'),
+    end: new Date('2024-04-14T15:59:59.999Z')
+  });
+
+  assert.equal(summary.total_violations, 5);
+  assert.equal(summary.located_by_coordinates, 3);
+  assert.equal(summary.hotspot_count, 2);
+  assert.equal(summary.previous_start_date.toISOString(), '2024-03-31T16:00:00.000Z');
+
+  const [carbon, colon] = hotspots;
+  assert.equal(carbon.method, 'grid');
+  assert.equal(carbon.count, 3);
+  assert.equal(carbon.label, 'Carbon Market');
+  assert.equal(carbon.total_fines, 2000);
+  assert.equal(carbon.share_percent, 60);
+  assert.deepEqual(carbon.by_type, [{ violation_type: 'No Helmet', count: 2 }, { violation_type: 'Reckless Driving', count: 1 }]);
+  assert.equal(carbon.trend, 'new');
+  assert.ok(Math.abs(carbon.latitude - 10.293033) < 1e-6);
+
+  assert.equal(colon.method, 'location');
+  assert.equal(colon.key, 'location:colon street cebu city');
+  assert.equal(colon.count, 2);
+  assert.equal(colon.previous_count, 3);
+  assert.equal(colon.change_percent, -33);
+  assert.equal(colon.trend, 'falling');
+
+  // Mango Avenue only had violations in the previous period
+  assert.equal(hotspots.some(hotspot => hotspot.key.includes('mango')), false);
+
+  const limited = await getHotspots({ start: new Date('2024-04-07T16:00:00Z'), end: new Date('2024-04-14T15:59:59.999Z'), limit: 1 });
+  assert.deepEqual(limited.hotspots.map(hotspot => hotspot.rank), [1]);
+});
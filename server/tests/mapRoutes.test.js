@@ -0,0 +1,34 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, createViolation, startApp } = require('./helpers');
+const mapRoutes = require('../routes/map');
+
+let app;
+
+before(async () => {
+  await connectDB();
+  app = await startApp('/api/map', mapRoutes, 'admin');
+});
+
+after(() => app.close());
+
+test('the map plots located violations of the selected days with the date they were committed', async () => {
+  // Entered today, committed at 12:30 AM on June 1 in Manila
+  const located = await createViolation({
+    geopoint: { latitude: 10.2931, longitude: 123.9011 },
+    violation_date: new Date('2024-05-31T16:30:00Z')
+  });
+  await createViolation({ geopoint: null, violation_date: new Date('2024-05-31T17:00:00Z') });
+  await createViolation({ geopoint: { latitude: 10.3, longitude: 123.9 }, violation_date: new Date('2024-06-01T16:00:00Z') });
+
+  const { status, body } = await app.request('GET', '/api/map/violations?start_date=2024-06-01&end_date=2024-06-01');
+  assert.equal(status, 200);
+  assert.equal(body.data.truncated, false);
+  assert.deepEqual(body.data.points.map(point => point.violation_number), [located.violation_number]);
+
+  const [point] = body.data.points;
+  assert.equal(point.latitude, 10.2931);
+  assert.equal(point.longitude, 123.9011);
+  assert.equal(point.violation_date, '2024-05-31T16:30:00.000Z');
+  assert.equal(point.violator_name, undefined);
+});
@@ -0,0 +1,159 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, getFirebaseService, createViolation, smsFor } = require('./helpers');
+const { PAYMENT_INTENTS_COLLECTION, getPayments, recordPayment } = require('../services/paymentService');
+
+const SERVICE_PATH = require.resolve('../services/onlinePaymentService');
+const savedEnv = { PAYMENT_GATEWAY: process.env.PAYMENT_GATEWAY, NODE_ENV: process.env.NODE_ENV };
+
+// The gateway is chosen once per process, so each configuration loads the service afresh
+const loadService = (env) => {
+  Object.entries(env).forEach(([name, value]) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  });
+  delete require.cache[SERVICE_PATH];
+  return require(SERVICE_PATH);
+};
+
+let onlinePayments;
+
+// Start a checkout for a violation and return the gateway's signed payment.paid delivery
+const payCheckout = async (violation, method = 'gcash') => {
+  const checkout = await onlinePayments.createCheckout({
+    violation_number: violation.violation_number,
+    vehicle_plate: violation.vehicle_plate
+  });
+  const delivery = onlinePayments.getPaymentGateway().buildPaidEvent(checkout.intent_id, method);
+  return { checkout, delivery };
+};
+
+before(async () => {
+  await connectDB();
+  onlinePayments = loadService({ PAYMENT_GATEWAY: 'fake', NODE_ENV: 'test' });
+  // Pick the gateway now; the selection tests below change the environment
+  onlinePayments.getPaymentGateway();
+});
+
+after(() => {
+  loadService(savedEnv);
+});
+
+test('online payments are off unless a gateway is named', () => {
+  assert.equal(loadService({ PAYMENT_GATEWAY: undefined, NODE_ENV: 'test' }).getPaymentGateway(), null);
+  assert.equal(loadService({ PAYMENT_GATEWAY: 'none', NODE_ENV: 'test' }).getPaymentGateway(), null);
+  // Even in development the fake gateway has to be asked for
+  assert.equal(loadService({ PAYMENT_GATEWAY: undefined, NODE_ENV: 'development' }).getPaymentGateway(), null);
+});
+
+test('the fake gateway is used only when asked for, and never in production', () => {
+  assert.equal(loadService({ PAYMENT_GATEWAY: 'fake', NODE_ENV: 'development' }).getPaymentGateway().name, 'fake');
+  assert.throws(
+    () => loadService({ PAYMENT_GATEWAY: 'fake', NODE_ENV: 'production' }).getPaymentGateway(),
+    /cannot be used in production/
+  );
+  assert.throws(
+    () => loadService({ PAYMENT_GATEWAY: 'paypal', NODE_ENV: 'test' }).getPaymentGateway(),
+    /Unknown PAYMENT_GATEWAY/
+  );
+});
+
+test('checkouts need the right plate and an open balance', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500 });
+
+  await assert.rejects(
+    onlinePayments.createCheckout({ violation_number: violation.violation_number, vehicle_plate: 'WRONG1' }),
+    { code: 'ONLINE_PAYMENT_ERROR', statusCode: 404 }
+  );
+
+  const paid = await createViolation({ status: 'paid', fine_amount: 500, amount_paid: 500 });
+  await assert.rejects(
+    onlinePayments.createCheckout({ violation_number: paid.violation_number, vehicle_plate: paid.vehicle_plate }),
+    { code: 'ONLINE_PAYMENT_ERROR', statusCode: 409 }
+  );
+});
+
+test('a signed webhook records the payment once', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500, surcharge_total: 25 });
+  const { checkout, delivery } = await payCheckout(violation);
+  assert.equal(checkout.amount, 525);
+
+  const first = await onlinePayments.handleWebhook(Buffer.from(delivery.rawBody), delivery.headers);
+  assert.equal(first.result, 'recorded');
+  assert.equal(first.payment.amount, 525);
+  assert.equal(first.payment.method, 'gcash');
+  assert.equal(first.payment.payment_intent_id, checkout.intent_id);
+
+  // Providers retry deliveries
+  const retry = await onlinePayments.handleWebhook(Buffer.from(delivery.rawBody), delivery.headers);
+  assert.equal(retry.result, 'duplicate');
+  assert.equal(retry.payment.or_number, first.payment.or_number);
+
+  const payments = await getPayments(violation.id);
+  assert.equal(payments.length, 1);
+
+  const stored = await getFirebaseService().findById('violations', violation.id);
+  assert.equal(stored.status, 'paid');
+  assert.match(smsFor(violation)[0].message, /Paid: PHP525\./);
+});
+
+test('webhooks with a bad signature are refused', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500 });
+  const { delivery } = await payCheckout(violation);
+  const tampered = delivery.rawBody.replace('"amount":500', '"amount":1');
+
+  await assert.rejects(
+    onlinePayments.handleWebhook(Buffer.from(tampered), delivery.headers),
+    { code: 'INVALID_WEBHOOK_SIGNATURE' }
+  );
+  assert.equal((await getPayments(violation.id)).length, 0);
+});
+
+test('a payment for another amount than the checkout is held for review', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500 });
+  const { checkout } = await payCheckout(violation);
+
+  const result = await onlinePayments.processGatewayEvent({
+    id: 'evt_short',
+    type: 'payment.paid',
+    intent_id: checkout.intent_id,
+    amount: 1,
+    method: 'gcash',
+    reference: 'pay_short'
+  });
+
+  assert.equal(result.result, 'needs_review');
+  assert.match(result.reason, /does not match the checkout amount of PHP500/);
+  assert.equal((await getPayments(violation.id)).length, 0);
+
+  const intent = await getFirebaseService().findById(PAYMENT_INTENTS_COLLECTION, checkout.intent_id);
+  assert.equal(intent.status, 'needs_review');
+  assert.equal(intent.paid_amount, 1);
+
+  const stored = await getFirebaseService().findById('violations', violation.id);
+  assert.equal(stored.status, 'issued');
+  assert.equal(stored.amount_paid, undefined);
+});
+
+test('a payment that can no longer be applied is held for review', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500 });
+  const { delivery, checkout } = await payCheckout(violation);
+
+  // Paid at the counter while the motorist was at the checkout
+  await recordPayment(violation.id, { amount: 500, method: 'cash' }, { id: 'test-cashier' });
+
+  const result = await onlinePayments.handleWebhook(Buffer.from(delivery.rawBody), delivery.headers);
+  assert.equal(result.result, 'needs_review');
+
+  const intent = await getFirebaseService().findById(PAYMENT_INTENTS_COLLECTION, checkout.intent_id);
+  assert.equal(intent.status, 'needs_review');
+  assert.equal((await getPayments(violation.id)).length, 1);
+});
+
+test('events other than payment.paid are ignored', async () => {
+  const result = await onlinePayments.processGatewayEvent({ id: 'evt_other', type: 'payment.failed' });
+  assert.equal(result.result, 'ignored');
+});
@@ -0,0 +1,150 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, connectDB, getFirebaseService, createViolation } = require('./helpers');
+const {
+  PAYMENTS_COLLECTION,
+  getBalance,
+  recordPayment,
+  voidPayment,
+  refundPayment,
+  getPayments
+} = require('../services/paymentService');
+const { getStatusHistory } = require('../services/violationStatusService');
+
+const cash = (amount) => ({ amount, method: 'cash' });
+
+before(async () => {
+  await connectDB();
+});
+
+test('a partial payment keeps the violation open and records the balance', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 1000 });
+
+  const { payment, violation: after } = await recordPayment(violation.id, cash(400), ADMIN);
+
+  assert.equal(payment.type, 'payment');
+  assert.equal(payment.status, 'posted');
+  assert.match(payment.or_number, /^OR-\d{7}$/);
+  assert.equal(after.status, 'issued');
+  assert.equal(after.amount_paid, 400);
+  assert.equal(getBalance(after), 600);
+});
+
+test('paying the balance marks the violation paid through the status history', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 1000 });
+
+  await recordPayment(violation.id, cash(250), ADMIN);
+  const { violation: after } = await recordPayment(violation.id, cash(750), ADMIN);
+
+  assert.equal(after.status, 'paid');
+  assert.equal(after.amount_paid, 1000);
+  assert.ok(after.paid_at);
+
+  const history = await getStatusHistory(violation.id);
+  assert.deepEqual(history.map(entry => [entry.from_status, entry.to_status, entry.user_role]), [['issued', 'paid', 'system']]);
+});
+
+test('surcharges are part of the amount due', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500, surcharge_total: 50 });
+
+  const { violation: after } = await recordPayment(violation.id, cash(500), ADMIN);
+  assert.equal(after.status, 'issued');
+  assert.equal(getBalance(after), 50);
+});
+
+test('receipt numbers are sequential across payments and refunds', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 900 });
+
+  const first = await recordPayment(violation.id, cash(300), ADMIN);
+  const second = await recordPayment(violation.id, cash(300), ADMIN);
+  const { refund } = await refundPayment(violation.id, first.payment.id, { amount: 100, reason: 'Overcharged' }, ADMIN);
+
+  assert.equal(second.payment.or_sequence, first.payment.or_sequence + 1);
+  assert.equal(refund.or_sequence, second.payment.or_sequence + 1);
+});
+
+test('payments over the balance or on closed violations are refused', async () => {
+  const open = await createViolation({ status: 'issued', fine_amount: 500 });
+  await assert.rejects(recordPayment(open.id, cash(501), ADMIN), { code: 'PAYMENT_ERROR', statusCode: 400 });
+
+  const cancelled = await createViolation({ status: 'cancelled' });
+  await assert.rejects(recordPayment(cancelled.id, cash(100), ADMIN), { code: 'PAYMENT_ERROR', statusCode: 409 });
+
+  const disputed = await createViolation({ status: 'disputed' });
+  await assert.rejects(recordPayment(disputed.id, cash(100), ADMIN), { code: 'PAYMENT_ERROR', statusCode: 409 });
+
+  await assert.rejects(recordPayment('missing', cash(100), ADMIN), { code: 'PAYMENT_ERROR', statusCode: 404 });
+
+  const payments = await getPayments(open.id);
+  assert.equal(payments.length, 0);
+});
+
+test('voiding a payment reopens a paid violation and keeps the entry', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500 });
+  const { payment } = await recordPayment(violation.id, cash(500), ADMIN);
+
+  const { payment: voided, violation: after } = await voidPayment(violation.id, payment.id, ADMIN, 'Wrong violation');
+
+  assert.equal(voided.status, 'voided');
+  assert.equal(voided.or_number, payment.or_number);
+  assert.equal(voided.void_reason, 'Wrong violation');
+  assert.equal(after.status, 'issued');
+  assert.equal(after.amount_paid, 0);
+  assert.equal(after.paid_at, null);
+
+  const history = await getStatusHistory(violation.id);
+  assert.deepEqual(history.map(entry => entry.to_status), ['paid', 'issued']);
+
+  await assert.rejects(voidPayment(violation.id, payment.id, ADMIN, 'Again'), { statusCode: 409 });
+});
+
+test('a refund is its own entry and reopens the balance', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500 });
+  const { payment } = await recordPayment(violation.id, cash(500), ADMIN);
+
+  const { refund, violation: after } = await refundPayment(violation.id, payment.id, { amount: 200, reason: 'Fine reduced' }, ADMIN);
+
+  assert.equal(refund.type, 'refund');
+  assert.equal(refund.amount, -200);
+  assert.equal(refund.refund_of, payment.id);
+  assert.notEqual(refund.or_number, payment.or_number);
+  assert.equal(after.status, 'issued');
+  assert.equal(after.amount_paid, 300);
+
+  const original = await getFirebaseService().findById(PAYMENTS_COLLECTION, payment.id);
+  assert.equal(original.refunded_amount, 200);
+});
+
+test('refunds cannot exceed what is left of the payment', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500 });
+  const { payment } = await recordPayment(violation.id, cash(500), ADMIN);
+  const { refund } = await refundPayment(violation.id, payment.id, { amount: 300, reason: 'Partial' }, ADMIN);
+
+  await assert.rejects(
+    refundPayment(violation.id, payment.id, { amount: 201, reason: 'Too much' }, ADMIN),
+    { code: 'PAYMENT_ERROR', statusCode: 400 }
+  );
+  await assert.rejects(
+    refundPayment(violation.id, refund.id, { amount: 1, reason: 'Refund of a refund' }, ADMIN),
+    { code: 'PAYMENT_ERROR', statusCode: 409 }
+  );
+});
+
+test('a refunded payment is voided only after its refunds', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500 });
+  const { payment } = await recordPayment(violation.id, cash(500), ADMIN);
+  const { refund } = await refundPayment(violation.id, payment.id, { amount: 100, reason: 'Partial' }, ADMIN);
+
+  await assert.rejects(voidPayment(violation.id, payment.id, ADMIN, 'Mistake'), { statusCode: 409 });
+
+  const { violation: afterRefundVoided } = await voidPayment(violation.id, refund.id, ADMIN, 'Refund entered twice');
+  assert.equal(afterRefundVoided.status, 'paid');
+  assert.equal(afterRefundVoided.amount_paid, 500);
+
+  const original = await getFirebaseService().findById(PAYMENTS_COLLECTION, payment.id);
+  assert.equal(original.refunded_amount, 0);
+
+  const { violation: after } = await voidPayment(violation.id, payment.id, ADMIN, 'Mistake');
+  assert.equal(after.status, 'issued');
+  assert.equal(after.amount_paid, 0);
+});
@@ -0,0 +1,116 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, getFirebaseService, createViolation } = require('./helpers');
+const {
+  STATS_COLLECTION,
+  recordViolationStats,
+  rebuildViolationStats,
+  getStatsStatus,
+  getStatsFor,
+  getStatsRange
+} = require('../services/statsService');
+
+before(async () => {
+  await connectDB();
+});
+
+// Record a violation and count it, the way the routes do
+const recordViolation = async (fields) => {
+  const violation = await createViolation(fields);
+  await recordViolationStats(null, violation);
+  return violation;
+};
+
+const updateViolation = async (violation, changes) => {
+  const updated = await getFirebaseService().update('violations', violation.id, changes);
+  await recordViolationStats(violation, updated);
+  return updated;
+};
+
+test('violations are counted on their day and month in Philippine time', async () => {
+  // 12:30 AM on July 1 in Manila, still June 30 in UTC
+  await recordViolation({ violation_date: new Date('2024-06-30T16:30:00Z'), fine_amount: 1000, location: 'Colon St.' });
+
+  const day = await getStatsFor('day', new Date('2024-06-30T16:30:00Z'));
+  assert.equal(day.period_key, '2024-07-01');
+  assert.equal(day.totals.count, 1);
+  assert.equal(day.totals.fines, 1000);
+  assert.equal(day.by_location['Colon St.'].count, 1);
+
+  assert.equal((await getStatsFor('month', new Date('2024-07-15T00:00:00Z'))).totals.count, 1);
+  assert.equal((await getStatsFor('month', new Date('2024-06-15T00:00:00Z'))).totals.count, 0);
+});
+
+test('updates move a violation between buckets and deletes remove it', async () => {
+  const date = new Date('2024-08-05T03:00:00Z');
+  const violation = await recordViolation({ violation_date: date, fine_amount: 500, status: 'pending' });
+
+  const paid = await updateViolation(violation, { status: 'paid', surcharge_total: 100 });
+  let day = await getStatsFor('day', date);
+  assert.equal(day.totals.count, 1);
+  assert.equal(day.totals.paid_count, 1);
+  assert.equal(day.totals.paid_fines, 500);
+  assert.equal(day.totals.paid_surcharges, 100);
+  assert.equal(day.by_status.pending, undefined);
+  assert.equal(day.by_status.paid.count, 1);
+
+  await getFirebaseService().delete('violations', paid.id);
+  await recordViolationStats(paid, null);
+  day = await getStatsFor('day', date);
+  assert.equal(day.totals.count, 0);
+  assert.deepEqual(day.by_status, {});
+});
+
+test('a failed update marks the counters stale until a rebuild resyncs them', async () => {
+  const service = getFirebaseService();
+  const date = new Date('2024-09-10T03:00:00Z');
+  await recordViolation({ violation_date: date, fine_amount: 300 });
+
+  // The stats transaction fails once; the stale marker goes through
+  const runTransaction = service.runTransaction.bind(service);
+  let failures = 1;
+  service.runTransaction = async (callback) => {
+    if (failures > 0) {
+      failures -= 1;
+      throw new Error('write conflict');
+    }
+    return runTransaction(callback);
+  };
+  try {
+    await recordViolation({ violation_date: date, fine_amount: 700 });
+  } finally {
+    service.runTransaction = runTransaction;
+  }
+
+  assert.equal((await getStatsFor('day', date)).totals.count, 1);
+  const status = await getStatsStatus();
+  assert.equal(status.stale, true);
+  assert.equal(status.failed_writes, 1);
+
+  await rebuildViolationStats({ batchSize: 2 });
+
+  const day = await getStatsFor('day', date);
+  assert.equal(day.totals.count, 2);
+  assert.equal(day.totals.fines, 1000);
+  assert.deepEqual(await getStatsStatus(), { stale: false });
+  assert.equal(await service.findById(STATS_COLLECTION, 'meta_status'), null);
+});
+
+test('a rebuild gives the same counters as the incremental updates', async () => {
+  const violation = await recordViolation({ violation_date: new Date('2024-10-02T03:00:00Z'), fine_amount: 500, enforcer_id: 'enforcer-1' });
+  await updateViolation(violation, { status: 'issued', location: 'Osmeña Blvd.' });
+  await recordViolation({ violation_date: new Date('2024-10-20T03:00:00Z'), fine_amount: 1500, status: 'paid' });
+
+  const before = await getStatsRange('month');
+  await rebuildViolationStats();
+  const after = await getStatsRange('month');
+
+  const strip = (docs) => docs.map(({ id, created_at, updated_at, ...stats }) => stats);
+  assert.deepEqual(strip(after), strip(before));
+});
+
+test('ranges return the documents between two dates in order', async () => {
+  const months = await getStatsRange('month', new Date('2024-07-01T00:00:00Z'), new Date('2024-09-30T00:00:00Z'));
+  // August lost its only violation above, and the rebuild dropped its empty document
+  assert.deepEqual(months.map(doc => doc.period_key), ['2024-07', '2024-09']);
+});
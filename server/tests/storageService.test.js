@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryService = require('../config/memoryService');
+const FirebaseService = require('../config/firebaseService');
+const { FakeFirestore } = require('./fakeFirestore');
+
+// The Firestore backend runs its real query building against a fake client
+// (see fakeFirestore.js); the memory backend runs as it does in the app
+const backends = {
+  memory: () => new MemoryService(),
+  firestore: () => Object.assign(Object.create(FirebaseService.prototype), { db: new FakeFirestore() })
+};
+
+const BY_SEQ = { field: 'seq', direction: 'asc' };
+
+const seed = async (service, count) => {
+  for (let seq = 1; seq <= count; seq++) {
+    await service.create('items', {
+      seq,
+      status: ['pending', 'issued', 'paid'][seq % 3],
+      // One a day from June 1, 2024 (UTC)
+      happened_at: new Date(Date.UTC(2024, 5, seq))
+    });
+  }
+};
+
+const seqs = (items) => items.map(item => item.seq);
+
+Object.entries(backends).forEach(([name, createBackend]) => {
+  test(`${name}: cursors walk every document once, in order`, async () => {
+    const service = createBackend();
+    await seed(service, 25);
+
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const page = await service.findPage('items', {}, { limit: 10, cursor, orderBy: BY_SEQ });
+      seen.push(...seqs(page.items));
+      pages += 1;
+      assert.equal(page.hasMore, page.nextCursor !== null);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.equal(pages, 3);
+    assert.deepEqual(seen, Array.from({ length: 25 }, (_, i) => i + 1));
+  });
+
+  test(`${name}: a page ending exactly on the last document has no next cursor`, async () => {
+    const service = createBackend();
+    await seed(service, 10);
+
+    const first = await service.findPage('items', {}, { limit: 5, orderBy: BY_SEQ });
+    const second = await service.findPage('items', {}, { limit: 5, cursor: first.nextCursor, orderBy: BY_SEQ });
+
+    assert.deepEqual(seqs(second.items), [6, 7, 8, 9, 10]);
+    assert.equal(second.hasMore, false);
+    assert.equal(second.nextCursor, null);
+  });
+
+  test(`${name}: range and in operators combine, and empty values are ignored`, async () => {
+    const service = createBackend();
+    await seed(service, 12);
+
+    const conditions = {
+      happened_at: { '>=': new Date(Date.UTC(2024, 5, 3)), '<=': new Date(Date.UTC(2024, 5, 9)) },
+      status: { in: ['pending', 'paid'] },
+      seq: { '>': '' }
+    };
+    const found = await service.findMany('items', conditions, { orderBy: BY_SEQ });
+
+    // Days 3 to 9, leaving out the issued ones (seq % 3 === 1)
+    assert.deepEqual(seqs(found), [3, 5, 6, 8, 9]);
+    assert.equal(await service.count('items', conditions), 5);
+    assert.equal(await service.count('items', { status: { in: [] } }), 12);
+  });
+
+  test(`${name}: in-memory filters keep scanning until the page is full`, async () => {
+    const service = createBackend();
+    await seed(service, 30);
+
+    const everyFifth = (item) => item.seq % 5 === 0;
+    const first = await service.findPage('items', {}, { limit: 4, orderBy: BY_SEQ, filter: everyFifth });
+    const second = await service.findPage('items', {}, { limit: 4, cursor: first.nextCursor, orderBy: BY_SEQ, filter: everyFifth });
+
+    assert.deepEqual(seqs(first.items), [5, 10, 15, 20]);
+    assert.equal(first.hasMore, true);
+    assert.deepEqual(seqs(second.items), [25, 30]);
+    assert.equal(second.hasMore, false);
+  });
+
+  test(`${name}: a cursor for a missing document is rejected`, async () => {
+    const service = createBackend();
+    await seed(service, 3);
+
+    await assert.rejects(
+      service.findPage('items', {}, { limit: 2, cursor: 'bm8tc3VjaC1kb2M', orderBy: BY_SEQ }),
+      { code: 'INVALID_CURSOR' }
+    );
+  });
+});
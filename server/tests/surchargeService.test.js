@@ -0,0 +1,95 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, getFirebaseService, createViolation } = require('./helpers');
+const {
+  periodsElapsed,
+  surchargePerPeriod,
+  withAmountDue,
+  applyLateSurcharges,
+  getSurcharges
+} = require('../services/surchargeService');
+const { recordViolationStats, getStatsFor } = require('../services/statsService');
+
+before(async () => {
+  await connectDB();
+});
+
+// Due at 11:59 PM on Tuesday, March 12 in Manila
+const DUE = new Date('2024-03-12T15:59:59.999Z');
+
+test('a violation is overdue from midnight in Manila, whatever the server timezone', () => {
+  const policy = { frequency: 'once' };
+
+  // 11:30 PM on March 12 and 12:05 AM on March 13 in Manila (both March 12 in UTC)
+  assert.equal(periodsElapsed(policy, DUE, new Date('2024-03-12T15:30:00Z')), 0);
+  assert.equal(periodsElapsed(policy, DUE, new Date('2024-03-12T16:05:00Z')), 1);
+});
+
+test('periods start on the first overdue day of each day, week or month', () => {
+  const at = (iso) => new Date(iso);
+
+  assert.equal(periodsElapsed({ frequency: 'daily' }, DUE, at('2024-03-15T02:00:00Z')), 3);
+  // Day 1 to 7 overdue is the first week, day 8 starts the second
+  assert.equal(periodsElapsed({ frequency: 'weekly' }, DUE, at('2024-03-19T02:00:00Z')), 1);
+  assert.equal(periodsElapsed({ frequency: 'weekly' }, DUE, at('2024-03-20T02:00:00Z')), 2);
+  // The second month starts one month after the due date
+  assert.equal(periodsElapsed({ frequency: 'monthly' }, DUE, at('2024-04-12T02:00:00Z')), 1);
+  assert.equal(periodsElapsed({ frequency: 'monthly' }, DUE, at('2024-04-13T02:00:00Z')), 2);
+});
+
+test('a period is a flat amount or a share of the original fine', () => {
+  assert.equal(surchargePerPeriod({ type: 'flat', amount: 150 }, 1000), 150);
+  assert.equal(surchargePerPeriod({ type: 'percentage', amount: 12.5 }, 333), 41.63);
+
+  const [violation] = withAmountDue([{ fine_amount: 1000, surcharge_total: 250, amount_paid: 400 }]);
+  assert.equal(violation.amount_due, 1250);
+  assert.equal(violation.balance, 850);
+});
+
+test('the daily job accrues up to the cap once per period and updates the counters', async () => {
+  const service = getFirebaseService();
+  const [settings] = await service.getSettings();
+  await service.update('system_settings', settings.id, {
+    late_surcharge_enabled: true,
+    late_surcharge_type: 'percentage',
+    late_surcharge_amount: 10,
+    late_surcharge_frequency: 'weekly',
+    late_surcharge_cap: 250
+  });
+
+  const overdue = await createViolation({ fine_amount: 1000, due_date: DUE, violation_date: new Date('2024-03-07T06:30:00Z') });
+  await recordViolationStats(null, overdue);
+  const disputed = await createViolation({ fine_amount: 1000, due_date: DUE, status: 'disputed' });
+  const notYetDue = await createViolation({ fine_amount: 1000, due_date: new Date('2099-01-01T00:00:00Z') });
+
+  // Three weeks in: three periods of 100, capped at 250
+  const asOf = new Date('2024-03-27T02:00:00Z');
+  const first = await applyLateSurcharges({ asOf });
+  assert.equal(first.violations, 1);
+  assert.equal(first.lineItems, 3);
+
+  const items = await getSurcharges(overdue.id);
+  assert.deepEqual(items.map(item => item.amount), [100, 100, 50]);
+  assert.equal(items[0].accrued_on, '2024-03-27');
+  assert.equal((await service.findById('violations', overdue.id)).surcharge_total, 250);
+  const day = await getStatsFor('day', new Date('2024-03-07T06:30:00Z'));
+  assert.equal(day.totals.count, 1);
+  assert.equal(day.totals.surcharges, 250);
+
+  // Running again the same day, or later once capped, adds nothing
+  assert.equal((await applyLateSurcharges({ asOf })).lineItems, 0);
+  assert.equal((await applyLateSurcharges({ asOf: new Date('2024-04-20T02:00:00Z') })).lineItems, 0);
+
+  assert.equal((await getSurcharges(disputed.id)).length, 0);
+  assert.equal((await getSurcharges(notYetDue.id)).length, 0);
+});
+
+test('nothing accrues while the policy is off', async () => {
+  const service = getFirebaseService();
+  const [settings] = await service.getSettings();
+  await service.update('system_settings', settings.id, { late_surcharge_enabled: false });
+
+  const result = await applyLateSurcharges({ asOf: new Date('2030-01-01T00:00:00Z') });
+  assert.equal(result.enabled, false);
+  assert.equal(result.lineItems, 0);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryService = require('../config/memoryService');
+const { createUserLookup } = require('../utils/userLookup');
+
+// Memory backend that counts findByIds round trips
+const countingStorage = async () => {
+  const storage = new MemoryService();
+  const calls = [];
+  const findByIds = storage.findByIds.bind(storage);
+  storage.findByIds = (collection, ids) => {
+    calls.push(ids);
+    return findByIds(collection, ids);
+  };
+
+  const maria = await storage.create('users', { full_name: 'Maria Santos', badge_number: 'B-001' });
+  const jose = await storage.create('users', { full_name: 'Jose Rizal', badge_number: 'B-002' });
+  return { storage, calls, maria, jose };
+};
+
+test('a page of violations fetches its enforcers in one batch', async () => {
+  const { storage, calls, maria, jose } = await countingStorage();
+  const lookup = createUserLookup(storage);
+
+  const violations = [
+    { id: 'v1', enforcer_id: maria.id },
+    { id: 'v2', enforcer_id: jose.id },
+    { id: 'v3', enforcer_id: maria.id },
+    { id: 'v4', enforcer_id: null }
+  ];
+  const enriched = await lookup.withEnforcers(violations);
+
+  assert.equal(calls.length, 1);
+  assert.deepEqual([...calls[0]].sort(), [maria.id, jose.id].sort());
+  assert.deepEqual(enriched.map(v => v.enforcer_name), ['Maria Santos', 'Jose Rizal', 'Maria Santos', 'Unknown']);
+  assert.equal(enriched[1].enforcer_badge, 'B-002');
+});
+
+test('users already looked up are served from the cache, even by concurrent callers', async () => {
+  const { storage, calls, maria, jose } = await countingStorage();
+  const lookup = createUserLookup(storage);
+
+  await Promise.all([lookup.getUser(maria.id), lookup.getUser(maria.id), lookup.getUsers([maria.id])]);
+  assert.equal(calls.length, 1);
+
+  const users = await lookup.getUsers([maria.id, jose.id, 'missing']);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[1].sort(), [jose.id, 'missing'].sort());
+  assert.equal(users.get('missing'), null);
+
+  await lookup.getUsers([maria.id, jose.id, 'missing']);
+  assert.equal(calls.length, 2);
+});
+
+test('a failed lookup shows Unknown and is retried on the next call', async () => {
+  const { storage, maria } = await countingStorage();
+  const lookup = createUserLookup(storage);
+  const findByIds = storage.findByIds;
+
+  storage.findByIds = async () => { throw new Error('unavailable'); };
+  const [failed] = await lookup.withEnforcers([{ id: 'v1', enforcer_id: maria.id }]);
+  assert.equal(failed.enforcer_name, 'Unknown');
+
+  storage.findByIds = findByIds;
+  const [retried] = await lookup.withEnforcers([{ id: 'v1', enforcer_id: maria.id }]);
+  assert.equal(retried.enforcer_name, 'Maria Santos');
+});
@@ -0,0 +1,103 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, getFirebaseService, createViolation } = require('./helpers');
+const {
+  VEHICLES_COLLECTION,
+  vehicleIdFor,
+  linkVehicle,
+  lookupVehicle,
+  searchVehicles,
+  getVehicleProfile,
+  updateVehicle
+} = require('../services/vehicleService');
+const { VIOLATORS_COLLECTION } = require('../services/violatorService');
+
+before(async () => {
+  await connectDB();
+});
+
+test('plates are one vehicle whatever their spacing, dashes or case', async () => {
+  assert.equal(vehicleIdFor(' abc-1234 '), 'ABC1234');
+  assert.equal(vehicleIdFor(' - '), null);
+
+  const fields = await linkVehicle({ vehicle_plate: ' abc 1234 ', vehicle_brand: 'Honda', vehicle_model: 'Click' });
+  assert.equal(fields.vehicle_id, 'ABC1234');
+  assert.equal(fields.vehicle_plate, 'ABC 1234');
+
+  const vehicle = await lookupVehicle('ABC-1234');
+  assert.equal(vehicle.plate_number, 'ABC 1234');
+  assert.equal(vehicle.brand, 'Honda');
+  assert.equal(vehicle.owner_id, null);
+  assert.equal(await lookupVehicle('XYZ 0000'), null);
+  assert.equal(await lookupVehicle(''), null);
+});
+
+test('tickets fill the registry blanks and take the rest from it, without overwriting', async () => {
+  await linkVehicle({ vehicle_plate: 'FIL 1001', vehicle_brand: 'Yamaha', vehicle_color: '' });
+
+  // A device only sends the plate
+  const fromDevice = await linkVehicle({ vehicle_plate: 'fil-1001' });
+  assert.equal(fromDevice.vehicle_brand, 'Yamaha');
+  assert.equal(fromDevice.vehicle_color, '');
+
+  // A keypad typo does not replace the registered brand; the new color is kept
+  const typed = await linkVehicle({ vehicle_plate: 'FIL 1001', vehicle_brand: 'Yamah', vehicle_color: 'Blue' });
+  assert.equal(typed.vehicle_brand, 'Yamah');
+  const vehicle = await lookupVehicle('FIL 1001');
+  assert.equal(vehicle.brand, 'Yamaha');
+  assert.equal(vehicle.color, 'Blue');
+});
+
+test('a ticket without a plate is not linked to a vehicle', async () => {
+  const before = await getFirebaseService().count(VEHICLES_COLLECTION);
+  const fields = await linkVehicle({ vehicle_plate: '', vehicle_brand: 'Honda' });
+
+  assert.equal(fields.vehicle_id, null);
+  assert.equal(fields.vehicle_brand, 'Honda');
+  assert.equal(await getFirebaseService().count(VEHICLES_COLLECTION), before);
+});
+
+test('concurrent tickets for a new plate register it once', async () => {
+  await Promise.all([
+    linkVehicle({ vehicle_plate: 'CON 2002', vehicle_brand: 'Suzuki' }),
+    linkVehicle({ vehicle_plate: 'con-2002', vehicle_model: 'Raider' }),
+    linkVehicle({ vehicle_plate: 'CON2002', vehicle_color: 'Black' })
+  ]);
+
+  const vehicles = await getFirebaseService().findMany(VEHICLES_COLLECTION, {});
+  assert.equal(vehicles.filter(vehicle => vehicle.id === 'CON2002').length, 1);
+  const vehicle = await lookupVehicle('CON 2002');
+  assert.deepEqual([vehicle.brand, vehicle.model, vehicle.color], ['Suzuki', 'Raider', 'Black']);
+});
+
+test('search matches the plate in any format, or the make and model', async () => {
+  await linkVehicle({ vehicle_plate: 'SRC 3003', vehicle_brand: 'Kawasaki', vehicle_model: 'Barako' });
+
+  const plates = async (search) => (await searchVehicles({ search })).items.map(vehicle => vehicle.plate_number);
+  assert.deepEqual(await plates('src-30'), ['SRC 3003']);
+  assert.deepEqual(await plates('kawasaki barako'), ['SRC 3003']);
+  assert.deepEqual(await plates('nothing like it'), []);
+});
+
+test('the profile lists the owner and violations, and owners must be registered violators', async () => {
+  const { vehicle_id: vehicleId } = await linkVehicle({ vehicle_plate: 'OWN 4004' });
+  const violation = await createViolation({ vehicle_id: vehicleId, vehicle_plate: 'OWN 4004', fine_amount: 500, surcharge_total: 100 });
+  const owner = await getFirebaseService().create(VIOLATORS_COLLECTION, { full_name: 'Maria Santos' });
+
+  await assert.rejects(updateVehicle(vehicleId, { owner_id: 'missing' }), { code: 'VEHICLE_ERROR', statusCode: 400 });
+
+  const { before, vehicle } = await updateVehicle(vehicleId, { owner_id: owner.id, color: 'Red', plate_number: 'CHANGED' });
+  assert.equal(before.owner_id, null);
+  assert.equal(vehicle.owner_id, owner.id);
+  assert.equal(vehicle.color, 'Red');
+  assert.equal(vehicle.plate_number, 'OWN 4004');
+
+  const profile = await getVehicleProfile(vehicleId);
+  assert.equal(profile.owner.full_name, 'Maria Santos');
+  assert.deepEqual(profile.violations.map(entry => entry.id), [violation.id]);
+  assert.equal(profile.violations[0].amount_due, 600);
+
+  assert.equal((await updateVehicle(vehicleId, { owner_id: null })).vehicle.owner_id, null);
+  assert.equal(await updateVehicle('NOPE', { color: 'Red' }), null);
+  assert.equal(await getVehicleProfile('NOPE'), null);
+});
@@ -0,0 +1,104 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, connectDB, getFirebaseService, createViolation, smsFor } = require('./helpers');
+const { runBulkAction } = require('../services/violationBulkService');
+const { getStatusHistory } = require('../services/violationStatusService');
+const { recordPayment } = require('../services/paymentService');
+
+before(async () => {
+  await connectDB();
+});
+
+const statusOf = async (violation) => (await getFirebaseService().findById('violations', violation.id)).status;
+
+test('each violation gets its own result, in the order given, and duplicates run once', async () => {
+  const first = await createViolation({ status: 'pending' });
+  const second = await createViolation({ status: 'issued' });
+  const third = await createViolation({ status: 'pending' });
+
+  const results = await runBulkAction('status', [first.id, second.id, 'missing', third.id, first.id], {
+    actor: ADMIN,
+    status: 'issued',
+    reason: 'Handed over at the station'
+  });
+
+  assert.deepEqual(results.map(({ id, success, error }) => ({ id, success, error })), [
+    { id: first.id, success: true, error: undefined },
+    { id: second.id, success: false, error: 'Already issued' },
+    { id: 'missing', success: false, error: 'Violation not found' },
+    { id: third.id, success: true, error: undefined }
+  ]);
+  assert.equal(results[0].before.status, 'pending');
+  assert.equal(results[0].violation.status, 'issued');
+
+  const [history] = await getStatusHistory(first.id);
+  assert.equal(history.to_status, 'issued');
+  assert.equal(history.reason, 'Handed over at the station');
+  assert.equal((await getStatusHistory(first.id)).length, 1);
+});
+
+test('status changes follow the transition table', async () => {
+  const paid = await createViolation({ status: 'paid' });
+
+  const [result] = await runBulkAction('status', [paid.id], { actor: ADMIN, status: 'pending' });
+  assert.equal(result.success, false);
+  assert.match(result.error, /paid/);
+  assert.equal(await statusOf(paid), 'paid');
+});
+
+test('violations with money paid on them are not cancelled, the others are', async () => {
+  const unpaid = await createViolation({ status: 'issued' });
+  const partlyPaid = await createViolation({ status: 'issued', amount_paid: 200 });
+
+  const results = await runBulkAction('cancel', [unpaid.id, partlyPaid.id], { actor: ADMIN, reason: 'Wrong plate' });
+
+  assert.equal(results[0].success, true);
+  assert.equal(await statusOf(unpaid), 'cancelled');
+  assert.deepEqual(results[1], {
+    id: partlyPaid.id,
+    violation_number: partlyPaid.violation_number,
+    success: false,
+    error: 'Has PHP200 in recorded payments; refund or void them first'
+  });
+  assert.equal(await statusOf(partlyPaid), 'issued');
+  assert.deepEqual(await getStatusHistory(partlyPaid.id), []);
+});
+
+test('notices are texted to violators with a phone number', async () => {
+  const withPhone = await createViolation();
+  const noPhone = await createViolation({ violator_phone: '' });
+
+  const results = await runBulkAction('send_sms', [withPhone.id, noPhone.id], { actor: ADMIN });
+
+  assert.equal(results[0].success, true);
+  assert.ok(smsFor(withPhone)[0].message.endsWith(`Ref: ${withPhone.violation_number}`));
+  assert.deepEqual([results[1].success, results[1].error], [false, 'No phone number on record']);
+  assert.equal(smsFor(noPhone).length, 0);
+});
+
+test('violations with recorded payments are not deleted, the others go with their history', async () => {
+  const unpaid = await createViolation({ status: 'issued' });
+  const paid = await createViolation({ status: 'issued' });
+  await runBulkAction('status', [unpaid.id], { actor: ADMIN, status: 'cancelled', reason: 'Duplicate' });
+  await recordPayment(paid.id, { amount: 100, method: 'cash' }, ADMIN);
+
+  const results = await runBulkAction('delete', [unpaid.id, paid.id], { actor: ADMIN });
+
+  assert.equal(results[0].success, true);
+  assert.equal(results[0].violation, null);
+  assert.equal(await getFirebaseService().findById('violations', unpaid.id), null);
+  assert.deepEqual(await getStatusHistory(unpaid.id), []);
+  assert.deepEqual([results[1].success, results[1].error], [false, 'Has recorded payments; cancel it instead']);
+  assert.ok(await getFirebaseService().findById('violations', paid.id));
+});
+
+test('printing returns each violation with its payments for the receipt', async () => {
+  const violation = await createViolation({ status: 'issued' });
+  await recordPayment(violation.id, { amount: 300, method: 'cash' }, ADMIN);
+
+  const [result] = await runBulkAction('print', [violation.id], { actor: ADMIN });
+  assert.equal(result.success, true);
+  assert.deepEqual(result.violation.payments.map(payment => payment.amount), [300]);
+  assert.deepEqual(result.violation.surcharges, []);
+  assert.equal(result.violation.amount_paid, 300);
+});
@@ -0,0 +1,128 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { connectDB, createViolation } = require('./helpers');
+const { streamViolationsExport } = require('../services/violationExportService');
+const { withAmountDue } = require('../services/surchargeService');
+
+before(async () => {
+  await connectDB();
+});
+
+// Stands in for the Express response: collects the body and the headers
+const exportResponse = () => {
+  const res = new PassThrough();
+  const chunks = [];
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.on('data', chunk => chunks.push(chunk));
+  res.body = () => Buffer.concat(chunks);
+  return res;
+};
+
+const exportOf = async (format, conditions, options = {}) => {
+  const res = exportResponse();
+  const result = await streamViolationsExport(res, {
+    format,
+    conditions,
+    filter: null,
+    enrich: async (violations) => withAmountDue(violations),
+    ...options
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, result };
+};
+
+test('the Date column is when the violation was committed, in Philippine time', async () => {
+  // Committed at 11:30 PM on March 6 in Manila, entered today
+  await createViolation({ violation_type: 'Export Date', violation_date: new Date('2024-03-06T15:30:00Z') });
+
+  const { res } = await exportOf('csv', { violation_type: 'Export Date' });
+  const [, row] = res.body().toString('utf8').split('\r\n');
+  assert.equal(row.split(',')[1], '2024-03-06 23:30');
+});
+
+test('the CSV has a byte order mark, quoted cells and no live formulas', async () => {
+  await createViolation({
+    violation_type: 'Export CSV',
+    violation_number: 'VIO-CSV-0001',
+    violator_name: 'Dela Cruz, Juan "Johnny"',
+    location: '=HYPERLINK("http://evil")',
+    vehicle_brand: 'Honda',
+    vehicle_color: 'Red',
+    fine_amount: 1000,
+    surcharge_total: 150.5,
+    amount_paid: 400,
+    violation_date: new Date('2024-03-07T02:00:00Z')
+  });
+  await createViolation({ violation_type: 'Export CSV', violation_number: 'VIO-CSV-0002', status: 'cancelled', fine_amount: 500, violation_date: new Date('2024-03-06T02:00:00Z') });
+
+  const { res, result } = await exportOf('csv', { violation_type: 'Export CSV' }, { orderBy: { field: 'violation_date', direction: 'desc' } });
+  assert.deepEqual(result, { rows: 2, aborted: false });
+  assert.equal(res.headers['content-type'], 'text/csv; charset=utf-8');
+
+  const text = res.body().toString('utf8');
+  assert.equal(text.charCodeAt(0), 0xfeff);
+  const lines = text.slice(1).split('\r\n');
+  assert.equal(lines[0], 'Violation #,Date,Violator,License,Plate,Vehicle,Type,Fine,Amount Due,Balance,Status,Enforcer,Badge,Location');
+  assert.ok(lines[1].startsWith('VIO-CSV-0001,2024-03-07 10:00,"Dela Cruz, Juan ""Johnny""",'));
+  assert.ok(lines[1].includes(',Honda Red,Export CSV,1000.00,1150.50,750.50,pending,'));
+  assert.ok(lines[1].endsWith(',"\'=HYPERLINK(""http://evil"")"'));
+  // Nothing is owed on a cancelled violation
+  assert.ok(lines[2].includes(',500.00,500.00,0.00,cancelled,'));
+  assert.equal(lines[3], '');
+});
+
+test('large exports are read in batches and every row is written once', async () => {
+  for (let index = 0; index < 205; index += 1) {
+    await createViolation({ violation_type: 'Export Batch' });
+  }
+
+  const { res, result } = await exportOf('csv', { violation_type: 'Export Batch' });
+  assert.equal(result.rows, 205);
+  const numbers = res.body().toString('utf8').trim().split('\r\n').slice(1).map(line => line.split(',')[0]);
+  assert.equal(numbers.length, 205);
+  assert.equal(new Set(numbers).size, 205);
+});
+
+test('the file name carries the export date and the status and period filters', async () => {
+  const { res } = await exportOf('xlsx', { violation_type: 'Export CSV' }, {
+    filters: { status: 'paid', start_date: '2024-03-01', end_date: '2024-03-31', search: 'ignored' }
+  });
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Manila' });
+  assert.equal(
+    res.headers['content-disposition'],
+    `attachment; filename="violations_export_${today}_paid_2024-03-01_to_2024-03-31.xlsx"`
+  );
+});
+
+test('the Excel file has numeric amounts and the PDF is a PDF', async () => {
+  const { res } = await exportOf('xlsx', { violation_type: 'Export CSV' }, { orderBy: { field: 'violation_date', direction: 'desc' } });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(res.body());
+  const sheet = workbook.getWorksheet('Violations');
+  assert.equal(sheet.rowCount, 3);
+  assert.equal(sheet.getRow(2).getCell(1).value, 'VIO-CSV-0001');
+  assert.equal(sheet.getRow(2).getCell(10).value, 750.5);
+
+  const pdf = await exportOf('pdf', { violation_type: 'Export CSV' });
+  assert.equal(pdf.res.headers['content-type'], 'application/pdf');
+  assert.equal(pdf.res.body().subarray(0, 5).toString(), '%PDF-');
+});
+
+test('an export stops after the batch it was writing when the client goes away', async () => {
+  for (let index = 0; index < 250; index += 1) {
+    await createViolation({ violation_type: 'Export Abort' });
+  }
+  const res = exportResponse();
+  res.on('data', () => res.destroy());
+
+  const result = await streamViolationsExport(res, {
+    format: 'csv',
+    conditions: { violation_type: 'Export Abort' },
+    filter: null,
+    enrich: async (violations) => violations
+  });
+  assert.deepEqual(result, { rows: 200, aborted: true });
+});
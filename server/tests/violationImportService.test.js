@@ -0,0 +1,210 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, connectDB, getFirebaseService, createViolationType } = require('./helpers');
+const {
+  IMPORT_BATCHES_COLLECTION,
+  validateImport,
+  commitImport,
+  rollbackImport
+} = require('../services/violationImportService');
+const { getStatsFor } = require('../services/statsService');
+const { PAYMENTS_COLLECTION } = require('../services/paymentService');
+const { getStatusHistory } = require('../services/violationStatusService');
+const { toManila } = require('../utils/dateUtils');
+
+const csv = (rows) => Buffer.from([
+  'Ticket No,Date,Name,License,Violation Code,Location',
+  ...rows
+].join('\n'));
+
+before(async () => {
+  await connectDB();
+  await createViolationType({ code: 'NH', name: 'No Helmet', base_fine: 500 });
+});
+
+test('imported tickets are dated and due from the apprehension, not the import', async () => {
+  const batch = await commitImport(
+    csv(['P-1001,2024-03-07 14:30,Pedro Penduko,P01-24-000001,NH,Colon St.']),
+    { fileName: 'march.csv', user: ADMIN }
+  );
+  const [violation] = await getFirebaseService().findMany('violations', { import_batch_id: batch.id });
+
+  assert.equal(toManila(violation.violation_date).format('YYYY-MM-DD HH:mm'), '2024-03-07 14:30');
+  // Three working days after Thursday the 7th: Friday, Monday, Tuesday
+  assert.equal(toManila(violation.due_date).format('YYYY-MM-DD'), '2024-03-12');
+});
+
+test('an import leaves the statistics of the day it was run untouched', async () => {
+  const todayBefore = await getStatsFor('day', new Date());
+  const monthBefore = await getStatsFor('month', new Date());
+  const ticketDayBefore = await getStatsFor('day', new Date('2024-02-10T02:00:00Z'));
+
+  await commitImport(
+    csv(['P-2001,2024-02-10 09:00,Maria Clara,P01-24-000002,NH,Magallanes St.']),
+    { fileName: 'february.csv', user: ADMIN }
+  );
+
+  assert.deepEqual(await getStatsFor('day', new Date()), todayBefore);
+  assert.deepEqual(await getStatsFor('month', new Date()), monthBefore);
+
+  const ticketDay = await getStatsFor('day', new Date('2024-02-10T02:00:00Z'));
+  assert.equal(ticketDay.totals.count, ticketDayBefore.totals.count + 1);
+  assert.equal(ticketDay.totals.fines, ticketDayBefore.totals.fines + 500);
+});
+
+test('a dry run reports each problem by spreadsheet row and records nothing', async () => {
+  const service = getFirebaseService();
+  const before = { violations: await service.count('violations'), batches: await service.count(IMPORT_BATCHES_COLLECTION) };
+
+  const report = await validateImport(csv([
+    'P-3001,3/8/2024 8:15 AM,"Santos, Maria",P01-24-000003,NH,"Colon St., Cebu City"',
+    '',
+    'P-3002,2024-13-01,Jose Rizal,,NH,Osmeña Blvd.',
+    'P-3003,2024-03-08,,,XX,Mango Ave.',
+    'P-3001,2024-03-09,Ana Reyes,,No Helmet,Mango Ave.',
+    `P-3004,${toManila().add(2, 'days').format('YYYY-MM-DD')},Ana Reyes,,NH,Mango Ave.`
+  ]));
+
+  assert.deepEqual(report.mapping, {
+    ticket_number: 'Ticket No',
+    captured_at: 'Date',
+    violator_name: 'Name',
+    violator_license: 'License',
+    violation_type: 'Violation Code',
+    location: 'Location'
+  });
+  assert.deepEqual(report.summary, { total_rows: 5, valid_rows: 1, invalid_rows: 4 });
+  // The header is row 1 and the blank row 3 is skipped but still counted in the numbering
+  assert.deepEqual(report.errors, [
+    { row: 4, errors: ['Date "2024-13-01" is not recognized; use YYYY-MM-DD or MM/DD/YYYY, optionally with the time'] },
+    { row: 5, errors: ['Violator Name is required', 'Violation type "XX" is unknown or was not in effect on 2024-03-08'] },
+    { row: 6, errors: ['Ticket P-3001 is also on row 2'] },
+    { row: 7, errors: ['Date of apprehension is in the future'] }
+  ]);
+
+  const [preview] = report.preview;
+  assert.equal(preview.row, 2);
+  assert.equal(preview.violator_name, 'Santos, Maria');
+  assert.equal(preview.location, 'Colon St., Cebu City');
+  assert.equal(preview.violation_type_code, 'NH');
+  assert.equal(preview.captured_at.toISOString(), '2024-03-08T00:15:00.000Z');
+
+  assert.equal(await service.count('violations'), before.violations);
+  assert.equal(await service.count(IMPORT_BATCHES_COLLECTION), before.batches);
+});
+
+test('a dry run lists the columns still to map', async () => {
+  const report = await validateImport(csv(['P-4001,2024-03-08,Ana Reyes,,NH,Mango Ave.']), {
+    captured_at: 'Date',
+    violator_name: 'Driver',
+    violation_type: 'Violation Code',
+    plate: 'License'
+  });
+
+  assert.deepEqual(report.mapping_errors, [
+    'Column "Driver" mapped to violator_name is not in the file',
+    'Unknown field "plate"',
+    'Choose the column for Location'
+  ]);
+  assert.equal(report.summary.total_rows, 0);
+  await assert.rejects(validateImport(Buffer.from('Date,Name\n"2024-03-08,Ana')), { code: 'IMPORT_ERROR', statusCode: 400 });
+});
+
+test('rows with errors block the commit unless only the valid rows are imported', async () => {
+  const file = csv([
+    'P-5001,2024-04-02 10:00,Lito Lapid,P01-24-000051,NH,Mango Ave.',
+    'P-5002,not a date,Lito Lapid,P01-24-000051,NH,Mango Ave.'
+  ]);
+
+  await assert.rejects(
+    commitImport(file, { fileName: 'partial.csv', user: ADMIN }),
+    (error) => error.code === 'IMPORT_ERROR' && error.statusCode === 400 && error.report.summary.invalid_rows === 1
+  );
+  assert.equal(await getFirebaseService().findOne('violations', 'paper_ticket_number', 'P-5001'), null);
+
+  const batch = await commitImport(file, { fileName: 'partial.csv', skipInvalid: true, user: ADMIN });
+  assert.equal(batch.status, 'completed');
+  assert.equal(batch.total_rows, 2);
+  assert.equal(batch.skipped_rows, 1);
+  assert.equal(batch.imported_rows, 1);
+
+  // The same ticket cannot be imported twice
+  const again = await validateImport(file);
+  assert.deepEqual(again.errors[0].errors, [`Ticket P-5001 was already imported as ${(await getFirebaseService().findOne('violations', 'paper_ticket_number', 'P-5001')).violation_number}`]);
+});
+
+test('a commit records the tickets oldest first with their own numbers, fines and history', async () => {
+  await createViolationType({
+    code: 'RD',
+    name: 'Reckless Driving',
+    base_fine: 1000,
+    offense_tiers: [{ offense: 1, fine: 1000 }, { offense: 2, fine: 2000 }]
+  });
+
+  const enforcer = await getFirebaseService().create('users', { full_name: 'Enforcer Uno', badge_number: 'B-100', role: 'enforcer', is_active: true });
+
+  // Listed newest first, with the paid outcome of the second ticket
+  const batch = await commitImport(Buffer.from([
+    'Ticket No,Date,Name,License,Violation Code,Location,Status,Badge',
+    'P-6002,2024-05-20 09:00,Berto Basa,P01-24-000060,RD,Colon St.,Paid,B-100',
+    'P-6001,2024-05-10 09:00,Berto Basa,P01-24-000060,RD,Colon St.,,'
+  ].join('\n')), { fileName: 'may.csv', user: ADMIN });
+
+  const violations = await getFirebaseService().findMany('violations', { import_batch_id: batch.id }, {
+    orderBy: { field: 'violation_date', direction: 'asc' }
+  });
+  assert.deepEqual(violations.map(v => v.paper_ticket_number), ['P-6001', 'P-6002']);
+  assert.deepEqual(violations.map(v => v.violation_number.split('-')[1]), ['20240510', '20240520']);
+  assert.deepEqual(violations.map(v => v.offense_number), [1, 2]);
+  assert.deepEqual(violations.map(v => v.fine_amount), [1000, 2000]);
+  assert.equal(violations[0].violator_id, violations[1].violator_id);
+  assert.equal(violations[1].is_repeat_offender, true);
+  // Tickets without a badge are credited to the admin who imported them
+  assert.deepEqual(violations.map(v => v.enforcer_id), [ADMIN.id, enforcer.id]);
+  assert.deepEqual(violations.map(v => v.status), ['pending', 'paid']);
+  // Settled on paper: nothing owed, but no payment record either
+  assert.equal(violations[1].amount_paid, 2000);
+  assert.equal(await getFirebaseService().count(PAYMENTS_COLLECTION, { violation_id: violations[1].id }), 0);
+  assert.equal((await getStatusHistory(violations[0].id)).length, 1);
+});
+
+test('a rollback removes the violations of the batch and their counts, once', async () => {
+  const day = new Date('2024-07-15T02:00:00Z');
+  const before = await getStatsFor('day', day);
+
+  const batch = await commitImport(csv([
+    'P-7001,2024-07-15 10:00,Carla Cruz,P01-24-000070,NH,Colon St.',
+    'P-7002,2024-07-15 11:00,Carla Cruz,P01-24-000070,NH,Colon St.'
+  ]), { fileName: 'july.csv', user: ADMIN });
+  assert.equal((await getStatsFor('day', day)).totals.count, before.totals.count + 2);
+  const [first] = await getFirebaseService().findMany('violations', { import_batch_id: batch.id });
+
+  const result = await rollbackImport(batch.id, ADMIN);
+  assert.equal(result.removed, 2);
+  assert.equal(result.batch.status, 'rolled_back');
+  assert.equal(result.batch.rolled_back_by, ADMIN.id);
+  assert.equal(await getFirebaseService().count('violations', { import_batch_id: batch.id }), 0);
+  assert.deepEqual(await getStatusHistory(first.id), []);
+  assert.deepEqual((await getStatsFor('day', day)).totals, before.totals);
+
+  await assert.rejects(rollbackImport(batch.id, ADMIN), { code: 'IMPORT_ERROR', statusCode: 409 });
+  await assert.rejects(rollbackImport('missing', ADMIN), { code: 'IMPORT_ERROR', statusCode: 404 });
+
+  // The tickets can be imported again once rolled back
+  assert.equal((await validateImport(csv(['P-7001,2024-07-15 10:00,Carla Cruz,P01-24-000070,NH,Colon St.']))).summary.valid_rows, 1);
+});
+
+test('a batch with a recorded payment cannot be rolled back', async () => {
+  const batch = await commitImport(csv([
+    'P-8001,2024-08-01 10:00,Dado Dizon,P01-24-000080,NH,Colon St.'
+  ]), { fileName: 'august.csv', user: ADMIN });
+  const [violation] = await getFirebaseService().findMany('violations', { import_batch_id: batch.id });
+  await getFirebaseService().create(PAYMENTS_COLLECTION, { violation_id: violation.id, amount: 500, status: 'completed' });
+
+  await assert.rejects(
+    rollbackImport(batch.id, ADMIN),
+    { code: 'IMPORT_ERROR', statusCode: 409, message: `1 imported violation(s) have recorded payments (${violation.violation_number}); void the payments or cancel the violations instead` }
+  );
+  assert.ok(await getFirebaseService().findById('violations', violation.id));
+  assert.equal((await getFirebaseService().findById(IMPORT_BATCHES_COLLECTION, batch.id)).status, 'completed');
+});
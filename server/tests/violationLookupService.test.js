@@ -0,0 +1,84 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, createViolation, startApp } = require('./helpers');
+const {
+  normalizePlate,
+  findViolationByReference,
+  toPublicViolation
+} = require('../services/violationLookupService');
+const publicRoutes = require('../routes/public');
+
+before(async () => {
+  await connectDB();
+});
+
+test('the public violation date is when the violation was committed, not when it was entered', async () => {
+  const captured = await createViolation({ captured_at: new Date('2024-03-07T06:30:00Z') });
+  const dated = await createViolation({
+    captured_at: new Date('2024-03-07T06:30:00Z'),
+    violation_date: new Date('2024-03-06T06:30:00Z')
+  });
+
+  assert.equal((await toPublicViolation(captured)).violation_date, '2024-03-07T06:30:00.000Z');
+  assert.equal((await toPublicViolation(dated)).violation_date, '2024-03-06T06:30:00.000Z');
+});
+
+test('plates match whatever their spacing, dashes or case', async () => {
+  assert.equal(normalizePlate(' abc-1234 '), 'ABC1234');
+  assert.equal(normalizePlate(null), '');
+
+  const violation = await createViolation({ vehicle_plate: 'ABC 1234' });
+  assert.equal((await findViolationByReference(violation.violation_number.toLowerCase(), 'abc-1234')).id, violation.id);
+});
+
+test('a wrong plate looks the same as an unknown violation number', async () => {
+  const violation = await createViolation({ vehicle_plate: 'XYZ 9876' });
+  const noPlate = await createViolation({ vehicle_plate: null });
+
+  assert.equal(await findViolationByReference(violation.violation_number, 'XYZ 9877'), null);
+  assert.equal(await findViolationByReference(noPlate.violation_number, ''), null);
+  assert.equal(await findViolationByReference('VIO-NOPE-0001', 'XYZ 9876'), null);
+
+  const app = await startApp('/api/public', publicRoutes);
+  try {
+    const wrongPlate = await app.request('POST', '/api/public/violations/lookup', {
+      violation_number: violation.violation_number,
+      vehicle_plate: 'XYZ 9877'
+    });
+    const unknown = await app.request('POST', '/api/public/violations/lookup', {
+      violation_number: 'VIO-NOPE-0001',
+      vehicle_plate: 'XYZ 9876'
+    });
+    assert.equal(wrongPlate.status, 404);
+    assert.deepEqual(wrongPlate, unknown);
+  } finally {
+    await app.close();
+  }
+});
+
+test('the lookup never returns the violator or enforcer details', async () => {
+  const violation = await createViolation({
+    vehicle_plate: 'PUB 1001',
+    enforcer_id: 'enforcer-1',
+    violator_address: '123 Mabini St.',
+    notes: 'Driver was uncooperative'
+  });
+
+  const app = await startApp('/api/public', publicRoutes);
+  try {
+    const { status, body } = await app.request('POST', '/api/public/violations/lookup', {
+      violation_number: violation.violation_number,
+      vehicle_plate: 'pub-1001'
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.violation_number, violation.violation_number);
+    assert.equal(body.data.balance, 500);
+
+    const json = JSON.stringify(body);
+    for (const secret of [violation.violator_name, violation.violator_license, violation.violator_phone, '123 Mabini St.', 'enforcer-1', 'uncooperative', violation.id]) {
+      assert.equal(json.includes(secret), false, `${secret} leaked`);
+    }
+  } finally {
+    await app.close();
+  }
+});
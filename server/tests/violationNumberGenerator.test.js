@@ -0,0 +1,47 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, createViolation } = require('./helpers');
+const {
+  generateViolationNumber,
+  getViolationNumberPrefix,
+  parseViolationNumber
+} = require('../utils/violationNumberGenerator');
+
+before(async () => {
+  await connectDB();
+});
+
+test('concurrent submissions on the same day never share a number', async () => {
+  const day = new Date('2024-05-17T02:00:00Z');
+  const numbers = await Promise.all(Array.from({ length: 50 }, () => generateViolationNumber(day, { prefix: 'CONC' })));
+
+  assert.equal(new Set(numbers).size, 50);
+  const sequences = numbers.map(number => Number(number.split('-')[2])).sort((a, b) => a - b);
+  assert.deepEqual(sequences, Array.from({ length: 50 }, (_, i) => i + 1));
+});
+
+test('numbers follow the day in Manila and restart at midnight there', async () => {
+  // 11:59 PM on May 31 and 12:00 AM on June 1 in Manila
+  assert.equal(await generateViolationNumber(new Date('2024-05-31T15:59:00Z'), { prefix: 'MNL' }), 'MNL-20240531-0001');
+  assert.equal(await generateViolationNumber(new Date('2024-05-31T16:00:00Z'), { prefix: 'MNL' }), 'MNL-20240601-0001');
+  assert.equal(await generateViolationNumber(new Date('2024-05-31T16:30:00Z'), { prefix: 'MNL' }), 'MNL-20240601-0002');
+});
+
+test('numbers already on a violation are skipped', async () => {
+  await createViolation({ violation_number: 'SKIP-20240610-0001' });
+  await createViolation({ violation_number: 'SKIP-20240610-0002' });
+
+  assert.equal(await generateViolationNumber(new Date('2024-06-10T02:00:00Z'), { prefix: 'SKIP' }), 'SKIP-20240610-0003');
+});
+
+test('prefixes are validated and numbers parse back', () => {
+  assert.equal(getViolationNumberPrefix(' cebu '), 'CEBU');
+  assert.throws(() => getViolationNumberPrefix('C'), /Invalid violation number prefix/);
+  assert.throws(() => getViolationNumberPrefix('CEBU-CITY'), /Invalid violation number prefix/);
+
+  const parsed = parseViolationNumber('CEBU-20240517-0042');
+  assert.equal(parsed.isValid, true);
+  assert.equal(parsed.prefix, 'CEBU');
+  assert.equal(parsed.sequence, '0042');
+  assert.equal(parseViolationNumber('VIO-2024-0042').isValid, false);
+});
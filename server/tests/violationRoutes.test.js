@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, getFirebaseService, createViolation, startApp } = require('./helpers');
+const violationRoutes = require('../routes/violations');
+
+let app;
+
+before(async () => {
+  await connectDB();
+  app = await startApp('/api/violations', violationRoutes, 'admin');
+});
+
+after(() => app.close());
+
+test('the date filter covers whole days in Philippine time on the violation date', async () => {
+  // All entered today; committed at 12:30 AM and 11:59 PM on June 1 in Manila, then 12:00 AM on June 2
+  const early = await createViolation({ violation_date: new Date('2024-05-31T16:30:00Z') });
+  const late = await createViolation({ violation_date: new Date('2024-06-01T15:59:59Z') });
+  const nextDay = await createViolation({ violation_date: new Date('2024-06-01T16:00:00Z') });
+
+  const numbersOn = async (query) => {
+    const { status, body } = await app.request('GET', `/api/violations?limit=100&${query}`);
+    assert.equal(status, 200);
+    return body.data.violations.map(violation => violation.violation_number).sort();
+  };
+
+  assert.deepEqual(
+    await numbersOn('start_date=2024-06-01&end_date=2024-06-01'),
+    [early.violation_number, late.violation_number].sort()
+  );
+  assert.deepEqual(await numbersOn('start_date=2024-06-02&end_date=2024-06-02'), [nextDay.violation_number]);
+  assert.deepEqual(await numbersOn('end_date=2024-05-31'), []);
+});
+
+test('an update only changes the fields a violation can be corrected through', async () => {
+  const violation = await createViolation({ offense_number: 1, is_repeat_offender: false });
+
+  const computed = [
+    { offense_number: 3 },
+    { offense_tier: 3 },
+    { is_repeat_offender: true },
+    { violation_number: 'VIO-FAKE-0001' },
+    { import_batch_id: 'batch-1' },
+    { paper_ticket_number: 'P-0001' },
+    { created_at: '2020-01-01' }
+  ];
+  for (const fields of computed) {
+    const { status } = await app.request('PUT', `/api/violations/${violation.id}`, { notes: 'Corrected', ...fields });
+    assert.equal(status, 400, `${Object.keys(fields)[0]} was accepted`);
+  }
+
+  const unchanged = await getFirebaseService().findById('violations', violation.id);
+  assert.equal(unchanged.offense_number, 1);
+  assert.equal(unchanged.is_repeat_offender, false);
+  assert.equal(unchanged.violation_number, violation.violation_number);
+  assert.equal(unchanged.notes, violation.notes);
+
+  const { status, body } = await app.request('PUT', `/api/violations/${violation.id}`, { notes: 'Corrected', location: 'Colon St.' });
+  assert.equal(status, 200);
+  assert.equal(body.data.notes, 'Corrected');
+  assert.equal(body.data.location, 'Colon St.');
+});
+
+test('demerit points cannot be changed on a violation', async () => {
+  const violation = await createViolation({ demerit_points: 4 });
+
+  const { status, body } = await app.request('PUT', `/api/violations/${violation.id}`, { demerit_points: 0 });
+
+  assert.equal(status, 400);
+  assert.ok(body.details.some(detail => detail.msg === 'Demerit points are set by the violation type'));
+  assert.equal((await getFirebaseService().findById('violations', violation.id)).demerit_points, 4);
+});
+
+test('bulk actions are admin only, need a reason to cancel and report each violation', async () => {
+  const violation = await createViolation({ status: 'issued' });
+  const bulk = (body) => app.request('POST', '/api/violations/bulk', body);
+
+  assert.equal((await bulk({ action: 'cancel', ids: [violation.id] })).status, 400);
+  assert.equal((await bulk({ action: 'status', status: 'cancelled', ids: [violation.id] })).status, 400);
+  assert.equal((await bulk({ action: 'archive', ids: [violation.id] })).status, 400);
+  assert.equal((await bulk({ action: 'print', ids: Array.from({ length: 101 }, (_, i) => `id-${i}`) })).status, 400);
+
+  const enforcerApp = await startApp('/api/violations', violationRoutes, 'enforcer');
+  try {
+    const { status } = await enforcerApp.request('POST', '/api/violations/bulk', { action: 'cancel', ids: [violation.id], reason: 'Wrong plate' });
+    assert.equal(status, 403);
+  } finally {
+    await enforcerApp.close();
+  }
+  assert.equal((await getFirebaseService().findById('violations', violation.id)).status, 'issued');
+
+  const { status, body } = await bulk({ action: 'cancel', ids: [violation.id, 'missing'], reason: 'Wrong plate' });
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.summary, { requested: 2, succeeded: 1, failed: 1 });
+  assert.deepEqual(body.data.results[1], { id: 'missing', violation_number: null, success: false, error: 'Violation not found' });
+  assert.equal((await getFirebaseService().findById('violations', violation.id)).status, 'cancelled');
+});
@@ -0,0 +1,98 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, ENFORCER, connectDB, createViolation, smsFor } = require('./helpers');
+const {
+  getAllowedTransitions,
+  updateViolation,
+  getStatusHistory
+} = require('../services/violationStatusService');
+const { recordPayment, voidPayment, refundPayment } = require('../services/paymentService');
+
+before(async () => {
+  await connectDB();
+});
+
+test('each role may only make the transitions in the table', () => {
+  assert.deepEqual(getAllowedTransitions('pending', 'enforcer'), ['issued', 'cancelled']);
+  assert.deepEqual(getAllowedTransitions('issued', 'enforcer'), []);
+  assert.deepEqual(getAllowedTransitions('issued', 'admin'), ['cancelled']);
+  assert.deepEqual(getAllowedTransitions('paid', 'admin'), []);
+  assert.deepEqual(getAllowedTransitions('paid', 'system'), ['issued']);
+  assert.deepEqual(getAllowedTransitions('cancelled', 'system'), []);
+});
+
+test('a status change is written with its history entry', async () => {
+  const violation = await createViolation();
+
+  const result = await updateViolation(violation.id, { status: 'issued' }, { actor: ENFORCER, reason: 'Handed to driver' });
+
+  assert.deepEqual(result.transition, { from: 'pending', to: 'issued' });
+  assert.equal(result.violation.status, 'issued');
+
+  const history = await getStatusHistory(violation.id);
+  assert.equal(history.length, 1);
+  assert.equal(history[0].from_status, 'pending');
+  assert.equal(history[0].to_status, 'issued');
+  assert.equal(history[0].user_id, ENFORCER.id);
+  assert.equal(history[0].reason, 'Handed to driver');
+});
+
+test('changes outside the table are refused and nothing is written', async () => {
+  const violation = await createViolation({ status: 'issued' });
+
+  await assert.rejects(
+    updateViolation(violation.id, { status: 'pending' }, { actor: ADMIN }),
+    { code: 'INVALID_STATUS_TRANSITION', statusCode: 409 }
+  );
+  await assert.rejects(
+    updateViolation(violation.id, { status: 'cancelled' }, { actor: ENFORCER }),
+    { code: 'INVALID_STATUS_TRANSITION', statusCode: 403 }
+  );
+  // Only payments move a violation to paid
+  await assert.rejects(
+    updateViolation(violation.id, { status: 'paid' }, { actor: ADMIN }),
+    { code: 'INVALID_STATUS_TRANSITION', statusCode: 403 }
+  );
+
+  const result = await updateViolation(violation.id, { notes: 'Checked' }, { actor: ADMIN });
+  assert.equal(result.transition, null);
+  assert.equal(result.violation.status, 'issued');
+  assert.deepEqual(await getStatusHistory(violation.id), []);
+});
+
+test('issuing a pending violation texts the notice once', async () => {
+  const violation = await createViolation();
+
+  await updateViolation(violation.id, { status: 'issued' }, { actor: ENFORCER });
+
+  const messages = smsFor(violation);
+  assert.equal(messages.length, 1);
+  assert.match(messages[0].message, /^e-Traffic Notice: /);
+  assert.match(messages[0].message, new RegExp(`Ref: ${violation.violation_number}$`));
+});
+
+test('reopening a paid violation does not send the notice again', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500 });
+  const { payment } = await recordPayment(violation.id, { amount: 500, method: 'cash' }, ADMIN);
+  await refundPayment(violation.id, payment.id, { amount: 500, reason: 'Paid twice' }, ADMIN);
+
+  const second = await recordPayment(violation.id, { amount: 500, method: 'cash' }, ADMIN);
+  await voidPayment(violation.id, second.payment.id, ADMIN, 'Entered twice');
+
+  const messages = smsFor(violation).map(sms => sms.message);
+  assert.equal(messages.filter(message => message.startsWith('e-Traffic Notice:')).length, 0);
+  assert.equal(messages.filter(message => message.includes('Payment Confirmed')).length, 2);
+});
+
+test('the payment confirmation quotes the amount paid, surcharges included', async () => {
+  const violation = await createViolation({ status: 'issued', fine_amount: 500, surcharge_total: 75 });
+
+  await recordPayment(violation.id, { amount: 200, method: 'cash' }, ADMIN);
+  assert.equal(smsFor(violation).length, 0);
+
+  await recordPayment(violation.id, { amount: 375, method: 'gcash', reference_number: 'GC-1' }, ADMIN);
+
+  const messages = smsFor(violation);
+  assert.equal(messages.length, 1);
+  assert.match(messages[0].message, /Paid: PHP575\./);
+});
@@ -0,0 +1,104 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, createViolation, createViolationType } = require('./helpers');
+const {
+  isInEffect,
+  getViolationTypes,
+  findTypeInEffect,
+  findOverlappingType,
+  resolveTicketType,
+  normalizeOffenseTiers,
+  countPriorOffenses,
+  violationTypeFields
+} = require('../services/violationTypeService');
+
+before(async () => {
+  await connectDB();
+});
+
+test('tickets are refused until the catalog has a type, whatever fine they carry', async () => {
+  await assert.rejects(
+    resolveTicketType({ violation_type: 'No Helmet', fine_amount: 1 }),
+    { code: 'VIOLATION_TYPE_ERROR', statusCode: 503 }
+  );
+
+  await createViolationType({ code: 'NH', name: 'No Helmet', base_fine: 500 });
+  const type = await resolveTicketType({ violation_type: 'No Helmet', fine_amount: 1 });
+  assert.equal(type.code, 'NH');
+  assert.equal(type.base_fine, 500);
+});
+
+test('effective dates change at midnight in Manila', () => {
+  const type = { effective_from: '2024-07-01', effective_to: '2024-12-31' };
+
+  // 11:59 PM on June 30 and 12:30 AM on July 1 in Manila
+  assert.equal(isInEffect(type, new Date('2024-06-30T15:59:00Z')), false);
+  assert.equal(isInEffect(type, new Date('2024-06-30T16:30:00Z')), true);
+  // 11:59 PM on December 31 and 12:00 AM on January 1
+  assert.equal(isInEffect(type, new Date('2024-12-31T15:59:00Z')), true);
+  assert.equal(isInEffect(type, new Date('2024-12-31T16:00:00Z')), false);
+});
+
+test('an amended fine applies from its effective date, and retired types are refused', async () => {
+  await createViolationType({ code: 'RD', name: 'Reckless Driving', base_fine: 1000, effective_from: '2000-01-01', effective_to: '2024-12-31' });
+  await createViolationType({ code: 'RD', name: 'Reckless Driving', base_fine: 2000, effective_from: '2025-01-01' });
+  await createViolationType({ code: 'OLD', name: 'Retired Rule', base_fine: 100, effective_from: '2000-01-01', effective_to: '2020-12-31' });
+  const types = await getViolationTypes();
+
+  assert.equal(findTypeInEffect(types, 'rd', new Date('2024-12-31T15:59:00Z')).base_fine, 1000);
+  assert.equal(findTypeInEffect(types, 'Reckless Driving', new Date('2024-12-31T16:00:00Z')).base_fine, 2000);
+  assert.equal(findTypeInEffect(types, 'OLD', new Date('2020-06-01T00:00:00Z')).base_fine, 100);
+  assert.equal(await resolveTicketType({ violation_type_code: 'OLD' }), null);
+  assert.equal(await resolveTicketType({ violation_type_code: 'NOPE' }), null);
+});
+
+test('schedules for the same code may not overlap', async () => {
+  assert.ok(await findOverlappingType({ code: 'RD', effective_from: '2024-06-01', effective_to: '2025-06-01' }));
+  assert.ok(await findOverlappingType({ code: 'RD', effective_from: '2030-01-01', effective_to: null }));
+  assert.equal(await findOverlappingType({ code: 'OLD', effective_from: '2021-01-01', effective_to: null }), null);
+});
+
+test('repeat offenses climb the tiers and stay on the last one', () => {
+  const type = {
+    id: 'type-1',
+    code: 'NH',
+    name: 'No Helmet',
+    base_fine: 500,
+    offense_tiers: [{ offense: 1, fine: 500 }, { offense: 2, fine: 1000 }, { offense: 3, fine: 1500 }]
+  };
+
+  const fields = [1, 2, 3, 5].map(offense => violationTypeFields(type, offense));
+  assert.deepEqual(fields.map(f => f.fine_amount), [500, 1000, 1500, 1500]);
+  assert.deepEqual(fields.map(f => f.offense_tier), [1, 2, 3, 3]);
+  assert.deepEqual(fields.map(f => f.offense_tier_label), ['1st offense', '2nd offense', '3rd+ offense', '3rd+ offense']);
+  assert.equal(fields[3].offense_number, 5);
+
+  const flat = violationTypeFields({ ...type, offense_tiers: [] }, 4);
+  assert.equal(flat.fine_amount, 500);
+  assert.equal(flat.offense_tier, null);
+  assert.equal(flat.offense_tier_label, null);
+});
+
+test('only offenses inside the look-back window count', async () => {
+  const type = await createViolationType({ code: 'LB', name: 'Look Back', lookback_days: 365 });
+  const asOf = new Date('2024-06-01T00:00:00Z');
+  await createViolation({ violator_id: 'V-LB', violation_type_code: 'LB', violation_date: new Date('2023-01-15T00:00:00Z') });
+  await createViolation({ violator_id: 'V-LB', violation_type_code: 'LB', violation_date: new Date('2023-09-01T00:00:00Z') });
+  await createViolation({ violator_id: 'V-LB', violation_type_code: 'LB', violation_date: new Date('2024-07-01T00:00:00Z') });
+
+  assert.equal(await countPriorOffenses(type, 'V-LB', asOf), 2);
+  // A back-dated ticket leaves out offenses committed after it
+  assert.equal(await countPriorOffenses(type, 'V-LB', asOf, { earlierOnly: true }), 1);
+  assert.equal(await countPriorOffenses({ ...type, lookback_days: null }, 'V-LB', asOf), 3);
+  assert.equal(await countPriorOffenses(type, null, asOf), 0);
+});
+
+test('offense tiers must be numbered from 1 without gaps and carry a fine', () => {
+  assert.deepEqual(
+    normalizeOffenseTiers([{ offense: '2', fine: '1000' }, { offense: 1, fine: 500 }]),
+    [{ offense: 1, fine: 500 }, { offense: 2, fine: 1000 }]
+  );
+  assert.throws(() => normalizeOffenseTiers([{ offense: 1, fine: 500 }, { offense: 3, fine: 1500 }]), /without gaps/);
+  assert.throws(() => normalizeOffenseTiers([{ offense: 1, fine: -1 }]), /1st offense must be a positive number/);
+  assert.throws(() => normalizeOffenseTiers('500'), /must be a list/);
+});
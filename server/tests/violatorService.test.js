@@ -0,0 +1,82 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectDB, getFirebaseService, createViolationType, recordViolation } = require('./helpers');
+const {
+  VIOLATORS_COLLECTION,
+  violatorIdFor,
+  linkViolator
+} = require('../services/violatorService');
+const { countPriorOffenses } = require('../services/violationTypeService');
+
+let helmet;
+
+before(async () => {
+  await connectDB();
+  helmet = await createViolationType({
+    code: 'NH',
+    name: 'No Helmet',
+    base_fine: 500,
+    offense_tiers: [{ offense: 1, fine: 500 }, { offense: 2, fine: 1000 }, { offense: 3, fine: 1500 }]
+  });
+});
+
+test('license numbers are keyed without case, spaces or dashes', () => {
+  assert.equal(violatorIdFor('N01-12-345678'), 'N0112345678');
+  assert.equal(violatorIdFor(' n01 12 345678 '), 'N0112345678');
+  assert.equal(violatorIdFor(''), null);
+  assert.equal(violatorIdFor(null), null);
+});
+
+test('linking registers a violator once and fills in missing contact details', async () => {
+  const id = await linkViolator({ violator_license: 'A11-22-000001', violator_name: 'Maria Santos' });
+  const again = await linkViolator({ violator_license: 'a11 22 000001', violator_name: 'M. Santos', violator_phone: '09181112222' });
+
+  assert.equal(again, id);
+  const violator = await getFirebaseService().findById(VIOLATORS_COLLECTION, id);
+  assert.equal(violator.full_name, 'Maria Santos');
+  assert.equal(violator.phone, '09181112222');
+
+  assert.equal(await linkViolator({ violator_name: 'No License' }), null);
+});
+
+test('a merged license links to the profile it was merged into', async () => {
+  const target = await linkViolator({ violator_license: 'B11-22-000001', violator_name: 'Pedro Reyes' });
+  const source = await linkViolator({ violator_license: 'B11-22-000007', violator_name: 'Pedro Reyes' });
+  await getFirebaseService().update(VIOLATORS_COLLECTION, source, { merged_into: target });
+
+  assert.equal(await linkViolator({ violator_license: 'B11-22-000007' }), target);
+});
+
+test('offenses and repeat flags count every spelling of the same license', async () => {
+  const licenses = ['C01-12-345678', 'c0112345678', 'C01 12 345678'];
+  const violations = [];
+  for (const license of licenses) {
+    violations.push(await recordViolation(helmet, { violator_license: license, violator_name: 'Jose Rizal' }));
+  }
+
+  assert.deepEqual(violations.map(violation => violation.offense_number), [1, 2, 3]);
+  assert.deepEqual(violations.map(violation => violation.fine_amount), [500, 1000, 1500]);
+  assert.deepEqual(violations.map(violation => violation.offense_tier_label), ['1st offense', '2nd offense', '3rd+ offense']);
+  assert.deepEqual(violations.map(violation => violation.previous_violations_count), [0, 1, 2]);
+  assert.deepEqual(violations.map(violation => violation.is_repeat_offender), [false, true, true]);
+  assert.ok(violations.every(violation => violation.violator_id === 'C0112345678'));
+});
+
+test('cancelled violations and other types are not prior offenses', async () => {
+  const parking = await createViolationType({ code: 'IP', name: 'Illegal Parking', base_fine: 300 });
+  const first = await recordViolation(helmet, { violator_license: 'D01-00-000001' });
+  await recordViolation(parking, { violator_license: 'D01-00-000001' });
+
+  assert.equal(await countPriorOffenses(helmet, first.violator_id), 1);
+
+  await getFirebaseService().update('violations', first.id, { status: 'cancelled' });
+  assert.equal(await countPriorOffenses(helmet, first.violator_id), 0);
+});
+
+test('violations without a license are never repeat offenses', async () => {
+  const violation = await recordViolation(helmet, { violator_license: '' });
+
+  assert.equal(violation.violator_id, null);
+  assert.equal(violation.offense_number, 1);
+  assert.equal(violation.is_repeat_offender, false);
+});
@@ -38,16 +38,16 @@ const logAudit = async (userId, action, tableName, recordId = null, oldValues =
 };
 
 /**
- * Get audit logs with pagination and filtering
- * @param {object} filters - Filter options
+ * Get audit logs with cursor pagination and filtering
+ * @param {object} filters - Filter options (limit, cursor, userId, action, tableName, startDate, endDate)
  * @returns {object} Audit logs with pagination
  */
 const getAuditLogs = async (filters = {}) => {
   try {
     const firebaseService = getFirebaseService();
     const { 
-      page = 1, 
       limit = 10, 
+      cursor = '',
       userId = '', 
       action = '', 
       tableName = '',
@@ -55,7 +55,6 @@ const getAuditLogs = async (filters = {}) => {
       endDate = ''
     } = filters;
 
-    const offset = (page - 1) * limit;
     const conditions = {};
 
     // Add filters
@@ -67,47 +66,38 @@ const getAuditLogs = async (filters = {}) => {
       conditions.table_name = tableName;
     }
 
-    // Get audit logs with user information
-    const logs = await firebaseService.getAuditLogsWithUser(conditions, {
-      orderBy: { field: 'created_at', direction: 'desc' },
+    if (startDate || endDate) {
+      conditions.created_at = {
+        '>=': startDate ? new Date(startDate) : null,
+        '<=': endDate ? new Date(endDate) : null
+      };
+    }
+
+    // Action is a partial match (Firebase doesn't support LIKE queries), so it is applied while scanning
+    const actionTerm = action ? action.toLowerCase() : '';
+
+    const page = await firebaseService.findPage('audit_logs', conditions, {
       limit: parseInt(limit),
-      offset: parseInt(offset)
+      cursor: cursor || null,
+      orderBy: { field: 'created_at', direction: 'desc' },
+      filter: actionTerm
+        ? (log) => log.action && log.action.toLowerCase().includes(actionTerm)
+        : null
     });
 
-    // Filter by action and date if specified (Firebase doesn't support LIKE queries)
-    let filteredLogs = logs;
-    
-    if (action) {
-      filteredLogs = filteredLogs.filter(log => 
-        log.action && log.action.toLowerCase().includes(action.toLowerCase())
-      );
-    }
-
-    if (startDate || endDate) {
-      filteredLogs = filteredLogs.filter(log => {
-        if (!log.created_at) return false;
-        
-        const logDate = new Date(log.created_at.toDate ? log.created_at.toDate() : log.created_at);
-        const start = startDate ? new Date(startDate) : null;
-        const end = endDate ? new Date(endDate) : null;
-        
-        if (start && logDate < start) return false;
-        if (end && logDate > end) return false;
-        
-        return true;
-      });
-    }
+    const logs = await firebaseService.withAuditUsers(page.items);
 
-    // Get total count
-    const totalCount = await firebaseService.count('audit_logs', conditions);
+    // Get total count (unknown when the action filter is applied while scanning)
+    const totalCount = actionTerm ? null : await firebaseService.count('audit_logs', conditions);
 
     return {
       success: true,
       data: {
-        logs: filteredLogs,
+        logs,
         pagination: {
-          current: parseInt(page),
-          total: Math.ceil(totalCount / limit),
+          limit: parseInt(limit),
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore,
           totalRecords: totalCount
         }
       }
@@ -117,7 +107,7 @@ const getAuditLogs = async (filters = {}) => {
     console.error('Get audit logs error:', error);
     return { 
       success: false, 
-      message: 'Failed to get audit logs',
+      message: error.code === 'INVALID_CURSOR' ? error.message : 'Failed to get audit logs',
       error: error.message 
     };
   }
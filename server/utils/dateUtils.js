@@ -0,0 +1,47 @@
+const moment = require('moment');
+
+// Asia/Manila has no daylight saving time
+const MANILA_UTC_OFFSET_MINUTES = 8 * 60;
+
+/**
+ * Firestore timestamps, Dates and ISO strings all end up as a Date
+ * @param {*} value - Timestamp-like value
+ * @returns {Date|null} Date or null when the value is empty
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value.seconds) return new Date(value.seconds * 1000);
+  return new Date(value);
+};
+
+/**
+ * When a violation was committed
+ * Records from before violation_date was stored fall back to the capture time,
+ * then to when the record was created.
+ * @param {object} violation - Violation record
+ * @returns {Date|null} Date or null when the violation has none
+ */
+const violationDateOf = (violation) => toDate(violation.violation_date || violation.captured_at || violation.created_at);
+
+/**
+ * Read a date in Philippine time (Asia/Manila), whatever the server's timezone
+ * @param {*} value - Date, ISO string or timestamp (defaults to now)
+ * @returns {moment.Moment} Moment at UTC+8, so startOf('day'), format() etc. use Manila days
+ */
+const toManila = (value = new Date()) => moment(value).utcOffset(MANILA_UTC_OFFSET_MINUTES);
+
+/**
+ * Read a calendar date (YYYY-MM-DD) as that day in Philippine time
+ * @param {string} value - Calendar date
+ * @returns {moment.Moment} Start of the day in Manila
+ */
+const manilaDay = (value) => moment.utc(value, 'YYYY-MM-DD').utcOffset(MANILA_UTC_OFFSET_MINUTES, true).startOf('day');
+
+module.exports = {
+  MANILA_UTC_OFFSET_MINUTES,
+  toDate,
+  violationDateOf,
+  toManila,
+  manilaDay
+};
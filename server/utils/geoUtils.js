@@ -0,0 +1,56 @@
+const { body } = require('express-validator');
+
+/**
+ * Optional latitude/longitude body fields; both or neither must be sent
+ */
+const coordinateValidators = [
+  body('latitude')
+    .optional({ values: 'null' })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('longitude')
+    .optional({ values: 'null' })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body('latitude').custom((latitude, { req }) => {
+    const hasLatitude = latitude !== undefined && latitude !== null;
+    const hasLongitude = req.body.longitude !== undefined && req.body.longitude !== null;
+    if (hasLatitude !== hasLongitude) {
+      throw new Error('Latitude and longitude must be sent together');
+    }
+    return true;
+  })
+];
+
+/**
+ * Geopoint for validated coordinates in a request body
+ * @param {object} storage - Storage service (creates the backend's geopoint type)
+ * @param {object} data - { latitude, longitude }
+ * @returns {object|null} null when no coordinates were sent, or for 0,0 which
+ *   GPS modules report before they have a fix
+ */
+const toGeoPoint = (storage, { latitude, longitude }) => {
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+  if (latitude === 0 && longitude === 0) return null;
+  return storage.createGeoPoint(latitude, longitude);
+};
+
+/**
+ * Firestore GeoPoints, their JSON form and plain objects all end up as numbers
+ * @param {*} geopoint - Stored geopoint
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+const toLatLng = (geopoint) => {
+  if (!geopoint) return null;
+  const latitude = geopoint.latitude ?? geopoint._latitude;
+  const longitude = geopoint.longitude ?? geopoint._longitude;
+  return typeof latitude === 'number' && typeof longitude === 'number' ? { latitude, longitude } : null;
+};
+
+module.exports = {
+  coordinateValidators,
+  toGeoPoint,
+  toLatLng
+};
@@ -0,0 +1,91 @@
+const { getFirebaseService } = require('../config/database');
+
+const UNKNOWN = 'Unknown';
+
+/**
+ * Create a user lookup that batches id lookups and caches the results
+ * @param {object} storage - Storage service (defaults to the active backend)
+ * @returns {object} { getUsers, getUser, withEnforcers, withUserNames }
+ */
+const createUserLookup = (storage = getFirebaseService()) => {
+  // id -> Promise<user|null>, so concurrent callers share one fetch per id
+  const cache = new Map();
+
+  /**
+   * @param {string[]} ids - User ids (duplicates and empty ids are ignored)
+   * @returns {Promise<Map<string, object|null>>} User (or null when missing) per id
+   */
+  const getUsers = async (ids) => {
+    const uniqueIds = [...new Set(ids.filter(Boolean))];
+    const missing = uniqueIds.filter(id => !cache.has(id));
+
+    if (missing.length > 0) {
+      const batch = storage.findByIds('users', missing);
+      missing.forEach(id => {
+        cache.set(id, batch.then(users => users.get(id) || null));
+      });
+      // Failed lookups are retried on the next call instead of caching the error
+      batch.catch(() => missing.forEach(id => cache.delete(id)));
+    }
+
+    const entries = await Promise.all(uniqueIds.map(async id => [id, await cache.get(id)]));
+    return new Map(entries);
+  };
+
+  const getUser = async (id) => {
+    if (!id) return null;
+    const users = await getUsers([id]);
+    return users.get(id) || null;
+  };
+
+  // Add enforcer_name/enforcer_badge to each violation; lookup failures fall back to 'Unknown'
+  const withEnforcers = async (violations) => {
+    let users = new Map();
+    try {
+      users = await getUsers(violations.map(violation => violation.enforcer_id));
+    } catch (error) {
+      console.error('Error fetching enforcers for violations:', error);
+    }
+
+    return violations.map(violation => {
+      const enforcer = violation.enforcer_id ? users.get(violation.enforcer_id) : null;
+      return {
+        ...violation,
+        enforcer_name: enforcer ? enforcer.full_name : UNKNOWN,
+        enforcer_badge: enforcer ? enforcer.badge_number : UNKNOWN
+      };
+    });
+  };
+
+  // Add user_name to records that carry a user_id (audit logs)
+  const withUserNames = async (records) => {
+    const users = await getUsers(records.map(record => record.user_id));
+
+    return records.map(record => {
+      if (!record.user_id) return record;
+      const user = users.get(record.user_id);
+      return {
+        ...record,
+        user_name: user ? user.full_name : UNKNOWN
+      };
+    });
+  };
+
+  return { getUsers, getUser, withEnforcers, withUserNames };
+};
+
+/**
+ * Lookup shared by everything that handles one request, created on first use
+ * @param {object} req - Express request object
+ */
+const getUserLookup = (req) => {
+  if (!req.userLookup) {
+    req.userLookup = createUserLookup();
+  }
+  return req.userLookup;
+};
+
+module.exports = {
+  createUserLookup,
+  getUserLookup
+};
@@ -1,31 +1,93 @@
+const { getFirebaseService } = require('../config/database');
+const { toManila } = require('./dateUtils');
+
 /**
  * Utility for generating Philippine-style violation numbers
- * Format: VIO-YYYYMMDD-XXXX
- * 
+ * Format: PREFIX-YYYYMMDD-NNNN
+ *
  * Examples:
- * - VIO-20241229-1234 (Violation on Dec 29, 2024, sequence 1234)
- * - VIO-20250101-5678 (Violation on Jan 1, 2025, sequence 5678)
+ * - VIO-20241229-0001 (First violation on Dec 29, 2024)
+ * - VIO-20250101-0042 (42nd violation on Jan 1, 2025)
+ *
+ * The prefix identifies the issuing jurisdiction (VIOLATION_NUMBER_PREFIX,
+ * default VIO). Sequences come from one counter document per prefix and day
+ * in the violation_counters collection, incremented inside a transaction so
+ * concurrent submissions never share a number. A number is only skipped when
+ * it already belongs to an existing violation (e.g. one issued before the
+ * counter existed) or when saving the violation fails after allocation.
+ */
+
+const COUNTERS_COLLECTION = 'violation_counters';
+const DEFAULT_PREFIX = 'VIO';
+const PREFIX_PATTERN = /^[A-Z0-9]{2,10}$/;
+const MAX_ATTEMPTS = 20;
+
+/**
+ * Resolve and validate the jurisdiction prefix
+ * @param {string} prefix - Explicit prefix (defaults to VIOLATION_NUMBER_PREFIX or VIO)
+ * @returns {string} Upper-cased prefix
+ */
+function getViolationNumberPrefix(prefix = process.env.VIOLATION_NUMBER_PREFIX) {
+  const resolved = (prefix || DEFAULT_PREFIX).trim().toUpperCase();
+
+  if (!PREFIX_PATTERN.test(resolved)) {
+    throw new Error(`Invalid violation number prefix "${resolved}" (use 2-10 letters or digits)`);
+  }
+
+  return resolved;
+}
+
+// The day in Philippine time, so numbers and daily counters follow the local calendar on a UTC server
+function formatDateKey(date) {
+  return toManila(date).format('YYYYMMDD');
+}
+
+/**
+ * Reserve the next sequence for a prefix and day
+ * @returns {Promise<number>} Sequence number, starting at 1 each day
  */
+async function allocateSequence(prefix, dateKey) {
+  const firebaseService = getFirebaseService();
+  const counterId = `${prefix}-${dateKey}`;
+
+  return firebaseService.runTransaction(async (tx) => {
+    const counter = await tx.get(COUNTERS_COLLECTION, counterId);
+    const sequence = (counter ? counter.last_sequence : 0) + 1;
+
+    if (counter) {
+      tx.update(COUNTERS_COLLECTION, counterId, { last_sequence: sequence });
+    } else {
+      tx.set(COUNTERS_COLLECTION, counterId, { prefix, date: dateKey, last_sequence: sequence });
+    }
+
+    return sequence;
+  });
+}
 
 /**
- * Generate a formatted violation number
+ * Generate the next violation number for a day
  * @param {Date} date - The date for the violation (defaults to now)
- * @returns {string} Formatted violation number
+ * @param {object} options - { prefix } to override the configured jurisdiction prefix
+ * @returns {Promise<string>} Formatted violation number
  */
-function generateViolationNumber(date = new Date()) {
-  // Format: VIO-YYYYMMDD-XXXX
-  const year = date.getFullYear();
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
-  
-  const dateStr = `${year}${month}${day}`;
-  
-  // Generate a 4-digit sequence based on timestamp
-  // This provides uniqueness while keeping it readable
-  const timeStr = date.getTime().toString();
-  const sequentialNum = timeStr.slice(-4);
-  
-  return `VIO-${dateStr}-${sequentialNum}`;
+async function generateViolationNumber(date = new Date(), options = {}) {
+  const firebaseService = getFirebaseService();
+  const prefix = getViolationNumberPrefix(options.prefix);
+  const dateKey = formatDateKey(date);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const sequence = await allocateSequence(prefix, dateKey);
+    const violationNumber = `${prefix}-${dateKey}-${sequence.toString().padStart(4, '0')}`;
+
+    const existing = await firebaseService.findViolationByNumber(violationNumber);
+    if (!existing) {
+      return violationNumber;
+    }
+
+    console.warn(`⚠️ Violation number ${violationNumber} is already in use, allocating the next one`);
+  }
+
+  throw new Error(`Could not allocate a unique violation number for ${prefix}-${dateKey}`);
 }
 
 /**
@@ -34,7 +96,7 @@ function generateViolationNumber(date = new Date()) {
  * @returns {object} Parsed information
  */
 function parseViolationNumber(violationNumber) {
-  const match = violationNumber.match(/^VIO-(\d{4})(\d{2})(\d{2})-(\d{4})$/);
+  const match = violationNumber.match(/^([A-Z0-9]{2,10})-(\d{4})(\d{2})(\d{2})-(\d{4,})$/);
   
   if (!match) {
     return {
@@ -43,11 +105,11 @@ function parseViolationNumber(violationNumber) {
     };
   }
   
-  const [, year, month, day, sequence] = match;
+  const [, prefix, year, month, day, sequence] = match;
   
   return {
     isValid: true,
-    prefix: 'VIO',
+    prefix,
     year: parseInt(year),
     month: parseInt(month),
     day: parseInt(day),
@@ -69,6 +131,7 @@ function isValidViolationNumber(violationNumber) {
 
 module.exports = {
   generateViolationNumber,
+  getViolationNumberPrefix,
   parseViolationNumber,
   isValidViolationNumber
 };
\ No newline at end of file